@@ -0,0 +1,88 @@
+// /api/audit-log.js
+// NEW: Query the audit trail of pricing and lock actions
+// GET ?actor=&nexId=&action=&batchId=&from=&to=&limit=&beforeSeq=
+//   from / to are ISO dates or timestamps (inclusive). Newest records first; pass the returned
+//   nextBeforeSeq as beforeSeq for the next page.
+// GET ?verify=true -> recompute the hash chain over the whole log
+// Admins see every record; other users only the records of their own actions.
+
+import { AUDIT_ACTIONS, queryAuditLog, verifyAuditChain } from '../lib/audit.js';
+import { applyCors, ownerScope, READ_ROLES, requireAuth, ROLES } from '../lib/auth.js';
+import { requestLogger } from '../lib/logger.js';
+
+export default async function handler(req, res) {
+    const log = requestLogger(req, res, 'audit-log');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res, 'GET, OPTIONS')) {
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const user = requireAuth(req, res, READ_ROLES);
+    if (!user) {
+        return;
+    }
+    const owner = ownerScope(user);
+
+    try {
+        const query = req.query || {};
+
+        if (query.verify === 'true') {
+            if (owner) {
+                return res.status(403).json({ success: false, message: `Verifying the audit chain needs the ${ROLES.ADMIN} role` });
+            }
+            const verification = await verifyAuditChain();
+            if (!verification.valid) {
+                log.error('🚨 AUDIT: hash chain broken', { brokenAt: verification.brokenAt, reason: verification.reason });
+            }
+            return res.status(200).json({ success: true, ...verification, timestamp: new Date().toISOString() });
+        }
+
+        if (query.action && !AUDIT_ACTIONS.includes(query.action)) {
+            return res.status(400).json({ success: false, message: `Invalid action: ${query.action}. Expected one of ${AUDIT_ACTIONS.join(', ')}` });
+        }
+        for (const bound of ['from', 'to']) {
+            if (query[bound] && Number.isNaN(Date.parse(query[bound]))) {
+                return res.status(400).json({ success: false, message: `Invalid ${bound} date: ${query[bound]}` });
+            }
+        }
+        if (owner && query.actor && query.actor !== owner) {
+            return res.status(403).json({ success: false, message: `User ${user.userId} can only read their own audit records` });
+        }
+
+        const { records, nextBeforeSeq } = await queryAuditLog({
+            actor: owner || query.actor,
+            nexId: query.nexId,
+            action: query.action,
+            batchId: query.batchId,
+            from: query.from,
+            to: query.to,
+            beforeSeq: query.beforeSeq,
+            limit: query.limit
+        });
+
+        return res.status(200).json({
+            success: true,
+            records: records,
+            nextBeforeSeq: nextBeforeSeq,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        log.error('❌ Audit log query error', error);
+
+        return res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to query audit log',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
@@ -0,0 +1,150 @@
+// /api/auto-lock.js
+// NEW: Rule-based auto-lock for a priced batch
+// POST { batchId, rules: [{ id, when: { maxRate, maxPriceCost, maxPoints, programs, productTypes } }],
+//        credentialRef, dryRun?, selection?, whenPriced? }
+//   Evaluates every priced loan of the pricing batch and dispatches selective locks for the loans a
+//   rule qualifies. dryRun previews the decisions without dispatching. Loans still pricing are
+//   reported as pending, so the call can be repeated until the batch is complete; loans already
+//   locked by an earlier run are skipped.
+//   whenPriced saves the policy on the batch instead (202), to run by itself once the batch has
+//   finished pricing - or right away (200) if it already has (see lib/auto-lock.js).
+// GET ?batchId=... -> every recorded evaluation (which rule fired for each loan)
+
+import { applyCors, ownerScope, READ_ROLES, requireAuth, ROLES } from '../lib/auth.js';
+import { runAutoLock, runStandingPolicy } from '../lib/auto-lock.js';
+import { getBatch } from '../lib/batches.js';
+import { GitHubRateLimitError } from '../lib/github.js';
+import { applyIdempotencyKey } from '../lib/idempotency.js';
+import { getLockDecisions, saveStandingPolicy, validateLockRules } from '../lib/lock-policy.js';
+import { requestLogger } from '../lib/logger.js';
+import { validatePricingSelection } from '../lib/pricing-options.js';
+
+export default async function handler(req, res) {
+    const log = requestLogger(req, res, 'auto-lock');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res)) {
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Reading decisions needs read access; evaluating (even a dry run) needs permission to lock
+    const user = requireAuth(req, res, req.method === 'GET' ? READ_ROLES : [ROLES.LOCKER]);
+    if (!user) {
+        return;
+    }
+
+    try {
+        if (req.method === 'GET') {
+            const batchId = req.query?.batchId;
+            if (!batchId) {
+                return res.status(400).json({ success: false, message: 'Missing batchId' });
+            }
+            if (!(await getBatch(batchId, { owner: ownerScope(user) }))) {
+                return res.status(404).json({ success: false, message: `Batch ${batchId} not found` });
+            }
+            return res.status(200).json({ success: true, ...(await getLockDecisions(batchId)) });
+        }
+
+        // Repeats of an evaluation with the same Idempotency-Key get the original decisions back
+        if (!(await applyIdempotencyKey(req, res, { endpoint: 'auto-lock', user }))) {
+            return;
+        }
+
+        const { batchId, rules, credentialRef, selection } = req.body || {};
+        const dryRun = req.body?.dryRun === true;
+        const whenPriced = req.body?.whenPriced === true;
+
+        const batch = batchId ? await getBatch(batchId, { owner: ownerScope(user) }) : null;
+        if (!batch) {
+            return res.status(batchId ? 404 : 400).json({
+                success: false,
+                message: batchId ? `Batch ${batchId} not found` : 'Missing batchId'
+            });
+        }
+        if (batch.type !== 'price-loans-only') {
+            return res.status(400).json({ success: false, message: `Batch ${batchId} is not a pricing batch` });
+        }
+
+        const policyError = validateLockRules(rules) || validatePricingSelection(selection);
+        if (policyError) {
+            return res.status(400).json({ success: false, message: policyError });
+        }
+        if (!dryRun && !credentialRef) {
+            return res.status(400).json({ success: false, message: 'Missing credentialRef (not needed for dryRun)' });
+        }
+        if (dryRun && whenPriced) {
+            return res.status(400).json({ success: false, message: 'A standing policy (whenPriced) cannot be a dryRun' });
+        }
+
+        // Standing policy: run by itself once the batch has finished pricing (lib/auto-lock.js)
+        if (whenPriced) {
+            const { standing: existing } = await getLockDecisions(batch.batchId);
+            if (existing?.firedAt) {
+                return res.status(409).json({ success: false, message: `The standing policy of batch ${batch.batchId} already ran at ${existing.firedAt}` });
+            }
+            const standing = await saveStandingPolicy(batch.batchId, {
+                rules: rules,
+                selection: selection || null,
+                credentialRef: credentialRef,
+                user: { userId: user.userId, roles: user.roles }
+            });
+            log.info('🤖 AUTO-LOCK: standing policy saved', { batchId: batch.batchId, user: user.userId });
+
+            // Already priced: nothing left to complete, so run it now
+            const ran = await runStandingPolicy(batch);
+            if (!ran) {
+                return res.status(202).json({
+                    success: true,
+                    batchId: batch.batchId,
+                    standing: standing,
+                    message: 'The policy runs once every loan of the batch has finished pricing',
+                    timestamp: standing.savedAt
+                });
+            }
+            return res.status(200).json(describeEvaluation(batch, ran));
+        }
+
+        return res.status(200).json(describeEvaluation(batch, await runAutoLock(batch, { rules, selection, credentialRef, dryRun, user })));
+
+    } catch (error) {
+        log.error('❌ Auto-lock error', error);
+
+        if (error instanceof GitHubRateLimitError) {
+            res.setHeader('Retry-After', String(error.retryAfterSeconds || 60));
+            return res.status(429).json({
+                success: false,
+                message: error.message,
+                retryAfterSeconds: error.retryAfterSeconds,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to evaluate lock policy',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+function describeEvaluation(batch, { evaluation, summary, lockBatch }) {
+    return {
+        success: true,
+        dryRun: evaluation.dryRun,
+        batchId: batch.batchId,
+        lockBatchId: evaluation.lockBatchId,
+        evaluationId: evaluation.evaluationId,
+        summary: summary,
+        decisions: evaluation.loans,
+        progressUrl: lockBatch ? `/api/batch-progress?batchId=${lockBatch.batchId}` : null,
+        timestamp: evaluation.evaluatedAt
+    };
+}
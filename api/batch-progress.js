@@ -0,0 +1,149 @@
+// /api/batch-progress.js
+// NEW: Live batch progress over Server-Sent Events
+// GET ?batchId=...  (EventSource cannot send headers, so ?access_token=<key or jwt> is accepted too)
+//
+// Events:
+//   loan          { loanIndex, state, previousState, eventType, correlationId, workflowRunId, runUrl, conclusion, result, pricing, error }
+//                 sent for every loan on connect, then on each state change
+//                 (queued -> in_progress -> priced | locked | failed; result carries the rate / lock details,
+//                 error why a queued loan could not be dispatched)
+//                 process-loans batches price and lock in one run: their loans end locked or failed,
+//                 and pricing carries the rate the run priced at
+//   rate_limited  { retryAfterSeconds } - GitHub budget exhausted, polling paused
+//   stream_error  { message }
+//   complete      { batchId, summary } - every loan reached a final state; the stream closes
+//
+// Loans queued by /api/trigger-bulk are dispatched from here: each pass sends what the bulk call's
+// rate allows in one interval before reading progress, so keep the stream open until they are out.
+//
+// A serverless function cannot stream forever: after BATCH_PROGRESS_MAX_SECONDS the stream ends and
+// EventSource reconnects on its own, receiving the current state of every loan again.
+// Clients should call close() after the complete event.
+
+import { applyCors, ownerScope, requireAuth, READ_ROLES } from '../lib/auth.js';
+import { FINAL_STATES, getBatchProgress } from '../lib/batch-progress.js';
+import { getBatch } from '../lib/batches.js';
+import { drainDispatchQueue } from '../lib/dispatch-queue.js';
+import { GitHubRateLimitError } from '../lib/github.js';
+import { requestLogger } from '../lib/logger.js';
+
+const DEFAULT_INTERVAL_SECONDS = 5;
+const DEFAULT_MAX_SECONDS = 55;
+const RECONNECT_MS = 3000;
+
+export default async function handler(req, res) {
+    const log = requestLogger(req, res, 'batch-progress');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res, 'GET, OPTIONS')) {
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Authenticated user with permission to read results
+    const user = requireAuth(req, res, READ_ROLES, { allowQueryToken: true });
+    if (!user) {
+        return;
+    }
+
+    const batchId = req.query?.batchId ?? new URL(req.url || '/', 'http://localhost').searchParams.get('batchId');
+    if (!batchId) {
+        return res.status(400).json({ success: false, message: 'Missing batchId' });
+    }
+
+    const batch = await getBatch(batchId, { owner: ownerScope(user) });
+    if (!batch) {
+        return res.status(404).json({ success: false, message: `Batch ${batchId} not found` });
+    }
+
+    const intervalMs = (Number(process.env.BATCH_PROGRESS_INTERVAL_SECONDS) || DEFAULT_INTERVAL_SECONDS) * 1000;
+    const deadline = Date.now() + (Number(process.env.BATCH_PROGRESS_MAX_SECONDS) || DEFAULT_MAX_SECONDS) * 1000;
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.status(200);
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    let closed = false;
+    req.on?.('close', () => {
+        closed = true;
+    });
+
+    log.info('📡 STREAM: watching batch', { user: user.userId, batchId });
+
+    const lastStates = new Map();
+
+    while (!closed && Date.now() < deadline) {
+        const passStartedAt = Date.now();
+        let waitMs = intervalMs;
+
+        try {
+            // Send the next slice of queued bulk dispatches, if any
+            await drainDispatchQueue(batchId, { budgetMs: Math.min(intervalMs, Math.max(0, deadline - Date.now())) });
+
+            // Re-read the batch each pass so loans dispatched after connecting show up
+            const current = (await getBatch(batchId)) || batch;
+            const progress = await getBatchProgress(current);
+            let changed = 0;
+
+            for (const loan of progress.loans) {
+                const previousState = lastStates.get(loan.loanIndex) ?? null;
+                if (previousState !== loan.state) {
+                    lastStates.set(loan.loanIndex, loan.state);
+                    sendEvent(res, 'loan', { ...loan, previousState });
+                    changed++;
+                }
+            }
+
+            if (changed === 0) {
+                // Comment line keeps proxies from closing an idle connection
+                res.write(': keep-alive\n\n');
+            }
+
+            if (progress.isComplete) {
+                sendEvent(res, 'complete', { batchId, summary: summarize(progress.loans) });
+                log.info('📡 STREAM: batch complete', { batchId });
+                break;
+            }
+
+        } catch (error) {
+            if (error instanceof GitHubRateLimitError) {
+                const retryAfterSeconds = error.retryAfterSeconds || 60;
+                sendEvent(res, 'rate_limited', { retryAfterSeconds });
+                waitMs = Math.max(intervalMs, retryAfterSeconds * 1000);
+            } else {
+                log.error('❌ Batch progress error', { batchId, error });
+                sendEvent(res, 'stream_error', { message: error.message || 'Failed to check batch progress' });
+            }
+        }
+
+        await sleep(Math.min(waitMs - (Date.now() - passStartedAt), deadline - Date.now()));
+    }
+
+    res.end();
+}
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function summarize(loans) {
+    const summary = { total: loans.length };
+    for (const state of FINAL_STATES) {
+        summary[state] = loans.filter(loan => loan.state === state).length;
+    }
+    return summary;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
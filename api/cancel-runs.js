@@ -0,0 +1,153 @@
+// /api/cancel-runs.js
+// NEW: Stop dispatched loans that are still queued or running
+// POST { batchId }                 -> cancel every loan of the batch; nothing more is dispatched under it
+// POST { batchId, loanIndexes }    -> cancel only these loans of the batch
+// POST { correlationIds | dispatches: [{ correlationId, workflowRunId }] } -> loans outside a batch
+// Each loan reports cancel_requested, awaiting_run (its run is cancelled once it appears),
+// already_completed or failed (see lib/cancellation.js). Cancelling needs the role that may
+// trigger that kind of run: pricer for pricing, locker for locks. Only the owner of a batch or
+// dispatch (or an admin) may cancel it; dispatches with no record of who sent them are refused.
+
+import { applyCors, hasRole, ownerScope, requireAuth, TRIGGER_ROLES } from '../lib/auth.js';
+import { getBatch, getBatchDispatchPlan, markBatchCancelled } from '../lib/batches.js';
+import { cancelDispatches } from '../lib/cancellation.js';
+import { normalizeDispatches } from '../lib/correlation.js';
+import { findDispatchRecords } from '../lib/dispatch-records.js';
+import { DISPATCH_MODES } from '../lib/dispatch.js';
+import { getExecutor } from '../lib/executor.js';
+import { GitHubRateLimitError } from '../lib/github.js';
+import { requestLogger } from '../lib/logger.js';
+import { extractCorrelationId, findRunsWithStore } from '../lib/run-store.js';
+
+export default async function handler(req, res) {
+    const log = requestLogger(req, res, 'cancel-runs');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res)) {
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const user = requireAuth(req, res, TRIGGER_ROLES);
+    if (!user) {
+        return;
+    }
+
+    try {
+        const { batchId, loanIndexes } = req.body || {};
+
+        const batch = batchId ? await getBatch(batchId, { owner: ownerScope(user) }) : null;
+        if (batchId && !batch) {
+            return res.status(404).json({ success: false, message: `Batch ${batchId} not found` });
+        }
+
+        let dispatches;
+        let cancelledBatch = null;
+        if (batch) {
+            if (loanIndexes !== undefined) {
+                const unknown = Array.isArray(loanIndexes)
+                    ? loanIndexes.filter(loanIndex => !batch.loans.some(loan => loan.loanIndex === loanIndex))
+                    : null;
+                if (!unknown || loanIndexes.length === 0 || unknown.length > 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: unknown?.length ? `Loan indexes not in batch ${batch.batchId}: ${unknown.join(', ')}` : 'loanIndexes must be a non-empty array'
+                    });
+                }
+            }
+            if (!mayCancel(res, user, [batch.type, ...batch.dispatches.map(dispatch => dispatch.eventType)])) {
+                return;
+            }
+
+            // The whole batch: stop dispatching first, so no new run starts while its runs are cancelled
+            cancelledBatch = loanIndexes ? null : await markBatchCancelled(batch.batchId, { cancelledBy: user.userId, owner: ownerScope(user) });
+            dispatches = getBatchDispatchPlan(cancelledBatch || batch).dispatches
+                .filter(dispatch => !loanIndexes || loanIndexes.includes(dispatch.loanIndex));
+        } else {
+            dispatches = normalizeDispatches(req.body || {});
+            if (dispatches.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Missing batchId or dispatches - pass the correlationId/workflowRunId returned by each trigger'
+                });
+            }
+        }
+
+        const { matches } = await findRunsWithStore(dispatches, 'lock', getExecutor());
+        if (!batch) {
+            // The record of each dispatch says whose it is and what it runs, even before its run exists
+            const correlationIdOf = ({ dispatch, run }) => dispatch.correlationId || (run && extractCorrelationId(run));
+            const records = await findDispatchRecords(matches.map(correlationIdOf), { owner: ownerScope(user) });
+            const unknown = matches.filter(match => !records.has(correlationIdOf(match)));
+            if (unknown.length > 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Dispatches not found: ${unknown.map(({ dispatch }) => dispatch.correlationId || dispatch.workflowRunId).join(', ')}`
+                });
+            }
+            if (!mayCancel(res, user, matches.map(match => records.get(correlationIdOf(match)).eventType))) {
+                return;
+            }
+        }
+
+        const loans = await cancelDispatches(matches, { requestedBy: user.userId, batchId: batch ? batch.batchId : null });
+        const count = outcome => loans.filter(loan => loan.outcome === outcome).length;
+
+        return res.status(200).json({
+            success: true,
+            batchId: batch ? batch.batchId : null,
+            batchCancelled: Boolean(cancelledBatch),
+            summary: {
+                cancelRequested: count('cancel_requested'),
+                awaitingRun: count('awaiting_run'),
+                alreadyCompleted: count('already_completed'),
+                failed: count('failed'),
+                notDispatched: cancelledBatch ? getBatchDispatchPlan(cancelledBatch).cancelled.length : 0
+            },
+            loans: loans,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        log.error('❌ Cancel error', error);
+
+        if (error instanceof GitHubRateLimitError) {
+            res.setHeader('Retry-After', String(error.retryAfterSeconds || 60));
+            return res.status(429).json({
+                success: false,
+                message: error.message,
+                retryAfterSeconds: error.retryAfterSeconds,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to cancel runs',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// Only someone who may start a kind of run may stop it. Responds 403 and returns false otherwise.
+function mayCancel(res, user, eventTypes) {
+    for (const eventType of new Set(eventTypes.filter(Boolean))) {
+        const mode = Object.values(DISPATCH_MODES).find(candidate => candidate.eventType === eventType);
+        const roles = mode ? mode.roles : TRIGGER_ROLES;
+        if (!hasRole(user, roles)) {
+            res.status(403).json({
+                success: false,
+                message: `User ${user.userId} needs one of the roles: ${roles.join(', ')} to cancel ${eventType} runs`
+            });
+            return false;
+        }
+    }
+    return true;
+}
@@ -1,10 +1,22 @@
 // SIMPLIFIED: Check GitHub Actions workflow conclusion for lock status
 
+import { recordAudit, resultAuditEntries } from '../lib/audit.js';
+import { applyCors, ownerScope, requireAuth, READ_ROLES } from '../lib/auth.js';
+import { describePendingLoans } from '../lib/batches.js';
+import { getCancellations, listCancelledLoans, withCancellationInfo } from '../lib/cancellation.js';
+import { GitHubRateLimitError } from '../lib/github.js';
+import { requestLogger } from '../lib/logger.js';
+import { createCacheStats, getRunResult } from '../lib/result-cache.js';
+import { withDispatchInfo } from '../lib/results.js';
+import { findResultMatches } from '../lib/run-query.js';
+
 export default async function handler(req, res) {
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    const log = requestLogger(req, res, 'check-batch-results');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res)) {
+        return;
+    }
     
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -14,109 +26,68 @@ export default async function handler(req, res) {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    // Authenticated user with permission to read results
+    const user = requireAuth(req, res, READ_ROLES);
+    if (!user) {
+        return;
+    }
+
     try {
-        const { batchStartTime } = req.body;
-        
-        if (!batchStartTime) {
-            return res.status(400).json({ 
+        // A batch, the dispatches passed in, or a page of a time window - filtered by event type and workflow
+        const found = await findResultMatches(req.body || {}, 'lock', { owner: ownerScope(user) });
+        if (found.error) {
+            return res.status(found.status).json({ 
                 success: false, 
-                message: 'Missing batch start time' 
+                message: found.error 
             });
         }
+        const { batch, plan, matches, excludedRuns, filters, window: runWindow, nextCursor } = found;
 
-        console.log(`🔍 DEBUG: Checking batch results since: ${batchStartTime}`);
-
-        // GitHub repository details
-        const GITHUB_OWNER = 'crendy22';
-        const GITHUB_REPO = 'llpa-rate-comparator';
-        const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-
-        if (!GITHUB_TOKEN) {
-            throw new Error('GitHub token not configured');
-        }
-
-        // Get workflows since batch started
-        const cutoffTime = new Date(new Date(batchStartTime).getTime() - 30000); // 30 seconds buffer
-        console.log(`🔍 DEBUG: Cutoff time: ${cutoffTime.toISOString()}`);
-        console.log(`🔍 DEBUG: Current time: ${new Date().toISOString()}`);
+        log.info('🔍 Checking lock results', { dispatches: matches.length, batchId: batch ? batch.batchId : null });
 
-        const runsResponse = await fetch(`https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/actions/runs?per_page=50`, {
-            headers: {
-                'Authorization': `Bearer ${GITHUB_TOKEN}`,
-                'Accept': 'application/vnd.github.v3+json'
-            }
-        });
-
-        if (!runsResponse.ok) {
-            const errorText = await runsResponse.text();
-            console.error(`❌ GitHub API Error: ${runsResponse.status} - ${errorText}`);
-            throw new Error(`Failed to get workflow runs: ${runsResponse.status} - ${errorText}`);
-        }
-
-        const runsData = await runsResponse.json();
-        console.log(`🔍 DEBUG: Total workflows found: ${runsData.workflow_runs.length}`);
-        
-        // Show first 3 workflows with detailed time comparison
-        console.log('🔍 DEBUG: Recent workflows:');
-        runsData.workflow_runs.slice(0, 3).forEach((run, index) => {
-            const runTime = new Date(run.created_at);
-            const timeDiffMinutes = (runTime - cutoffTime) / 1000 / 60;
-            const isAfterCutoff = runTime >= cutoffTime;
-            console.log(`  ${index + 1}. ID: ${run.id}`);
-            console.log(`     Created: ${run.created_at}`);
-            console.log(`     Time diff: ${timeDiffMinutes.toFixed(2)} minutes from cutoff`);
-            console.log(`     Status: ${run.status}, Conclusion: ${run.conclusion}`);
-            console.log(`     After cutoff: ${isAfterCutoff}`);
-            console.log(`     Event: ${run.event}`);
-        });
-        
-        // Filter workflows from this batch
-        const batchWorkflows = runsData.workflow_runs
-            .filter(run => {
-                const runTime = new Date(run.created_at);
-                return runTime >= cutoffTime;
-            })
-            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
-
-        console.log(`📊 Found ${batchWorkflows.length} workflows since batch start`);
+        // Every loan without a finished run is reported explicitly
+        const pendingLoans = [
+            ...plan.notDispatched,
+            ...describePendingLoans(matches, run => run.status === 'completed' && run.conclusion !== null)
+        ];
 
         // Separate completed vs still running
         // IMPORTANT: Only consider workflows completed if they have a conclusion
-        const completedWorkflows = batchWorkflows.filter(run => 
-            run.status === 'completed' && run.conclusion !== null
+        const completedMatches = matches.filter(({ run }) => 
+            run && run.status === 'completed' && run.conclusion !== null
         );
-        const runningWorkflows = batchWorkflows.filter(run => 
-            run.status !== 'completed' || run.conclusion === null
+        const runningMatches = matches.filter(({ run }) => 
+            !run || run.status !== 'completed' || run.conclusion === null
         );
 
-        console.log(`✅ Completed: ${completedWorkflows.length}, 🔄 Still running: ${runningWorkflows.length}`);
+        log.debug('Runs completed and still running', { completed: completedMatches.length, running: runningMatches.length });
 
-        // Show details of what we found
-        if (batchWorkflows.length === 0) {
-            console.log('❌ NO WORKFLOWS FOUND - Time filtering excluded everything');
-        } else {
-            console.log('📋 Batch workflows details:');
-            batchWorkflows.forEach(run => {
-                console.log(`  - ${run.id}: ${run.created_at} (${run.status})`);
-            });
-        }
+        runningMatches.forEach(({ dispatch, run }) => {
+            log.debug('🔄 Still running', { correlationId: dispatch.correlationId || null, workflowRunId: dispatch.workflowRunId || null, status: run ? run.status : 'run not created yet' });
+        });
 
         // Analyze each completed workflow
+        // Finished runs never change: only newly completed ones are parsed, the rest come from the result cache
+        const cancellations = await getCancellations();
+        const cacheStats = createCacheStats();
         const results = [];
-        for (const workflow of completedWorkflows) {
-            const loanResult = await analyzeWorkflowSimple(workflow, GITHUB_TOKEN);
+        for (const { dispatch, run, storedResult } of completedMatches) {
+            const loanResult = await getRunResult(run, 'lock', { storedResult, stats: cacheStats, dispatchedAt: dispatch.dispatchedAt });
             if (loanResult) {
-                results.push(loanResult);
+                results.push(withCancellationInfo(withDispatchInfo(loanResult, dispatch), run, cancellations));
             }
         }
 
         // Calculate summary
+        const cancelledLoans = listCancelledLoans(plan, results);
         const successfulLocks = results.filter(r => r.locked).length;
-        const failedLocks = results.filter(r => !r.locked).length;
+        const failedLocks = results.filter(r => !r.locked && !r.cancelled).length;
         const successRate = results.length > 0 ? Math.round((successfulLocks / results.length) * 100) : 0;
-        const stillProcessing = runningWorkflows.length;
+        const stillProcessing = runningMatches.length;
+
+        log.info('📈 FINAL RESULTS', { locked: successfulLocks, failed: failedLocks, cancelled: cancelledLoans.length, stillProcessing, resultCache: cacheStats });
 
-        console.log(`📈 FINAL RESULTS: ${successfulLocks} locked, ${failedLocks} failed, ${stillProcessing} still processing`);
+        await recordAudit(...resultAuditEntries('results.lock', results, { actor: user.userId, batchId: batch ? batch.batchId : null }));
 
         return res.status(200).json({
             success: true,
@@ -124,16 +95,36 @@ export default async function handler(req, res) {
                 totalProcessed: results.length,
                 successfulLocks: successfulLocks,
                 failedLocks: failedLocks,
+                cancelledLocks: cancelledLoans.length,
                 successRate: successRate,
                 stillProcessing: stillProcessing,
-                isComplete: stillProcessing === 0
+                notDispatched: plan.notDispatched.length,
+                isComplete: stillProcessing === 0 && plan.notDispatched.length === 0
             },
+            batchId: batch ? batch.batchId : null,
             results: results,
+            pendingLoans: pendingLoans,
+            cancelledLoans: cancelledLoans,
+            excludedRuns: excludedRuns,
+            filters: filters,
+            window: runWindow,
+            nextCursor: nextCursor,
+            resultCache: cacheStats,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        console.error('❌ Batch results check error:', error);
+        log.error('❌ Batch results check error', error);
+
+        if (error instanceof GitHubRateLimitError) {
+            res.setHeader('Retry-After', String(error.retryAfterSeconds || 60));
+            return res.status(429).json({
+                success: false,
+                message: error.message,
+                retryAfterSeconds: error.retryAfterSeconds,
+                timestamp: new Date().toISOString()
+            });
+        }
         
         return res.status(500).json({
             success: false,
@@ -142,100 +133,3 @@ export default async function handler(req, res) {
         });
     }
 }
-
-// ENHANCED: Parse actual lock results from workflow logs
-async function analyzeWorkflowSimple(workflow, githubToken) {
-    console.log(`🔍 Analyzing workflow ${workflow.id} (${workflow.conclusion})`);
-    
-    try {
-        // Get jobs for this workflow
-        const jobsResponse = await fetch(workflow.jobs_url, {
-            headers: {
-                'Authorization': `Bearer ${githubToken}`,
-                'Accept': 'application/vnd.github.v3+json'
-            }
-        });
-        
-        if (!jobsResponse.ok) {
-            console.log('Failed to get jobs for workflow');
-            return getFallbackResult(workflow);
-        }
-        
-        const jobsData = await jobsResponse.json();
-        const job = jobsData.jobs[0];
-        
-        if (!job) {
-            console.log('No jobs found in workflow');
-            return getFallbackResult(workflow);
-        }
-        
-        // Get logs
-        const logsResponse = await fetch(`${job.url}/logs`, {
-            headers: {
-                'Authorization': `Bearer ${githubToken}`,
-                'Accept': 'application/vnd.github.v3+json'
-            }
-        });
-        
-        if (!logsResponse.ok) {
-            console.log('Failed to get logs for job');
-            return getFallbackResult(workflow);
-        }
-        
-        const logsText = await logsResponse.text();
-        
-        // Parse the ACTUAL lock result from Python script output
-        const lockResultMatch = logsText.match(/🔒 LOCK_RESULT: ({[^}]+})/);
-        
-        if (lockResultMatch) {
-            try {
-                const lockResult = JSON.parse(lockResultMatch[1]);
-                
-                console.log(`✅ Found lock result:`, lockResult);
-                
-                return {
-                    workflowId: workflow.id,
-                    loanIndex: 'Unknown', // Would need to parse this separately
-                    borrowerName: lockResult.borrower_name,
-                    nexId: lockResult.nex_id,
-                    nex_id: lockResult.nex_id,
-                    locked: lockResult.lock_status === 'success',
-                    errorMessage: lockResult.lock_status === 'success' ? null : lockResult.message,
-                    completedAt: workflow.updated_at,
-                    githubUrl: workflow.html_url,
-                    status: 'parsed_from_logs',
-                    successPattern: `Lock result: ${lockResult.lock_status}`
-                };
-                
-            } catch (parseError) {
-                console.error('Error parsing lock result JSON:', parseError);
-            }
-        }
-        
-        // If no lock result found, return fallback
-        return getFallbackResult(workflow);
-        
-    } catch (error) {
-        console.error('Error analyzing workflow:', error);
-        return getFallbackResult(workflow);
-    }
-}
-
-// Helper function for fallback results
-function getFallbackResult(workflow) {
-    const locked = workflow.conclusion === 'success';
-    
-    return {
-        workflowId: workflow.id,
-        loanIndex: 'Unknown',
-        borrowerName: 'Unknown',
-        nexId: null,
-        nex_id: null,
-        locked: locked,
-        errorMessage: locked ? null : 'Could not parse lock result from logs',
-        completedAt: workflow.updated_at,
-        githubUrl: workflow.html_url,
-        status: 'workflow_conclusion_fallback',
-        successPattern: locked ? 'Workflow succeeded' : 'Workflow failed'
-    };
-}
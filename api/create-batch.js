@@ -0,0 +1,91 @@
+// /api/create-batch.js
+// NEW: Create a batch up front so triggers and results endpoints share a batchId
+// POST { type, loans: [{ loanIndex, loanData }] } -> { batchId }
+// GET ?batchId=... -> batch with its loans and dispatched runs
+
+import { applyCors, ownerScope, READ_ROLES, requireAuth, TRIGGER_ROLES } from '../lib/auth.js';
+import { BATCH_TYPES, createBatch, describeBatchLoanErrors, getBatch } from '../lib/batches.js';
+import { requestLogger } from '../lib/logger.js';
+
+export default async function handler(req, res) {
+    const log = requestLogger(req, res, 'create-batch');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res)) {
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Reading a batch needs read access, creating one needs permission to trigger
+    const user = requireAuth(req, res, req.method === 'GET' ? READ_ROLES : TRIGGER_ROLES);
+    if (!user) {
+        return;
+    }
+
+    try {
+        if (req.method === 'GET') {
+            const batchId = req.query?.batchId;
+            if (!batchId) {
+                return res.status(400).json({ success: false, message: 'Missing batchId' });
+            }
+
+            const batch = await getBatch(batchId, { owner: ownerScope(user) });
+            if (!batch) {
+                return res.status(404).json({ success: false, message: `Batch ${batchId} not found` });
+            }
+
+            return res.status(200).json({ success: true, batch: batch, timestamp: new Date().toISOString() });
+        }
+
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const { type, loans } = req.body || {};
+
+        if (!Array.isArray(loans) || loans.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing loans - expected an array of { loanIndex, loanData }'
+            });
+        }
+
+        // A null entry or a repeated loanIndex would leave loans no trigger or result can tell apart
+        const loanErrors = describeBatchLoanErrors(loans);
+        if (loanErrors) {
+            return res.status(400).json({ success: false, message: loanErrors });
+        }
+
+        if (type && !BATCH_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid batch type: ${type}. Expected one of ${BATCH_TYPES.join(', ')}`
+            });
+        }
+
+        const batch = await createBatch({ type, loans, createdBy: user.userId });
+
+        log.info('📦 Created batch', { user: user.userId, batchId: batch.batchId, type: batch.type || null, loans: batch.loans.length });
+
+        return res.status(201).json({
+            success: true,
+            batchId: batch.batchId,
+            type: batch.type,
+            loanIndexes: batch.loans.map(loan => loan.loanIndex),
+            createdAt: batch.createdAt,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        log.error('❌ Create batch error', error);
+
+        return res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to create batch',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
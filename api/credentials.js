@@ -0,0 +1,102 @@
+// /api/credentials.js
+// NEW: Credential vault - store LoanNex credentials server-side under an opaque credentialRef
+// POST   { credentials: { username, password }, label } -> { credentialRef }
+// PUT    { credentialRef, credentials }                 -> rotate the secret behind a reference
+// DELETE { credentialRef }                              -> revoke (outstanding tokens stop working)
+// GET    ?credentialRef=...                             -> metadata only, never the secret
+
+import { applyCors, ownerScope, requireAuth, TRIGGER_ROLES } from '../lib/auth.js';
+import { requestLogger } from '../lib/logger.js';
+import { getCredentialInfo, revokeCredentials, rotateCredentials, storeCredentials } from '../lib/vault.js';
+
+export default async function handler(req, res) {
+    const log = requestLogger(req, res, 'credentials');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res, 'GET, POST, PUT, DELETE, OPTIONS')) {
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Credentials belong to the user who stored them
+    const user = requireAuth(req, res, TRIGGER_ROLES);
+    if (!user) {
+        return;
+    }
+    const owner = ownerScope(user);
+
+    try {
+        const body = req.body || {};
+
+        if (req.method === 'GET') {
+            const credentialRef = req.query?.credentialRef;
+            if (!credentialRef) {
+                return res.status(400).json({ success: false, message: 'Missing credentialRef' });
+            }
+
+            const credential = await getCredentialInfo(credentialRef, { owner });
+            if (!credential) {
+                return res.status(404).json({ success: false, message: 'Credential reference not found' });
+            }
+            return res.status(200).json({ success: true, credential: credential });
+        }
+
+        if (req.method === 'POST') {
+            if (!isValidCredentials(body.credentials)) {
+                return res.status(400).json({ success: false, message: 'Missing credentials username or password' });
+            }
+
+            const credential = await storeCredentials(body.credentials, { label: body.label, owner: user.userId });
+            log.info('🔐 Stored credentials', { user: user.userId, credentialRef: credential.credentialRef });
+
+            return res.status(201).json({ success: true, credentialRef: credential.credentialRef, credential: credential });
+        }
+
+        if (req.method === 'PUT') {
+            if (!body.credentialRef || !isValidCredentials(body.credentials)) {
+                return res.status(400).json({ success: false, message: 'Missing credentialRef or credentials' });
+            }
+
+            const credential = await rotateCredentials(body.credentialRef, body.credentials, { owner });
+            if (!credential) {
+                return res.status(404).json({ success: false, message: 'Credential reference not found or revoked' });
+            }
+            log.info('🔐 Rotated credentials', { credentialRef: credential.credentialRef });
+
+            return res.status(200).json({ success: true, credential: credential });
+        }
+
+        if (req.method === 'DELETE') {
+            const credentialRef = body.credentialRef || req.query?.credentialRef;
+            if (!credentialRef) {
+                return res.status(400).json({ success: false, message: 'Missing credentialRef' });
+            }
+
+            const credential = await revokeCredentials(credentialRef, { owner });
+            if (!credential) {
+                return res.status(404).json({ success: false, message: 'Credential reference not found' });
+            }
+            log.info('🔐 Revoked credentials', { credentialRef: credential.credentialRef });
+
+            return res.status(200).json({ success: true, credential: credential });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+
+    } catch (error) {
+        log.error('❌ Credential vault error', error);
+
+        return res.status(500).json({
+            success: false,
+            message: error.message || 'Credential vault error',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+function isValidCredentials(credentials) {
+    return Boolean(credentials && credentials.username && credentials.password);
+}
@@ -0,0 +1,114 @@
+// /api/export-results.js
+// NEW: Download a batch's pricing / lock results as a spreadsheet
+// GET ?batchId=...&format=xlsx|csv[&sheet=loans|options]
+//   xlsx: a "Loans" sheet (one row per loan) and, when the batch has pricing loans, a "Pricing Options" sheet
+//         (selective-lock batches never price: their Loans sheet has no Rate/Points/Program columns)
+//   csv:  one sheet per file - "loans" (default) or "options"
+// Generated in-process; loans that are still running are exported with their current status.
+
+import { recordAudit } from '../lib/audit.js';
+import { applyCors, ownerScope, requireAuth, READ_ROLES } from '../lib/auth.js';
+import { getBatchProgress } from '../lib/batch-progress.js';
+import { getBatch } from '../lib/batches.js';
+import { toCsv } from '../lib/csv.js';
+import { GitHubRateLimitError } from '../lib/github.js';
+import { requestLogger } from '../lib/logger.js';
+import { buildResultSheets } from '../lib/results-export.js';
+import { buildWorkbook } from '../lib/xlsx.js';
+
+const FORMATS = ['xlsx', 'csv'];
+const CSV_SHEETS = { loans: 'Loans', options: 'Pricing Options' };
+
+export default async function handler(req, res) {
+    const log = requestLogger(req, res, 'export-results');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res, 'GET, OPTIONS')) {
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Authenticated user with permission to read results (?access_token= allows plain download links)
+    const user = requireAuth(req, res, READ_ROLES, { allowQueryToken: true });
+    if (!user) {
+        return;
+    }
+
+    try {
+        const query = req.query || Object.fromEntries(new URL(req.url || '/', 'http://localhost').searchParams);
+        const { batchId } = query;
+        const format = String(query.format || 'xlsx').toLowerCase();
+        const sheet = String(query.sheet || 'loans').toLowerCase();
+
+        if (!batchId) {
+            return res.status(400).json({ success: false, message: 'Missing batchId' });
+        }
+        if (!FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, message: `Invalid format: ${format}. Expected one of ${FORMATS.join(', ')}` });
+        }
+        if (format === 'csv' && !CSV_SHEETS[sheet]) {
+            return res.status(400).json({ success: false, message: `Invalid sheet: ${sheet}. Expected one of ${Object.keys(CSV_SHEETS).join(', ')}` });
+        }
+
+        const batch = await getBatch(batchId, { owner: ownerScope(user) });
+        if (!batch) {
+            return res.status(404).json({ success: false, message: `Batch ${batchId} not found` });
+        }
+
+        const progress = await getBatchProgress(batch);
+        const sheets = buildResultSheets(batch, progress);
+
+        log.info('📤 EXPORT', { batchId, format, user: user.userId, loans: progress.loans.length });
+
+        await recordAudit({
+            actor: user.userId,
+            action: 'results.export',
+            batchId: batchId,
+            payload: query,
+            outcome: 'exported',
+            details: { format: format, sheet: format === 'csv' ? sheet : null, loans: progress.loans.length }
+        });
+
+        if (format === 'xlsx') {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="${batchId}-results.xlsx"`);
+            return res.status(200).end(buildWorkbook(sheets));
+        }
+
+        const selected = sheets.find(candidate => candidate.name === CSV_SHEETS[sheet]);
+        if (!selected) {
+            return res.status(400).json({ success: false, message: `Batch ${batchId} has no ${sheet} sheet (no pricing loans)` });
+        }
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${batchId}-${sheet}.csv"`);
+        // BOM so Excel opens UTF-8 borrower names correctly
+        return res.status(200).end(`\uFEFF${toCsv(selected.rows)}`);
+
+    } catch (error) {
+        log.error('❌ Results export error', error);
+
+        if (error instanceof GitHubRateLimitError) {
+            res.setHeader('Retry-After', String(error.retryAfterSeconds || 60));
+            return res.status(429).json({
+                success: false,
+                message: error.message,
+                retryAfterSeconds: error.retryAfterSeconds,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to export results',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
@@ -0,0 +1,169 @@
+// /api/github-webhook.js
+// NEW: Receives workflow_run and workflow_job webhooks from llpa-rate-comparator so the
+// results endpoints can answer from the local run store instead of polling GitHub.
+// Configure the repository webhook with content type application/json, the events
+// "Workflow runs" and "Workflow jobs", and the secret in GITHUB_WEBHOOK_SECRET.
+// Each delivery is handled once: a redelivery of the same X-GitHub-Delivery ID is acknowledged
+// without parsing or dispatching anything again (lib/webhook-deliveries.js).
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { runStandingPolicyAfterPricing } from '../lib/auto-lock.js';
+import { findBatchDispatches } from '../lib/batches.js';
+import { enforcePendingCancellations } from '../lib/cancellation.js';
+import { GITHUB_OWNER, GITHUB_REPO } from '../lib/github.js';
+import { requestLogger } from '../lib/logger.js';
+import { getRunResult } from '../lib/result-cache.js';
+import { isFinalResult } from '../lib/results.js';
+import { upsertJob, upsertRun } from '../lib/run-store.js';
+import { claimDelivery, completeDelivery, releaseDelivery } from '../lib/webhook-deliveries.js';
+
+// The signature covers the raw bytes, so the body must not be parsed first
+export const config = { api: { bodyParser: false } };
+
+export default async function handler(req, res) {
+    const log = requestLogger(req, res, 'github-webhook');
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    let claimedDelivery = null;
+
+    try {
+        const WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET;
+
+        if (!WEBHOOK_SECRET) {
+            throw new Error('GitHub webhook secret not configured in environment variables');
+        }
+
+        const rawBody = await readRawBody(req);
+        if (rawBody === null) {
+            return res.status(400).json({ success: false, message: 'Raw request body not available for signature check' });
+        }
+
+        if (!verifySignature(rawBody, req.headers['x-hub-signature-256'], WEBHOOK_SECRET)) {
+            return res.status(401).json({ success: false, message: 'Invalid webhook signature' });
+        }
+
+        const event = req.headers['x-github-event'];
+        const payload = JSON.parse(rawBody.toString('utf8'));
+
+        if (event === 'ping') {
+            return res.status(200).json({ success: true, message: 'pong' });
+        }
+
+        if (payload.repository && payload.repository.full_name !== `${GITHUB_OWNER}/${GITHUB_REPO}`) {
+            return res.status(202).json({ success: true, message: `Ignored event for ${payload.repository.full_name}` });
+        }
+
+        const deliveryId = req.headers['x-github-delivery'] || null;
+        if (deliveryId && (event === 'workflow_run' || event === 'workflow_job')) {
+            if (!(await claimDelivery(deliveryId))) {
+                return res.status(200).json({ success: true, message: `Delivery ${deliveryId} already handled` });
+            }
+            claimedDelivery = deliveryId;
+        }
+
+        if (event === 'workflow_run' && payload.workflow_run) {
+            const record = await upsertRun(payload.workflow_run);
+            log.info('🪝 workflow_run', { action: payload.action, workflowRunId: payload.workflow_run.id, status: payload.workflow_run.status, conclusion: payload.workflow_run.conclusion });
+
+            if (payload.action === 'completed') {
+                await storeParsedResult(record, log);
+                if (record.eventType === 'price-loans-only') {
+                    // The last loan of a batch with a standing lock policy finishing pricing runs the policy
+                    await runStandingPolicyAfterPricing(record.correlationId);
+                }
+            } else if (record.correlationId) {
+                // A loan cancelled before its run existed is stopped as soon as the run shows up
+                await enforcePendingCancellations([{ dispatch: { correlationId: record.correlationId }, run: record.run }]);
+            }
+
+            await completeClaimedDelivery(claimedDelivery);
+            return res.status(200).json({ success: true, runId: payload.workflow_run.id, status: payload.workflow_run.status });
+        }
+
+        if (event === 'workflow_job' && payload.workflow_job) {
+            await upsertJob(payload.workflow_job);
+            log.debug('🪝 workflow_job', { action: payload.action, jobId: payload.workflow_job.id, workflowRunId: payload.workflow_job.run_id });
+
+            await completeClaimedDelivery(claimedDelivery);
+            return res.status(200).json({ success: true, jobId: payload.workflow_job.id, status: payload.workflow_job.status });
+        }
+
+        await completeClaimedDelivery(claimedDelivery);
+        return res.status(202).json({ success: true, message: `Ignored event: ${event}` });
+
+    } catch (error) {
+        log.error('❌ GitHub webhook error', error);
+
+        // Let GitHub's redelivery try again
+        if (claimedDelivery) {
+            await releaseDelivery(claimedDelivery).catch(releaseError => log.error('❌ Could not release webhook delivery', releaseError));
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to process webhook'
+        });
+    }
+}
+
+// Parse the finished run once here so polls never download its logs again. The completed event
+// can arrive before GitHub has the run's logs and artifact: a run that yields no marker or artifact
+// result yet gets nothing stored (getRunResult never keeps fallbacks) and is parsed on first read.
+async function storeParsedResult(record, log) {
+    const run = record.run;
+    const kind = record.eventType === 'price-loans-only' ? 'pricing'
+        : record.eventType === 'process-loans' || record.eventType === 'selective-lock' ? 'lock'
+        : null;
+    if (!kind) {
+        return;
+    }
+
+    try {
+        // A batch loan's dispatch time, for the trigger-to-result metric
+        const [found] = record.correlationId ? await findBatchDispatches(dispatch => dispatch.correlationId === record.correlationId) : [];
+        const result = await getRunResult(run, kind, { dispatchedAt: found?.dispatch.dispatchedAt });
+        if (!isFinalResult(result)) {
+            log.info('🪝 No reported result yet - left for the first read', { workflowRunId: run.id, kind, source: result?.source });
+        }
+    } catch (error) {
+        // Not fatal: the results endpoints parse the run themselves if no result is stored
+        log.error('🪝 Could not parse results for run', { workflowRunId: run.id, error });
+    }
+}
+
+async function completeClaimedDelivery(deliveryId) {
+    if (deliveryId) {
+        await completeDelivery(deliveryId);
+    }
+}
+
+function verifySignature(rawBody, signatureHeader, secret) {
+    if (!signatureHeader || !signatureHeader.startsWith('sha256=')) {
+        return false;
+    }
+    const expected = Buffer.from(`sha256=${createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+    const actual = Buffer.from(signatureHeader);
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+async function readRawBody(req) {
+    if (Buffer.isBuffer(req.body)) {
+        return req.body;
+    }
+    if (typeof req.body === 'string') {
+        return Buffer.from(req.body);
+    }
+    if (req.body !== undefined && req.body !== null) {
+        // Already parsed into an object - the original bytes are gone
+        return null;
+    }
+
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    return Buffer.concat(chunks);
+}
@@ -0,0 +1,104 @@
+// /api/import-loans.js
+// NEW: Turn a CSV / XLSX loan tape into validated loanData objects
+// POST { fileName, content, encoding?: 'base64' | 'utf8', format?: 'csv' | 'xlsx',
+//        profileId? | profile?, sheet? }
+//   content is the file itself - base64 for XLSX (and optionally CSV), plain text for CSV.
+//   profileId names a saved mapping profile (/api/mapping-profiles); profile is an unsaved one.
+// Returns { loans: [{ loanIndex, row, loanData }], rejectedRows: [{ row, loanIndex, errors }], ... }
+// `loans` can be passed unchanged to /api/trigger-bulk.
+
+import { applyCors, ownerScope, requireAuth, TRIGGER_ROLES } from '../lib/auth.js';
+import { DEFAULT_MAX_ROWS, detectFormat, IMPORT_FORMATS, mapTapeRows, readTape, TapeFormatError } from '../lib/loan-import.js';
+import { requestLogger } from '../lib/logger.js';
+import { getMappingProfile, validateMappingProfile } from '../lib/mapping-profiles.js';
+
+export default async function handler(req, res) {
+    const log = requestLogger(req, res, 'import-loans');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res)) {
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Importing prepares loans for the triggers, so it needs trigger permission
+    const user = requireAuth(req, res, TRIGGER_ROLES);
+    if (!user) {
+        return;
+    }
+
+    try {
+        const { fileName, content, encoding, profileId, profile: inlineProfile, sheet } = req.body || {};
+
+        if (typeof content !== 'string' || content === '') {
+            return res.status(400).json({ success: false, message: 'Missing file content' });
+        }
+
+        const fileBuffer = Buffer.from(content, encoding === 'base64' ? 'base64' : 'utf8');
+        const format = req.body.format || detectFormat(fileName, fileBuffer);
+        if (!IMPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, message: `Invalid format: ${format}. Expected one of ${IMPORT_FORMATS.join(', ')}` });
+        }
+        if (format === 'xlsx' && encoding !== 'base64') {
+            return res.status(400).json({ success: false, message: 'XLSX content must be sent base64-encoded (encoding: "base64")' });
+        }
+
+        let profile = null;
+        if (profileId) {
+            profile = await getMappingProfile(profileId, { owner: ownerScope(user) });
+            if (!profile) {
+                return res.status(404).json({ success: false, message: `Mapping profile ${profileId} not found` });
+            }
+        } else if (inlineProfile) {
+            const profileError = validateMappingProfile({ name: 'inline', ...inlineProfile });
+            if (profileError) {
+                return res.status(400).json({ success: false, message: profileError });
+            }
+            profile = inlineProfile;
+        }
+
+        const maxRows = Number(process.env.IMPORT_MAX_ROWS) || DEFAULT_MAX_ROWS;
+        const rows = readTape(fileBuffer, { format, sheet, maxRows });
+
+        const { loans, rejectedRows, unmappedColumns, missingColumns } = mapTapeRows(rows, profile);
+
+        log.info('📥 IMPORT', { file: fileName || format, user: user.userId, valid: loans.length, rejected: rejectedRows.length });
+
+        return res.status(200).json({
+            success: true,
+            format: format,
+            profileId: profile?.profileId || null,
+            summary: {
+                totalRows: loans.length + rejectedRows.length,
+                valid: loans.length,
+                rejected: rejectedRows.length
+            },
+            loans: loans,
+            rejectedRows: rejectedRows,
+            unmappedColumns: unmappedColumns,
+            missingColumns: missingColumns,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        // Unreadable files are the caller's problem, not a server error
+        if (error instanceof TapeFormatError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        log.error('❌ Loan import error', error);
+
+        return res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to import loan tape',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
@@ -0,0 +1,107 @@
+// /api/mapping-profiles.js
+// NEW: Saved column-mapping profiles for loan tape imports (/api/import-loans)
+// POST   { name, columns: { tapeColumn: loanField }, defaults?, keepUnmapped? } -> { profileId }
+// PUT    { profileId, name, columns, defaults?, keepUnmapped? }                 -> replace a profile
+// DELETE { profileId }
+// GET    ?profileId=... -> one profile, or every profile visible to the caller
+
+import { applyCors, ownerScope, requireAuth, TRIGGER_ROLES } from '../lib/auth.js';
+import { requestLogger } from '../lib/logger.js';
+import {
+    deleteMappingProfile,
+    getMappingProfile,
+    listMappingProfiles,
+    saveMappingProfile,
+    updateMappingProfile,
+    validateMappingProfile
+} from '../lib/mapping-profiles.js';
+
+export default async function handler(req, res) {
+    const log = requestLogger(req, res, 'mapping-profiles');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res, 'GET, POST, PUT, DELETE, OPTIONS')) {
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Profiles belong to the user who saved them
+    const user = requireAuth(req, res, TRIGGER_ROLES);
+    if (!user) {
+        return;
+    }
+    const owner = ownerScope(user);
+
+    try {
+        const body = req.body || {};
+
+        if (req.method === 'GET') {
+            const profileId = req.query?.profileId;
+            if (!profileId) {
+                return res.status(200).json({ success: true, profiles: await listMappingProfiles({ owner }) });
+            }
+
+            const profile = await getMappingProfile(profileId, { owner });
+            if (!profile) {
+                return res.status(404).json({ success: false, message: 'Mapping profile not found' });
+            }
+            return res.status(200).json({ success: true, profile: profile });
+        }
+
+        if (req.method === 'POST') {
+            const profileError = validateMappingProfile(body);
+            if (profileError) {
+                return res.status(400).json({ success: false, message: profileError });
+            }
+
+            const profile = await saveMappingProfile(body, { owner: user.userId });
+            log.info('🗺️ Saved mapping profile', { name: profile.name, user: user.userId, profileId: profile.profileId });
+
+            return res.status(201).json({ success: true, profileId: profile.profileId, profile: profile });
+        }
+
+        if (req.method === 'PUT') {
+            const profileError = body.profileId ? validateMappingProfile(body) : 'Missing profileId';
+            if (profileError) {
+                return res.status(400).json({ success: false, message: profileError });
+            }
+
+            const profile = await updateMappingProfile(body.profileId, body, { owner });
+            if (!profile) {
+                return res.status(404).json({ success: false, message: 'Mapping profile not found' });
+            }
+            log.info('🗺️ Updated mapping profile', { profileId: profile.profileId });
+
+            return res.status(200).json({ success: true, profile: profile });
+        }
+
+        if (req.method === 'DELETE') {
+            const profileId = body.profileId || req.query?.profileId;
+            if (!profileId) {
+                return res.status(400).json({ success: false, message: 'Missing profileId' });
+            }
+
+            const profile = await deleteMappingProfile(profileId, { owner });
+            if (!profile) {
+                return res.status(404).json({ success: false, message: 'Mapping profile not found' });
+            }
+            log.info('🗺️ Deleted mapping profile', { profileId: profile.profileId });
+
+            return res.status(200).json({ success: true, profile: profile });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+
+    } catch (error) {
+        log.error('❌ Mapping profile error', error);
+
+        return res.status(500).json({
+            success: false,
+            message: error.message || 'Mapping profile error',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
@@ -0,0 +1,50 @@
+// /api/metrics.js
+// NEW: Operational metrics in the Prometheus text format
+// GET -> text/plain; version=0.0.4
+//   dispatches, GitHub API calls, result parses (and conclusion fallbacks), lock and pricing
+//   outcomes, and time from trigger to result, by event type (see lib/metrics.js)
+// Scrape with an API key as a bearer token (Authorization: Bearer <key>).
+
+import { applyCors, READ_ROLES, requireAuth } from '../lib/auth.js';
+import { requestLogger } from '../lib/logger.js';
+import { renderMetrics } from '../lib/metrics.js';
+
+export default async function handler(req, res) {
+    const log = requestLogger(req, res, 'metrics');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res, 'GET, OPTIONS')) {
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const user = requireAuth(req, res, READ_ROLES);
+    if (!user) {
+        return;
+    }
+
+    try {
+        const text = renderMetrics();
+        log.debug('📊 METRICS scraped', { user: user.userId, bytes: text.length });
+
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).end(text);
+
+    } catch (error) {
+        log.error('❌ Metrics error', error);
+
+        return res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to render metrics',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
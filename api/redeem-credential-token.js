@@ -0,0 +1,54 @@
+// /api/redeem-credential-token.js
+// NEW: Called by the llpa-rate-comparator workflow to swap the credential_token from its
+// client_payload for the real LoanNex credentials. Tokens are single-use and short-lived.
+// Requires Authorization: Bearer <CREDENTIAL_REDEEM_SECRET> (stored as an Actions secret).
+
+import { timingSafeEqual } from 'crypto';
+import { requestLogger } from '../lib/logger.js';
+import { redeemCredentialToken } from '../lib/vault.js';
+
+export default async function handler(req, res) {
+    const log = requestLogger(req, res, 'redeem-credential-token');
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const REDEEM_SECRET = process.env.CREDENTIAL_REDEEM_SECRET;
+
+        if (!REDEEM_SECRET) {
+            throw new Error('Credential redeem secret not configured in environment variables');
+        }
+
+        if (!isAuthorized(req.headers?.authorization, REDEEM_SECRET)) {
+            return res.status(401).json({ success: false, message: 'Unauthorized' });
+        }
+
+        const { token } = req.body || {};
+        if (!token) {
+            return res.status(400).json({ success: false, message: 'Missing credential token' });
+        }
+
+        const credentials = await redeemCredentialToken(token);
+        if (!credentials) {
+            return res.status(410).json({ success: false, message: 'Credential token expired, revoked or already used' });
+        }
+
+        return res.status(200).json({ success: true, credentials: credentials });
+
+    } catch (error) {
+        log.error('❌ Credential token redeem error', error);
+
+        return res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to redeem credential token'
+        });
+    }
+}
+
+function isAuthorized(header, secret) {
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const actual = Buffer.from(String(header || ''));
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
@@ -0,0 +1,242 @@
+// /api/retry-loans.js
+// NEW: Re-dispatch only the failed loans of a batch with their original loanData
+// POST { batchId, loanIndexes?, overrides?, loanOverrides?, credentialRef?, maxAttempts?, overrideLockGuard? }
+// POST { workflowRunIds | correlationIds, ... } -> the loans behind failed results, found in their batches
+//   overrides      fields applied to every retried loan ({ fico: 780 } replaces 'Credit Score')
+//   loanOverrides  { [loanIndex]: fields } for single loans
+//   credentialRef  instead of the credentials of the original attempt
+//   maxAttempts    lower the per-loan cap (RETRY_MAX_ATTEMPTS, default 3, counts the first attempt)
+// Each loan is dispatched (with attempt and retryOf, the attempt it repeats) or skipped with the reason.
+
+import { applyCors, hasRole, ownerScope, requireAuth, TRIGGER_ROLES } from '../lib/auth.js';
+import { getBatch } from '../lib/batches.js';
+import { DISPATCH_MODES, dispatchLoanEntries } from '../lib/dispatch.js';
+import { getExecutor } from '../lib/executor.js';
+import { GitHubRateLimitError } from '../lib/github.js';
+import { applyIdempotencyKey } from '../lib/idempotency.js';
+import { requestLogger } from '../lib/logger.js';
+import { findRetryTargets, getMaxAttempts, planRetries } from '../lib/retry.js';
+
+const RETRY_CONCURRENCY = 2;
+const DEFAULT_MAX_PER_SECOND = 5;
+
+export default async function handler(req, res) {
+    const log = requestLogger(req, res, 'retry-loans');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res)) {
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Authenticated user; the role for each kind of run being retried is checked below
+    const user = requireAuth(req, res, TRIGGER_ROLES);
+    if (!user) {
+        return;
+    }
+
+    try {
+        // Repeats of a retry with the same Idempotency-Key get the original manifest back
+        if (!(await applyIdempotencyKey(req, res, { endpoint: 'retry-loans', user }))) {
+            return;
+        }
+
+        const { batchId, loanIndexes, workflowRunIds, correlationIds, credentialRef } = req.body || {};
+        const overrides = req.body?.overrides || {};
+        const loanOverrides = req.body?.loanOverrides || {};
+
+        if (req.body?.credentials) {
+            return res.status(400).json({
+                success: false,
+                message: 'Raw credentials are not accepted - store them via /api/credentials and send the credentialRef'
+            });
+        }
+        if (!isPlainObject(overrides) || !isPlainObject(loanOverrides) || !Object.values(loanOverrides).every(isPlainObject)) {
+            return res.status(400).json({ success: false, message: 'overrides and loanOverrides must be objects of loan fields' });
+        }
+
+        const serverMax = getMaxAttempts();
+        const maxAttempts = req.body?.maxAttempts === undefined ? serverMax : Number(req.body.maxAttempts);
+        if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > serverMax) {
+            return res.status(400).json({ success: false, message: `maxAttempts must be a whole number from 1 to ${serverMax}` });
+        }
+
+        // The batches to retry and, per batch, which loans (null: every failed loan)
+        let targets;
+        let unknownIds = [];
+        if (batchId) {
+            const batch = await getBatch(batchId, { owner: ownerScope(user) });
+            if (!batch) {
+                return res.status(404).json({ success: false, message: `Batch ${batchId} not found` });
+            }
+            if (loanIndexes !== undefined && !Array.isArray(loanIndexes)) {
+                return res.status(400).json({ success: false, message: 'loanIndexes must be an array' });
+            }
+            targets = [{ batch, loanIndexes: loanIndexes ? new Set(loanIndexes) : null }];
+        } else {
+            const ids = { workflowRunIds: toArray(workflowRunIds), correlationIds: toArray(correlationIds) };
+            if (ids.workflowRunIds.length === 0 && ids.correlationIds.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Missing batchId, workflowRunIds or correlationIds - pass the workflowId/correlationId of each failed result'
+                });
+            }
+            const found = await findRetryTargets(ids, { owner: ownerScope(user) });
+            targets = [...found.targets.values()];
+            unknownIds = found.unknown;
+            if (targets.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: `No batch holds the original loanData of: ${unknownIds.join(', ')} (only batch loans can be retried)`
+                });
+            }
+        }
+
+        // Plan every batch first: the roles needed follow the kinds of run actually being retried
+        const planned = [];
+        for (const { batch, loanIndexes: wanted } of targets) {
+            planned.push({ batch, decisions: await planRetries(batch, { loanIndexes: wanted, overrides, loanOverrides, maxAttempts }) });
+        }
+
+        for (const { batch, decisions } of planned) {
+            for (const eventType of new Set(decisions.filter(decision => decision.decision === 'retry').map(decision => decision.eventType))) {
+                const roles = DISPATCH_MODES[modeForEventType(eventType)]?.roles;
+                if (!roles || !hasRole(user, roles)) {
+                    return res.status(403).json({
+                        success: false,
+                        message: roles
+                            ? `User ${user.userId} needs one of the roles: ${roles.join(', ')} to retry the ${eventType} loans of batch ${batch.batchId}`
+                            : `Batch ${batch.batchId} has ${eventType} loans, which cannot be retried`
+                    });
+                }
+            }
+        }
+
+        const executor = getExecutor();
+        const maxPerSecond = Number(process.env.BULK_DISPATCH_MAX_PER_SECOND) || DEFAULT_MAX_PER_SECOND;
+        const loans = [];
+
+        for (const { batch, decisions } of planned) {
+            for (const decision of decisions.filter(candidate => candidate.decision === 'skip')) {
+                loans.push(describe(batch, decision, { status: decision.errors?.length ? 'invalid' : 'skipped', reason: decision.reason, errors: decision.errors?.length ? decision.errors : undefined }));
+            }
+
+            // One dispatch pass per credential and kind of run: an untyped batch can hold pricing and lock attempts
+            const retries = decisions.filter(candidate => candidate.decision === 'retry');
+            const groups = new Map();
+            for (const decision of retries) {
+                const ref = credentialRef || decision.dispatch.credentialRef;
+                if (!ref) {
+                    loans.push(describe(batch, decision, { status: 'rejected', reason: 'No credentialRef recorded for the original attempt - send credentialRef' }));
+                    continue;
+                }
+                const key = `${ref}\n${decision.eventType}`;
+                groups.set(key, { ref, eventType: decision.eventType, decisions: [...(groups.get(key)?.decisions || []), decision] });
+            }
+
+            for (const { ref, eventType, decisions: group } of groups.values()) {
+                const mode = modeForEventType(eventType);
+                const manifest = await dispatchLoanEntries(executor, {
+                    mode,
+                    batch,
+                    entries: group.map(({ loanIndex, loan, dispatch }) => ({
+                        loanIndex,
+                        loan,
+                        attempt: dispatch.attempt + 1,
+                        retryOf: { correlationId: dispatch.correlationId, workflowRunId: dispatch.workflowRunId || null, attempt: dispatch.attempt }
+                    })),
+                    credentialRef: ref,
+                    user,
+                    shouldSave: group[0].dispatch.shouldSave,
+                    overrideLockGuard: req.body.overrideLockGuard === true,
+                    concurrency: RETRY_CONCURRENCY,
+                    minIntervalMs: 1000 / maxPerSecond
+                });
+                group.forEach((decision, position) => {
+                    const entry = manifest[position];
+                    loans.push(describe(batch, decision, {
+                        status: entry.status,
+                        reason: entry.status === 'dispatched' ? decision.reason : entry.error,
+                        existingLock: entry.existingLock,
+                        retry: entry.status === 'dispatched'
+                            ? { attempt: decision.dispatch.attempt + 1, correlationId: entry.correlationId, dispatchedAt: entry.dispatchedAt }
+                            : null
+                    }));
+                });
+            }
+        }
+
+        loans.sort((a, b) => a.batchId.localeCompare(b.batchId) || a.loanIndex - b.loanIndex);
+        const count = status => loans.filter(loan => loan.status === status).length;
+        log.info('🔁 RETRY', { user: user.userId, dispatched: count('dispatched'), loans: loans.length, batches: targets.length });
+
+        return res.status(200).json({
+            success: true,
+            message: `${count('dispatched')} of ${loans.length} loans re-dispatched`,
+            batchIds: targets.map(({ batch }) => batch.batchId),
+            summary: {
+                total: loans.length,
+                dispatched: count('dispatched'),
+                skipped: count('skipped'),
+                invalid: count('invalid'),
+                rejected: count('rejected'),
+                failed: count('failed')
+            },
+            loans: loans,
+            unknownIds: unknownIds,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        log.error('❌ Retry error', error);
+
+        if (error instanceof GitHubRateLimitError) {
+            res.setHeader('Retry-After', String(error.retryAfterSeconds || 60));
+            return res.status(429).json({
+                success: false,
+                message: error.message,
+                retryAfterSeconds: error.retryAfterSeconds,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to retry loans',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// One loan of the response: its latest attempt, and what became of the retry
+// outcome: { status, reason, errors?, existingLock?, retry? }
+function describe(batch, decision, outcome) {
+    return {
+        batchId: batch.batchId,
+        loanIndex: decision.loanIndex,
+        attempt: decision.dispatch.attempt,
+        correlationId: decision.dispatch.correlationId,
+        workflowRunId: decision.dispatch.workflowRunId || null,
+        retry: null,
+        ...outcome
+    };
+}
+
+function modeForEventType(eventType) {
+    return Object.keys(DISPATCH_MODES).find(mode => DISPATCH_MODES[mode].eventType === eventType) || null;
+}
+
+function toArray(value) {
+    return Array.isArray(value) ? value.filter(Boolean) : [];
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
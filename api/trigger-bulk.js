@@ -0,0 +1,172 @@
+// /api/trigger-bulk.js
+// NEW: Fan a whole loan tape out in one call instead of one HTTP round trip per loan
+// POST { mode: 'price' | 'process' | 'lock', loans: [{ loanIndex, loanData }], credentialRef,
+//        batchId?, shouldSave?, overrideLockGuard?, concurrency?, maxPerSecond? }
+// Validates the loans, queues them under the batch (lib/dispatch-queue.js) and answers 202 with a
+// per-loan manifest straight away. The dispatches go out while the batch's progress stream
+// (progressUrl, /api/batch-progress) is open, at maxPerSecond - which can only lower
+// BULK_DISPATCH_MAX_PER_SECOND; run IDs are resolved later by the results endpoints (via batchId).
+import { applyCors, hasRole, ownerScope, requireAuth, TRIGGER_ROLES } from '../lib/auth.js';
+import { createBatch, describeBatchLoanErrors, getBatch } from '../lib/batches.js';
+import { queueBulkDispatches } from '../lib/dispatch-queue.js';
+import { DISPATCH_MODES } from '../lib/dispatch.js';
+import { applyIdempotencyKey } from '../lib/idempotency.js';
+import { normalizeLoan } from '../lib/loan-schema.js';
+import { requestLogger } from '../lib/logger.js';
+
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 10;
+const DEFAULT_MAX_PER_SECOND = 5;
+const MIN_PER_SECOND = 0.1;
+const MAX_LOANS = 500;
+
+export default async function handler(req, res) {
+    const log = requestLogger(req, res, 'trigger-bulk');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res)) {
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Authenticated user; the mode-specific role is checked below
+    const user = requireAuth(req, res, TRIGGER_ROLES);
+    if (!user) {
+        return;
+    }
+
+    try {
+        // Repeats of a request with the same Idempotency-Key get the original manifest back
+        if (!(await applyIdempotencyKey(req, res, { endpoint: 'trigger-bulk', user }))) {
+            return;
+        }
+
+        const { mode, loans, credentialRef, batchId, shouldSave } = req.body || {};
+        const modeConfig = DISPATCH_MODES[mode];
+
+        if (!modeConfig) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid mode: ${mode}. Expected one of ${Object.keys(DISPATCH_MODES).join(', ')}`
+            });
+        }
+
+        if (!hasRole(user, modeConfig.roles)) {
+            return res.status(403).json({
+                success: false,
+                message: `User ${user.userId} needs one of the roles: ${modeConfig.roles.join(', ')}`
+            });
+        }
+
+        if (req.body.credentials) {
+            return res.status(400).json({
+                success: false,
+                message: 'Raw credentials are not accepted - store them via /api/credentials and send the credentialRef'
+            });
+        }
+
+        if (!Array.isArray(loans) || loans.length === 0 || !credentialRef) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing loans array or credentialRef'
+            });
+        }
+
+        if (loans.length > MAX_LOANS) {
+            return res.status(400).json({
+                success: false,
+                message: `Too many loans: ${loans.length} (max ${MAX_LOANS} per request) - create a batch with every loan and send them in several requests with its batchId`
+            });
+        }
+
+        // Validate every loan up front; invalid loans are reported, valid ones are still queued
+        const entries = loans.map((entry, position) => {
+            const loanIndex = entry?.loanIndex ?? position;
+            const { loan, errors } = normalizeLoan(entry?.loanData);
+            return { loanIndex, loanData: entry?.loanData, loan, errors };
+        });
+
+        // One loan per loanIndex: a second entry would be dispatched - and priced or locked - twice
+        const duplicates = new Set(entries
+            .map(entry => entry.loanIndex)
+            .filter((loanIndex, position, indexes) => indexes.indexOf(loanIndex) !== position));
+        if (duplicates.size > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Duplicate loanIndex values: ${[...duplicates].join(', ')}`
+            });
+        }
+
+        // Use the caller's batch, or create one so results can be fetched by batchId
+        let batch;
+        if (batchId) {
+            batch = await getBatch(batchId, { owner: ownerScope(user) });
+            if (!batch) {
+                return res.status(404).json({ success: false, message: `Batch ${batchId} not found` });
+            }
+        } else {
+            const loanErrors = describeBatchLoanErrors(entries);
+            if (loanErrors) {
+                return res.status(400).json({ success: false, message: loanErrors });
+            }
+            batch = await createBatch({
+                type: modeConfig.eventType,
+                loans: entries.map(({ loanIndex, loanData }) => ({ loanIndex, loanData })),
+                createdBy: user.userId
+            });
+        }
+
+        const configuredPerSecond = Number(process.env.BULK_DISPATCH_MAX_PER_SECOND) || DEFAULT_MAX_PER_SECOND;
+        const maxPerSecond = clamp(Number(req.body.maxPerSecond) || configuredPerSecond, MIN_PER_SECOND, configuredPerSecond);
+        const concurrency = clamp(Number(req.body.concurrency) || Number(process.env.BULK_DISPATCH_CONCURRENCY) || DEFAULT_CONCURRENCY, 1, MAX_CONCURRENCY);
+
+        const manifest = await queueBulkDispatches(batch.batchId, entries, {
+            mode,
+            credentialRef,
+            user,
+            shouldSave,
+            overrideLockGuard: req.body.overrideLockGuard === true,
+            concurrency,
+            maxPerSecond
+        });
+        const queuedCount = manifest.filter(item => item.status === 'queued').length;
+
+        log.info('📦 BULK: queued', { mode, queued: queuedCount, loans: entries.length, user: user.userId, concurrency, maxPerSecond, batchId: batch.batchId });
+
+        return res.status(202).json({
+            success: true,
+            message: `${queuedCount} of ${entries.length} loans queued - they are dispatched while progressUrl is open`,
+            mode: mode,
+            batchId: batch.batchId,
+            progressUrl: `/api/batch-progress?batchId=${batch.batchId}`,
+            summary: {
+                total: entries.length,
+                queued: queuedCount,
+                invalid: manifest.filter(item => item.status === 'invalid').length,
+                rejected: manifest.filter(item => item.status === 'rejected').length
+            },
+            manifest: manifest,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        log.error('❌ Bulk trigger error', error);
+
+        return res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to queue loans',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
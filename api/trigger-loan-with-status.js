@@ -2,11 +2,23 @@
 // FIXED: No more 60-second timeout issues
 // Returns immediately after triggering, use Check Results for final status
 
+import { applyCors, ownerScope, requireAuth, ROLES } from '../lib/auth.js';
+import { getBatch, recordBatchDispatch, validateBatchDispatch } from '../lib/batches.js';
+import { auditDispatchRun, buildLoanPayload, sendLoanDispatch } from '../lib/dispatch.js';
+import { getExecutor, getRunsUrl } from '../lib/executor.js';
+import { applyIdempotencyKey } from '../lib/idempotency.js';
+import { DuplicateLockError } from '../lib/lock-guard.js';
+import { normalizeLoan } from '../lib/loan-schema.js';
+import { requestLogger } from '../lib/logger.js';
+import { issueCredentialToken } from '../lib/vault.js';
+
 export default async function handler(req, res) {
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    const log = requestLogger(req, res, 'trigger-loan-with-status');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res)) {
+        return;
+    }
     
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -16,84 +28,114 @@ export default async function handler(req, res) {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    // Authenticated user with permission to lock loans
+    const user = requireAuth(req, res, [ROLES.LOCKER]);
+    if (!user) {
+        return;
+    }
+
     try {
-        const { loanData, loanIndex, credentials } = req.body;
+        // Repeats of a request with the same Idempotency-Key get the original response back
+        if (!(await applyIdempotencyKey(req, res, { endpoint: 'trigger-loan-with-status', user }))) {
+            return;
+        }
+
+        const { loanData, loanIndex, credentialRef, batchId } = req.body;
         
-        if (!loanData || !credentials) {
+        if (req.body.credentials) {
             return res.status(400).json({ 
                 success: false, 
-                message: 'Missing required loan data or credentials' 
+                message: 'Raw credentials are not accepted - store them via /api/credentials and send the credentialRef' 
             });
         }
 
-        console.log(`🚀 FIXED: Processing loan ${loanIndex + 1} for user: ${credentials.username} - NO TIMEOUT ISSUES`);
+        if (!loanData || !credentialRef) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Missing required loan data or credentialRef' 
+            });
+        }
 
-        // GitHub repository details
-        const GITHUB_OWNER = 'crendy22';
-        const GITHUB_REPO = 'llpa-rate-comparator';
-        const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+        // Validate and normalize the loan against the shared schema before spending a workflow run
+        const { loan, errors: loanErrors } = normalizeLoan(loanData);
+        if (loanErrors.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid loan data', 
+                errors: loanErrors 
+            });
+        }
 
-        if (!GITHUB_TOKEN) {
-            throw new Error('GitHub token not configured in environment variables');
+        // Optional batch membership: the loan must belong to the batch it is dispatched under
+        const batch = batchId ? await getBatch(batchId, { owner: ownerScope(user) }) : null;
+        if (batchId && !batch) {
+            return res.status(404).json({ 
+                success: false, 
+                message: `Batch ${batchId} not found` 
+            });
+        }
+        const batchError = batch && validateBatchDispatch(batch, loanIndex, 'process-loans');
+        if (batchError) {
+            return res.status(400).json({ 
+                success: false, 
+                message: batchError 
+            });
+        }
+
+        log.info('🚀 Processing loan', { loanIndex, user: user.userId, credentialRef });
+
+        // Configured execution backend (GitHub Actions, or the local runner)
+        const executor = getExecutor();
+
+        // Short-lived, single-use token instead of the secret itself
+        const credentialToken = await issueCredentialToken(credentialRef, { owner: ownerScope(user) });
+        if (!credentialToken) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Credential reference not found or revoked' 
+            });
         }
 
         // Step 1: Trigger GitHub Actions workflow (NO WAITING - avoids 60s timeout)
-        console.log('🔄 Triggering GitHub Actions workflow...');
-        const dispatchResponse = await fetch(`https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/dispatches`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${GITHUB_TOKEN}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                event_type: 'process-loans',
-                client_payload: {
-                    loan_data: JSON.stringify(loanData),
-                    loan_index: loanIndex,
-                    credentials: credentials,
-                    timestamp: new Date().toISOString()
-                }
-            })
+        log.debug('🔄 Triggering workflow');
+        const { correlationId, dispatchedAt, status } = await sendLoanDispatch(executor, 'process-loans', {
+            ...buildLoanPayload('process', { loan, loanIndex }),
+            credential_token: credentialToken.token, // Redeemed once via /api/redeem-credential-token
+            requested_by: user.userId
+        }, {
+            loan: loan,
+            loanIndex: loanIndex,
+            batchId: batch ? batch.batchId : null,
+            requestedBy: user.userId,
+            override: req.body.overrideLockGuard === true
         });
 
-        if (!dispatchResponse.ok) {
-            const errorText = await dispatchResponse.text();
-            throw new Error(`GitHub dispatch failed: ${dispatchResponse.status} - ${errorText}`);
-        }
+        log.info('✅ Workflow triggered', { loanIndex, correlationId });
 
-        console.log(`✅ GitHub Actions workflow triggered successfully for loan ${loanIndex + 1}`);
+        // Resolve the exact run created for this dispatch (null = not created yet,
+        // the results endpoints resolve it later by correlationId)
+        const run = await executor.resolveRun(correlationId, { dispatchedAt });
+        await auditDispatchRun('process-loans', run, { correlationId, loan, loanIndex, batchId: batch ? batch.batchId : null, requestedBy: user.userId });
 
-        // Wait a moment to get the workflow run ID
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        // An unconfirmed dispatch whose run already shows up was accepted
+        const dispatchStatus = run ? 'dispatched' : status;
+        if (dispatchStatus === 'unknown') {
+            log.warn('❓ Dispatch not confirmed and no run yet', { correlationId });
+        }
 
-        // Try to get the workflow run ID for tracking
-        let runUrl = `https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}/actions`;
-        try {
-            const runsResponse = await fetch(`https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/actions/runs?per_page=5`, {
-                headers: {
-                    'Authorization': `Bearer ${GITHUB_TOKEN}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                }
+        if (batch) {
+            await recordBatchDispatch(batch.batchId, {
+                loanIndex: loanIndex,
+                correlationId: correlationId,
+                workflowRunId: run ? run.id : null,
+                eventType: 'process-loans',
+                dispatchedAt: dispatchedAt,
+                credentialRef: credentialRef
             });
-
-            if (runsResponse.ok) {
-                const runsData = await runsResponse.json();
-                const recentRun = runsData.workflow_runs
-                    .filter(run => {
-                        const runTime = new Date(run.created_at);
-                        const cutoff = new Date(Date.now() - 30000); // Last 30 seconds
-                        return runTime > cutoff;
-                    })
-                    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
-
-                if (recentRun) {
-                    runUrl = recentRun.html_url;
-                    console.log(`📋 Found workflow run: ${recentRun.id}`);
-                }
-            }
-        } catch (runError) {
-            console.log('Could not get workflow run ID, using default URL');
+        }
+        const runUrl = run ? run.html_url : executor.runsUrl;
+        if (run) {
+            log.debug('📋 Found workflow run', { workflowRunId: run.id });
         }
 
         // Return SUCCESS immediately - no more waiting that causes timeouts
@@ -103,16 +145,34 @@ export default async function handler(req, res) {
             workflowStatus: {
                 success: false, // Will be determined later via Check Results
                 message: 'Automation started - workflow is now running',
-                details: 'Loan automation triggered successfully. Use "Check Final Results" in 5-8 minutes for actual lock status.',
+                details: batch
+                    ? 'Loan automation triggered successfully. Live lock status is streamed at progressUrl.'
+                    : 'Loan automation triggered successfully. Use "Check Final Results" in 5-8 minutes for actual lock status.',
                 runUrl: runUrl,
                 conclusion: 'triggered'
             },
+            correlationId: correlationId,
+            dispatchStatus: dispatchStatus, // 'dispatched', or 'unknown' - check for the run before triggering again
+            batchId: batch ? batch.batchId : null,
+            progressUrl: batch ? `/api/batch-progress?batchId=${batch.batchId}` : null,
+            workflowRunId: run ? run.id : null,
+            dispatchedAt: dispatchedAt,
             loanIndex: loanIndex,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        console.error('❌ Backend trigger error:', error);
+        if (error instanceof DuplicateLockError) {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                nexId: error.nexId,
+                existingLock: error.existing,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        log.error('❌ Backend trigger error', error);
         
         return res.status(500).json({
             success: false,
@@ -121,7 +181,7 @@ export default async function handler(req, res) {
                 success: false,
                 message: 'Failed to trigger automation',
                 details: error.message || 'Unknown error occurred while triggering workflow',
-                runUrl: `https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}/actions`,
+                runUrl: getRunsUrl(),
                 conclusion: 'error'
             },
             timestamp: new Date().toISOString()
@@ -1,11 +1,23 @@
 // Enhanced backend API endpoint: /api/trigger-loan.js
 // Replace your entire trigger-loan.js file with this code
 
+import { applyCors, ownerScope, requireAuth, ROLES } from '../lib/auth.js';
+import { getBatch, recordBatchDispatch, validateBatchDispatch } from '../lib/batches.js';
+import { auditDispatchRun, buildLoanPayload, sendLoanDispatch } from '../lib/dispatch.js';
+import { getExecutor } from '../lib/executor.js';
+import { applyIdempotencyKey } from '../lib/idempotency.js';
+import { DuplicateLockError } from '../lib/lock-guard.js';
+import { normalizeLoan } from '../lib/loan-schema.js';
+import { requestLogger } from '../lib/logger.js';
+import { issueCredentialToken } from '../lib/vault.js';
+
 export default async function handler(req, res) {
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    const log = requestLogger(req, res, 'trigger-loan');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res)) {
+        return;
+    }
     
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -15,128 +27,142 @@ export default async function handler(req, res) {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    // Authenticated user with permission to lock loans
+    const user = requireAuth(req, res, [ROLES.LOCKER]);
+    if (!user) {
+        return;
+    }
+
     try {
-        const { loanData, loanIndex, credentials } = req.body;
+        // Repeats of a request with the same Idempotency-Key get the original response back
+        if (!(await applyIdempotencyKey(req, res, { endpoint: 'trigger-loan', user }))) {
+            return;
+        }
+
+        const { loanData, loanIndex, credentialRef, batchId } = req.body;
         
-        if (!loanData || !credentials) {
+        if (req.body.credentials) {
             return res.status(400).json({ 
                 success: false, 
-                message: 'Missing required loan data or credentials' 
+                message: 'Raw credentials are not accepted - store them via /api/credentials and send the credentialRef' 
             });
         }
 
-        console.log(`Triggering GitHub Actions for loan ${loanIndex} with user: ${credentials.username}`);
+        if (!loanData || !credentialRef) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Missing required loan data or credentialRef' 
+            });
+        }
 
-        // GitHub repository details - pointing to where your workflow lives
-        const GITHUB_OWNER = 'crendy22';
-        const GITHUB_REPO = 'llpa-rate-comparator';  // Where your .yml workflow file is
-        const GITHUB_TOKEN = process.env.GITHUB_TOKEN; // Set this in Vercel environment variables
+        // Validate and normalize the loan against the shared schema before spending a workflow run
+        const { loan, errors: loanErrors } = normalizeLoan(loanData);
+        if (loanErrors.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid loan data', 
+                errors: loanErrors 
+            });
+        }
 
-        if (!GITHUB_TOKEN) {
-            throw new Error('GitHub token not configured in environment variables - add GITHUB_TOKEN to Vercel settings');
+        // Optional batch membership: the loan must belong to the batch it is dispatched under
+        const batch = batchId ? await getBatch(batchId, { owner: ownerScope(user) }) : null;
+        if (batchId && !batch) {
+            return res.status(404).json({ 
+                success: false, 
+                message: `Batch ${batchId} not found` 
+            });
+        }
+        const batchError = batch && validateBatchDispatch(batch, loanIndex, 'process-loans');
+        if (batchError) {
+            return res.status(400).json({ 
+                success: false, 
+                message: batchError 
+            });
         }
 
-        console.log(`Triggering workflow in ${GITHUB_OWNER}/${GITHUB_REPO}`);
+        log.info('Triggering loan', { loanIndex, user: user.userId, credentialRef });
 
-        // Trigger GitHub Actions workflow via repository dispatch
-        const dispatchResponse = await fetch(`https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/dispatches`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${GITHUB_TOKEN}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                event_type: 'process-loans',
-                client_payload: {
-                    loan_data: JSON.stringify(loanData),
-                    loan_index: loanIndex,
-                    credentials: credentials
-                }
-            })
-        });
+        // Configured execution backend (GitHub Actions, or the local runner)
+        const executor = getExecutor();
+
+        log.debug('Triggering workflow', { executor: executor.name });
 
-        if (!dispatchResponse.ok) {
-            const errorText = await dispatchResponse.text();
-            console.error(`GitHub dispatch failed: ${dispatchResponse.status} - ${errorText}`);
-            throw new Error(`GitHub dispatch failed: ${dispatchResponse.status} - ${errorText}`);
+        // Short-lived, single-use token instead of the secret itself
+        const credentialToken = await issueCredentialToken(credentialRef, { owner: ownerScope(user) });
+        if (!credentialToken) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Credential reference not found or revoked' 
+            });
         }
 
-        console.log('GitHub Actions dispatch successful');
+        // Trigger GitHub Actions workflow via repository dispatch
+        const { correlationId, dispatchedAt, status } = await sendLoanDispatch(executor, 'process-loans', {
+            ...buildLoanPayload('process', { loan, loanIndex }),
+            credential_token: credentialToken.token, // Redeemed once via /api/redeem-credential-token
+            requested_by: user.userId
+        }, {
+            loan: loan,
+            loanIndex: loanIndex,
+            batchId: batch ? batch.batchId : null,
+            requestedBy: user.userId,
+            override: req.body.overrideLockGuard === true
+        });
 
-        // Wait a moment for the workflow to start
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        log.info('Dispatch successful', { correlationId });
 
-        // Get the workflow run ID by checking recent runs
-        const runsResponse = await fetch(`https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/actions/runs?per_page=10`, {
-            headers: {
-                'Authorization': `Bearer ${GITHUB_TOKEN}`,
-                'Accept': 'application/vnd.github.v3+json'
-            }
-        });
+        // Resolve the exact run created for this dispatch
+        const run = await executor.resolveRun(correlationId, { dispatchedAt });
+        await auditDispatchRun('process-loans', run, { correlationId, loan, loanIndex, batchId: batch ? batch.batchId : null, requestedBy: user.userId });
 
-        if (!runsResponse.ok) {
-            console.error(`Failed to get workflow runs: ${runsResponse.status}`);
-            // Still return success since the dispatch worked
-            return res.status(200).json({
-                success: true,
-                message: 'GitHub Actions workflow triggered successfully',
-                workflowRunId: null, // Frontend will handle this gracefully
-                loanIndex: loanIndex,
-                timestamp: new Date().toISOString(),
-                note: 'Workflow started but run ID not available'
-            });
+        // GitHub never confirmed an 'unknown' dispatch: its run showing up proves it was accepted.
+        // Otherwise it is reported as unknown so the client looks for the run instead of resending.
+        const dispatchStatus = run ? 'dispatched' : status;
+        if (dispatchStatus === 'unknown') {
+            log.warn('❓ Dispatch not confirmed and no run yet', { correlationId });
         }
 
-        const runsData = await runsResponse.json();
-        console.log(`Found ${runsData.workflow_runs.length} recent workflow runs`);
-
-        // Find the most recent workflow run that matches our criteria
-        let workflowRunId = null;
-        const cutoffTime = new Date(Date.now() - 60000); // Last 1 minute
-        
-        const recentRuns = runsData.workflow_runs
-            .filter(run => {
-                const runTime = new Date(run.created_at);
-                return runTime > cutoffTime && 
-                       (run.event === 'repository_dispatch' || run.status === 'queued' || run.status === 'in_progress');
-            })
-            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-
-        if (recentRuns.length > 0) {
-            workflowRunId = recentRuns[0].id;
-            console.log(`Found workflow run ID: ${workflowRunId} (status: ${recentRuns[0].status})`);
-        } else {
-            console.log('No matching workflow run found, workflow may still be starting');
-            // Try to find any recent run as fallback
-            const anyRecentRuns = runsData.workflow_runs
-                .filter(run => {
-                    const runTime = new Date(run.created_at);
-                    return runTime > cutoffTime;
-                })
-                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-            
-            if (anyRecentRuns.length > 0) {
-                workflowRunId = anyRecentRuns[0].id;
-                console.log(`Using most recent run as fallback: ${workflowRunId}`);
-            }
+        if (batch) {
+            await recordBatchDispatch(batch.batchId, {
+                loanIndex: loanIndex,
+                correlationId: correlationId,
+                workflowRunId: run ? run.id : null,
+                eventType: 'process-loans',
+                dispatchedAt: dispatchedAt,
+                credentialRef: credentialRef
+            });
         }
 
         return res.status(200).json({
             success: true,
             message: 'GitHub Actions workflow triggered successfully',
-            workflowRunId: workflowRunId,
+            correlationId: correlationId,
+            dispatchStatus: dispatchStatus, // 'dispatched', or 'unknown' - check for the run before triggering again
+            batchId: batch ? batch.batchId : null,
+            workflowRunId: run ? run.id : null, // null = not created yet, results endpoints resolve it by correlationId
+            runUrl: run ? run.html_url : executor.runsUrl,
             loanIndex: loanIndex,
+            dispatchedAt: dispatchedAt,
             timestamp: new Date().toISOString(),
             debug: {
-                repoUrl: `https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}/actions`,
-                totalRuns: runsData.workflow_runs.length,
-                foundRunId: !!workflowRunId
+                repoUrl: executor.runsUrl,
+                foundRunId: !!run
             }
         });
 
     } catch (error) {
-        console.error('Backend error:', error);
+        if (error instanceof DuplicateLockError) {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                nexId: error.nexId,
+                existingLock: error.existing,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        log.error('Backend error', error);
         
         return res.status(500).json({
             success: false,
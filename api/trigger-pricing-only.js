@@ -1,11 +1,22 @@
 // /api/trigger-pricing-only.js
 // NEW: Get pricing data but don't lock loans - for review workflow
 
+import { applyCors, ownerScope, requireAuth, ROLES } from '../lib/auth.js';
+import { getBatch, recordBatchDispatch, validateBatchDispatch } from '../lib/batches.js';
+import { auditDispatchRun, buildLoanPayload, sendLoanDispatch } from '../lib/dispatch.js';
+import { getExecutor, getRunsUrl } from '../lib/executor.js';
+import { applyIdempotencyKey } from '../lib/idempotency.js';
+import { normalizeLoan } from '../lib/loan-schema.js';
+import { requestLogger } from '../lib/logger.js';
+import { issueCredentialToken } from '../lib/vault.js';
+
 export default async function handler(req, res) {
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    const log = requestLogger(req, res, 'trigger-pricing-only');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res)) {
+        return;
+    }
     
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -15,86 +26,114 @@ export default async function handler(req, res) {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    // Authenticated user with permission to price loans
+    const user = requireAuth(req, res, [ROLES.PRICER]);
+    if (!user) {
+        return;
+    }
+
     try {
-        const { loanData, loanIndex, credentials, shouldSave } = req.body;
+        // Repeats of a request with the same Idempotency-Key get the original response back
+        if (!(await applyIdempotencyKey(req, res, { endpoint: 'trigger-pricing-only', user }))) {
+            return;
+        }
+
+        const { loanData, loanIndex, credentialRef, shouldSave, batchId } = req.body;
         
-        if (!loanData || !credentials) {
+        if (req.body.credentials) {
             return res.status(400).json({ 
                 success: false, 
-                message: 'Missing required loan data or credentials' 
+                message: 'Raw credentials are not accepted - store them via /api/credentials and send the credentialRef' 
             });
         }
 
-        console.log(`💰 PRICING ONLY: Processing loan ${loanIndex + 1} for user: ${credentials.username} - GET PRICING ONLY`);
+        if (!loanData || !credentialRef) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Missing required loan data or credentialRef' 
+            });
+        }
 
-        // GitHub repository details
-        const GITHUB_OWNER = 'crendy22';
-        const GITHUB_REPO = 'llpa-rate-comparator';
-        const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+        // Validate and normalize the loan against the shared schema before spending a workflow run
+        const { loan, errors: loanErrors } = normalizeLoan(loanData);
+        if (loanErrors.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid loan data', 
+                errors: loanErrors 
+            });
+        }
 
-        if (!GITHUB_TOKEN) {
-            throw new Error('GitHub token not configured in environment variables');
+        // Optional batch membership: the loan must belong to the batch it is dispatched under
+        const batch = batchId ? await getBatch(batchId, { owner: ownerScope(user) }) : null;
+        if (batchId && !batch) {
+            return res.status(404).json({ 
+                success: false, 
+                message: `Batch ${batchId} not found` 
+            });
+        }
+        const batchError = batch && validateBatchDispatch(batch, loanIndex, 'price-loans-only');
+        if (batchError) {
+            return res.status(400).json({ 
+                success: false, 
+                message: batchError 
+            });
+        }
+
+        log.info('💰 PRICING ONLY: Processing loan', { loanIndex, user: user.userId, credentialRef });
+
+        // Configured execution backend (GitHub Actions, or the local runner)
+        const executor = getExecutor();
+
+        // Short-lived, single-use token instead of the secret itself
+        const credentialToken = await issueCredentialToken(credentialRef, { owner: ownerScope(user) });
+        if (!credentialToken) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Credential reference not found or revoked' 
+            });
         }
 
         // Trigger GitHub Actions workflow for PRICING ONLY
-        console.log('💰 Triggering GitHub Actions workflow for pricing only...');
-        const dispatchResponse = await fetch(`https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/dispatches`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${GITHUB_TOKEN}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                event_type: 'price-loans-only', // NEW: Different event type
-                client_payload: {
-                    loan_data: JSON.stringify(loanData),
-                    loan_index: loanIndex,
-                    credentials: credentials,
-                    pricing_only: true, // NEW: Flag to stop after pricing
-                    should_save: shouldSave || false, // NEW: Add this line
-                    timestamp: new Date().toISOString()
-                }
-            })
+        log.debug('💰 Triggering pricing workflow');
+        const { correlationId, dispatchedAt, status } = await sendLoanDispatch(executor, 'price-loans-only', {
+            ...buildLoanPayload('price', { loan, loanIndex, shouldSave }),
+            credential_token: credentialToken.token, // Redeemed once via /api/redeem-credential-token
+            requested_by: user.userId
+        }, {
+            loan: loan,
+            loanIndex: loanIndex,
+            batchId: batch ? batch.batchId : null,
+            requestedBy: user.userId
         });
 
-        if (!dispatchResponse.ok) {
-            const errorText = await dispatchResponse.text();
-            throw new Error(`GitHub dispatch failed: ${dispatchResponse.status} - ${errorText}`);
-        }
+        log.info('✅ Pricing workflow triggered', { loanIndex, correlationId });
 
-        console.log(`✅ Pricing workflow triggered successfully for loan ${loanIndex + 1}`);
+        // Resolve the exact run created for this dispatch (null = not created yet,
+        // the results endpoints resolve it later by correlationId)
+        const run = await executor.resolveRun(correlationId, { dispatchedAt });
+        await auditDispatchRun('price-loans-only', run, { correlationId, loan, loanIndex, batchId: batch ? batch.batchId : null, requestedBy: user.userId });
 
-        // Wait a moment to get the workflow run ID
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        // A run showing up proves an unconfirmed dispatch was accepted
+        const dispatchStatus = run ? 'dispatched' : status;
+        if (dispatchStatus === 'unknown') {
+            log.warn('❓ Dispatch not confirmed and no run yet', { correlationId });
+        }
 
-        // Try to get the workflow run ID for tracking
-        let runUrl = `https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}/actions`;
-        try {
-            const runsResponse = await fetch(`https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/actions/runs?per_page=5`, {
-                headers: {
-                    'Authorization': `Bearer ${GITHUB_TOKEN}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                }
+        if (batch) {
+            await recordBatchDispatch(batch.batchId, {
+                loanIndex: loanIndex,
+                correlationId: correlationId,
+                workflowRunId: run ? run.id : null,
+                eventType: 'price-loans-only',
+                dispatchedAt: dispatchedAt,
+                credentialRef: credentialRef,
+                shouldSave: shouldSave || false
             });
-
-            if (runsResponse.ok) {
-                const runsData = await runsResponse.json();
-                const recentRun = runsData.workflow_runs
-                    .filter(run => {
-                        const runTime = new Date(run.created_at);
-                        const cutoff = new Date(Date.now() - 30000); // Last 30 seconds
-                        return runTime > cutoff;
-                    })
-                    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
-
-                if (recentRun) {
-                    runUrl = recentRun.html_url;
-                    console.log(`📋 Found pricing workflow run: ${recentRun.id}`);
-                }
-            }
-        } catch (runError) {
-            console.log('Could not get workflow run ID, using default URL');
+        }
+        const runUrl = run ? run.html_url : executor.runsUrl;
+        if (run) {
+            log.debug('📋 Found pricing workflow run', { workflowRunId: run.id });
         }
 
         // Return SUCCESS immediately for pricing mode
@@ -109,12 +148,17 @@ export default async function handler(req, res) {
                 conclusion: 'pricing_triggered',
                 pricingOnly: true // NEW: Flag to indicate this is pricing mode
             },
+            correlationId: correlationId,
+            dispatchStatus: dispatchStatus, // 'dispatched', or 'unknown' - check for the run before triggering again
+            batchId: batch ? batch.batchId : null,
+            workflowRunId: run ? run.id : null,
+            dispatchedAt: dispatchedAt,
             loanIndex: loanIndex,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        console.error('❌ Backend pricing trigger error:', error);
+        log.error('❌ Backend pricing trigger error', error);
         
         return res.status(500).json({
             success: false,
@@ -123,7 +167,7 @@ export default async function handler(req, res) {
                 success: false,
                 message: 'Failed to trigger pricing automation',
                 details: error.message || 'Unknown error occurred while triggering pricing workflow',
-                runUrl: `https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}/actions`,
+                runUrl: getRunsUrl(),
                 conclusion: 'error',
                 pricingOnly: true
             },
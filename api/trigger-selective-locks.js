@@ -1,11 +1,23 @@
 // /api/trigger-selective-locks.js
 // UPDATED: Lock only selected loans after pricing review with NexID support
 
+import { applyCors, ownerScope, requireAuth, ROLES } from '../lib/auth.js';
+import { getBatch, recordBatchDispatch, validateBatchDispatch } from '../lib/batches.js';
+import { auditDispatchRun, buildLoanPayload, sendLoanDispatch } from '../lib/dispatch.js';
+import { getExecutor, getRunsUrl } from '../lib/executor.js';
+import { applyIdempotencyKey } from '../lib/idempotency.js';
+import { DuplicateLockError } from '../lib/lock-guard.js';
+import { normalizeLoan } from '../lib/loan-schema.js';
+import { requestLogger } from '../lib/logger.js';
+import { issueCredentialToken } from '../lib/vault.js';
+
 export default async function handler(req, res) {
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    const log = requestLogger(req, res, 'trigger-selective-locks');
+
+    // Set CORS headers (origin allowlist)
+    if (!applyCors(req, res)) {
+        return;
+    }
     
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -15,111 +27,121 @@ export default async function handler(req, res) {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    // Authenticated user with permission to lock loans
+    const user = requireAuth(req, res, [ROLES.LOCKER]);
+    if (!user) {
+        return;
+    }
+
     try {
-        const { loanData, loanIndex, credentials, isSelectiveLock } = req.body;
+        // Repeats of a request with the same Idempotency-Key get the original response back
+        if (!(await applyIdempotencyKey(req, res, { endpoint: 'trigger-selective-locks', user }))) {
+            return;
+        }
+
+        const { loanData, loanIndex, credentialRef, isSelectiveLock, batchId } = req.body;
         
-        if (!loanData || !credentials) {
+        if (req.body.credentials) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Raw credentials are not accepted - store them via /api/credentials and send the credentialRef' 
+            });
+        }
+
+        if (!loanData || !credentialRef) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Missing required loan data or credentialRef' 
+            });
+        }
+
+        // Validate and normalize the loan against the shared schema before spending a workflow run
+        const { loan, errors: loanErrors } = normalizeLoan(loanData);
+        if (loanErrors.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid loan data', 
+                errors: loanErrors 
+            });
+        }
+
+        // Optional batch membership: the loan must belong to the batch it is dispatched under
+        const batch = batchId ? await getBatch(batchId, { owner: ownerScope(user) }) : null;
+        if (batchId && !batch) {
+            return res.status(404).json({ 
+                success: false, 
+                message: `Batch ${batchId} not found` 
+            });
+        }
+        const batchError = batch && validateBatchDispatch(batch, loanIndex, 'selective-lock');
+        if (batchError) {
             return res.status(400).json({ 
                 success: false, 
-                message: 'Missing required loan data or credentials' 
+                message: batchError 
             });
         }
 
         // NEW: Check for NexID in loan data
-        const nexId = loanData.nex_id || loanData.nexId || '';
+        const nexId = loan.nex_id || '';
         if (!nexId) {
-            console.log(`⚠️ WARNING: No NexID found for loan ${loanIndex + 1}. Loan data:`, Object.keys(loanData));
+            log.warn('⚠️ No NexID found for loan', { loanIndex, loanFields: Object.keys(loan) });
             // Don't fail completely, but log the issue
         }
 
-        console.log(`🔒 SELECTIVE LOCK: Processing loan ${loanIndex + 1} for user: ${credentials.username}`);
-        console.log(`🔒 NexID: ${nexId || 'NOT FOUND'}`);
-        console.log(`🔒 Borrower: ${loanData.firstName || loanData['First Name'] || ''} ${loanData.lastName || loanData['Last Name'] || ''}`);
+        log.info('🔒 SELECTIVE LOCK: Processing loan', { loanIndex, user: user.userId, credentialRef, nexId: nexId || null });
 
-        // GitHub repository details
-        const GITHUB_OWNER = 'crendy22';
-        const GITHUB_REPO = 'llpa-rate-comparator';
-        const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+        // Configured execution backend (GitHub Actions, or the local runner)
+        const executor = getExecutor();
 
-        if (!GITHUB_TOKEN) {
-            throw new Error('GitHub token not configured in environment variables');
+        // Short-lived, single-use token instead of the secret itself
+        const credentialToken = await issueCredentialToken(credentialRef, { owner: ownerScope(user) });
+        if (!credentialToken) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Credential reference not found or revoked' 
+            });
         }
 
-        // NEW: Enhanced loan data with NexID for the automation script
-        const enhancedLoanData = {
-            ...loanData,
-            nex_id: nexId, // Ensure NexID is included with consistent naming
-            nexId: nexId,  // Backup naming convention
-            // Normalize field names for the automation script
-            'First Name': loanData['First Name'] || loanData.firstName || '',
-            'Last Name': loanData['Last Name'] || loanData.lastName || '',
-            'Loan Amount': loanData['Loan Amount'] || loanData.loanAmount || '',
-            // Add any other field normalizations needed
-            selective_lock_mode: true, // Flag for the automation script
-            pricing_already_done: true // Flag indicating pricing was already completed
-        };
-
         // Trigger GitHub Actions workflow for SELECTIVE LOCKING
-        console.log('🔒 Triggering GitHub Actions workflow for selective lock...');
-        const dispatchResponse = await fetch(`https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/dispatches`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${GITHUB_TOKEN}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                event_type: 'selective-lock', // Event type for selective locks
-                client_payload: {
-                    loan_data: JSON.stringify(enhancedLoanData), // NEW: Enhanced data with NexID
-                    loan_index: loanIndex,
-                    credentials: credentials,
-                    selective_lock: true,
-                    user_approved: true,
-                    nex_id: nexId, // NEW: Explicit NexID field
-                    workflow_type: 'selective-lock', // NEW: Explicit workflow type
-                    timestamp: new Date().toISOString()
-                }
-            })
+        log.debug('🔒 Triggering selective lock workflow');
+        const { correlationId, dispatchedAt, status } = await sendLoanDispatch(executor, 'selective-lock', {
+            ...buildLoanPayload('lock', { loan, loanIndex }),
+            credential_token: credentialToken.token, // Redeemed once via /api/redeem-credential-token
+            requested_by: user.userId
+        }, {
+            loan: loan,
+            loanIndex: loanIndex,
+            batchId: batch ? batch.batchId : null,
+            requestedBy: user.userId,
+            override: req.body.overrideLockGuard === true
         });
 
-        if (!dispatchResponse.ok) {
-            const errorText = await dispatchResponse.text();
-            throw new Error(`GitHub dispatch failed: ${dispatchResponse.status} - ${errorText}`);
-        }
+        log.info('✅ Selective lock workflow triggered', { loanIndex, nexId: nexId || null, correlationId });
 
-        console.log(`✅ Selective lock workflow triggered successfully for loan ${loanIndex + 1} (NexID: ${nexId || 'N/A'})`);
+        // Resolve the exact run created for this dispatch (null = not created yet,
+        // the results endpoints resolve it later by correlationId)
+        const run = await executor.resolveRun(correlationId, { dispatchedAt });
+        await auditDispatchRun('selective-lock', run, { correlationId, loan, loanIndex, batchId: batch ? batch.batchId : null, requestedBy: user.userId });
 
-        // Wait a moment to get the workflow run ID
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        // Only a run proves an unconfirmed lock dispatch was accepted - never resend it blindly
+        const dispatchStatus = run ? 'dispatched' : status;
+        if (dispatchStatus === 'unknown') {
+            log.warn('❓ Dispatch not confirmed and no run yet', { correlationId });
+        }
 
-        // Try to get the workflow run ID for tracking
-        let runUrl = `https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}/actions`;
-        try {
-            const runsResponse = await fetch(`https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/actions/runs?per_page=5`, {
-                headers: {
-                    'Authorization': `Bearer ${GITHUB_TOKEN}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                }
+        if (batch) {
+            await recordBatchDispatch(batch.batchId, {
+                loanIndex: loanIndex,
+                correlationId: correlationId,
+                workflowRunId: run ? run.id : null,
+                eventType: 'selective-lock',
+                dispatchedAt: dispatchedAt,
+                credentialRef: credentialRef
             });
-
-            if (runsResponse.ok) {
-                const runsData = await runsResponse.json();
-                const recentRun = runsData.workflow_runs
-                    .filter(run => {
-                        const runTime = new Date(run.created_at);
-                        const cutoff = new Date(Date.now() - 30000); // Last 30 seconds
-                        return runTime > cutoff;
-                    })
-                    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
-
-                if (recentRun) {
-                    runUrl = recentRun.html_url;
-                    console.log(`📋 Found selective lock workflow run: ${recentRun.id}`);
-                }
-            }
-        } catch (runError) {
-            console.log('Could not get workflow run ID, using default URL');
+        }
+        const runUrl = run ? run.html_url : executor.runsUrl;
+        if (run) {
+            log.debug('📋 Found selective lock workflow run', { workflowRunId: run.id });
         }
 
         // Return SUCCESS immediately for selective lock mode
@@ -139,13 +161,28 @@ export default async function handler(req, res) {
                 selectiveLock: true,
                 nexId: nexId // NEW: Include NexID in response
             },
+            correlationId: correlationId,
+            dispatchStatus: dispatchStatus, // 'dispatched', or 'unknown' - check for the run before triggering again
+            batchId: batch ? batch.batchId : null,
+            workflowRunId: run ? run.id : null,
+            dispatchedAt: dispatchedAt,
             loanIndex: loanIndex,
             nexId: nexId, // NEW: Include NexID in response
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        console.error('❌ Backend selective lock trigger error:', error);
+        if (error instanceof DuplicateLockError) {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                nexId: error.nexId,
+                existingLock: error.existing,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        log.error('❌ Backend selective lock trigger error', error);
         
         return res.status(500).json({
             success: false,
@@ -154,7 +191,7 @@ export default async function handler(req, res) {
                 success: false,
                 message: 'Failed to trigger selective lock automation',
                 details: error.message || 'Unknown error occurred while triggering selective lock workflow',
-                runUrl: `https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}/actions`,
+                runUrl: getRunsUrl(),
                 conclusion: 'error',
                 selectiveLock: true
             },
@@ -0,0 +1,149 @@
+// /lib/audit.js
+// Append-only audit trail of pricing and lock actions, with a tamper-evident hash chain
+//
+// record = { seq, auditId, timestamp, actor, action, nexId, borrower, loanIndex, batchId,
+//            correlationId, workflowRunId, payloadHash, outcome, details, prevHash, hash }
+// Actions:
+//   trigger.process | trigger.price | trigger.lock   one per dispatch attempt (dispatched / unknown / rejected / failed)
+//   trigger.run                                      the workflowRunId of a single-loan trigger's run, once found
+//   trigger.cancel                                   one per loan in a cancel request, with its cancel outcome
+//   results.lock | results.pricing                   one per loan result returned to a caller
+//   results.export                                   one per spreadsheet export
+//   lock.outcome                                     once per lock run, when its result is first known
+// Each record's hash covers its own fields and the previous record's hash, so editing or
+// removing any record breaks the chain from that point on (see verifyAuditChain). There is no
+// update or delete API.
+//
+// The trail is an append-only log (audit-log.ndjson, one record per line - lib/store.js): an
+// append writes only its own lines, chained to the last line already in the file.
+
+import { sha256, stableStringify } from './hashing.js';
+import { createLogger } from './logger.js';
+import { appendLogRecords, readLogRecords } from './store.js';
+
+const log = createLogger('audit');
+
+const LOG_NAME = 'audit-log';
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const AUDIT_ACTIONS = [
+    'trigger.process', 'trigger.price', 'trigger.lock', 'trigger.run', 'trigger.cancel',
+    'results.lock', 'results.pricing', 'results.export',
+    'lock.outcome'
+];
+
+// Append records in order; every record is chained to the one before it
+export async function appendAuditRecords(entries) {
+    if (entries.length === 0) {
+        return [];
+    }
+
+    return appendLogRecords(LOG_NAME, lastRecord => {
+        let last = lastRecord;
+        return entries.map(entry => {
+            const seq = last ? last.seq + 1 : 1;
+            const record = {
+                seq: seq,
+                auditId: `audit-${String(seq).padStart(10, '0')}`,
+                timestamp: new Date().toISOString(),
+                actor: entry.actor || 'system',
+                action: entry.action,
+                nexId: entry.nexId || null,
+                borrower: entry.borrower || null,
+                loanIndex: entry.loanIndex ?? null,
+                batchId: entry.batchId || null,
+                correlationId: entry.correlationId || null,
+                workflowRunId: entry.workflowRunId ?? null,
+                payloadHash: entry.payload === undefined ? null : sha256(stableStringify(entry.payload)),
+                outcome: entry.outcome || null,
+                details: entry.details || null,
+                prevHash: last ? last.hash : GENESIS_HASH
+            };
+            record.hash = hashRecord(record);
+            last = record;
+            return record;
+        });
+    });
+}
+
+// Audit failures are logged, never allowed to fail the action being audited
+export async function recordAudit(...entries) {
+    try {
+        return await appendAuditRecords(entries);
+    } catch (error) {
+        log.error('❌ Failed to write audit record', error);
+        return [];
+    }
+}
+
+// One results.lock / results.pricing entry per loan result returned to a caller
+export function resultAuditEntries(action, results, { actor, batchId = null }) {
+    return results.map(result => ({
+        actor: actor,
+        action: action,
+        nexId: result.nexId || result.nex_id,
+        borrower: result.borrowerName !== 'Unknown' ? result.borrowerName : null,
+        loanIndex: Number.isInteger(result.loanIndex) ? result.loanIndex : null,
+        batchId: batchId,
+        correlationId: result.correlationId,
+        workflowRunId: result.workflowId,
+        payload: result,
+        outcome: action === 'results.lock' ? (result.locked ? 'locked' : 'not_locked') : result.pricingStatus || null
+    }));
+}
+
+// filters: { actor, nexId, action, batchId, from, to, beforeSeq, limit }. Newest first.
+export async function queryAuditLog({ actor, nexId, action, batchId, from, to, beforeSeq, limit } = {}) {
+    const fromTime = from ? Date.parse(from) : null;
+    // A bare date as the upper bound includes that whole day
+    const toTime = to ? Date.parse(to) + (DATE_ONLY.test(to) ? DAY_MS - 1 : 0) : null;
+    const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+
+    const matching = (await readLogRecords(LOG_NAME))
+        .reverse()
+        .filter(record =>
+            (!actor || record.actor === actor) &&
+            (!nexId || record.nexId === nexId) &&
+            (!action || record.action === action) &&
+            (!batchId || record.batchId === batchId) &&
+            (fromTime === null || Date.parse(record.timestamp) >= fromTime) &&
+            (toTime === null || Date.parse(record.timestamp) <= toTime) &&
+            (!beforeSeq || record.seq < Number(beforeSeq))
+        );
+
+    const records = matching.slice(0, pageSize);
+    return {
+        records: records,
+        nextBeforeSeq: matching.length > pageSize ? records[records.length - 1].seq : null
+    };
+}
+
+// Recompute the chain. Returns { valid, checked, brokenAt: seq | null, reason, headHash }.
+// Truncating the end of the log leaves a valid shorter chain; compare headHash with a
+// previously recorded one to catch that.
+export async function verifyAuditChain() {
+    const records = await readLogRecords(LOG_NAME);
+    let prevHash = GENESIS_HASH;
+
+    for (const [position, record] of records.entries()) {
+        const problem = record.seq !== position + 1 ? `sequence gap before ${record.seq}`
+            : record.prevHash !== prevHash ? 'prevHash does not match the previous record'
+            : record.hash !== hashRecord(record) ? 'record contents do not match its hash'
+            : null;
+        if (problem) {
+            return { valid: false, checked: position, brokenAt: record.seq, reason: problem, headHash: null };
+        }
+        prevHash = record.hash;
+    }
+
+    return { valid: true, checked: records.length, brokenAt: null, reason: null, headHash: prevHash };
+}
+
+function hashRecord(record) {
+    const { hash, ...fields } = record;
+    return sha256(`${record.prevHash}\n${stableStringify(fields)}`);
+}
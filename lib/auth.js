@@ -0,0 +1,181 @@
+// /lib/auth.js
+// Authentication, role checks and CORS origin allowlist shared by every /api handler
+//
+// Callers authenticate with either
+//   - an API key:  X-API-Key: <key>  (or Authorization: Bearer <key>)
+//     configured in LOANNEX_API_KEYS as JSON:
+//     [{ "user": "alice", "roles": ["pricer"], "key": "..." }]  ("keyHash": sha256 hex also works)
+//   - a signed JWT: Authorization: Bearer <jwt>, HS256 with AUTH_JWT_SECRET,
+//     claims { sub, roles, exp }
+//
+// Roles: viewer (read results), pricer (trigger-pricing-only), locker (lock triggers), admin (all).
+// ALLOWED_ORIGINS is a comma-separated allowlist; unset means any origin ('*').
+// AUTH_DISABLED=true turns authentication off for local development only.
+// Event-stream endpoints may also accept ?access_token=<key or jwt>, since the browser
+// EventSource API cannot set request headers.
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('auth');
+
+export const ROLES = {
+    VIEWER: 'viewer',
+    PRICER: 'pricer',
+    LOCKER: 'locker',
+    ADMIN: 'admin'
+};
+
+// Anyone who can trigger work can also read its results
+export const READ_ROLES = [ROLES.VIEWER, ROLES.PRICER, ROLES.LOCKER];
+export const TRIGGER_ROLES = [ROLES.PRICER, ROLES.LOCKER];
+
+// Sets CORS headers for allowed origins. Returns false (after responding 403) for a disallowed origin.
+export function applyCors(req, res, methods = 'GET, POST, OPTIONS') {
+    const origin = req.headers?.origin;
+    const allowedOrigins = getAllowedOrigins();
+
+    if (allowedOrigins.length === 0) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && allowedOrigins.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+    } else if (origin) {
+        res.status(403).json({ success: false, message: `Origin not allowed: ${origin}` });
+        return false;
+    }
+
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, Idempotency-Key');
+    return true;
+}
+
+// Authenticates the request and checks it holds one of `roles` (admin always passes).
+// Returns the identity { userId, roles, authMethod } and sets req.user, or responds 401/403 and returns null.
+// options.allowQueryToken accepts ?access_token= when no Authorization/X-API-Key header is sent.
+export function requireAuth(req, res, roles = READ_ROLES, options = {}) {
+    const identity = authenticate(req, options);
+
+    if (identity.error) {
+        res.status(identity.status).json({ success: false, message: identity.error });
+        return null;
+    }
+
+    if (!hasRole(identity, roles)) {
+        res.status(403).json({
+            success: false,
+            message: `User ${identity.userId} needs one of the roles: ${roles.join(', ')}`
+        });
+        return null;
+    }
+
+    req.user = identity;
+    return identity;
+}
+
+export function hasRole(identity, roles) {
+    return identity.roles.includes(ROLES.ADMIN) || roles.some(role => identity.roles.includes(role));
+}
+
+// Owner filter for stored resources (credentials, batches): admins are not restricted
+export function ownerScope(identity) {
+    return identity.roles.includes(ROLES.ADMIN) ? null : identity.userId;
+}
+
+function authenticate(req, { allowQueryToken = false } = {}) {
+    if (process.env.AUTH_DISABLED === 'true') {
+        return { userId: 'anonymous', roles: [ROLES.ADMIN], authMethod: 'disabled' };
+    }
+
+    const apiKeys = getApiKeys();
+    const jwtSecret = process.env.AUTH_JWT_SECRET;
+
+    if (apiKeys.length === 0 && !jwtSecret) {
+        return { status: 500, error: 'Authentication not configured - set LOANNEX_API_KEYS or AUTH_JWT_SECRET' };
+    }
+
+    const headers = req.headers || {};
+    const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '')?.[1]?.trim()
+        || (allowQueryToken && !headers['x-api-key'] ? getQueryToken(req) : null);
+    const apiKey = headers['x-api-key'] || (bearer && bearer.split('.').length !== 3 ? bearer : null);
+
+    if (apiKey) {
+        const keyHash = sha256(apiKey);
+        const entry = apiKeys.find(candidate => safeEqual(candidate.keyHash || sha256(candidate.key || ''), keyHash));
+        if (!entry) {
+            return { status: 401, error: 'Invalid API key' };
+        }
+        return { userId: entry.user, roles: entry.roles || [], authMethod: 'api_key' };
+    }
+
+    if (bearer && jwtSecret) {
+        const claims = verifyJwt(bearer, jwtSecret);
+        if (!claims || !claims.sub) {
+            return { status: 401, error: 'Invalid or expired token' };
+        }
+        return { userId: claims.sub, roles: Array.isArray(claims.roles) ? claims.roles : [], authMethod: 'jwt' };
+    }
+
+    return { status: 401, error: 'Authentication required' };
+}
+
+// Minimal HS256 JWT verification (no external dependency)
+function verifyJwt(token, secret) {
+    try {
+        const [encodedHeader, encodedPayload, signature] = token.split('.');
+        const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+        if (header.alg !== 'HS256') {
+            return null;
+        }
+
+        const expected = createHmac('sha256', secret).update(`${encodedHeader}.${encodedPayload}`).digest('base64url');
+        if (!safeEqual(signature, expected)) {
+            return null;
+        }
+
+        const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        const now = Math.floor(Date.now() / 1000);
+        if ((claims.exp && claims.exp < now) || (claims.nbf && claims.nbf > now)) {
+            return null;
+        }
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getQueryToken(req) {
+    const token = req.query?.access_token ?? new URL(req.url || '/', 'http://localhost').searchParams.get('access_token');
+    return typeof token === 'string' && token.trim() ? token.trim() : null;
+}
+
+function getApiKeys() {
+    const raw = process.env.LOANNEX_API_KEYS;
+    if (!raw) {
+        return [];
+    }
+    try {
+        const keys = JSON.parse(raw);
+        return Array.isArray(keys) ? keys : [];
+    } catch (error) {
+        log.error('❌ LOANNEX_API_KEYS is not valid JSON');
+        return [];
+    }
+}
+
+function getAllowedOrigins() {
+    return (process.env.ALLOWED_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean);
+}
+
+function sha256(value) {
+    return createHash('sha256').update(String(value)).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && timingSafeEqual(left, right);
+}
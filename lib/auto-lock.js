@@ -0,0 +1,151 @@
+// /lib/auto-lock.js
+// Auto-lock over a pricing batch: decide every loan with the lock policy (lib/lock-policy.js) and
+// dispatch the locks it qualifies under a new selective-lock batch
+//
+// /api/auto-lock runs it on request. A batch can also have a standing policy, run once by itself
+// when the pricing-completion path - the GitHub webhook, the local executor, or a pricing results
+// read - finds every loan of the batch settled. A loan is settled once it is priced, failed or
+// cancelled; a run that succeeded but has not reported its pricing yet (logs or artifact not
+// available) is not, so its loan is not skipped as failed.
+
+import { FINAL_STATES, getBatchProgress } from './batch-progress.js';
+import { createBatch, findBatchDispatches } from './batches.js';
+import { dispatchLoanEntries } from './dispatch.js';
+import { getExecutor } from './executor.js';
+import { normalizeLoan } from './loan-schema.js';
+import { claimStandingPolicy, evaluateLockPolicy, getAutoLockedLoans, getLockDecisions, recordLockEvaluation } from './lock-policy.js';
+import { createLogger } from './logger.js';
+import { isFinalResult } from './results.js';
+
+const log = createLogger('auto-lock');
+
+const LOCK_CONCURRENCY = 2;
+const LOCK_MIN_INTERVAL_MS = 500;
+
+// Evaluate the policy for every loan of a pricing batch and, unless dryRun, dispatch the locks.
+// user: who the locks are dispatched as (their credentialRef). progress: getBatchProgress(batch), if at hand.
+// Returns { evaluation, summary, lockBatch }
+export async function runAutoLock(batch, { rules, selection = null, credentialRef = null, dryRun = false, user, progress = null }) {
+    const batchProgress = progress || await getBatchProgress(batch);
+    const alreadyLocked = await getAutoLockedLoans(batch.batchId);
+    const loanDataByIndex = new Map(batch.loans.map(loan => [loan.loanIndex, loan.loanData]));
+
+    // Decide every loan of the batch
+    const decisions = batchProgress.loans.map(progressLoan => {
+        const base = { loanIndex: progressLoan.loanIndex, correlationId: progressLoan.correlationId };
+
+        if (progressLoan.state === 'queued' || progressLoan.state === 'in_progress') {
+            return { ...base, decision: 'pending', ruleId: null, reason: `Pricing ${progressLoan.state}` };
+        }
+        if (progressLoan.state !== 'priced') {
+            const reason = progressLoan.state === 'cancelled' ? 'Pricing was cancelled' : progressLoan.result?.errorMessage || 'Pricing failed';
+            return { ...base, decision: 'skip', ruleId: null, reason: reason };
+        }
+        if (alreadyLocked.has(progressLoan.loanIndex)) {
+            return { ...base, decision: 'skip', ruleId: null, reason: `Lock already dispatched by evaluation ${alreadyLocked.get(progressLoan.loanIndex)}` };
+        }
+
+        const { loan } = normalizeLoan(loanDataByIndex.get(progressLoan.loanIndex));
+        const nexId = progressLoan.result.nex_id || loan?.nex_id || null;
+        const evaluation = evaluateLockPolicy(progressLoan.result, rules, { selection });
+
+        if (evaluation.decision === 'lock' && !loan) {
+            return { ...base, ...evaluation, decision: 'skip', reason: `${evaluation.reason}, but the batch has no valid loan data to lock it with` };
+        }
+        if (evaluation.decision === 'lock' && !nexId) {
+            return { ...base, ...evaluation, decision: 'skip', reason: `${evaluation.reason}, but the loan has no NexID (price with shouldSave first)` };
+        }
+        return { ...base, ...evaluation, nexId, loan: loan ? { ...loan, nex_id: nexId } : null };
+    });
+
+    const toLock = decisions.filter(decision => decision.decision === 'lock');
+    let lockBatch = null;
+
+    if (!dryRun && toLock.length > 0) {
+        lockBatch = await createBatch({
+            type: 'selective-lock',
+            loans: toLock.map(({ loanIndex, loan }) => ({ loanIndex, loanData: loan })),
+            createdBy: user.userId
+        });
+
+        log.info('🤖 AUTO-LOCK: dispatching locks', { locks: toLock.length, batchId: batch.batchId, lockBatchId: lockBatch.batchId });
+
+        const manifest = await dispatchLoanEntries(getExecutor(), {
+            mode: 'lock',
+            batch: lockBatch,
+            entries: toLock,
+            credentialRef,
+            user,
+            concurrency: LOCK_CONCURRENCY,
+            minIntervalMs: LOCK_MIN_INTERVAL_MS
+        });
+        toLock.forEach((decision, position) => {
+            decision.dispatch = manifest[position];
+        });
+    }
+
+    const evaluation = await recordLockEvaluation(batch.batchId, {
+        dryRun: dryRun,
+        evaluatedBy: user.userId,
+        rules: rules,
+        selection: selection || null,
+        lockBatchId: lockBatch ? lockBatch.batchId : null,
+        loans: decisions.map(({ loan, ...decision }) => decision)
+    });
+
+    const summary = {
+        lock: toLock.length,
+        skip: decisions.filter(decision => decision.decision === 'skip').length,
+        pending: decisions.filter(decision => decision.decision === 'pending').length,
+        dispatched: toLock.filter(decision => decision.dispatch?.status === 'dispatched').length
+    };
+
+    log.info('🤖 AUTO-LOCK: decided', { batchId: batch.batchId, dryRun, ...summary });
+
+    return { evaluation, summary, lockBatch };
+}
+
+// Run the batch's standing policy if every loan has settled. Returns runAutoLock's result, or null
+// when there is no policy to run, pricing is still going, or the policy already ran.
+export async function runStandingPolicy(batch) {
+    if (batch.type !== 'price-loans-only') {
+        return null;
+    }
+    const { standing } = await getLockDecisions(batch.batchId);
+    if (!standing || standing.firedAt) {
+        return null;
+    }
+
+    const progress = await getBatchProgress(batch);
+    if (!progress.loans.every(isSettled)) {
+        return null;
+    }
+
+    // Concurrent completions can all get here; only the one that claims the policy runs it
+    const policy = await claimStandingPolicy(batch.batchId);
+    if (!policy) {
+        return null;
+    }
+
+    log.info('🤖 AUTO-LOCK: batch priced - running its standing policy', { batchId: batch.batchId, savedBy: policy.user.userId });
+    return runAutoLock(batch, { ...policy, progress });
+}
+
+// The pricing run behind correlationId finished: run its batch's standing policy if that was the
+// last loan. Never throws - a failure is logged and the policy can still be run via /api/auto-lock.
+export async function runStandingPolicyAfterPricing(correlationId) {
+    try {
+        const [found] = correlationId ? await findBatchDispatches(dispatch => dispatch.correlationId === correlationId) : [];
+        return found ? await runStandingPolicy(found.batch) : null;
+    } catch (error) {
+        log.error('❌ AUTO-LOCK: standing policy failed', { correlationId, error });
+        return null;
+    }
+}
+
+function isSettled(loan) {
+    if (!FINAL_STATES.includes(loan.state)) {
+        return false;
+    }
+    return !(loan.state === 'failed' && loan.conclusion === 'success' && !isFinalResult(loan.result));
+}
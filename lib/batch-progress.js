@@ -0,0 +1,102 @@
+// /lib/batch-progress.js
+// Per-loan progress of a batch, used by the /api/batch-progress event stream
+//
+// Loan states: queued (not dispatched yet, or the run has not started), in_progress,
+// priced, locked, failed, cancelled. priced/locked/failed/cancelled are final.
+// cancelled: the run was cancelled before it priced or locked, or the batch was cancelled
+// before the loan was dispatched. A loan its bulk call could not dispatch (invalid, rejected,
+// failed - see lib/dispatch-queue.js) is failed, with the reason in `error`.
+//
+// A process-loans run prices and locks its loan in one go, so its loans never report priced: they
+// end locked or failed on the lock result, and carry the pricing the run reported as `pricing`.
+// Each loan is read as the kind of run it was dispatched as: an untyped batch can hold pricing and
+// lock loans side by side.
+
+import { getBatchDispatchPlan } from './batches.js';
+import { enforcePendingCancellations, wasCancelledBeforeResult } from './cancellation.js';
+import { getQueuedLoans } from './dispatch-queue.js';
+import { getExecutor } from './executor.js';
+import { getRunResult } from './result-cache.js';
+import { withDispatchInfo } from './results.js';
+import { findRunsWithStore, resultKindOf } from './run-store.js';
+
+export const LOAN_STATES = ['queued', 'in_progress', 'priced', 'locked', 'failed', 'cancelled'];
+export const FINAL_STATES = ['priced', 'locked', 'failed', 'cancelled'];
+
+// Returns { loans: [{ loanIndex, state, eventType, correlationId, workflowRunId, runUrl, conclusion, result, pricing, error }], isComplete }
+// pricing: the pricing result of a finished process-loans run, null otherwise
+export async function getBatchProgress(batch) {
+    const plan = getBatchDispatchPlan(batch);
+    const eventTypeOf = dispatch => dispatch.eventType || batch.type;
+
+    const { matches } = await findRunsWithStore(plan.dispatches, dispatch => resultKindOf(eventTypeOf(dispatch)), getExecutor());
+    await enforcePendingCancellations(matches);
+
+    const queued = await getQueuedLoans(batch.batchId);
+    const undispatchedError = loanIndex => {
+        const outcome = queued.get(loanIndex)?.outcome;
+        return outcome ? outcome.error || (outcome.errors || []).map(error => error.message).join('; ') || null : null;
+    };
+
+    const loans = [...plan.notDispatched, ...plan.cancelled].map(({ loanIndex, state }) => {
+        const error = state === 'cancelled' ? null : undispatchedError(loanIndex);
+        return {
+            loanIndex,
+            state: state === 'cancelled' ? 'cancelled' : error ? 'failed' : 'queued',
+            eventType: batch.type,
+            correlationId: null,
+            workflowRunId: null,
+            runUrl: null,
+            conclusion: null,
+            result: null,
+            pricing: null,
+            error: error
+        };
+    });
+
+    for (const { dispatch, run, storedResult } of matches) {
+        const eventType = eventTypeOf(dispatch);
+        const kind = resultKindOf(eventType);
+        const progress = {
+            loanIndex: dispatch.loanIndex ?? null,
+            state: 'queued',
+            eventType: eventType,
+            correlationId: dispatch.correlationId || null,
+            workflowRunId: run ? run.id : null,
+            runUrl: run ? run.html_url : null,
+            conclusion: run ? run.conclusion : null,
+            result: null,
+            pricing: null,
+            error: null
+        };
+
+        if (run && run.status === 'completed' && run.conclusion !== null) {
+            const result = await getRunResult(run, kind, { storedResult, dispatchedAt: dispatch.dispatchedAt });
+            progress.result = result ? withDispatchInfo(result, dispatch) : null;
+            progress.state = wasCancelledBeforeResult(run, result) ? 'cancelled' : finalState(kind, result);
+
+            if (eventType === 'process-loans') {
+                const pricing = await getRunResult(run, 'pricing', { dispatchedAt: dispatch.dispatchedAt });
+                progress.pricing = pricing ? withDispatchInfo(pricing, dispatch) : null;
+            }
+        } else if (run && run.status === 'in_progress') {
+            progress.state = 'in_progress';
+        }
+
+        loans.push(progress);
+    }
+
+    loans.sort((a, b) => (a.loanIndex ?? Infinity) - (b.loanIndex ?? Infinity));
+
+    return {
+        loans,
+        isComplete: loans.every(loan => FINAL_STATES.includes(loan.state))
+    };
+}
+
+function finalState(kind, result) {
+    if (kind === 'pricing') {
+        return result && result.pricingStatus === 'success' ? 'priced' : 'failed';
+    }
+    return result && result.locked ? 'locked' : 'failed';
+}
@@ -0,0 +1,183 @@
+// /lib/batches.js
+// First-class batch objects: which loans belong to a batch and which runs were dispatched for them
+//
+// A batch belongs to the user who created it. Reads and changes made for a user take
+// { owner: ownerScope(user) } (lib/auth.js) and find only that user's batches - any batch for admins
+// (owner null) and for the server's own lookups, which pass no owner.
+
+import { randomUUID } from 'crypto';
+import { getRecord, readCollection, updateCollection } from './store.js';
+
+const COLLECTION = 'batches';
+
+export const BATCH_TYPES = ['process-loans', 'price-loans-only', 'selective-lock'];
+
+// loans: [{ loanIndex, loanData }] - loanIndex defaults to the position in the array; see
+// describeBatchLoanErrors for what a list must look like. createdBy: the userId that owns the batch
+export async function createBatch({ type, loans, createdBy }) {
+    const loanErrors = describeBatchLoanErrors(loans);
+    if (loanErrors) {
+        throw new Error(loanErrors);
+    }
+
+    const batch = {
+        batchId: `batch-${randomUUID()}`,
+        type: type || null,
+        createdBy: createdBy || null,
+        owner: createdBy || null,
+        createdAt: new Date().toISOString(),
+        loans: loans.map((loan, position) => ({
+            loanIndex: loan.loanIndex ?? position,
+            loanData: loan.loanData || null
+        })),
+        dispatches: [],
+        cancelledAt: null,
+        cancelledBy: null
+    };
+
+    await updateCollection(COLLECTION, batches => {
+        batches[batch.batchId] = batch;
+    });
+
+    return batch;
+}
+
+// Why a loan list cannot make a batch, or null: every entry must be an object, and its loanIndex
+// (the position when left out) a whole number no other entry uses
+export function describeBatchLoanErrors(loans) {
+    const invalidPositions = [];
+    const indexes = [];
+
+    loans.forEach((loan, position) => {
+        if (!loan || typeof loan !== 'object' || Array.isArray(loan)) {
+            invalidPositions.push(position);
+            return;
+        }
+        const loanIndex = loan.loanIndex ?? position;
+        if (!Number.isInteger(loanIndex) || loanIndex < 0) {
+            invalidPositions.push(position);
+            return;
+        }
+        indexes.push(loanIndex);
+    });
+
+    const duplicates = [...new Set(indexes.filter((loanIndex, position) => indexes.indexOf(loanIndex) !== position))];
+    const errors = [
+        invalidPositions.length > 0 ? `Invalid loan entries at positions ${invalidPositions.join(', ')} - expected { loanIndex, loanData } with a whole-number loanIndex` : null,
+        duplicates.length > 0 ? `Duplicate loanIndex values: ${duplicates.join(', ')}` : null
+    ].filter(Boolean);
+
+    return errors.length > 0 ? errors.join('; ') : null;
+}
+
+export async function getBatch(batchId, { owner } = {}) {
+    const batch = await getRecord(COLLECTION, batchId);
+    return isVisibleTo(batch, owner) ? batch : null;
+}
+
+// Returns an error message if this loan/event may not be dispatched under the batch, else null
+export function validateBatchDispatch(batch, loanIndex, eventType) {
+    if (batch.cancelledAt) {
+        return `Batch ${batch.batchId} was cancelled by ${batch.cancelledBy} at ${batch.cancelledAt}`;
+    }
+    if (batch.type && batch.type !== eventType) {
+        return `Batch ${batch.batchId} is a ${batch.type} batch, not ${eventType}`;
+    }
+    if (!batch.loans.some(loan => loan.loanIndex === loanIndex)) {
+        return `Loan index ${loanIndex} is not part of batch ${batch.batchId}`;
+    }
+    return null;
+}
+
+// No further loans are dispatched under a cancelled batch (see lib/cancellation.js for its runs)
+export async function markBatchCancelled(batchId, { cancelledBy, owner }) {
+    return updateCollection(COLLECTION, batches => {
+        const batch = batches[batchId];
+        if (!isVisibleTo(batch, owner)) {
+            throw new Error(`Batch ${batchId} not found`);
+        }
+        if (!batch.cancelledAt) {
+            batch.cancelledAt = new Date().toISOString();
+            batch.cancelledBy = cancelledBy;
+        }
+        return batch;
+    });
+}
+
+// dispatch: { loanIndex, correlationId, workflowRunId, eventType, dispatchedAt, credentialRef,
+//            shouldSave?, attempt?, retryOf? } - retryOf: { correlationId, workflowRunId, attempt }
+export async function recordBatchDispatch(batchId, dispatch) {
+    return updateCollection(COLLECTION, batches => {
+        const batch = batches[batchId];
+        if (!batch) {
+            throw new Error(`Batch ${batchId} not found`);
+        }
+        batch.dispatches.push(dispatch);
+        return batch;
+    });
+}
+
+// Persist run IDs resolved later by the results endpoints so they are not searched for again
+export async function recordResolvedRuns(batchId, matches) {
+    const resolved = matches.filter(({ dispatch, run }) => run && !dispatch.workflowRunId);
+    if (resolved.length === 0) {
+        return;
+    }
+
+    await updateCollection(COLLECTION, batches => {
+        const batch = batches[batchId];
+        if (!batch) {
+            return;
+        }
+        for (const { dispatch, run } of resolved) {
+            const stored = batch.dispatches.find(candidate => candidate.correlationId === dispatch.correlationId);
+            if (stored) {
+                stored.workflowRunId = run.id;
+            }
+        }
+    });
+}
+
+// Every batch dispatch matching predicate(dispatch), across the owner's batches: [{ batch, dispatch }]
+export async function findBatchDispatches(predicate, { owner } = {}) {
+    const batches = await readCollection(COLLECTION);
+    return Object.values(batches).filter(batch => isVisibleTo(batch, owner)).flatMap(batch =>
+        batch.dispatches.filter(predicate).map(dispatch => ({ batch, dispatch }))
+    );
+}
+
+// The most recent dispatch for each loan (with its 1-based attempt number), plus the loans
+// nothing has been dispatched for yet. In a cancelled batch those loans never will be: they are
+// listed as cancelled instead.
+export function getBatchDispatchPlan(batch) {
+    const latestByLoan = new Map();
+    for (const dispatch of batch.dispatches) {
+        const attempt = (latestByLoan.get(dispatch.loanIndex)?.attempt || 0) + 1;
+        latestByLoan.set(dispatch.loanIndex, { ...dispatch, attempt: dispatch.attempt ?? attempt });
+    }
+
+    const undispatched = batch.loans.filter(loan => !latestByLoan.has(loan.loanIndex));
+
+    return {
+        dispatches: [...latestByLoan.values()],
+        notDispatched: batch.cancelledAt ? [] : undispatched.map(loan => ({ loanIndex: loan.loanIndex, state: 'not_dispatched' })),
+        cancelled: batch.cancelledAt ? undispatched.map(loan => ({ loanIndex: loan.loanIndex, correlationId: null, workflowRunId: null, state: 'cancelled' })) : []
+    };
+}
+
+// Loans whose dispatch has not produced a finished run yet
+export function describePendingLoans(matches, isComplete) {
+    return matches
+        .filter(({ run }) => !run || !isComplete(run))
+        .map(({ dispatch, run }) => ({
+            loanIndex: dispatch.loanIndex ?? null,
+            correlationId: dispatch.correlationId || null,
+            workflowRunId: run ? run.id : null,
+            state: run ? run.status : 'awaiting_run'
+        }));
+}
+
+// Batches stored before they had an owner are visible to everyone
+function isVisibleTo(batch, owner) {
+    return Boolean(batch) && (!owner || !batch.owner || batch.owner === owner);
+}
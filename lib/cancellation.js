@@ -0,0 +1,134 @@
+// /lib/cancellation.js
+// Cancel dispatched loans: one loan's run, or every run of a batch
+//
+// A cancel asks the executor that owns the run to stop it (GitHub: the Actions cancel API) and
+// records the request in the `cancellations` collection, keyed by correlation ID. Outcomes:
+//   cancel_requested  - the executor accepted the cancel; the run reports conclusion 'cancelled'
+//   awaiting_run      - dispatched, but no run yet; it is cancelled as soon as the webhook or a
+//                       results poll sees it
+//   already_completed - the run had finished; nothing was stopped
+//   failed            - the executor refused the cancel (see error)
+// A loan counts as cancelled when its run concluded 'cancelled' before it priced or locked.
+
+import { recordAudit } from './audit.js';
+import { getExecutorForRun } from './executor.js';
+import { GitHubRateLimitError } from './github.js';
+import { createLogger } from './logger.js';
+import { readCollection, updateCollection } from './store.js';
+
+const log = createLogger('cancellation');
+
+const COLLECTION = 'cancellations';
+
+// matches: [{ dispatch, run }] as returned by findRunsWithStore.
+// Returns one entry per match, in order: { loanIndex, correlationId, workflowRunId, outcome, error? }
+export async function cancelDispatches(matches, { requestedBy, batchId = null }) {
+    const entries = [];
+
+    for (const { dispatch, run } of matches) {
+        const entry = {
+            loanIndex: dispatch.loanIndex ?? null,
+            correlationId: dispatch.correlationId || null,
+            workflowRunId: run ? run.id : dispatch.workflowRunId || null,
+            outcome: 'awaiting_run'
+        };
+
+        if (run && run.status === 'completed') {
+            entry.outcome = 'already_completed';
+        } else if (run) {
+            try {
+                entry.outcome = (await getExecutorForRun(run).cancel(run)) ? 'cancel_requested' : 'already_completed';
+            } catch (error) {
+                if (error instanceof GitHubRateLimitError) {
+                    throw error;
+                }
+                log.error('❌ Cancel failed', { workflowRunId: run.id, error });
+                entry.outcome = 'failed';
+                entry.error = error.message;
+            }
+        }
+
+        entries.push(entry);
+    }
+
+    const requestedAt = new Date().toISOString();
+    await updateCollection(COLLECTION, cancellations => {
+        for (const entry of entries) {
+            if (entry.correlationId && (entry.outcome === 'cancel_requested' || entry.outcome === 'awaiting_run')) {
+                cancellations[entry.correlationId] = { ...entry, batchId, requestedBy, requestedAt };
+            }
+        }
+    });
+
+    await recordAudit(...entries.map(entry => ({
+        actor: requestedBy,
+        action: 'trigger.cancel',
+        loanIndex: entry.loanIndex,
+        batchId: batchId,
+        correlationId: entry.correlationId,
+        workflowRunId: entry.workflowRunId,
+        outcome: entry.outcome,
+        details: entry.error ? { error: entry.error } : null
+    })));
+
+    log.info('🛑 CANCEL', { requestedBy, batchId, outcomes: entries.map(entry => ({ correlationId: entry.correlationId, workflowRunId: entry.workflowRunId, outcome: entry.outcome })) });
+
+    return entries;
+}
+
+// Cancel the runs of dispatches that were cancelled before their run appeared.
+// matches: [{ dispatch, run }]; called wherever runs are looked up (webhook, results, progress).
+export async function enforcePendingCancellations(matches) {
+    const cancellations = await readCollection(COLLECTION);
+    const due = matches.filter(({ dispatch, run }) =>
+        run && run.status !== 'completed' && cancellations[dispatch.correlationId]?.outcome === 'awaiting_run'
+    );
+
+    for (const { dispatch, run } of due) {
+        let outcome = 'failed';
+        try {
+            outcome = (await getExecutorForRun(run).cancel(run)) ? 'cancel_requested' : 'already_completed';
+        } catch (error) {
+            log.error('❌ Deferred cancel failed', { workflowRunId: run.id, error });
+        }
+
+        log.info('🛑 Deferred cancel', { correlationId: dispatch.correlationId, workflowRunId: run.id, outcome });
+        await updateCollection(COLLECTION, current => {
+            if (current[dispatch.correlationId]) {
+                Object.assign(current[dispatch.correlationId], { workflowRunId: run.id, outcome });
+            }
+        });
+    }
+}
+
+// Cancellation records by correlation ID, for reporting
+export async function getCancellations() {
+    return new Map(Object.entries(await readCollection(COLLECTION)));
+}
+
+// True when the run was cancelled before it produced a price or a lock
+export function wasCancelledBeforeResult(run, result) {
+    return Boolean(run) && run.conclusion === 'cancelled' && !(result && (result.locked || result.pricingStatus === 'success'));
+}
+
+// Flag a parsed result of a finished run: cancelled, and who asked for it (null if cancelled elsewhere)
+export function withCancellationInfo(result, run, cancellations) {
+    const cancelled = wasCancelledBeforeResult(run, result);
+    const record = cancellations.get(result.correlationId);
+    return {
+        ...result,
+        cancelled: cancelled,
+        cancellation: record ? { requestedBy: record.requestedBy, requestedAt: record.requestedAt, outcome: record.outcome } : null
+    };
+}
+
+// Loans of a results response that were cancelled before a result: never dispatched in a
+// cancelled batch, or their run was cancelled. results must carry withCancellationInfo flags.
+export function listCancelledLoans(plan, results) {
+    return [
+        ...plan.cancelled,
+        ...results
+            .filter(result => result.cancelled)
+            .map(result => ({ loanIndex: result.loanIndex, correlationId: result.correlationId, workflowRunId: result.workflowId, state: 'cancelled' }))
+    ];
+}
@@ -0,0 +1,27 @@
+// /lib/concurrency.js
+// Run async work over a list with a concurrency cap and a minimum spacing between starts
+
+export async function mapWithLimits(items, { concurrency = 4, minIntervalMs = 0 } = {}, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let nextStartAt = 0;
+
+    async function runWorker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+
+            // Rate limit: reserve the next start slot before waiting for it
+            const startAt = Math.max(Date.now(), nextStartAt);
+            nextStartAt = startAt + minIntervalMs;
+            if (startAt > Date.now()) {
+                await new Promise(resolve => setTimeout(resolve, startAt - Date.now()));
+            }
+
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, runWorker);
+    await Promise.all(workers);
+    return results;
+}
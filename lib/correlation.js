@@ -0,0 +1,137 @@
+// /lib/correlation.js
+// Deterministic dispatch -> workflow run correlation
+//
+// Every repository_dispatch carries a unique correlation_id in its client_payload.
+// The llpa-rate-comparator workflows echo it into the run title:
+//
+//     run-name: "${{ github.event.action }} ${{ github.event.client_payload.correlation_id }}"
+//
+// so the exact run can be found by its display_title instead of guessing
+// "the most recent run in the last 30 seconds".
+//
+// RUN_RESOLVE_INTERVAL_MS overrides the wait before the run lookup after a dispatch (default 1000).
+
+import { randomUUID } from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('correlation');
+
+const RESOLVE_ATTEMPTS = 1;
+const RESOLVE_INTERVAL_MS = 1000;
+const MAX_SEARCH_PAGES = 5;
+
+export function createCorrelationId() {
+    return `lnx-${randomUUID()}`;
+}
+
+export function runMatchesCorrelation(run, correlationId) {
+    if (!run || !correlationId) {
+        return false;
+    }
+    return [run.display_title, run.name].some(title => typeof title === 'string' && title.includes(correlationId));
+}
+
+// Look for the repository_dispatch run stamped with correlationId, after a short wait: by default
+// once, so a trigger request is never held polling for it. Returns the run, or null if GitHub has
+// not created it yet (callers keep the correlationId and the results endpoints resolve it later).
+// options.attempts polls up to that many times instead.
+export async function resolveRunByCorrelationId(github, correlationId, options = {}) {
+    const attempts = options.attempts || RESOLVE_ATTEMPTS;
+    const intervalMs = options.intervalMs ?? (Number(process.env.RUN_RESOLVE_INTERVAL_MS) || RESOLVE_INTERVAL_MS);
+    const dispatchedAt = options.dispatchedAt || new Date().toISOString();
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        await sleep(intervalMs);
+
+        try {
+            const runs = await listDispatchRuns(github, { createdAfter: dispatchedAt, page: 1 });
+            const run = runs.find(candidate => runMatchesCorrelation(candidate, correlationId));
+
+            if (run) {
+                log.info('🔗 Resolved run', { correlationId, workflowRunId: run.id, attempt });
+                return run;
+            }
+        } catch (error) {
+            log.warn('🔗 Run lookup failed', { correlationId, attempt, error });
+        }
+    }
+
+    log.info('🔗 Run not created yet', { correlationId, attempts });
+    return null;
+}
+
+// Find the workflow run for each dispatch. A dispatch is { correlationId, workflowRunId, ... }
+// as returned by the trigger endpoints. Known run IDs are fetched directly; the rest are
+// matched by display title. Returns [{ dispatch, run }] with run === null when not found yet.
+export async function findRunsForDispatches(github, dispatches) {
+    const matches = [];
+    const unresolved = [];
+
+    for (const dispatch of dispatches) {
+        if (dispatch.workflowRunId) {
+            const run = await github.getRun(dispatch.workflowRunId);
+            matches.push({ dispatch, run });
+        } else if (dispatch.correlationId) {
+            const match = { dispatch, run: null };
+            matches.push(match);
+            unresolved.push(match);
+        }
+    }
+
+    if (unresolved.length > 0) {
+        const createdAfter = earliestDispatchTime(unresolved.map(match => match.dispatch));
+
+        for (let page = 1; page <= MAX_SEARCH_PAGES && unresolved.some(match => !match.run); page++) {
+            const runs = await listDispatchRuns(github, { createdAfter, page });
+
+            for (const match of unresolved) {
+                if (!match.run) {
+                    match.run = runs.find(run => runMatchesCorrelation(run, match.dispatch.correlationId)) || null;
+                }
+            }
+
+            if (runs.length < 100) {
+                break;
+            }
+        }
+    }
+
+    return matches;
+}
+
+// Accepts the results-endpoint request body and returns a clean list of dispatches
+export function normalizeDispatches(body) {
+    const dispatches = Array.isArray(body.dispatches) ? body.dispatches : [];
+    const fromIds = (Array.isArray(body.correlationIds) ? body.correlationIds : [])
+        .map(correlationId => ({ correlationId }));
+
+    return [...dispatches, ...fromIds]
+        .filter(dispatch => dispatch && (dispatch.correlationId || dispatch.workflowRunId));
+}
+
+function listDispatchRuns(github, { createdAfter, page }) {
+    const params = {
+        event: 'repository_dispatch',
+        per_page: '100',
+        page: String(page)
+    };
+    if (createdAfter) {
+        // GitHub's created filter has second precision; back off a little for clock skew
+        const since = new Date(new Date(createdAfter).getTime() - 60000).toISOString().replace(/\.\d+Z$/, 'Z');
+        params.created = `>=${since}`;
+    }
+
+    return github.listRuns(params);
+}
+
+function earliestDispatchTime(dispatches) {
+    const times = dispatches
+        .map(dispatch => Date.parse(dispatch.dispatchedAt || dispatch.timestamp))
+        .filter(time => !Number.isNaN(time));
+
+    return times.length > 0 ? new Date(Math.min(...times)).toISOString() : null;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,80 @@
+// /lib/csv.js
+// RFC 4180 CSV reader / writer (no external dependency)
+
+const DELIMITERS = [',', ';', '\t'];
+
+// rows: array of arrays of cell values -> CSV text (CRLF line endings)
+export function toCsv(rows) {
+    return rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function formatCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+    }
+
+    let text = String(value);
+    // Spreadsheet apps execute cells starting with these as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV text -> array of rows (arrays of strings). Handles quoted fields with embedded
+// delimiters, quotes and line breaks. The delimiter is detected from the first line unless given.
+export function parseCsv(text, { delimiter } = {}) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const separator = delimiter || detectDelimiter(input);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+function detectDelimiter(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    return DELIMITERS
+        .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+}
@@ -0,0 +1,176 @@
+// /lib/dispatch-queue.js
+// Bulk dispatches waiting to be sent, one queue per batch
+//
+// /api/trigger-bulk validates a loan tape, queues its loans here and answers at once; the loans
+// are sent by drainDispatchQueue, which the batch progress stream (/api/batch-progress) calls on
+// every pass - a time slice at a time, at the rate and concurrency the bulk call asked for.
+// Items go queued -> sending -> done. A drain claims its items before sending them, so two
+// streams on one batch never send a loan twice; an item left sending by a drain that died is
+// not sent again (GitHub may have accepted it) and is reported as unknown instead.
+
+import { randomUUID } from 'crypto';
+import { getBatch } from './batches.js';
+import { dispatchLoanEntries } from './dispatch.js';
+import { getExecutor } from './executor.js';
+import { createLogger } from './logger.js';
+import { readCollection, updateCollection } from './store.js';
+
+const log = createLogger('dispatch-queue');
+
+const COLLECTION = 'dispatch-queue';
+const DEFAULT_BUDGET_MS = 5000;
+
+// How long past its time slice a claimed item may stay sending before it counts as interrupted
+const SENDING_GRACE_MS = 2 * 60 * 1000;
+
+// Queue the loans of one bulk call under batchId.
+// entries: [{ loanIndex, loan, errors }] - loans with errors are recorded as invalid, not sent.
+// options: { mode, credentialRef, user, shouldSave, overrideLockGuard, concurrency, maxPerSecond }
+// Returns one manifest entry per loan, in order:
+// { loanIndex, status: 'queued' | 'invalid' | 'rejected', errors?, error? }
+// 'rejected': the loan is already waiting in this batch's queue
+export async function queueBulkDispatches(batchId, entries, { mode, credentialRef, user, shouldSave, overrideLockGuard, concurrency, maxPerSecond }) {
+    const callId = `bulk-${randomUUID()}`;
+    const queuedAt = new Date().toISOString();
+
+    return updateCollection(COLLECTION, queues => {
+        const queue = queues[batchId] || (queues[batchId] = { batchId, calls: {}, items: [] });
+        const waiting = new Set(queue.items.filter(item => item.state !== 'done').map(item => item.loanIndex));
+
+        queue.calls[callId] = {
+            mode: mode,
+            credentialRef: credentialRef,
+            user: { userId: user.userId, roles: user.roles },
+            shouldSave: shouldSave || false,
+            overrideLockGuard: overrideLockGuard === true,
+            concurrency: concurrency,
+            maxPerSecond: maxPerSecond,
+            queuedAt: queuedAt
+        };
+
+        return entries.map(({ loanIndex, loan, errors }) => {
+            if (errors.length > 0) {
+                const outcome = { loanIndex, status: 'invalid', errors };
+                queue.items.push({ callId, loanIndex, loan: null, state: 'done', claimedAt: null, leaseUntil: null, outcome });
+                return outcome;
+            }
+            if (waiting.has(loanIndex)) {
+                return { loanIndex, status: 'rejected', error: `Loan index ${loanIndex} is already queued in batch ${batchId}` };
+            }
+            queue.items.push({ callId, loanIndex, loan, state: 'queued', claimedAt: null, leaseUntil: null, outcome: null });
+            return { loanIndex, status: 'queued' };
+        });
+    });
+}
+
+// Send queued loans of the batch for up to budgetMs. Returns the manifest entries of what was
+// sent (see dispatchLoanEntries, lib/dispatch.js); an empty list once nothing is queued.
+export async function drainDispatchQueue(batchId, { budgetMs = DEFAULT_BUDGET_MS } = {}) {
+    const deadline = Date.now() + budgetMs;
+    const sent = [];
+
+    while (Date.now() < deadline) {
+        const batch = await getBatch(batchId);
+        if (!batch) {
+            break;
+        }
+
+        const claim = await claimQueuedItems(batch, deadline - Date.now());
+        if (!claim) {
+            break;
+        }
+
+        const { call, positions, items } = claim;
+        const sliceEndsAt = Date.now() + items.length * 1000 / call.maxPerSecond;
+        log.info('📦 QUEUE: sending', { batchId, mode: call.mode, loans: items.length, maxPerSecond: call.maxPerSecond });
+
+        const manifest = await dispatchLoanEntries(getExecutor(), {
+            mode: call.mode,
+            batch,
+            entries: items.map(({ loanIndex, loan }) => ({ loanIndex, loan })),
+            credentialRef: call.credentialRef,
+            user: call.user,
+            shouldSave: call.shouldSave,
+            overrideLockGuard: call.overrideLockGuard,
+            concurrency: call.concurrency,
+            minIntervalMs: 1000 / call.maxPerSecond
+        });
+
+        await updateCollection(COLLECTION, queues => {
+            positions.forEach((position, offset) => {
+                Object.assign(queues[batchId].items[position], { state: 'done', outcome: manifest[offset] });
+            });
+        });
+        sent.push(...manifest);
+
+        // Keep to the call's rate across slices, not just within one
+        if (sliceEndsAt >= deadline) {
+            break;
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.max(0, sliceEndsAt - Date.now())));
+    }
+
+    return sent;
+}
+
+// loanIndex -> the latest queue item for each loan of the batch: { state, outcome }
+export async function getQueuedLoans(batchId) {
+    const queue = (await readCollection(COLLECTION))[batchId];
+    const latest = new Map();
+    for (const item of queue?.items || []) {
+        latest.set(item.loanIndex, { state: item.state, outcome: item.outcome });
+    }
+    return latest;
+}
+
+// Claim as many queued items of the oldest waiting call as its rate sends in remainingMs.
+// In a cancelled batch every queued item is settled as rejected instead.
+async function claimQueuedItems(batch, remainingMs) {
+    return updateCollection(COLLECTION, queues => {
+        const queue = queues[batch.batchId];
+        if (!queue) {
+            return null;
+        }
+
+        const now = Date.now();
+        queue.items.forEach(item => {
+            if (item.state === 'sending' && Date.parse(item.leaseUntil) < now) {
+                log.warn('❓ QUEUE: dispatch interrupted - not resending', { batchId: batch.batchId, loanIndex: item.loanIndex });
+                item.state = 'done';
+                item.outcome = {
+                    loanIndex: item.loanIndex,
+                    status: 'unknown',
+                    error: 'Dispatching was interrupted - look for the run before sending the loan again'
+                };
+            }
+            if (item.state === 'queued' && batch.cancelledAt) {
+                item.state = 'done';
+                item.outcome = {
+                    loanIndex: item.loanIndex,
+                    status: 'rejected',
+                    error: `Batch ${batch.batchId} was cancelled by ${batch.cancelledBy} at ${batch.cancelledAt}`
+                };
+            }
+        });
+
+        const first = queue.items.find(item => item.state === 'queued');
+        if (!first) {
+            return null;
+        }
+
+        const call = queue.calls[first.callId];
+        const limit = Math.max(1, Math.floor(remainingMs / 1000 * call.maxPerSecond));
+        const claimedAt = new Date(now).toISOString();
+        const leaseUntil = new Date(now + remainingMs + SENDING_GRACE_MS).toISOString();
+        const positions = [];
+
+        queue.items.forEach((item, position) => {
+            if (positions.length < limit && item.state === 'queued' && item.callId === first.callId) {
+                Object.assign(item, { state: 'sending', claimedAt, leaseUntil });
+                positions.push(position);
+            }
+        });
+
+        return { call, positions, items: positions.map(position => queue.items[position]) };
+    });
+}
@@ -0,0 +1,59 @@
+// /lib/dispatch-records.js
+// Who sent each dispatch and what it started, by correlation ID
+//
+// sendLoanDispatch (lib/dispatch.js) records every dispatch that went out - or may have, when its
+// outcome is unknown - so a loan can be traced to its owner and event type before its run exists.
+// Dispatches sent before these records existed are still found through the batch they were sent
+// under. Like batches, a record is seen only by its owner ({ owner: ownerScope(user) }, lib/auth.js),
+// by admins and by the server's own lookups, which pass no owner.
+
+import { findBatchDispatches } from './batches.js';
+import { readCollection, updateCollection } from './store.js';
+
+const COLLECTION = 'dispatch-records';
+
+export async function recordDispatch({ correlationId, eventType, requestedBy, batchId = null, dispatchedAt }) {
+    await updateCollection(COLLECTION, records => {
+        records[correlationId] = {
+            correlationId: correlationId,
+            eventType: eventType,
+            owner: requestedBy || null,
+            batchId: batchId,
+            dispatchedAt: dispatchedAt
+        };
+    });
+}
+
+// correlationId -> { correlationId, eventType, owner, batchId, dispatchedAt } for the dispatches
+// visible to owner; unknown (or someone else's) correlation IDs are left out
+export async function findDispatchRecords(correlationIds, { owner } = {}) {
+    const wanted = new Set(correlationIds.filter(Boolean));
+    const records = await readCollection(COLLECTION);
+    const found = new Map();
+
+    for (const correlationId of wanted) {
+        if (records[correlationId]) {
+            found.set(correlationId, records[correlationId]);
+        }
+    }
+
+    if (found.size < wanted.size) {
+        const batchDispatches = await findBatchDispatches(dispatch => wanted.has(dispatch.correlationId) && !found.has(dispatch.correlationId));
+        for (const { batch, dispatch } of batchDispatches) {
+            found.set(dispatch.correlationId, {
+                correlationId: dispatch.correlationId,
+                eventType: dispatch.eventType,
+                owner: batch.owner || null,
+                batchId: batch.batchId,
+                dispatchedAt: dispatch.dispatchedAt
+            });
+        }
+    }
+
+    for (const [correlationId, record] of found) {
+        if (owner && record.owner && record.owner !== owner) {
+            found.delete(correlationId);
+        }
+    }
+    return found;
+}
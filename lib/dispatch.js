@@ -0,0 +1,233 @@
+// /lib/dispatch.js
+// Loan dispatch modes and the repository_dispatch call shared by the single-loan
+// triggers and the bulk endpoint
+
+import { recordAudit } from './audit.js';
+import { ownerScope, ROLES } from './auth.js';
+import { getBatch, recordBatchDispatch, validateBatchDispatch } from './batches.js';
+import { mapWithLimits } from './concurrency.js';
+import { createCorrelationId } from './correlation.js';
+import { recordDispatch } from './dispatch-records.js';
+import { GitHubOutcomeUnknownError } from './github.js';
+import { claimNexIdLock, confirmNexIdLock, DuplicateLockError, LOCKING_EVENT_TYPES, releaseNexIdLock } from './lock-guard.js';
+import { createLogger } from './logger.js';
+import { countMetric, observeMetric, startTimer } from './metrics.js';
+import { issueCredentialToken } from './vault.js';
+
+const log = createLogger('dispatch');
+
+// mode -> repository_dispatch event type and the role allowed to trigger it
+export const DISPATCH_MODES = {
+    price: { eventType: 'price-loans-only', roles: [ROLES.PRICER] },
+    process: { eventType: 'process-loans', roles: [ROLES.LOCKER] },
+    lock: { eventType: 'selective-lock', roles: [ROLES.LOCKER] }
+};
+
+const AUDIT_ACTION_BY_EVENT = {
+    'price-loans-only': 'trigger.price',
+    'process-loans': 'trigger.process',
+    'selective-lock': 'trigger.lock'
+};
+
+// client_payload fields for each mode, as read by the llpa-rate-comparator workflows.
+// `loan` must already be normalized by the loan schema.
+export function buildLoanPayload(mode, { loan, loanIndex, shouldSave }) {
+    switch (mode) {
+        case 'price':
+            return {
+                loan_data: JSON.stringify(loan),
+                loan_index: loanIndex,
+                pricing_only: true, // Flag to stop after pricing
+                should_save: shouldSave || false
+            };
+
+        case 'lock': {
+            const nexId = loan.nex_id || '';
+            // Enhanced loan data with NexID for the automation script
+            const enhancedLoanData = {
+                ...loan,
+                nex_id: nexId, // Ensure NexID is included with consistent naming
+                nexId: nexId,  // Backup naming convention
+                selective_lock_mode: true, // Flag for the automation script
+                pricing_already_done: true // Flag indicating pricing was already completed
+            };
+            return {
+                loan_data: JSON.stringify(enhancedLoanData),
+                loan_index: loanIndex,
+                selective_lock: true,
+                user_approved: true,
+                nex_id: nexId, // Explicit NexID field
+                workflow_type: 'selective-lock'
+            };
+        }
+
+        default:
+            return {
+                loan_data: JSON.stringify(loan),
+                loan_index: loanIndex
+            };
+    }
+}
+
+// Start one run on the executor (lib/executor.js), stamped with a fresh correlation ID.
+// Returns { correlationId, dispatchedAt, status }: status 'unknown' (with the error) when GitHub
+// may have accepted the dispatch but never said so - look for its run before sending it again
+export async function sendDispatch(executor, eventType, clientPayload) {
+    const correlationId = createCorrelationId();
+    const dispatchedAt = new Date().toISOString();
+    const elapsed = startTimer();
+
+    try {
+        await executor.dispatch(eventType, {
+            ...clientPayload,
+            correlation_id: correlationId,
+            timestamp: dispatchedAt
+        });
+    } catch (error) {
+        if (!(error instanceof GitHubOutcomeUnknownError)) {
+            throw error;
+        }
+        log.warn('❓ Dispatch outcome unknown - not resending', { correlationId, eventType, error });
+        return { correlationId, dispatchedAt, status: 'unknown', error: error.message };
+    } finally {
+        observeMetric('loannex_dispatch_duration_seconds', { event_type: eventType, executor: executor.name }, elapsed());
+    }
+
+    return { correlationId, dispatchedAt, status: 'dispatched' };
+}
+
+// One loan's dispatch, as sent by every trigger endpoint: a locking dispatch for a loan with a
+// NexID goes through the duplicate-lock guard (DuplicateLockError if another lock is in flight
+// or done), and every attempt - dispatched, unknown, rejected or failed - is written to the audit
+// log and counted in loannex_dispatches_total. An unknown dispatch keeps its claim: it may have run.
+export async function sendLoanDispatch(executor, eventType, clientPayload, { loan, loanIndex, batchId, requestedBy, override = false }) {
+    const nexId = loan.nex_id || null;
+    const count = outcome => countMetric('loannex_dispatches_total', { event_type: eventType, executor: executor.name, outcome });
+    const audit = outcome => recordAudit({
+        actor: requestedBy,
+        action: AUDIT_ACTION_BY_EVENT[eventType],
+        nexId: nexId,
+        borrower: borrowerOf(loan),
+        loanIndex: loanIndex,
+        batchId: batchId,
+        // The credential token is single-use and secret; everything else identifies the request
+        payload: { ...clientPayload, credential_token: undefined },
+        ...outcome
+    });
+
+    const isGuarded = Boolean(nexId) && LOCKING_EVENT_TYPES.includes(eventType);
+    let claim = null;
+
+    try {
+        claim = isGuarded ? await claimNexIdLock(nexId, { eventType, requestedBy, override }) : null;
+        const dispatch = await sendDispatch(executor, eventType, clientPayload);
+        await recordDispatch({ correlationId: dispatch.correlationId, eventType, requestedBy, batchId, dispatchedAt: dispatch.dispatchedAt });
+        if (claim) {
+            await confirmNexIdLock(claim, dispatch);
+        }
+        const details = {
+            ...(claim?.overrode ? { overrodeLock: claim.overrode.correlationId } : {}),
+            ...(dispatch.error ? { error: dispatch.error } : {})
+        };
+        count(dispatch.status);
+        await audit({
+            outcome: dispatch.status,
+            correlationId: dispatch.correlationId,
+            details: Object.keys(details).length > 0 ? details : null
+        });
+        return dispatch;
+
+    } catch (error) {
+        if (claim) {
+            await releaseNexIdLock(claim);
+        }
+        const outcome = error instanceof DuplicateLockError ? 'rejected' : 'failed';
+        count(outcome);
+        await audit({
+            outcome: outcome,
+            details: { error: error.message }
+        });
+        throw error;
+    }
+}
+
+// The trigger record of a dispatch is written before its run exists; once a trigger has found the
+// run (right after dispatching), a trigger.run record links the correlation ID to its workflowRunId.
+// No-op when run is null - the run is then found later by the results endpoints.
+export async function auditDispatchRun(eventType, run, { correlationId, loan, loanIndex, batchId, requestedBy }) {
+    if (!run) {
+        return;
+    }
+    await recordAudit({
+        actor: requestedBy,
+        action: 'trigger.run',
+        nexId: loan.nex_id || null,
+        borrower: borrowerOf(loan),
+        loanIndex: loanIndex,
+        batchId: batchId,
+        correlationId: correlationId,
+        workflowRunId: run.id,
+        outcome: 'run_found',
+        details: { eventType }
+    });
+}
+
+// Dispatch many normalized loans under one batch with a concurrency cap and start-rate limit.
+// entries: [{ loanIndex, loan, attempt?, retryOf? }] - retries (lib/retry.js) carry their attempt
+// number and the { correlationId, workflowRunId } of the attempt they repeat.
+// Returns one manifest entry per loan, in order:
+// { loanIndex, status: 'dispatched' | 'unknown' | 'rejected' | 'failed', correlationId?, dispatchedAt?, nexId?, error?, existingLock? }
+// 'unknown': GitHub never confirmed the dispatch; it is recorded like a sent one so its run is still found
+// Lock modes go through the duplicate-lock guard; overrideLockGuard lets a NexID be locked again.
+export async function dispatchLoanEntries(executor, { mode, batch, entries, credentialRef, user, shouldSave, overrideLockGuard, concurrency, minIntervalMs }) {
+    const { eventType } = DISPATCH_MODES[mode];
+
+    // Dispatch one loan; every failure is captured in its manifest entry
+    async function dispatchEntry({ loanIndex, loan, attempt, retryOf }) {
+        try {
+            // Re-read the batch: a cancel that arrives mid-way stops the remaining dispatches
+            const batchError = validateBatchDispatch((await getBatch(batch.batchId)) || batch, loanIndex, eventType);
+            if (batchError) {
+                return { loanIndex, status: 'rejected', error: batchError };
+            }
+
+            const credentialToken = await issueCredentialToken(credentialRef, { owner: ownerScope(user) });
+            if (!credentialToken) {
+                return { loanIndex, status: 'rejected', error: 'Credential reference not found or revoked' };
+            }
+
+            const { correlationId, dispatchedAt, status, error } = await sendLoanDispatch(executor, eventType, {
+                ...buildLoanPayload(mode, { loan, loanIndex, shouldSave }),
+                credential_token: credentialToken.token,
+                requested_by: user.userId
+            }, { loan, loanIndex, batchId: batch.batchId, requestedBy: user.userId, override: overrideLockGuard });
+
+            await recordBatchDispatch(batch.batchId, {
+                loanIndex: loanIndex,
+                correlationId: correlationId,
+                workflowRunId: null,
+                eventType: eventType,
+                dispatchedAt: dispatchedAt,
+                credentialRef: credentialRef,
+                shouldSave: mode === 'price' ? shouldSave || false : undefined,
+                attempt: attempt,
+                retryOf: retryOf
+            });
+
+            return { loanIndex, status, correlationId, dispatchedAt, nexId: loan.nex_id || null, error };
+
+        } catch (error) {
+            if (error instanceof DuplicateLockError) {
+                return { loanIndex, status: 'rejected', error: error.message, nexId: error.nexId, existingLock: error.existing };
+            }
+            log.error('❌ Dispatch failed', { loanIndex, error });
+            return { loanIndex, status: 'failed', error: error.message };
+        }
+    }
+
+    return mapWithLimits(entries, { concurrency, minIntervalMs }, dispatchEntry);
+}
+
+function borrowerOf(loan) {
+    return [loan['First Name'], loan['Last Name']].filter(Boolean).join(' ');
+}
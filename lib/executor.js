@@ -0,0 +1,53 @@
+// /lib/executor.js
+// Execution backends: where a dispatched loan actually runs
+//
+// LOANNEX_EXECUTOR picks the backend:
+//   github (default) - repository_dispatch to the llpa-rate-comparator GitHub Actions workflows
+//   local            - the automation as a child process on this machine (lib/local-executor.js)
+//
+// Every executor implements
+//   name, runsUrl                                where a person can look at runs
+//   dispatch(eventType, clientPayload)            start one run; the payload carries correlation_id
+//   resolveRun(correlationId, { dispatchedAt })   the run created for a dispatch, or null (not yet)
+//   findRuns(dispatches)                          [{ dispatch, run }] for dispatches the run store can't answer
+//   listRuns({ createdFrom, createdTo, workflow, perPage })  runs created in the window (inclusive,
+//                                                second precision), newest first; workflow: file name or ID
+//   getResult(run, kind)                          lock or pricing result of a finished run
+//   cancel(run)                                   stop a queued or running run; false if it had already finished
+// Runs have the GitHub workflow_run shape ({ id, status, conclusion, html_url, display_title, ... }),
+// so the run store, batch progress and the results endpoints work the same with every backend.
+
+import { createGitHubExecutor } from './github-executor.js';
+import { createLocalExecutor, isLocalRun } from './local-executor.js';
+
+const EXECUTORS = {
+    github: createGitHubExecutor,
+    local: createLocalExecutor
+};
+
+export function getExecutorName() {
+    return (process.env.LOANNEX_EXECUTOR || 'github').toLowerCase();
+}
+
+// The configured executor for new dispatches
+export function getExecutor() {
+    const name = getExecutorName();
+    if (!EXECUTORS[name]) {
+        throw new Error(`Unknown LOANNEX_EXECUTOR: ${name}. Expected one of ${Object.keys(EXECUTORS).join(', ')}`);
+    }
+    return EXECUTORS[name]();
+}
+
+// The executor that owns an existing run, whichever backend is configured now
+export function getExecutorForRun(run) {
+    return isLocalRun(run) ? createLocalExecutor() : createGitHubExecutor();
+}
+
+// Runs page of the configured executor, for error responses (never throws)
+export function getRunsUrl() {
+    try {
+        return getExecutor().runsUrl;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,64 @@
+// /lib/github-executor.js
+// GitHub Actions executor: repository_dispatch to GITHUB_OWNER/GITHUB_REPO (see lib/executor.js)
+
+import { findRunsForDispatches, resolveRunByCorrelationId } from './correlation.js';
+import { assertPollingBudget, createGitHubClient, GitHubApiError, GITHUB_OWNER, GITHUB_REPO } from './github.js';
+import { analyzeWorkflowSimple, extractRealPricingData } from './results.js';
+
+// github: an existing client to reuse; otherwise one is created on first use, so an executor
+// that only answers from the run store never needs GITHUB_TOKEN
+export function createGitHubExecutor(github = null) {
+    const getGitHub = () => (github = github || createGitHubClient());
+
+    return {
+        name: 'github',
+        runsUrl: `https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}/actions`,
+
+        dispatch(eventType, clientPayload) {
+            return getGitHub().dispatch(eventType, clientPayload);
+        },
+
+        resolveRun(correlationId, options) {
+            return resolveRunByCorrelationId(getGitHub(), correlationId, options);
+        },
+
+        findRuns(dispatches) {
+            // Don't start a polling pass we can't finish
+            assertPollingBudget();
+            return findRunsForDispatches(getGitHub(), dispatches);
+        },
+
+        listRuns({ createdFrom = null, createdTo = null, workflow = null, perPage = 100 }) {
+            assertPollingBudget();
+            const params = { event: 'repository_dispatch', per_page: String(perPage) };
+            if (createdFrom || createdTo) {
+                params.created = `${toGitHubTime(createdFrom)}..${toGitHubTime(createdTo)}`;
+            }
+            return workflow ? getGitHub().listWorkflowRuns(workflow, params) : getGitHub().listRuns(params);
+        },
+
+        getResult(run, kind) {
+            return kind === 'pricing'
+                ? extractRealPricingData(getGitHub(), run)
+                : analyzeWorkflowSimple(run, getGitHub());
+        },
+
+        async cancel(run) {
+            try {
+                await getGitHub().cancelRun(run.id);
+                return true;
+            } catch (error) {
+                // 409: the run finished before the cancel arrived
+                if (error instanceof GitHubApiError && error.status === 409) {
+                    return false;
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+// GitHub's created filter: second precision, * for an open end
+function toGitHubTime(time) {
+    return time ? new Date(time).toISOString().replace(/\.\d+Z$/, 'Z') : '*';
+}
@@ -0,0 +1,316 @@
+// /lib/github.js
+// Shared GitHub API client used by every endpoint
+//
+// - exponential backoff with full jitter on network errors, 5xx, 429 and secondary rate limits.
+//   Requests marked idempotent: false (dispatches) retry rate limits only: after a network error
+//   or a 5xx GitHub may have acted on them, so they fail with GitHubOutcomeUnknownError instead
+// - honors Retry-After and X-RateLimit-Reset (gives up if the wait is longer than a serverless call can afford)
+// - ETag / If-None-Match caching of GET responses (304s do not count against the rate limit)
+// - typed errors: GitHubApiError, GitHubNotFoundError, GitHubRateLimitError, GitHubBudgetError,
+//   GitHubOutcomeUnknownError
+// - budget guard: assertPollingBudget() refuses polling when X-RateLimit-Remaining is low
+// - metrics: every attempt is counted and timed by operation (loannex_github_requests_total)
+
+import { createLogger } from './logger.js';
+import { countMetric, observeMetric, setMetric, startTimer } from './metrics.js';
+
+export const GITHUB_OWNER = 'crendy22';
+export const GITHUB_REPO = 'llpa-rate-comparator';  // Where the .yml workflow files live
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+const MAX_RATE_LIMIT_WAIT_MS = 20000;
+const DEFAULT_POLLING_RESERVE = 100;
+const ETAG_CACHE_LIMIT = 500;
+
+const log = createLogger('github');
+
+// Shared across requests served by the same (warm) function instance
+const etagCache = new Map();
+const rateLimit = { limit: null, remaining: null, resetAt: null, updatedAt: null };
+
+export class GitHubApiError extends Error {
+    constructor(message, { status = null, url = null, body = null } = {}) {
+        super(message);
+        this.name = 'GitHubApiError';
+        this.status = status;
+        this.url = url;
+        this.body = body;
+    }
+}
+
+export class GitHubNotFoundError extends GitHubApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'GitHubNotFoundError';
+    }
+}
+
+export class GitHubRateLimitError extends GitHubApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'GitHubRateLimitError';
+        this.retryAfterSeconds = details.retryAfterSeconds ?? null;
+    }
+}
+
+// A non-idempotent request whose response was lost (network error) or a 5xx: GitHub may or may
+// not have carried it out, so it must not be sent again blindly
+export class GitHubOutcomeUnknownError extends GitHubApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'GitHubOutcomeUnknownError';
+    }
+}
+
+// Thrown by the budget guard before any request is made
+export class GitHubBudgetError extends GitHubRateLimitError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'GitHubBudgetError';
+    }
+}
+
+export function getGitHubApiUrl() {
+    return (process.env.GITHUB_API_URL || DEFAULT_API_URL).replace(/\/$/, '');
+}
+
+export function getRateLimitStatus() {
+    return { ...rateLimit };
+}
+
+// Refuse to start a polling pass when the remaining quota is below the reserve
+export function assertPollingBudget(reserve = Number(process.env.GITHUB_POLLING_RESERVE) || DEFAULT_POLLING_RESERVE) {
+    const resetPassed = rateLimit.resetAt && rateLimit.resetAt <= Date.now();
+    if (rateLimit.remaining === null || resetPassed || rateLimit.remaining >= reserve) {
+        return;
+    }
+
+    const retryAfterSeconds = Math.max(1, Math.ceil((rateLimit.resetAt - Date.now()) / 1000));
+    throw new GitHubBudgetError(
+        `GitHub API budget low (${rateLimit.remaining} requests left, reserve ${reserve}) - try again in ${retryAfterSeconds}s`,
+        { status: 429, retryAfterSeconds }
+    );
+}
+
+export function createGitHubClient({ token = process.env.GITHUB_TOKEN, owner = GITHUB_OWNER, repo = GITHUB_REPO } = {}) {
+    if (!token) {
+        throw new Error('GitHub token not configured in environment variables - add GITHUB_TOKEN to Vercel settings');
+    }
+
+    const repoPath = `/repos/${owner}/${repo}`;
+
+    // idempotent: false - never repeat the request unless GitHub refused it outright (rate limited)
+    async function request(pathOrUrl, { method = 'GET', body, responseType = 'json', allowNotFound = false, operation = 'other', idempotent = true } = {}) {
+        const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${getGitHubApiUrl()}${pathOrUrl}`;
+        const cacheable = method === 'GET' && responseType === 'json';
+        const cached = cacheable ? etagCache.get(url) : null;
+
+        const headers = {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/vnd.github.v3+json'
+        };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (cached) {
+            headers['If-None-Match'] = cached.etag;
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            const elapsed = startTimer();
+            try {
+                response = await fetch(url, {
+                    method,
+                    headers,
+                    body: body === undefined ? undefined : JSON.stringify(body)
+                });
+            } catch (networkError) {
+                recordRequestMetrics(operation, 'network_error', elapsed());
+                if (!idempotent) {
+                    throw new GitHubOutcomeUnknownError(`GitHub request outcome unknown: ${networkError.message}`, { url });
+                }
+                if (attempt >= MAX_RETRIES) {
+                    throw new GitHubApiError(`GitHub request failed: ${networkError.message}`, { url });
+                }
+                await sleep(backoffDelay(attempt));
+                continue;
+            }
+
+            recordRequestMetrics(operation, response.status, elapsed());
+            recordRateLimit(response.headers);
+
+            if (response.status === 304 && cached) {
+                return cached.data;
+            }
+
+            if (response.ok) {
+                if (response.status === 204) {
+                    return null;
+                }
+                if (responseType === 'text') {
+                    return response.text();
+                }
+                if (responseType === 'buffer') {
+                    return Buffer.from(await response.arrayBuffer());
+                }
+
+                const data = await response.json();
+                const etag = response.headers.get('etag');
+                if (cacheable && etag) {
+                    rememberEtag(url, etag, data);
+                }
+                return data;
+            }
+
+            const errorText = await response.text();
+
+            if (response.status === 404) {
+                if (allowNotFound) {
+                    return null;
+                }
+                throw new GitHubNotFoundError(`GitHub resource not found: ${method} ${url}`, { status: 404, url, body: errorText });
+            }
+
+            const waitMs = rateLimitWait(response, errorText);
+            if (!idempotent && response.status >= 500) {
+                throw new GitHubOutcomeUnknownError(`GitHub request outcome unknown: ${response.status} - ${errorText}`, { status: response.status, url, body: errorText });
+            }
+            const retryable = waitMs !== null || response.status >= 500;
+
+            if (!retryable || attempt >= MAX_RETRIES || (waitMs !== null && waitMs > MAX_RATE_LIMIT_WAIT_MS)) {
+                if (waitMs !== null) {
+                    throw new GitHubRateLimitError(`GitHub rate limit hit: ${response.status} - ${errorText}`, {
+                        status: response.status,
+                        url,
+                        body: errorText,
+                        retryAfterSeconds: Math.ceil(waitMs / 1000)
+                    });
+                }
+                throw new GitHubApiError(`GitHub API error: ${response.status} - ${errorText}`, { status: response.status, url, body: errorText });
+            }
+
+            const delay = waitMs !== null ? Math.max(waitMs, backoffDelay(attempt)) : backoffDelay(attempt);
+            log.warn('⏳ GitHub request retrying', { status: response.status, method, url, delayMs: delay, attempt: attempt + 1, maxRetries: MAX_RETRIES });
+            await sleep(delay);
+        }
+    }
+
+    return {
+        owner,
+        repo,
+        actionsUrl: `https://github.com/${owner}/${repo}/actions`,
+        request,
+
+        dispatch(eventType, clientPayload) {
+            return request(`${repoPath}/dispatches`, {
+                method: 'POST',
+                operation: 'dispatch',
+                idempotent: false, // A lost response may hide an accepted dispatch: resending would start a second run
+                body: { event_type: eventType, client_payload: clientPayload }
+            });
+        },
+
+        async listRuns(params = {}) {
+            const query = new URLSearchParams(params);
+            const data = await request(`${repoPath}/actions/runs?${query}`, { operation: 'list_runs' });
+            return data.workflow_runs || [];
+        },
+
+        // Runs of one workflow, by file name (e.g. 'price-loans.yml') or numeric ID
+        async listWorkflowRuns(workflow, params = {}) {
+            const query = new URLSearchParams(params);
+            const data = await request(`${repoPath}/actions/workflows/${encodeURIComponent(workflow)}/runs?${query}`, { operation: 'list_workflow_runs' });
+            return data.workflow_runs || [];
+        },
+
+        getRun(runId) {
+            return request(`${repoPath}/actions/runs/${runId}`, { allowNotFound: true, operation: 'get_run' });
+        },
+
+        // 202 once GitHub accepted the request; the run reports conclusion 'cancelled' when it stops
+        cancelRun(runId) {
+            return request(`${repoPath}/actions/runs/${runId}/cancel`, { method: 'POST', operation: 'cancel_run' });
+        },
+
+        async listRunJobs(runId) {
+            const data = await request(`${repoPath}/actions/runs/${runId}/jobs`, { operation: 'list_jobs' });
+            return data.jobs || [];
+        },
+
+        getJobLogs(jobId) {
+            return request(`${repoPath}/actions/jobs/${jobId}/logs`, { responseType: 'text', operation: 'get_job_logs' });
+        },
+
+        async listRunArtifacts(runId) {
+            const data = await request(`${repoPath}/actions/runs/${runId}/artifacts`, { operation: 'list_artifacts' });
+            return data.artifacts || [];
+        },
+
+        // Zip bytes as a Buffer (GitHub redirects to signed blob storage; fetch follows it)
+        downloadArtifact(artifactId) {
+            return request(`${repoPath}/actions/artifacts/${artifactId}/zip`, { responseType: 'buffer', operation: 'download_artifact' });
+        }
+    };
+}
+
+// How long GitHub asked us to wait, or null if this is not a rate-limit response
+function rateLimitWait(response, errorText) {
+    if (response.status !== 403 && response.status !== 429) {
+        return null;
+    }
+
+    const retryAfter = Number(response.headers.get('retry-after'));
+    if (retryAfter > 0) {
+        return retryAfter * 1000;
+    }
+
+    if (response.headers.get('x-ratelimit-remaining') === '0') {
+        const reset = Number(response.headers.get('x-ratelimit-reset'));
+        return reset ? Math.max(0, reset * 1000 - Date.now()) + 1000 : 60000;
+    }
+
+    // Secondary rate limits come back as 403 with an explanatory message
+    if (response.status === 429 || /secondary rate limit|abuse/i.test(errorText)) {
+        return 60000;
+    }
+
+    return null;
+}
+
+function recordRateLimit(headers) {
+    const remaining = headers.get('x-ratelimit-remaining');
+    if (remaining === null) {
+        return;
+    }
+    rateLimit.remaining = Number(remaining);
+    rateLimit.limit = Number(headers.get('x-ratelimit-limit')) || rateLimit.limit;
+    rateLimit.resetAt = Number(headers.get('x-ratelimit-reset')) * 1000 || rateLimit.resetAt;
+    rateLimit.updatedAt = Date.now();
+    setMetric('loannex_github_rate_limit_remaining', {}, rateLimit.remaining);
+}
+
+function recordRequestMetrics(operation, status, seconds) {
+    countMetric('loannex_github_requests_total', { operation, status });
+    observeMetric('loannex_github_request_duration_seconds', { operation }, seconds);
+}
+
+function rememberEtag(url, etag, data) {
+    etagCache.delete(url);
+    etagCache.set(url, { etag, data });
+    if (etagCache.size > ETAG_CACHE_LIMIT) {
+        etagCache.delete(etagCache.keys().next().value);
+    }
+}
+
+function backoffDelay(attempt) {
+    // Full jitter: random delay up to the exponential cap
+    return Math.round(Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
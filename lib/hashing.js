@@ -0,0 +1,23 @@
+// /lib/hashing.js
+// Canonical JSON and SHA-256 helpers for request fingerprints and the audit hash chain
+
+import { createHash } from 'crypto';
+
+// JSON with sorted object keys, so equal values always serialize (and hash) the same
+export function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+export function sha256(value) {
+    return createHash('sha256').update(value).digest('hex');
+}
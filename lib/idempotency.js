@@ -0,0 +1,136 @@
+// /lib/idempotency.js
+// Idempotency keys for the trigger endpoints
+//
+// A client sends `Idempotency-Key: <unique string>` with a trigger request. The first request
+// with a key runs normally and its successful response is stored; repeats of the same request
+// (double-click, retry after a timeout) get that stored response back instead of dispatching
+// again, marked with `Idempotent-Replayed: true`.
+//   - same key, different body        -> 422
+//   - same key while the first request is still running -> 409
+//   - error responses are not stored, so a corrected or retried request can run
+// Keys are scoped per endpoint and user and expire after IDEMPOTENCY_KEY_TTL_HOURS (default 24).
+
+import { sha256, stableStringify } from './hashing.js';
+import { createLogger } from './logger.js';
+import { updateCollection } from './store.js';
+
+const log = createLogger('idempotency');
+
+const COLLECTION = 'idempotency-keys';
+const DEFAULT_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+// A request that crashed without responding stops blocking its key after this long
+const IN_PROGRESS_LEASE_MS = 2 * 60 * 1000;
+
+// Claims the request's Idempotency-Key (if any) before the handler does any work.
+// Returns false after responding (stored replay, key conflict, invalid key); the handler must stop.
+// Returns true otherwise; the handler's JSON response is then stored under the key.
+export async function applyIdempotencyKey(req, res, { endpoint, user }) {
+    const key = req.headers?.['idempotency-key'];
+    if (key === undefined || key === '') {
+        return true;
+    }
+    if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+        res.status(400).json({ success: false, message: `Idempotency-Key must be a string of at most ${MAX_KEY_LENGTH} characters` });
+        return false;
+    }
+
+    const id = sha256(`${endpoint}\n${user.userId}\n${key}`);
+    const fingerprint = sha256(stableStringify(req.body ?? null));
+    const now = Date.now();
+
+    const existing = await updateCollection(COLLECTION, records => {
+        for (const [recordId, record] of Object.entries(records)) {
+            if (isExpired(record, now)) {
+                delete records[recordId];
+            }
+        }
+
+        if (records[id]) {
+            return records[id];
+        }
+        records[id] = {
+            endpoint: endpoint,
+            userId: user.userId,
+            fingerprint: fingerprint,
+            state: 'in_progress',
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + getTtlMs()).toISOString()
+        };
+        return null;
+    });
+
+    if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+            res.status(422).json({
+                success: false,
+                message: 'Idempotency-Key was already used with a different request body'
+            });
+            return false;
+        }
+        if (existing.state === 'in_progress') {
+            res.setHeader('Retry-After', '5');
+            res.status(409).json({
+                success: false,
+                message: 'A request with this Idempotency-Key is still being processed'
+            });
+            return false;
+        }
+
+        log.info('🔁 IDEMPOTENCY: replaying response', { endpoint, user: user.userId, firstSentAt: existing.completedAt });
+        res.setHeader('Idempotent-Replayed', 'true');
+        res.status(existing.status).json(existing.body);
+        return false;
+    }
+
+    recordResponse(res, id);
+    return true;
+}
+
+// Wrap res.status/res.json so the handler's response is stored (2xx) or the key released (errors)
+// before it is sent
+function recordResponse(res, id) {
+    const status = res.status.bind(res);
+    const json = res.json.bind(res);
+    let statusCode = 200;
+
+    res.status = code => {
+        statusCode = code;
+        return status(code);
+    };
+
+    res.json = body => {
+        const stored = updateCollection(COLLECTION, records => {
+            if (!records[id]) {
+                return;
+            }
+            if (statusCode >= 200 && statusCode < 300) {
+                Object.assign(records[id], {
+                    state: 'completed',
+                    status: statusCode,
+                    body: body,
+                    completedAt: new Date().toISOString()
+                });
+            } else {
+                delete records[id];
+            }
+        });
+
+        return stored
+            .catch(error => log.error('❌ Failed to store idempotent response', error))
+            .then(() => json(body));
+    };
+}
+
+function isExpired(record, now) {
+    if (Date.parse(record.expiresAt) <= now) {
+        return true;
+    }
+    return record.state === 'in_progress' && Date.parse(record.createdAt) + IN_PROGRESS_LEASE_MS <= now;
+}
+
+function getTtlMs() {
+    const hours = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+    return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
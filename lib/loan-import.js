@@ -0,0 +1,136 @@
+// /lib/loan-import.js
+// Loan tape import: CSV / XLSX rows -> validated loanData objects for the trigger endpoints
+//
+// The first non-blank row is the header. Each data row is mapped through a mapping profile
+// (see lib/mapping-profiles.js) and then normalized with the shared loan schema. Without a
+// profile, headers are used as field names directly (schema aliases such as "loanAmount" still apply).
+
+import { parseCsv } from './csv.js';
+import { normalizeLoan } from './loan-schema.js';
+import { readWorkbook } from './xlsx.js';
+
+export const IMPORT_FORMATS = ['csv', 'xlsx'];
+export const DEFAULT_MAX_ROWS = 5000;
+const MAX_COLUMNS = 1000;
+// An XLSX tape within the row limit is a few MB unzipped; anything far bigger is not a loan tape
+const MAX_UNCOMPRESSED_BYTES = 32 * 1024 * 1024;
+
+export class TapeFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TapeFormatError';
+    }
+}
+
+// Returns the raw rows of the tape. content: Buffer (xlsx or csv) or string (csv).
+// sheet: XLSX sheet name or 0-based index (default: first sheet).
+// maxRows: data rows allowed (the header row comes on top); XLSX sheets are checked while they
+// are parsed, so an oversized one is rejected before it is read into memory.
+export function readTape(content, { format, sheet, maxRows = DEFAULT_MAX_ROWS } = {}) {
+    if (format === 'xlsx') {
+        let sheets;
+        try {
+            sheets = readWorkbook(Buffer.isBuffer(content) ? content : Buffer.from(content), {
+                maxRows: maxRows + 1,
+                maxColumns: MAX_COLUMNS,
+                maxUncompressedBytes: MAX_UNCOMPRESSED_BYTES
+            });
+        } catch (error) {
+            throw new TapeFormatError(`Could not read XLSX file: ${error.message}`);
+        }
+        const selected = typeof sheet === 'string'
+            ? sheets.find(candidate => candidate.name === sheet)
+            : sheets[Number(sheet) || 0];
+        if (!selected) {
+            throw new TapeFormatError(`Sheet ${sheet} not found - workbook has: ${sheets.map(candidate => candidate.name).join(', ')}`);
+        }
+        return selected.rows;
+    }
+
+    const rows = parseCsv(Buffer.isBuffer(content) ? content.toString('utf8') : String(content));
+    if (rows.length > maxRows + 1) {
+        throw new TapeFormatError(`Tape has ${rows.length - 1} rows (max ${maxRows} per import)`);
+    }
+    return rows;
+}
+
+// XLSX files are zip archives ("PK"); anything else is treated as CSV
+export function detectFormat(fileName, content) {
+    const extension = /\.([a-z0-9]+)$/i.exec(fileName || '')?.[1]?.toLowerCase();
+    if (IMPORT_FORMATS.includes(extension)) {
+        return extension;
+    }
+    return Buffer.isBuffer(content) && content.subarray(0, 2).toString('latin1') === 'PK' ? 'xlsx' : 'csv';
+}
+
+// Returns { loans: [{ loanIndex, row, loanData }], rejectedRows: [{ row, errors }],
+//           unmappedColumns, missingColumns }.
+// loanIndex is the position among data rows, so it stays stable when some rows are rejected.
+export function mapTapeRows(rows, profile = null) {
+    const headerPosition = rows.findIndex(row => !isBlankRow(row));
+    if (headerPosition === -1) {
+        throw new TapeFormatError('The tape has no header row');
+    }
+
+    const headers = rows[headerPosition].map(header => (header === null || header === undefined ? '' : String(header).trim()));
+    const columns = profile ? normalizeColumns(profile.columns) : new Map();
+    const keepUnmapped = profile ? profile.keepUnmapped : true;
+    const defaults = profile?.defaults || {};
+
+    const targets = headers.map(header => columns.get(normalizeHeader(header)) || (keepUnmapped && header ? header : null));
+    const presentHeaders = new Set(headers.map(normalizeHeader));
+
+    const loans = [];
+    const rejectedRows = [];
+    let loanIndex = 0;
+
+    for (let position = headerPosition + 1; position < rows.length; position++) {
+        const cells = rows[position] || [];
+        if (isBlankRow(cells)) {
+            continue;
+        }
+
+        const rowNumber = position + 1;
+        const loanData = {};
+        targets.forEach((field, column) => {
+            const value = typeof cells[column] === 'string' ? cells[column].trim() : cells[column];
+            if (field && value !== null && value !== undefined && value !== '') {
+                loanData[field] = value;
+            }
+        });
+        for (const [field, value] of Object.entries(defaults)) {
+            if (loanData[field] === undefined) {
+                loanData[field] = value;
+            }
+        }
+
+        const { loan, errors } = normalizeLoan(loanData);
+        if (errors.length > 0) {
+            rejectedRows.push({ row: rowNumber, loanIndex, errors });
+        } else {
+            loans.push({ loanIndex, row: rowNumber, loanData: loan });
+        }
+        loanIndex++;
+    }
+
+    return {
+        loans,
+        rejectedRows,
+        unmappedColumns: headers.filter((header, column) => header && !targets[column]),
+        missingColumns: profile
+            ? Object.keys(profile.columns).filter(column => !presentHeaders.has(normalizeHeader(column)))
+            : []
+    };
+}
+
+function normalizeColumns(columns) {
+    return new Map(Object.entries(columns).map(([column, field]) => [normalizeHeader(column), field.trim()]));
+}
+
+function normalizeHeader(header) {
+    return String(header).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function isBlankRow(row) {
+    return !row || row.every(cell => cell === null || cell === undefined || String(cell).trim() === '');
+}
@@ -0,0 +1,147 @@
+// /lib/loan-schema.js
+// Shared loan-data schema: field types, required fields, allowed enums and alias mapping
+//
+// Canonical field names are the ones the llpa-rate-comparator automation reads
+// ('First Name', 'Loan Amount', 'nex_id', ...). Aliases ('firstName', 'nexId', ...) are
+// folded into the canonical name. Fields the schema does not declare pass through untouched.
+
+export const LOAN_SCHEMA = {
+    'First Name': { type: 'string', required: true, aliases: ['firstName', 'first_name', 'borrowerFirstName'] },
+    'Last Name': { type: 'string', required: true, aliases: ['lastName', 'last_name', 'borrowerLastName'] },
+    'Loan Amount': { type: 'number', required: true, min: 1, aliases: ['loanAmount', 'loan_amount'] },
+    'nex_id': { type: 'string', aliases: ['nexId', 'NexID', 'Nex ID', 'nexID'] },
+    'Property Type': {
+        type: 'enum',
+        aliases: ['propertyType', 'property_type'],
+        values: {
+            'Single Family': ['sfr', 'sfd', 'single family residence', 'single-family'],
+            'Condo': ['condominium'],
+            'PUD': ['planned unit development'],
+            'Townhouse': ['townhome'],
+            '2-4 Unit': ['2-4 units', 'multi-family', 'multifamily', '2 unit', '3 unit', '4 unit'],
+            'Manufactured': ['manufactured home', 'mobile home']
+        }
+    },
+    'Occupancy': {
+        type: 'enum',
+        aliases: ['occupancy', 'occupancyType', 'occupancy_type'],
+        values: {
+            'Primary Residence': ['primary', 'owner occupied', 'owner-occupied'],
+            'Second Home': ['second', 'secondary', 'vacation home'],
+            'Investment': ['investment property', 'investor', 'non-owner occupied', 'rental']
+        }
+    },
+    'Amortizing Type': {
+        type: 'enum',
+        aliases: ['amortizingType', 'amortizing_type', 'amortizationType', 'Amortization Type'],
+        values: {
+            'Fixed': ['fixed rate', 'frm'],
+            'ARM': ['adjustable', 'adjustable rate']
+        }
+    },
+    'Credit Score': { type: 'number', min: 300, max: 850, aliases: ['creditScore', 'credit_score', 'fico', 'FICO'] },
+    'Property Value': { type: 'number', min: 1, aliases: ['propertyValue', 'property_value', 'appraisedValue'] },
+    'State': { type: 'string', pattern: /^[A-Z]{2}$/, transform: value => value.toUpperCase(), aliases: ['state', 'propertyState'] },
+    'Zip Code': { type: 'string', pattern: /^\d{5}(-\d{4})?$/, aliases: ['zip', 'zipCode', 'zip_code', 'Zip'] }
+};
+
+// Returns { loan, errors }. `loan` has canonical field names and typed values;
+// `errors` is [{ field, message, value }] and empty when the loan is valid.
+export function normalizeLoan(loanData, schema = LOAN_SCHEMA) {
+    if (!loanData || typeof loanData !== 'object' || Array.isArray(loanData)) {
+        return { loan: null, errors: [{ field: null, message: 'Loan data must be an object', value: loanData }] };
+    }
+
+    const loan = { ...loanData };
+    const errors = [];
+
+    for (const [field, definition] of Object.entries(schema)) {
+        const sourceKeys = [field, ...(definition.aliases || [])].filter(key => key in loan);
+        const sourceKey = sourceKeys.find(key => !isBlank(loan[key]));
+        const rawValue = sourceKey ? loan[sourceKey] : undefined;
+
+        // Fold aliases into the canonical field
+        for (const key of sourceKeys) {
+            delete loan[key];
+        }
+
+        if (isBlank(rawValue)) {
+            if (definition.required) {
+                errors.push({ field, message: `${field} is required` });
+            }
+            continue;
+        }
+
+        const result = coerceField(field, definition, rawValue);
+        if (result.error) {
+            errors.push({ field, message: result.error, value: rawValue });
+            continue;
+        }
+
+        loan[field] = result.value;
+    }
+
+    return { loan, errors };
+}
+
+// loanData with `overrides` applied. An override replaces the field under any of its names, so
+// { fico: 780 } replaces a stored 'Credit Score'.
+export function mergeLoanFields(loanData, overrides, schema = LOAN_SCHEMA) {
+    const merged = { ...loanData };
+
+    for (const key of Object.keys(overrides || {})) {
+        const entry = Object.entries(schema).find(([field, definition]) => field === key || (definition.aliases || []).includes(key));
+        const names = entry ? [entry[0], ...(entry[1].aliases || [])] : [key];
+        for (const name of names) {
+            delete merged[name];
+        }
+    }
+
+    return { ...merged, ...overrides };
+}
+
+function coerceField(field, definition, rawValue) {
+    switch (definition.type) {
+        case 'number': {
+            const value = typeof rawValue === 'number' ? rawValue : Number(String(rawValue).replace(/[$,%\s]/g, ''));
+            if (!Number.isFinite(value)) {
+                return { error: `${field} must be a number` };
+            }
+            if (definition.min !== undefined && value < definition.min) {
+                return { error: `${field} must be at least ${definition.min}` };
+            }
+            if (definition.max !== undefined && value > definition.max) {
+                return { error: `${field} must be at most ${definition.max}` };
+            }
+            return { value };
+        }
+
+        case 'enum': {
+            const wanted = String(rawValue).trim().toLowerCase();
+            for (const [canonical, aliases] of Object.entries(definition.values)) {
+                if (canonical.toLowerCase() === wanted || aliases.includes(wanted)) {
+                    return { value: canonical };
+                }
+            }
+            return { error: `${field} must be one of: ${Object.keys(definition.values).join(', ')}` };
+        }
+
+        default: {
+            if (typeof rawValue !== 'string' && typeof rawValue !== 'number') {
+                return { error: `${field} must be a string` };
+            }
+            let value = String(rawValue).trim();
+            if (definition.transform) {
+                value = definition.transform(value);
+            }
+            if (definition.pattern && !definition.pattern.test(value)) {
+                return { error: `${field} has an invalid format` };
+            }
+            return { value };
+        }
+    }
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
@@ -0,0 +1,317 @@
+// /lib/local-executor.js
+// Local executor: runs the loan automation as a child process on this machine, so the whole
+// price-then-lock flow works on a laptop or a self-hosted server without GitHub (see lib/executor.js)
+//
+// LOCAL_RUNNER_COMMAND       the automation command, run through the shell (required),
+//                            e.g. "python3 automation/loannex_automation.py"
+// LOCAL_RUNNER_CWD           its working directory (default: the current directory)
+// LOCAL_RUNNER_CONCURRENCY   runs at a time (default 1); further dispatches wait in a queue
+// LOCAL_RUNNER_TIMEOUT_SECONDS  a run still going after this is stopped as timed_out (default 900)
+// LOCAL_RUNNER_ENV_<NAME>    passed to the command as <NAME>
+//
+// The command does not inherit this server's environment: it gets PATH, HOME, LANG, the
+// LOANNEX_* and GITHUB_* variables and the LOCAL_RUNNER_ENV_* passthrough, nothing else.
+// The child sees the dispatch the way a repository_dispatch workflow does: GITHUB_EVENT_NAME and
+// GITHUB_EVENT_PATH (a JSON file with action and client_payload), plus LOANNEX_EVENT_TYPE,
+// LOANNEX_CORRELATION_ID and LOANNEX_CLIENT_PAYLOAD. It reports results like the workflow: the
+// 🔒 LOCK_RESULT / 💰 PRICING_DATA_OUTPUT markers on stdout, or a JSON file at LOANNEX_RESULTS_PATH
+// shaped like the results artifact. Output goes to <LOANNEX_DATA_DIR>/local-runs/<runId>/output.log.
+//
+// Runs are recorded in the run store, like webhook-reported GitHub runs. The queue and the child
+// processes live in this server process: runs it was holding when it stopped are reported as
+// failed the next time they are looked up.
+
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+import { createWriteStream, promises as fs } from 'fs';
+import path from 'path';
+import { runStandingPolicyAfterPricing } from './auto-lock.js';
+import { createLogger } from './logger.js';
+import { startTimer } from './metrics.js';
+import { isFinalResult, recordResultMetrics, resultFromRunOutputs } from './results.js';
+import { findStoredRunByCorrelationId, getStoredRun, listStoredRuns, saveRunResult, upsertRun } from './run-store.js';
+import { getDataDir } from './store.js';
+
+const log = createLogger('local-executor');
+
+const RUN_ID_PREFIX = 'local-';
+const DEFAULT_CONCURRENCY = 1;
+const DEFAULT_TIMEOUT_SECONDS = 900;
+const KILL_GRACE_MS = 10 * 1000;
+
+// What the command inherits from this server's environment (see the header)
+const INHERITED_ENV = ['PATH', 'HOME', 'LANG'];
+const INHERITED_ENV_PREFIXES = ['LOANNEX_', 'GITHUB_'];
+const PASSTHROUGH_ENV_PREFIX = 'LOCAL_RUNNER_ENV_';
+
+// Shared by every executor instance in this process
+// A job is always held by one of them from dispatch to completion - pushed and moved synchronously,
+// before any await - so reconcileLostRun never takes a live run for a lost one.
+const queue = [];
+const active = new Map(); // runId -> { child (null until spawned), stopReason, killTimer }
+
+export function isLocalRun(run) {
+    return String(run?.id ?? '').startsWith(RUN_ID_PREFIX);
+}
+
+export function createLocalExecutor() {
+    return {
+        name: 'local',
+        runsUrl: `file://${runsDir()}`,
+
+        async dispatch(eventType, clientPayload) {
+            if (!process.env.LOCAL_RUNNER_COMMAND) {
+                throw new Error('Local executor not configured - set LOCAL_RUNNER_COMMAND');
+            }
+
+            const runId = `${RUN_ID_PREFIX}${randomUUID()}`;
+            const runDir = path.join(runsDir(), runId);
+            const now = new Date().toISOString();
+
+            await fs.mkdir(runDir, { recursive: true });
+            await fs.writeFile(path.join(runDir, 'event.json'), JSON.stringify({ action: eventType, client_payload: clientPayload }, null, 2));
+
+            const run = {
+                id: runId,
+                name: 'LoanNex local runner',
+                display_title: `${eventType} ${clientPayload.correlation_id}`,
+                event: 'repository_dispatch',
+                status: 'queued',
+                conclusion: null,
+                html_url: `file://${path.join(runDir, 'output.log')}`,
+                created_at: now,
+                updated_at: now
+            };
+            const job = { runId, runDir, eventType, clientPayload, run };
+
+            // Queued before the run is stored, so a lookup never finds it held by neither
+            queue.push(job);
+            try {
+                await upsertRun(run);
+            } catch (error) {
+                queue.splice(queue.indexOf(job), 1);
+                throw error;
+            }
+            log.info('🖥️ LOCAL: queued run', { eventType, workflowRunId: runId, waiting: queue.length, running: active.size });
+            startQueuedRuns();
+            return null;
+        },
+
+        // Local runs are recorded at dispatch time, so there is nothing to wait for
+        async resolveRun(correlationId) {
+            const record = await findStoredRunByCorrelationId(correlationId);
+            return record ? record.run : null;
+        },
+
+        async findRuns(dispatches) {
+            const matches = [];
+            for (const dispatch of dispatches) {
+                const record = (dispatch.workflowRunId && isLocalRun({ id: dispatch.workflowRunId })
+                    ? await getStoredRun(dispatch.workflowRunId)
+                    : null) || await findStoredRunByCorrelationId(dispatch.correlationId);
+                matches.push({ dispatch, run: record?.run ? await reconcileLostRun(record.run) : null });
+            }
+            return matches;
+        },
+
+        // Local runs don't come from a workflow file, so a workflow filter matches none of them
+        async listRuns({ createdFrom = null, createdTo = null, workflow = null, perPage = 100 }) {
+            if (workflow) {
+                return [];
+            }
+            const listed = [];
+            for (const run of (await listStoredRuns({ createdFrom, createdTo, filter: isLocalRun })).slice(0, perPage)) {
+                listed.push(await reconcileLostRun(run));
+            }
+            return listed;
+        },
+
+        async getResult(run, kind) {
+            const runDir = path.join(runsDir(), String(run.id));
+            const event = await readJson(path.join(runDir, 'event.json'));
+
+            return resultFromRunOutputs(run, kind, {
+                results: await readJson(path.join(runDir, 'results.json')),
+                logsText: await fs.readFile(path.join(runDir, 'output.log'), 'utf8').catch(() => ''),
+                loanIndex: event?.client_payload?.loan_index ?? null
+            });
+        },
+
+        async cancel(run) {
+            const position = queue.findIndex(job => job.runId === run.id);
+            if (position !== -1) {
+                // Held in `active` while its completion is stored, like a run that finishes
+                const [job] = queue.splice(position, 1);
+                active.set(job.runId, { child: null, stopReason: 'cancelled', killTimer: null });
+                try {
+                    await finishRun(job, 'cancelled');
+                } finally {
+                    active.delete(job.runId);
+                    startQueuedRuns();
+                }
+                return true;
+            }
+
+            const running = active.get(run.id);
+            if (running) {
+                stopChild(running, 'cancelled');
+                return true;
+            }
+            return false;
+        }
+    };
+}
+
+function startQueuedRuns() {
+    while (active.size < getConcurrency() && queue.length > 0) {
+        const job = queue.shift();
+        const running = { child: null, stopReason: null, killTimer: null };
+        active.set(job.runId, running);
+        runJob(job, running).catch(error => {
+            active.delete(job.runId);
+            log.error('❌ LOCAL: run crashed', { workflowRunId: job.runId, error });
+        });
+    }
+}
+
+// job.run is the record stored at dispatch; store writes are serialized, so this update lands after it
+async function runJob(job, running) {
+    await upsertRun({ ...job.run, status: 'in_progress', updated_at: new Date().toISOString() });
+
+    // Cancelled while its run was being marked in progress
+    if (running.stopReason) {
+        await finishRun(job, running.stopReason);
+        active.delete(job.runId);
+        startQueuedRuns();
+        return;
+    }
+
+    const output = createWriteStream(path.join(job.runDir, 'output.log'));
+    const child = spawn(process.env.LOCAL_RUNNER_COMMAND, {
+        shell: true,
+        cwd: process.env.LOCAL_RUNNER_CWD || process.cwd(),
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: true, // own process group, so a stop reaches the automation and not just the shell
+        env: {
+            ...inheritedEnv(),
+            GITHUB_EVENT_NAME: 'repository_dispatch',
+            GITHUB_EVENT_PATH: path.join(job.runDir, 'event.json'),
+            GITHUB_RUN_ID: job.runId,
+            LOANNEX_EVENT_TYPE: job.eventType,
+            LOANNEX_CORRELATION_ID: job.clientPayload.correlation_id,
+            LOANNEX_CLIENT_PAYLOAD: JSON.stringify(job.clientPayload),
+            LOANNEX_RESULTS_PATH: path.join(job.runDir, 'results.json')
+        }
+    });
+
+    running.child = child;
+    child.stdout.pipe(output, { end: false });
+    child.stderr.pipe(output, { end: false });
+    log.info('🖥️ LOCAL: started run', { workflowRunId: job.runId, pid: child.pid });
+
+    const timeout = setTimeout(() => stopChild(running, 'timed_out'), getTimeoutSeconds() * 1000);
+
+    const exitCode = await new Promise(resolve => {
+        child.on('error', error => {
+            output.write(`\nFailed to start ${process.env.LOCAL_RUNNER_COMMAND}: ${error.message}\n`);
+            resolve(null);
+        });
+        child.on('close', code => resolve(code));
+    });
+
+    clearTimeout(timeout);
+    clearTimeout(running.killTimer);
+    await new Promise(resolve => output.end(resolve));
+
+    const conclusion = running.stopReason || (exitCode === 0 ? 'success' : 'failure');
+    log.info('🖥️ LOCAL: run finished', { workflowRunId: job.runId, conclusion, exitCode });
+
+    // Held until its completion is stored
+    await finishRun(job, conclusion);
+    active.delete(job.runId);
+    startQueuedRuns();
+}
+
+// Mark the run completed and store its parsed result, as the webhook does for GitHub runs
+async function finishRun(job, conclusion) {
+    const run = (await getStoredRun(job.runId)).run;
+    const completed = await upsertRun({ ...run, status: 'completed', conclusion, updated_at: new Date().toISOString() });
+
+    const kind = job.eventType === 'price-loans-only' ? 'pricing' : 'lock';
+    const elapsed = startTimer();
+    const result = await createLocalExecutor().getResult(completed.run, kind);
+    recordResultMetrics(completed.run, kind, result, elapsed(), { dispatchedAt: job.clientPayload.timestamp });
+    if (isFinalResult(result)) {
+        await saveRunResult(job.runId, kind, result);
+    }
+    if (job.eventType === 'price-loans-only') {
+        await runStandingPolicyAfterPricing(job.clientPayload.correlation_id);
+    }
+}
+
+// SIGTERM, then SIGKILL if the automation ignores it
+function stopChild(running, reason) {
+    running.stopReason = running.stopReason || reason;
+    if (!running.child) {
+        return;
+    }
+    signalChild(running.child, 'SIGTERM');
+    running.killTimer = setTimeout(() => signalChild(running.child, 'SIGKILL'), KILL_GRACE_MS);
+}
+
+// Signal the child's whole process group (the shell and whatever it started)
+function signalChild(child, signal) {
+    try {
+        process.kill(-child.pid, signal);
+    } catch {
+        child.kill(signal);
+    }
+}
+
+// A queued or running run this process does not hold was lost when the server stopped.
+// `run` may have been read before its job finished, so the stored run is read again once the job
+// is known not to be held: a job leaves `active` only after its completion is stored.
+async function reconcileLostRun(run) {
+    if (run.status === 'completed' || active.has(run.id) || queue.some(job => job.runId === run.id)) {
+        return run;
+    }
+    const stored = (await getStoredRun(run.id))?.run || run;
+    if (stored.status === 'completed') {
+        return stored;
+    }
+    const record = await upsertRun({ ...stored, status: 'completed', conclusion: 'failure', updated_at: new Date().toISOString() });
+    log.warn('🖥️ LOCAL: run lost when the server stopped - marked failed', { workflowRunId: run.id, status: stored.status });
+    return record.run;
+}
+
+function runsDir() {
+    return path.join(getDataDir(), 'local-runs');
+}
+
+function getConcurrency() {
+    return Math.max(Number(process.env.LOCAL_RUNNER_CONCURRENCY) || DEFAULT_CONCURRENCY, 1);
+}
+
+function inheritedEnv() {
+    const env = {};
+    for (const [name, value] of Object.entries(process.env)) {
+        if (INHERITED_ENV.includes(name) || INHERITED_ENV_PREFIXES.some(prefix => name.startsWith(prefix))) {
+            env[name] = value;
+        } else if (name.startsWith(PASSTHROUGH_ENV_PREFIX) && name.length > PASSTHROUGH_ENV_PREFIX.length) {
+            env[name.slice(PASSTHROUGH_ENV_PREFIX.length)] = value;
+        }
+    }
+    return env;
+}
+
+function getTimeoutSeconds() {
+    return Number(process.env.LOCAL_RUNNER_TIMEOUT_SECONDS) || DEFAULT_TIMEOUT_SECONDS;
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+        return null;
+    }
+}
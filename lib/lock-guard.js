@@ -0,0 +1,153 @@
+// /lib/lock-guard.js
+// Duplicate-lock guard: at most one lock dispatch per NexID
+//
+// Every dispatch that can lock a loan (process-loans, selective-lock) claims the loan's NexID in
+// the `lock-claims` collection first. A second lock dispatch for the same NexID is refused while
+// the first one is
+//   - in flight: dispatched, and its run has not finished (or has not been seen yet), or
+//   - locked:    its run finished successfully / its parsed lock result says locked.
+// A claim is released when its run fails or its lock result says not locked, and lapses when no
+// run was seen for LOCK_GUARD_IN_FLIGHT_MINUTES (default 60) - the run store first, then the
+// executor, so a run that locked without a webhook reaching us still holds its NexID.
+// `overrideLockGuard: true` on a trigger request replaces any claim.
+
+import { randomUUID } from 'crypto';
+import { getExecutor } from './executor.js';
+import { createLogger } from './logger.js';
+import { getRunResult } from './result-cache.js';
+import { findStoredRunByCorrelationId } from './run-store.js';
+import { getRecord, updateCollection } from './store.js';
+
+const log = createLogger('lock-guard');
+
+const COLLECTION = 'lock-claims';
+const DEFAULT_IN_FLIGHT_MINUTES = 60;
+
+// A claim that was never confirmed (request died between claim and dispatch) lapses after this long
+const RESERVATION_LEASE_MS = 2 * 60 * 1000;
+
+export const LOCKING_EVENT_TYPES = ['process-loans', 'selective-lock'];
+
+export class DuplicateLockError extends Error {
+    constructor(message, { nexId = null, existing = null } = {}) {
+        super(message);
+        this.name = 'DuplicateLockError';
+        this.nexId = nexId;
+        this.existing = existing;
+    }
+}
+
+// Claim nexId for one lock dispatch. Returns the claim, or throws DuplicateLockError when the
+// NexID is already locked or in flight (unless override is set).
+export async function claimNexIdLock(nexId, { eventType, requestedBy, override = false }) {
+    return updateCollection(COLLECTION, async claims => {
+        const existing = claims[nexId];
+        const existingStatus = existing ? await describeClaim(existing) : null;
+
+        if (existingStatus && existingStatus.status !== 'released') {
+            if (!override) {
+                throw new DuplicateLockError(
+                    `NexID ${nexId} is already ${existingStatus.status === 'locked' ? 'locked' : 'being locked'} ` +
+                    `(correlation ID ${existingStatus.correlationId || 'pending'}) - send overrideLockGuard: true to lock it again`,
+                    { nexId, existing: existingStatus }
+                );
+            }
+            log.warn('⚠️ LOCK GUARD: override', { requestedBy, existingStatus: existingStatus.status, nexId });
+        }
+
+        claims[nexId] = {
+            nexId: nexId,
+            claimId: `claim-${randomUUID()}`,
+            state: 'reserved',
+            eventType: eventType,
+            requestedBy: requestedBy,
+            claimedAt: new Date().toISOString(),
+            correlationId: null,
+            dispatchedAt: null,
+            overrode: override && existingStatus && existingStatus.status !== 'released' ? existingStatus : null
+        };
+        return claims[nexId];
+    });
+}
+
+// The dispatch went out: the claim now follows its run
+export async function confirmNexIdLock(claim, { correlationId, dispatchedAt }) {
+    return updateCollection(COLLECTION, claims => {
+        const current = claims[claim.nexId];
+        if (current?.claimId === claim.claimId) {
+            Object.assign(current, { state: 'dispatched', correlationId, dispatchedAt });
+        }
+        return current || null;
+    });
+}
+
+// The dispatch failed before reaching GitHub: free the NexID again
+export async function releaseNexIdLock(claim) {
+    return updateCollection(COLLECTION, claims => {
+        if (claims[claim.nexId]?.claimId === claim.claimId) {
+            delete claims[claim.nexId];
+        }
+    });
+}
+
+// { nexId, status: 'locked' | 'in_flight' | 'released' | 'unclaimed', correlationId, runId, runUrl, ... }
+export async function getNexIdLockStatus(nexId) {
+    const claim = await getRecord(COLLECTION, nexId);
+    return claim ? describeClaim(claim) : { nexId, status: 'unclaimed' };
+}
+
+async function describeClaim(claim) {
+    const summary = {
+        nexId: claim.nexId,
+        claimId: claim.claimId,
+        eventType: claim.eventType,
+        requestedBy: claim.requestedBy,
+        claimedAt: claim.claimedAt,
+        correlationId: claim.correlationId,
+        dispatchedAt: claim.dispatchedAt,
+        runId: null,
+        runUrl: null
+    };
+    const age = Date.now() - Date.parse(claim.dispatchedAt || claim.claimedAt);
+
+    if (claim.state === 'reserved') {
+        return { ...summary, status: age > RESERVATION_LEASE_MS ? 'released' : 'in_flight' };
+    }
+
+    const record = await findStoredRunByCorrelationId(claim.correlationId);
+    if (record) {
+        return describeRun(summary, record.run, record.results?.lock);
+    }
+    if (age <= getInFlightMs()) {
+        return { ...summary, status: 'in_flight' };
+    }
+
+    // Nothing stored for the run: ask the executor before letting the claim lapse
+    try {
+        const [{ run }] = await getExecutor().findRuns([{ correlationId: claim.correlationId, dispatchedAt: claim.dispatchedAt }]);
+        if (!run) {
+            return { ...summary, status: 'released' };
+        }
+        const lockResult = run.status === 'completed' ? await getRunResult(run, 'lock', { dispatchedAt: claim.dispatchedAt }) : null;
+        return describeRun(summary, run, lockResult);
+    } catch (error) {
+        log.warn('⚠️ LOCK GUARD: run lookup failed - keeping the claim', { nexId: claim.nexId, correlationId: claim.correlationId, error });
+        return { ...summary, status: 'in_flight' };
+    }
+}
+
+function describeRun(summary, run, lockResult) {
+    const described = { ...summary, runId: run.id, runUrl: run.html_url };
+    if (run.status !== 'completed') {
+        return { ...described, status: 'in_flight' };
+    }
+
+    // Prefer the parsed lock result; fall back to the run conclusion
+    const locked = lockResult ? lockResult.locked === true : run.conclusion === 'success';
+    return { ...described, status: locked ? 'locked' : 'released' };
+}
+
+function getInFlightMs() {
+    const minutes = Number(process.env.LOCK_GUARD_IN_FLIGHT_MINUTES);
+    return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_IN_FLIGHT_MINUTES) * 60 * 1000;
+}
@@ -0,0 +1,174 @@
+// /lib/lock-policy.js
+// Rule-based auto-lock policy for priced loans
+//
+// rules = [{ id, when: { maxRate, maxPriceCost, maxPoints, programs, productTypes } }]
+// Every condition in `when` must hold (AND); the first rule that matches fires (OR across rules).
+// Conditions are checked against the loan's best option, or the option picked by a
+// pricing selection (lib/pricing-options.js) when the policy has one.
+// Every evaluation is recorded per pricing batch in the `lock-decisions` collection, next to the
+// batch's standing policy if it has one (run once, when the batch finishes pricing - lib/auto-lock.js).
+
+import { randomUUID } from 'crypto';
+import { selectPricingOption, toNumber } from './pricing-options.js';
+import { getRecord, updateCollection } from './store.js';
+
+const COLLECTION = 'lock-decisions';
+
+const CONDITIONS = {
+    maxRate: {
+        test: (option, limit) => toNumber(option.interestRate) <= toNumber(limit),
+        describe: (option, limit) => `rate ${option.interestRate ?? 'n/a'} ≤ ${limit}`
+    },
+    maxPriceCost: {
+        test: (option, limit) => toNumber(option.priceCost) <= toNumber(limit),
+        describe: (option, limit) => `price cost ${option.priceCost ?? 'n/a'} ≤ ${limit}`
+    },
+    maxPoints: {
+        test: (option, limit) => toNumber(option.pricePoints) <= toNumber(limit),
+        describe: (option, limit) => `points ${option.pricePoints ?? 'n/a'} ≤ ${limit}`
+    },
+    programs: {
+        test: (option, list) => includesIgnoreCase(list, option.programName),
+        describe: (option, list) => `program "${option.programName ?? 'n/a'}" in [${list.join(', ')}]`
+    },
+    productTypes: {
+        test: (option, list) => includesIgnoreCase(list, option.productType),
+        describe: (option, list) => `product type "${option.productType ?? 'n/a'}" in [${list.join(', ')}]`
+    }
+};
+
+// Returns an error message for unusable rules, else null
+export function validateLockRules(rules) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+        return 'Lock policy needs a non-empty rules array';
+    }
+
+    const ids = new Set();
+    for (const [position, rule] of rules.entries()) {
+        const label = rule?.id || `#${position + 1}`;
+        if (!rule || typeof rule.when !== 'object' || rule.when === null || Object.keys(rule.when).length === 0) {
+            return `Rule ${label} needs at least one condition in "when"`;
+        }
+        if (rule.id && ids.has(rule.id)) {
+            return `Duplicate rule id: ${rule.id}`;
+        }
+        ids.add(rule.id);
+
+        for (const [condition, value] of Object.entries(rule.when)) {
+            if (!CONDITIONS[condition]) {
+                return `Rule ${label}: unknown condition ${condition}. Expected one of ${Object.keys(CONDITIONS).join(', ')}`;
+            }
+            const isList = condition === 'programs' || condition === 'productTypes';
+            if (isList ? !Array.isArray(value) || value.length === 0 : !Number.isFinite(toNumber(value))) {
+                return `Rule ${label}: ${condition} must be ${isList ? 'a non-empty array' : 'a number'}`;
+            }
+        }
+    }
+    return null;
+}
+
+// Decide one priced loan. Returns { decision: 'lock' | 'skip', ruleId, reason, option }.
+export function evaluateLockPolicy(pricingResult, rules, { selection } = {}) {
+    const option = selection
+        ? selectPricingOption(pricingResult, selection).selectedOption
+        : bestOption(pricingResult);
+
+    if (!option || !Number.isFinite(toNumber(option.interestRate))) {
+        return { decision: 'skip', ruleId: null, reason: 'No pricing option to evaluate', option: null };
+    }
+
+    const misses = [];
+    for (const [position, rule] of rules.entries()) {
+        const ruleId = rule.id || `rule-${position + 1}`;
+        const checks = Object.entries(rule.when).map(([condition, value]) => ({
+            passed: CONDITIONS[condition].test(option, value),
+            text: CONDITIONS[condition].describe(option, value)
+        }));
+
+        if (checks.every(check => check.passed)) {
+            return {
+                decision: 'lock',
+                ruleId: ruleId,
+                reason: `Rule ${ruleId} matched: ${checks.map(check => check.text).join(', ')}`,
+                option: option
+            };
+        }
+        misses.push(`${ruleId}: not ${checks.filter(check => !check.passed).map(check => check.text).join(', ')}`);
+    }
+
+    return { decision: 'skip', ruleId: null, reason: `No rule matched (${misses.join('; ')})`, option: option };
+}
+
+// Store one evaluation (dry run or live) under the pricing batch; returns it with its evaluationId
+export async function recordLockEvaluation(batchId, evaluation) {
+    const record = { evaluationId: `eval-${randomUUID()}`, evaluatedAt: new Date().toISOString(), ...evaluation };
+
+    await updateCollection(COLLECTION, decisions => {
+        decisions[batchId] = decisions[batchId] || { batchId, evaluations: [] };
+        decisions[batchId].evaluations.push(record);
+    });
+
+    return record;
+}
+
+export async function getLockDecisions(batchId) {
+    return (await getRecord(COLLECTION, batchId)) || { batchId, evaluations: [] };
+}
+
+// policy: { rules, selection, credentialRef, user: { userId, roles } } - replaces one not run yet
+export async function saveStandingPolicy(batchId, policy) {
+    return updateCollection(COLLECTION, decisions => {
+        decisions[batchId] = decisions[batchId] || { batchId, evaluations: [] };
+        if (decisions[batchId].standing?.firedAt) {
+            throw new Error(`The standing lock policy of batch ${batchId} already ran at ${decisions[batchId].standing.firedAt}`);
+        }
+        decisions[batchId].standing = { ...policy, savedAt: new Date().toISOString(), firedAt: null };
+        return decisions[batchId].standing;
+    });
+}
+
+// Take the standing policy to run it: returns it once, null to every later (or concurrent) caller
+export async function claimStandingPolicy(batchId) {
+    return updateCollection(COLLECTION, decisions => {
+        const standing = decisions[batchId]?.standing;
+        if (!standing || standing.firedAt) {
+            return null;
+        }
+        standing.firedAt = new Date().toISOString();
+        return standing;
+    });
+}
+
+// loanIndex -> evaluationId for loans a live evaluation already dispatched a lock for
+export async function getAutoLockedLoans(batchId) {
+    const { evaluations } = await getLockDecisions(batchId);
+    const locked = new Map();
+
+    for (const evaluation of evaluations.filter(candidate => !candidate.dryRun)) {
+        for (const loan of evaluation.loans) {
+            // An unknown dispatch may have started its lock run
+            if (loan.dispatch?.status === 'dispatched' || loan.dispatch?.status === 'unknown') {
+                locked.set(loan.loanIndex, evaluation.evaluationId);
+            }
+        }
+    }
+    return locked;
+}
+
+// The option extractRealPricingData reported as best (best_rate_option or the first option)
+function bestOption(result) {
+    return {
+        interestRate: result.interestRate,
+        ratePeriod: result.rateDescription,
+        pricePoints: result.pricePoints,
+        priceCost: result.priceCost,
+        productType: result.productType,
+        programName: result.programName,
+        programDescription: result.programDescription,
+        monthlyPayment: result.monthlyPayment
+    };
+}
+
+function includesIgnoreCase(list, value) {
+    return value !== undefined && value !== null && list.some(item => String(item).toLowerCase() === String(value).toLowerCase());
+}
@@ -0,0 +1,235 @@
+// /lib/log-markers.js
+// Parser for the structured markers the llpa-rate-comparator scripts print to their job logs:
+//
+//     🔒 LOCK_RESULT: { ...json }
+//     💰 PRICING_DATA_OUTPUT: { ...json }
+//
+// - strips the timestamp GitHub puts in front of every log line
+// - extracts balanced JSON, so nested objects, "}" inside strings and JSON split across lines work
+// - returns every marker in the log (one per loan when a job handles several)
+// - validates each value against the marker's schema
+// Failures come back as diagnostics [{ line, message, snippet }] instead of a bare null.
+
+export class LogMarkerError extends Error {
+    constructor(message, diagnostics = []) {
+        super(message);
+        this.name = 'LogMarkerError';
+        this.diagnostics = diagnostics;
+    }
+}
+
+export const MARKERS = {
+    LOCK_RESULT: '🔒 LOCK_RESULT:',
+    PRICING_DATA: '💰 PRICING_DATA_OUTPUT:'
+};
+
+const TIMESTAMP_PREFIX = /^\uFEFF?\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z ?/;
+// Lines that only echo the script source (e.g. `print(f"💰 PRICING_DATA_OUTPUT: {json.dumps(...)}")`)
+const SOURCE_ECHO = /json\.dumps|print\(f?["']/;
+const SNIPPET_LENGTH = 200;
+
+export function stripTimestamps(logsText) {
+    return String(logsText || '')
+        .split(/\r?\n/)
+        .map(line => line.replace(TIMESTAMP_PREFIX, ''))
+        .join('\n');
+}
+
+// Returns { values: [{ value, line }], diagnostics: [{ line, message, snippet }] }.
+// `line` is 1-based in the log. `validate(value)` returns a list of problems (empty when valid).
+export function parseMarkers(logsText, marker, validate = () => []) {
+    const text = stripTimestamps(logsText);
+    const values = [];
+    const diagnostics = [];
+
+    let searchFrom = 0;
+    for (;;) {
+        const markerAt = text.indexOf(marker, searchFrom);
+        if (markerAt === -1) {
+            break;
+        }
+        searchFrom = markerAt + marker.length;
+
+        const line = lineNumberAt(text, markerAt);
+        const lineEnd = text.indexOf('\n', markerAt);
+        const lineText = text.slice(text.lastIndexOf('\n', markerAt) + 1, lineEnd === -1 ? text.length : lineEnd);
+        if (SOURCE_ECHO.test(lineText)) {
+            continue;
+        }
+
+        const jsonStart = skipWhitespace(text, searchFrom);
+        if (text[jsonStart] !== '{') {
+            diagnostics.push({ line, message: `Expected "{" after ${marker}`, snippet: snippet(text, jsonStart) });
+            continue;
+        }
+
+        // A truncated value must not swallow the next marker's JSON
+        const nextMarkerAt = text.indexOf(marker, jsonStart);
+        const jsonEnd = findBalancedEnd(text, jsonStart, nextMarkerAt === -1 ? text.length : nextMarkerAt);
+        if (jsonEnd === -1) {
+            diagnostics.push({ line, message: 'Unterminated JSON (log truncated?)', snippet: snippet(text, jsonStart) });
+            continue;
+        }
+
+        const jsonText = text.slice(jsonStart, jsonEnd + 1);
+        searchFrom = jsonEnd + 1;
+
+        let value;
+        try {
+            value = JSON.parse(jsonText);
+        } catch (error) {
+            diagnostics.push({ line, message: `Invalid JSON: ${error.message}`, snippet: snippet(jsonText, 0) });
+            continue;
+        }
+
+        const problems = validate(value);
+        if (problems.length > 0) {
+            diagnostics.push({ line, message: `Schema validation failed: ${problems.join('; ')}`, snippet: snippet(jsonText, 0) });
+            continue;
+        }
+
+        values.push({ value, line });
+    }
+
+    if (values.length === 0 && diagnostics.length === 0) {
+        diagnostics.push({ line: null, message: `No ${marker} marker found in log`, snippet: null });
+    }
+
+    return { values, diagnostics };
+}
+
+export function parseLockResults(logsText) {
+    return parseMarkers(logsText, MARKERS.LOCK_RESULT, validateLockResult);
+}
+
+export function parsePricingData(logsText) {
+    return parseMarkers(logsText, MARKERS.PRICING_DATA, validatePricingData);
+}
+
+export function validateLockResult(value) {
+    const problems = validateObject(value);
+    if (problems.length > 0) {
+        return problems;
+    }
+    if (typeof value.lock_status !== 'string' || value.lock_status === '') {
+        problems.push('lock_status must be a non-empty string');
+    }
+    checkOptional(problems, value, 'nex_id', ['string', 'number']);
+    checkOptional(problems, value, 'message', ['string']);
+    checkOptional(problems, value, 'borrower_name', ['string']);
+    checkOptional(problems, value, 'loan_index', ['number', 'string']);
+    return problems;
+}
+
+export function validatePricingData(value) {
+    const problems = validateObject(value);
+    if (problems.length > 0) {
+        return problems;
+    }
+    checkOptional(problems, value, 'pricing_status', ['string']);
+    checkOptional(problems, value, 'borrower_name', ['string']);
+    checkOptional(problems, value, 'loan_index', ['number', 'string']);
+    checkOptional(problems, value, 'total_options', ['number']);
+    if (value.pricing_options !== undefined && value.pricing_options !== null) {
+        if (!Array.isArray(value.pricing_options)) {
+            problems.push('pricing_options must be an array');
+        } else if (value.pricing_options.some(option => !option || typeof option !== 'object')) {
+            problems.push('pricing_options entries must be objects');
+        }
+    }
+    if (value.best_rate_option !== undefined && value.best_rate_option !== null && typeof value.best_rate_option !== 'object') {
+        problems.push('best_rate_option must be an object');
+    }
+    return problems;
+}
+
+// The marker value for loanIndex out of parseMarkers' result. A lone marker is taken as is; with
+// several, only the one carrying loan_index === loanIndex is - if none does (or the loan index is
+// unknown) there is no telling which loan's result it is, so null is returned and a diagnostic
+// is added to parsed.diagnostics.
+export function selectMarkerValue(parsed, loanIndex) {
+    const { values } = parsed;
+    if (values.length === 0) {
+        return null;
+    }
+    if (values.length === 1) {
+        return values[0].value;
+    }
+    if (loanIndex !== null && loanIndex !== undefined) {
+        const match = values.find(({ value }) => value.loan_index !== undefined && String(value.loan_index) === String(loanIndex));
+        if (match) {
+            return match.value;
+        }
+    }
+    parsed.diagnostics.push({
+        line: null,
+        message: loanIndex !== null && loanIndex !== undefined
+            ? `${values.length} markers in log, none for loan_index ${loanIndex}`
+            : `${values.length} markers in log and no loan index to choose one by`,
+        snippet: null
+    });
+    return null;
+}
+
+function validateObject(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? [] : ['value must be a JSON object'];
+}
+
+function checkOptional(problems, value, field, types) {
+    if (value[field] !== undefined && value[field] !== null && !types.includes(typeof value[field])) {
+        problems.push(`${field} must be a ${types.join(' or ')}`);
+    }
+}
+
+// Index of the "}" closing the object that opens at `start`, or -1 if `end` comes first
+function findBalancedEnd(text, start, end) {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < end; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        }
+    }
+
+    return -1;
+}
+
+function skipWhitespace(text, index) {
+    while (index < text.length && /\s/.test(text[index])) {
+        index++;
+    }
+    return index;
+}
+
+function lineNumberAt(text, index) {
+    let line = 1;
+    for (let i = 0; i < index; i++) {
+        if (text[i] === '\n') {
+            line++;
+        }
+    }
+    return line;
+}
+
+function snippet(text, index) {
+    return text.slice(index, index + SNIPPET_LENGTH);
+}
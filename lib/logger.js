@@ -0,0 +1,153 @@
+// /lib/logger.js
+// Structured JSON logging shared by every handler, with request IDs, levels and PII redaction
+//
+// Each entry is one line of JSON: { time, level, logger, msg, requestId?, endpoint?, ...fields }.
+// requestLogger(req, res, endpoint) starts a request: it takes the caller's X-Request-Id (or
+// makes one), echoes it in the response header, and every entry logged while serving the
+// request - in the handler or in lib/ - carries it.
+//
+// LOG_LEVEL (debug | info | warn | error | silent) sets the verbosity. Without it the level
+// follows the environment (VERCEL_ENV, else NODE_ENV): info in production, debug elsewhere.
+//
+// Everything logged is redacted first, so loan data, results and log excerpts can be passed
+// as they are:
+//   - values under sensitive keys: borrower names, credentials and tokens, SSNs, addresses,
+//     contact details, LoanNex usernames
+//   - in any string: SSNs, street addresses, bearer tokens, and `key: value` / "key": "value"
+//     pairs with a sensitive key (JSON fragments and lines of raw job logs)
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+export const REDACTED = '[REDACTED]';
+
+const MAX_STRING_LENGTH = 2000;
+const MAX_DEPTH = 6;
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Compared with keys lowercased and stripped of everything but letters and digits, so
+// 'First Name', 'first_name' and 'firstName' all match. credentialRef is an opaque reference
+// and stays readable.
+const SENSITIVE_KEY = /^(.*(password|passwd|secret|token|apikey|authorization|cookie|ssn|socialsecurity|taxid|address|street|email|phone|dateofbirth)|(.*credential(?!ref$).*)|(borrower|borrowername|firstname|lastname|middlename|fullname|coborrowername|username|login|dob|zip|zipcode))$/;
+
+const TEXT_PATTERNS = [
+    // "First Name": "Jane" (JSON fragments) and First Name: Jane / password=hunter2 (log lines)
+    {
+        pattern: /("([^"\\]{1,40})"\s*:\s*)("(?:[^"\\]|\\.)*"|[^,}\]\s]+)/g,
+        replace: (match, prefix, key) => isSensitiveKey(key) ? `${prefix}"${REDACTED}"` : match
+    },
+    {
+        pattern: /(^|[\s{,;(])((?:[A-Za-z][A-Za-z_-]*)(?: [A-Z][A-Za-z]*)?)(\s*[:=]\s*)([^\n,;]+)/gm,
+        replace: (match, lead, key, separator) => isSensitiveKey(key) ? `${lead}${key}${separator}${REDACTED}` : match
+    },
+    { pattern: /\b\d{3}-\d{2}-\d{4}\b/g, replace: () => '[REDACTED SSN]' },
+    { pattern: /\bBearer\s+[\w.~+/=-]+/gi, replace: () => `Bearer ${REDACTED}` },
+    {
+        pattern: /\b\d{1,6}\s+(?:[A-Z0-9][\w'-]*\s+){1,4}(?:St|Street|Ave|Avenue|Rd|Road|Blvd|Boulevard|Dr|Drive|Ln|Lane|Ct|Court|Way|Pl|Place|Pkwy|Parkway|Cir|Circle|Ter|Terrace|Hwy|Highway)\b\.?(?:,?\s+(?:Apt|Unit|Suite|Ste|#)\s*[\w-]+)?/g,
+        replace: () => '[REDACTED ADDRESS]'
+    }
+];
+
+const context = new AsyncLocalStorage();
+
+// A logger for a module or component: createLogger('results').info('Parsed run', { runId })
+export function createLogger(name, fields = {}) {
+    const entry = (level, msg, extra) => {
+        if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(getLogLevel())) {
+            return;
+        }
+        const line = JSON.stringify(redact({
+            time: new Date().toISOString(),
+            level: level,
+            logger: name,
+            msg: msg,
+            ...context.getStore(),
+            ...fields,
+            ...toFields(extra)
+        }));
+        (level === 'error' || level === 'warn' ? console.error : console.log)(line);
+    };
+
+    return {
+        debug: (msg, extra) => entry('debug', msg, extra),
+        info: (msg, extra) => entry('info', msg, extra),
+        warn: (msg, extra) => entry('warn', msg, extra),
+        error: (msg, extra) => entry('error', msg, extra),
+        child: more => createLogger(name, { ...fields, ...more })
+    };
+}
+
+// Start logging a request; call first thing in a handler. Entries logged for the rest of the
+// request (including from lib/) carry its requestId and endpoint.
+export function requestLogger(req, res, endpoint) {
+    const offered = req.headers?.['x-request-id'];
+    const requestId = typeof offered === 'string' && REQUEST_ID_PATTERN.test(offered) ? offered : randomUUID();
+    res.setHeader?.('X-Request-Id', requestId);
+
+    context.enterWith({ requestId, endpoint });
+    return createLogger(endpoint);
+}
+
+export function getLogLevel() {
+    const configured = (process.env.LOG_LEVEL || '').toLowerCase();
+    if (LOG_LEVELS.includes(configured)) {
+        return configured;
+    }
+    return (process.env.VERCEL_ENV || process.env.NODE_ENV) === 'production' ? 'info' : 'debug';
+}
+
+// A copy of value with personal data and secrets replaced; strings are scrubbed as text
+export function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactText(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (value instanceof Error) {
+        return redact(describeError(value), depth);
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = isSensitiveKey(key) && item !== null && item !== undefined && item !== '' ? REDACTED : redact(item, depth + 1);
+    }
+    return copy;
+}
+
+export function redactText(text) {
+    const scrubbed = TEXT_PATTERNS.reduce((current, { pattern, replace }) => current.replace(pattern, replace), text);
+    return scrubbed.length > MAX_STRING_LENGTH ? `${scrubbed.slice(0, MAX_STRING_LENGTH)}… [${scrubbed.length - MAX_STRING_LENGTH} more characters]` : scrubbed;
+}
+
+function isSensitiveKey(key) {
+    return SENSITIVE_KEY.test(String(key).toLowerCase().replace(/[^a-z0-9]/g, ''));
+}
+
+// extra: fields, or an Error (logged as { error: { name, message, ... } })
+function toFields(extra) {
+    if (extra instanceof Error) {
+        return { error: describeError(extra) };
+    }
+    if (extra && typeof extra === 'object' && !Array.isArray(extra)) {
+        return Object.fromEntries(Object.entries(extra).map(([key, value]) => [key, value instanceof Error ? describeError(value) : value]));
+    }
+    return extra === undefined ? {} : { detail: extra };
+}
+
+function describeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.status ? { status: error.status } : {}),
+        ...(error.code ? { code: error.code } : {}),
+        stack: error.stack
+    };
+}
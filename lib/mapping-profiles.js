@@ -0,0 +1,105 @@
+// /lib/mapping-profiles.js
+// Saved column-mapping profiles for loan tape imports (one per tape format)
+//
+// profile = {
+//   name,
+//   columns: { "<tape column header>": "<loan field>" },  e.g. { "Borrower First": "First Name", "Loan ID": "nex_id" }
+//   defaults: { "<loan field>": value },                   used when the mapped cell is blank
+//   keepUnmapped: false                                    true passes unmapped columns through as-is
+// }
+// Headers match case- and whitespace-insensitively. Loan fields are normally LOAN_SCHEMA names.
+
+import { randomUUID } from 'crypto';
+import { readCollection, updateCollection } from './store.js';
+
+const COLLECTION = 'mapping-profiles';
+
+// Returns an error message for an unusable profile definition, else null
+export function validateMappingProfile(profile) {
+    if (!profile || typeof profile !== 'object') {
+        return 'Missing mapping profile';
+    }
+    if (!profile.name || typeof profile.name !== 'string') {
+        return 'Mapping profile needs a name';
+    }
+    if (!isPlainObject(profile.columns) || Object.keys(profile.columns).length === 0) {
+        return 'Mapping profile needs a columns object of { tapeColumn: loanField }';
+    }
+    for (const [column, field] of Object.entries(profile.columns)) {
+        if (typeof field !== 'string' || field.trim() === '') {
+            return `Column "${column}" must map to a loan field name`;
+        }
+    }
+    if (profile.defaults !== undefined && !isPlainObject(profile.defaults)) {
+        return 'Mapping profile defaults must be an object';
+    }
+    return null;
+}
+
+export async function saveMappingProfile(profile, { owner } = {}) {
+    const record = {
+        profileId: `map-${randomUUID()}`,
+        owner: owner || null,
+        ...pickProfileFields(profile),
+        createdAt: new Date().toISOString(),
+        updatedAt: null
+    };
+
+    await updateCollection(COLLECTION, profiles => {
+        profiles[record.profileId] = record;
+    });
+
+    return record;
+}
+
+export async function updateMappingProfile(profileId, profile, { owner } = {}) {
+    return updateCollection(COLLECTION, profiles => {
+        const existing = profiles[profileId];
+        if (!isVisibleTo(existing, owner)) {
+            return null;
+        }
+        Object.assign(existing, pickProfileFields(profile), { updatedAt: new Date().toISOString() });
+        return existing;
+    });
+}
+
+export async function deleteMappingProfile(profileId, { owner } = {}) {
+    return updateCollection(COLLECTION, profiles => {
+        const existing = profiles[profileId];
+        if (!isVisibleTo(existing, owner)) {
+            return null;
+        }
+        delete profiles[profileId];
+        return existing;
+    });
+}
+
+export async function getMappingProfile(profileId, { owner } = {}) {
+    const profiles = await readCollection(COLLECTION);
+    const record = profiles[profileId];
+    return isVisibleTo(record, owner) ? record : null;
+}
+
+export async function listMappingProfiles({ owner } = {}) {
+    const profiles = await readCollection(COLLECTION);
+    return Object.values(profiles)
+        .filter(record => isVisibleTo(record, owner))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function pickProfileFields(profile) {
+    return {
+        name: profile.name.trim(),
+        columns: profile.columns,
+        defaults: profile.defaults || {},
+        keepUnmapped: Boolean(profile.keepUnmapped)
+    };
+}
+
+function isVisibleTo(record, owner) {
+    return Boolean(record) && (!owner || !record.owner || record.owner === owner);
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
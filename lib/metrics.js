@@ -0,0 +1,174 @@
+// /lib/metrics.js
+// Operational metrics - dispatches, GitHub API calls, result parsing, lock outcomes and time from
+// trigger to result - rendered in the Prometheus text exposition format (/api/metrics)
+//
+// Metrics live in this process, like any Prometheus client: each server (or warm serverless
+// instance) counts what it served, and counters restart from zero with it
+// (loannex_process_start_time_seconds tells Prometheus when). Every metric is declared in METRICS
+// with its labels; recording one that isn't declared, or with labels it doesn't declare, throws.
+
+import { performance } from 'perf_hooks';
+
+const REQUEST_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const RUN_BUCKETS = [30, 60, 120, 180, 300, 600, 900, 1800, 3600];
+
+export const METRICS = {
+    loannex_dispatches_total: {
+        type: 'counter',
+        help: 'Loan dispatches, by outcome: dispatched, unknown (GitHub never confirmed it), rejected (duplicate-lock guard) or failed',
+        labels: ['event_type', 'executor', 'outcome']
+    },
+    loannex_dispatch_duration_seconds: {
+        type: 'histogram',
+        help: 'Time to hand a dispatch to the executor',
+        labels: ['event_type', 'executor'],
+        buckets: REQUEST_BUCKETS
+    },
+    loannex_github_requests_total: {
+        type: 'counter',
+        help: 'GitHub API requests (each retry counts), by operation and HTTP status (network_error when none came back)',
+        labels: ['operation', 'status']
+    },
+    loannex_github_request_duration_seconds: {
+        type: 'histogram',
+        help: 'GitHub API request time, per attempt',
+        labels: ['operation'],
+        buckets: REQUEST_BUCKETS
+    },
+    loannex_github_rate_limit_remaining: {
+        type: 'gauge',
+        help: 'GitHub API requests left in the current rate-limit window, as last reported by GitHub',
+        labels: []
+    },
+    loannex_result_parses_total: {
+        type: 'counter',
+        help: 'Run results parsed, by source: artifact, logs, workflow_conclusion_fallback or error',
+        labels: ['event_type', 'kind', 'source']
+    },
+    loannex_result_parse_duration_seconds: {
+        type: 'histogram',
+        help: 'Time to fetch and parse a run result',
+        labels: ['event_type', 'kind'],
+        buckets: REQUEST_BUCKETS
+    },
+    loannex_lock_results_total: {
+        type: 'counter',
+        help: 'Lock results of finished runs, by outcome: locked or failed',
+        labels: ['event_type', 'outcome']
+    },
+    loannex_pricing_results_total: {
+        type: 'counter',
+        help: 'Pricing results of finished runs, by outcome: priced or failed',
+        labels: ['event_type', 'outcome']
+    },
+    loannex_trigger_to_result_seconds: {
+        type: 'histogram',
+        help: 'Time from a dispatch to its run\'s reported result being parsed, for runs whose dispatch time is known',
+        labels: ['event_type', 'kind'],
+        buckets: RUN_BUCKETS
+    },
+    loannex_result_cache_lookups_total: {
+        type: 'counter',
+        help: 'Result cache lookups, by backend and outcome: hit or miss',
+        labels: ['backend', 'outcome']
+    },
+    loannex_process_start_time_seconds: {
+        type: 'gauge',
+        help: 'When this process started, in Unix seconds',
+        labels: []
+    }
+};
+
+// { [name]: Map<labelKey, { labels, value } | { labels, buckets: number[], sum, count }> }
+const series = Object.fromEntries(Object.keys(METRICS).map(name => [name, new Map()]));
+
+setMetric('loannex_process_start_time_seconds', {}, Math.round(Date.now() / 1000 - process.uptime()));
+
+export function countMetric(name, labels = {}, amount = 1) {
+    const entry = seriesFor(name, 'counter', labels);
+    entry.value = (entry.value || 0) + amount;
+}
+
+export function setMetric(name, labels = {}, value) {
+    seriesFor(name, 'gauge', labels).value = value;
+}
+
+export function observeMetric(name, labels = {}, value) {
+    const entry = seriesFor(name, 'histogram', labels);
+    const { buckets } = METRICS[name];
+    entry.buckets = entry.buckets || buckets.map(() => 0);
+    buckets.forEach((bound, index) => {
+        if (value <= bound) {
+            entry.buckets[index]++;
+        }
+    });
+    entry.sum = (entry.sum || 0) + value;
+    entry.count = (entry.count || 0) + 1;
+}
+
+// const elapsed = startTimer(); ...; observeMetric(name, labels, elapsed())
+export function startTimer() {
+    const started = performance.now();
+    return () => (performance.now() - started) / 1000;
+}
+
+// Every metric recorded so far, in the Prometheus text format (version 0.0.4)
+export function renderMetrics() {
+    const lines = [];
+
+    for (const [name, { type, help }] of Object.entries(METRICS)) {
+        if (series[name].size === 0) {
+            continue;
+        }
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+        for (const entry of series[name].values()) {
+            if (type !== 'histogram') {
+                lines.push(`${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+                continue;
+            }
+            METRICS[name].buckets.forEach((bound, index) => {
+                lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: String(bound) })} ${entry.buckets[index]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+            lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+function seriesFor(name, type, labels) {
+    const metric = METRICS[name];
+    if (!metric || metric.type !== type) {
+        throw new Error(`Unknown ${type} metric: ${name}`);
+    }
+    const unknown = Object.keys(labels).filter(label => !metric.labels.includes(label));
+    if (unknown.length > 0) {
+        throw new Error(`Metric ${name} has no label ${unknown.join(', ')}. Expected ${metric.labels.join(', ') || 'none'}`);
+    }
+
+    // Labels in declared order; missing ones are empty
+    const ordered = Object.fromEntries(metric.labels.map(label => [label, String(labels[label] ?? '')]));
+    const key = JSON.stringify(Object.values(ordered));
+    if (!series[name].has(key)) {
+        series[name].set(key, { labels: ordered });
+    }
+    return series[name].get(key);
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([label, value]) => `${label}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (Number.isNaN(value)) {
+        return 'NaN';
+    }
+    if (!Number.isFinite(value)) {
+        return value > 0 ? '+Inf' : '-Inf';
+    }
+    return String(Math.round(value * 1e6) / 1e6);
+}
@@ -0,0 +1,206 @@
+// /lib/pricing-options.js
+// Secondary-desk selection of one pricing option per loan from allPricingOptions
+//
+// selection = {
+//   filters: { productTypes, programs, amortizingTypes, ratePeriods, maxPoints, maxCost },
+//   strategy: 'lowest_rate_at_par' | 'best_price_at_rate' | 'lowest_payment',
+//   targetRate,     // best_price_at_rate only
+//   parTolerance    // lowest_rate_at_par: most points still counted as par (default 0)
+// }
+// List filters match case-insensitively; maxPoints / maxCost are inclusive upper bounds.
+
+export const RANKING_STRATEGIES = ['lowest_rate_at_par', 'best_price_at_rate', 'lowest_payment'];
+export const DEFAULT_STRATEGY = 'lowest_rate_at_par';
+
+const LIST_FILTERS = {
+    productTypes: { read: option => option.product_type },
+    programs: { read: option => option.program_name },
+    amortizingTypes: { read: (option, result) => option.amortizing_type ?? result.amortizingType },
+    ratePeriods: { read: option => option.rate_period }
+};
+const RATE_EPSILON = 0.0005;
+
+// Returns an error message for an unusable selection, else null
+export function validatePricingSelection(selection) {
+    if (selection === undefined || selection === null) {
+        return null;
+    }
+    if (typeof selection !== 'object' || Array.isArray(selection)) {
+        return 'selection must be an object';
+    }
+
+    const strategy = selection.strategy || DEFAULT_STRATEGY;
+    if (!RANKING_STRATEGIES.includes(strategy)) {
+        return `Unknown ranking strategy: ${strategy}. Expected one of ${RANKING_STRATEGIES.join(', ')}`;
+    }
+    if (strategy === 'best_price_at_rate' && !Number.isFinite(toNumber(selection.targetRate))) {
+        return 'best_price_at_rate needs a numeric targetRate';
+    }
+
+    const filters = selection.filters || {};
+    for (const key of Object.keys(filters)) {
+        if (!LIST_FILTERS[key] && key !== 'maxPoints' && key !== 'maxCost') {
+            return `Unknown pricing filter: ${key}`;
+        }
+        if (LIST_FILTERS[key] && !Array.isArray(filters[key])) {
+            return `Filter ${key} must be an array`;
+        }
+    }
+    for (const key of ['maxPoints', 'maxCost']) {
+        if (filters[key] !== undefined && !Number.isFinite(toNumber(filters[key]))) {
+            return `Filter ${key} must be a number`;
+        }
+    }
+
+    return null;
+}
+
+// Adds selectedOption and selectionExplanation to a pricing result.
+// selectedOption is null when no option survives the filters / strategy; the explanation says why.
+export function selectPricingOption(result, selection = {}) {
+    const strategy = selection.strategy || DEFAULT_STRATEGY;
+    const options = Array.isArray(result.allPricingOptions) ? result.allPricingOptions : [];
+    const { candidates, rejected } = filterOptions(options, result, selection.filters || {});
+
+    const ranked = rankOptions(candidates, strategy, selection);
+    const winner = ranked.options[0] || null;
+
+    return {
+        ...result,
+        selectedOption: winner ? describeOption(winner) : null,
+        selectionExplanation: {
+            strategy: strategy,
+            totalOptions: options.length,
+            eligibleOptions: candidates.length,
+            rejectedByFilter: rejected,
+            reason: winner ? ranked.reason(winner) : (candidates.length === 0 ? 'No pricing option matches the filters' : ranked.emptyReason),
+            runnerUp: ranked.options[1] ? describeOption(ranked.options[1]) : null
+        }
+    };
+}
+
+function filterOptions(options, result, filters) {
+    const rejected = {};
+    const reject = key => {
+        rejected[key] = (rejected[key] || 0) + 1;
+    };
+
+    const candidates = options.filter(option => {
+        for (const [key, definition] of Object.entries(LIST_FILTERS)) {
+            const wanted = filters[key];
+            if (Array.isArray(wanted) && wanted.length > 0) {
+                const value = String(definition.read(option, result) ?? '').toLowerCase();
+                if (!wanted.some(item => String(item).toLowerCase() === value)) {
+                    reject(key);
+                    return false;
+                }
+            }
+        }
+        if (filters.maxPoints !== undefined && !(toNumber(option.price_points) <= toNumber(filters.maxPoints))) {
+            reject('maxPoints');
+            return false;
+        }
+        if (filters.maxCost !== undefined && !(toNumber(option.price_cost) <= toNumber(filters.maxCost))) {
+            reject('maxCost');
+            return false;
+        }
+        return true;
+    });
+
+    return { candidates, rejected };
+}
+
+// Returns { options (best first), reason(winner), emptyReason }
+function rankOptions(candidates, strategy, selection) {
+    switch (strategy) {
+        case 'best_price_at_rate': {
+            const targetRate = toNumber(selection.targetRate);
+            const priced = candidates.filter(option => Number.isFinite(toNumber(option.interest_rate)));
+            const nearestRate = priced.length > 0
+                ? priced.map(option => toNumber(option.interest_rate))
+                    .reduce((best, rate) => (Math.abs(rate - targetRate) < Math.abs(best - targetRate) ? rate : best))
+                : null;
+            const atRate = priced.filter(option => Math.abs(toNumber(option.interest_rate) - nearestRate) < RATE_EPSILON);
+
+            return {
+                options: sortBy(atRate, [option => toNumber(option.price_points), option => toNumber(option.price_cost)]),
+                reason: winner => {
+                    const exact = Math.abs(nearestRate - targetRate) < RATE_EPSILON;
+                    return `${formatPoints(winner)} is the best price among ${atRate.length} option(s) at ${nearestRate}%`
+                        + (exact ? ' (the target rate)' : ` (closest available rate to the ${targetRate}% target)`);
+                },
+                emptyReason: 'No eligible option has an interest rate'
+            };
+        }
+
+        case 'lowest_payment': {
+            const withPayment = candidates.filter(option => Number.isFinite(toNumber(option.monthly_payment)));
+            return {
+                options: sortBy(withPayment, [option => toNumber(option.monthly_payment), option => toNumber(option.price_points)]),
+                reason: winner => `$${toNumber(winner.monthly_payment)}/month is the lowest payment among ${withPayment.length} eligible option(s)`
+                    + ` (${toNumber(winner.interest_rate)}% at ${formatPoints(winner)})`,
+                emptyReason: 'No eligible option has a monthly payment'
+            };
+        }
+
+        default: {
+            const parTolerance = toNumber(selection.parTolerance ?? 0);
+            const atPar = candidates.filter(option =>
+                Number.isFinite(toNumber(option.interest_rate)) && toNumber(option.price_points) <= parTolerance
+            );
+            return {
+                options: sortBy(atPar, [option => toNumber(option.interest_rate), option => toNumber(option.price_points)]),
+                reason: winner => `${toNumber(winner.interest_rate)}% is the lowest rate among ${atPar.length} option(s) priced at or better than par`
+                    + ` (≤ ${parTolerance} points); it costs ${formatPoints(winner)}`,
+                emptyReason: `No eligible option is priced at or better than par (≤ ${parTolerance} points)`
+            };
+        }
+    }
+}
+
+function describeOption(option) {
+    return {
+        interestRate: option.interest_rate,
+        ratePeriod: option.rate_period,
+        pricePoints: option.price_points,
+        priceCost: option.price_cost,
+        productType: option.product_type,
+        programName: option.program_name,
+        programDescription: option.program_description,
+        monthlyPayment: option.monthly_payment
+    };
+}
+
+function sortBy(options, keys) {
+    return [...options].sort((a, b) => {
+        for (const key of keys) {
+            const difference = nullsLast(key(a)) - nullsLast(key(b));
+            if (difference !== 0) {
+                return difference;
+            }
+        }
+        return 0;
+    });
+}
+
+function nullsLast(value) {
+    return Number.isFinite(value) ? value : Infinity;
+}
+
+function formatPoints(option) {
+    const points = toNumber(option.price_points);
+    return Number.isFinite(points) ? `${points} points` : 'unknown points';
+}
+
+// Pricing engines send numbers as strings like "6.125%", "(0.25)" or "$1,234.56"
+export function toNumber(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+        return NaN;
+    }
+    const negative = /^\(.*\)$/.test(value.trim());
+    const number = Number(value.replace(/[$,%\s()]/g, ''));
+    return negative ? -number : number;
+}
@@ -0,0 +1,181 @@
+// /lib/result-cache.js
+// Immutable cache of parsed lock and pricing results, keyed by workflow run ID
+//
+// A completed run never changes, so once its result has been parsed its jobs, logs and artifact
+// are never fetched again. RESULT_CACHE_BACKEND picks where parsed results are kept:
+//   disk   (default) - one JSON file per run under <LOANNEX_DATA_DIR>/result-cache, shared by every
+//                      process using the same data dir and kept across restarts
+//   memory           - this process only (warm serverless instances keep it);
+//                      RESULT_CACHE_MAX_ENTRIES (default 10000) bounds it, least recently used first out
+//   none             - every lookup is a miss
+// Only results of completed runs that were read from a marker or the results artifact are cached
+// (and stored): a conclusion fallback or an error result may come from a GitHub hiccup or logs
+// not uploaded yet, so such runs are parsed again on the next lookup. The key includes
+// run_attempt: re-running a workflow starts a new attempt of the same run, which is parsed afresh.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getExecutorForRun } from './executor.js';
+import { createLogger } from './logger.js';
+import { countMetric, startTimer } from './metrics.js';
+import { isFinalResult, recordResultMetrics } from './results.js';
+import { saveRunResult } from './run-store.js';
+import { getDataDir } from './store.js';
+
+const log = createLogger('result-cache');
+
+const DEFAULT_BACKEND = 'disk';
+const DEFAULT_MAX_ENTRIES = 10000;
+
+const BACKENDS = {
+    disk: createDiskBackend,
+    memory: createMemoryBackend,
+    none: createNoBackend
+};
+
+// Process totals, by backend: { [backend]: { hits, misses, writes } }
+const totals = {};
+let cache = null;
+
+// The parsed result of a finished run. Answered, in order, by the run store (storedResult, as
+// returned by findRunsWithStore), this cache, or the executor that ran it - and then, when final,
+// cached and stored. stats: optional per-request { hits, misses } to count into. dispatchedAt: when
+// the run was dispatched, if known, for the trigger-to-result metric.
+export async function getRunResult(run, kind, { storedResult = null, stats = null, dispatchedAt = null } = {}) {
+    const backend = getResultCache();
+    const count = outcome => {
+        totals[backend.name][outcome]++;
+        countMetric('loannex_result_cache_lookups_total', { backend: backend.name, outcome: outcome === 'hits' ? 'hit' : 'miss' });
+        if (stats) {
+            stats[outcome]++;
+        }
+    };
+
+    if (storedResult) {
+        count('hits');
+        return storedResult;
+    }
+
+    const key = cacheKey(run, kind);
+    const cached = run.status === 'completed' ? await backend.get(key) : undefined;
+    if (cached !== undefined) {
+        count('hits');
+        await saveRunResult(run.id, kind, cached);
+        return cached;
+    }
+
+    count('misses');
+    const elapsed = startTimer();
+    const result = await getExecutorForRun(run).getResult(run, kind);
+    recordResultMetrics(run, kind, result, elapsed(), { dispatchedAt });
+    if (run.status === 'completed' && isFinalResult(result)) {
+        await backend.set(key, result);
+        totals[backend.name].writes++;
+        await saveRunResult(run.id, kind, result);
+    }
+    return result;
+}
+
+// Per-request counters for getRunResult, reported by the results endpoints
+export function createCacheStats() {
+    return { backend: getResultCache().name, hits: 0, misses: 0 };
+}
+
+export function getResultCacheStats() {
+    return { backend: getResultCache().name, totals: structuredClone(totals) };
+}
+
+// The configured backend; created on first use
+export function getResultCache() {
+    const name = (process.env.RESULT_CACHE_BACKEND || DEFAULT_BACKEND).toLowerCase();
+    if (!BACKENDS[name]) {
+        throw new Error(`Unknown RESULT_CACHE_BACKEND: ${name}. Expected one of ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    if (!cache || cache.name !== name) {
+        cache = BACKENDS[name]();
+        totals[name] = totals[name] || { hits: 0, misses: 0, writes: 0 };
+    }
+    return cache;
+}
+
+function cacheKey(run, kind) {
+    return `${kind}/${String(run.id).replace(/[^\w-]/g, '_')}-${run.run_attempt || 1}`;
+}
+
+// Backends implement get(key) -> value or undefined, set(key, value) and clear()
+
+function createDiskBackend() {
+    const dir = path.join(getDataDir(), 'result-cache');
+    const fileFor = key => path.join(dir, `${key}.json`);
+
+    return {
+        name: 'disk',
+
+        async get(key) {
+            try {
+                return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    log.error('🗃️ Unreadable result cache entry', { key, error });
+                }
+                return undefined;
+            }
+        },
+
+        // Atomic (temp file + rename), so a concurrent reader never sees half an entry
+        async set(key, value) {
+            const file = fileFor(key);
+            const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(tempFile, JSON.stringify(value));
+            await fs.rename(tempFile, file);
+        },
+
+        clear() {
+            return fs.rm(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+function createMemoryBackend() {
+    const maxEntries = Number(process.env.RESULT_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            if (!entries.has(key)) {
+                return undefined;
+            }
+            // Re-insert so the Map's order stays least recently used first
+            const value = entries.get(key);
+            entries.delete(key);
+            entries.set(key, value);
+            return structuredClone(value);
+        },
+
+        async set(key, value) {
+            entries.delete(key);
+            entries.set(key, structuredClone(value));
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        async clear() {
+            entries.clear();
+        }
+    };
+}
+
+function createNoBackend() {
+    return {
+        name: 'none',
+        async get() {
+            return undefined;
+        },
+        async set() {},
+        async clear() {}
+    };
+}
@@ -0,0 +1,95 @@
+// /lib/results-export.js
+// Spreadsheet rows for a batch's results (used by /api/export-results)
+
+import { normalizeLoan } from './loan-schema.js';
+
+const LOAN_COLUMNS = [
+    'Loan Index', 'Borrower', 'NexID', 'Loan Amount', 'Status', 'Rate', 'Points', 'Program',
+    'Lock Status', 'Error Message', 'Result Source', 'Run URL'
+];
+
+// Filled from the pricing result: a pricing batch's result, or the pricing a process-loans run reported
+const PRICING_COLUMNS = ['Rate', 'Points', 'Program'];
+
+const OPTION_COLUMNS = [
+    'Loan Index', 'Borrower', 'NexID', 'Rate', 'Rate Period', 'Points', 'Cost', 'Product Type',
+    'Program', 'Program Description', 'Monthly Payment'
+];
+
+// progress: getBatchProgress(batch). Returns [{ name, rows }] - a Loans sheet, plus a
+// Pricing Options sheet listing every option of every priced loan for batches with pricing loans
+// (every loan of a pricing batch, or some of an untyped one).
+// Selective-lock batches never price, so their Loans sheet has no Rate/Points/Program columns.
+export function buildResultSheets(batch, progress) {
+    const isPricingLoan = progressLoan => progressLoan.eventType === 'price-loans-only';
+    const columns = batch.type === 'selective-lock' ? LOAN_COLUMNS.filter(column => !PRICING_COLUMNS.includes(column)) : LOAN_COLUMNS;
+    const loanDataByIndex = new Map(batch.loans.map(loan => [loan.loanIndex, normalizeLoan(loan.loanData).loan || {}]));
+
+    const loanRows = progress.loans.map(progressLoan => {
+        const result = progressLoan.result || {};
+        const pricing = (isPricingLoan(progressLoan) ? progressLoan.result : progressLoan.pricing) || {};
+        const loanData = loanDataByIndex.get(progressLoan.loanIndex) || {};
+
+        const row = [
+            progressLoan.loanIndex,
+            borrowerName(result, loanData),
+            result.nexId || result.nex_id || loanData.nex_id || null,
+            numeric(loanData['Loan Amount'] ?? result.loanAmount),
+            progressLoan.state,
+            numeric(pricing.interestRate),
+            numeric(pricing.pricePoints),
+            pricing.programName || null,
+            isPricingLoan(progressLoan) || !progressLoan.result ? null : (result.locked ? 'Locked' : 'Not locked'),
+            result.errorMessage || null,
+            result.source || null,
+            progressLoan.runUrl || null
+        ];
+        return row.filter((value, position) => columns.includes(LOAN_COLUMNS[position]));
+    });
+
+    const sheets = [{ name: 'Loans', rows: [columns, ...loanRows] }];
+
+    if (progress.loans.some(isPricingLoan)) {
+        const optionRows = [];
+        for (const progressLoan of progress.loans.filter(isPricingLoan)) {
+            const result = progressLoan.result || {};
+            const loanData = loanDataByIndex.get(progressLoan.loanIndex) || {};
+
+            for (const option of result.allPricingOptions || []) {
+                optionRows.push([
+                    progressLoan.loanIndex,
+                    borrowerName(result, loanData),
+                    result.nex_id || loanData.nex_id || null,
+                    numeric(option.interest_rate),
+                    option.rate_period ?? null,
+                    numeric(option.price_points),
+                    numeric(option.price_cost),
+                    option.product_type ?? null,
+                    option.program_name ?? null,
+                    option.program_description ?? null,
+                    numeric(option.monthly_payment)
+                ]);
+            }
+        }
+        sheets.push({ name: 'Pricing Options', rows: [OPTION_COLUMNS, ...optionRows] });
+    }
+
+    return sheets;
+}
+
+function borrowerName(result, loanData) {
+    if (result.borrowerName && result.borrowerName !== 'Unknown') {
+        return result.borrowerName;
+    }
+    const name = [loanData['First Name'], loanData['Last Name']].filter(Boolean).join(' ');
+    return name || null;
+}
+
+// Numeric strings ("6.125%", "$1,234.50") become numbers so spreadsheets can sort and sum them
+function numeric(value) {
+    if (typeof value !== 'string') {
+        return value ?? null;
+    }
+    const number = Number(value.replace(/[$,%\s]/g, ''));
+    return value.trim() !== '' && Number.isFinite(number) ? number : value;
+}
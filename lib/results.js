@@ -0,0 +1,414 @@
+// /lib/results.js
+// Turn completed workflow runs into lock and pricing results (shared by the results
+// endpoints and the GitHub webhook)
+//
+// Preferred source is the structured results artifact the workflow uploads; job logs are only
+// scraped when the run has no artifact. Every result records where it came from in `source`:
+// 'artifact', 'logs', 'workflow_conclusion' (lock fallback) or 'none' (pricing extraction failed).
+
+import { GitHubRateLimitError } from './github.js';
+import { LogMarkerError, parseLockResults, parsePricingData, selectMarkerValue, validateLockResult, validatePricingData } from './log-markers.js';
+import { createLogger } from './logger.js';
+import { countMetric, observeMetric } from './metrics.js';
+import { CORRELATION_PATTERN, extractEventType } from './run-store.js';
+import { extractZipEntries } from './zip.js';
+
+const log = createLogger('results');
+
+const DEFAULT_ARTIFACT_NAME = 'loannex-results';
+
+// result.source -> the source label of loannex_result_parses_total
+const PARSE_SOURCES = {
+    artifact: 'artifact',
+    logs: 'logs',
+    workflow_conclusion: 'workflow_conclusion_fallback'
+};
+
+// ENHANCED: Parse actual lock results from workflow logs
+export async function analyzeWorkflowSimple(workflow, github) {
+    log.debug('🔍 Analyzing workflow', { workflowRunId: workflow.id, conclusion: workflow.conclusion });
+    
+    try {
+        const artifactResults = await readResultsArtifact(github, workflow);
+        if (artifactResults?.lock_result) {
+            const problems = validateLockResult(artifactResults.lock_result);
+            if (problems.length === 0) {
+                log.info('✅ Found lock result in artifact', { workflowRunId: workflow.id, lockStatus: artifactResults.lock_result.lock_status, loanIndex: artifactResults.lock_result.loan_index ?? null });
+                return buildLockResult(workflow, artifactResults.lock_result, 'artifact');
+            }
+            log.warn('⚠️ Artifact lock result is invalid', { workflowRunId: workflow.id, problems });
+        }
+
+        // No artifact: fall back to scraping the job logs
+        // Get jobs for this workflow
+        let jobs;
+        try {
+            jobs = await github.listRunJobs(workflow.id);
+        } catch (error) {
+            if (error instanceof GitHubRateLimitError) {
+                throw error;
+            }
+            log.warn('Failed to get jobs for workflow', { workflowRunId: workflow.id, error });
+            return getFallbackResult(workflow);
+        }
+        
+        const job = jobs[0];
+        
+        if (!job) {
+            log.warn('No jobs found in workflow', { workflowRunId: workflow.id });
+            return getFallbackResult(workflow);
+        }
+        
+        // Get logs
+        let logsText;
+        try {
+            logsText = await github.getJobLogs(job.id);
+        } catch (error) {
+            if (error instanceof GitHubRateLimitError) {
+                throw error;
+            }
+            log.warn('Failed to get logs for job', { workflowRunId: workflow.id, jobId: job.id, error });
+            return getFallbackResult(workflow);
+        }
+        
+        // Parse the ACTUAL lock result from Python script output
+        const parsed = parseLockResults(logsText);
+        const lockResult = selectMarkerValue(parsed, extractLoanIndexFromJobName(jobs));
+
+        if (parsed.diagnostics.length > 0) {
+            log.warn('⚠️ Lock marker diagnostics', { workflowRunId: workflow.id, diagnostics: parsed.diagnostics });
+        }
+
+        if (lockResult) {
+            log.info('✅ Found lock result in logs', { workflowRunId: workflow.id, lockStatus: lockResult.lock_status, loanIndex: lockResult.loan_index ?? null });
+            return { ...buildLockResult(workflow, lockResult, 'logs'), parseDiagnostics: parsed.diagnostics };
+        }
+        
+        // If no lock result found, return fallback (with the reason)
+        return { ...getFallbackResult(workflow), parseDiagnostics: parsed.diagnostics };
+        
+    } catch (error) {
+        // Out of API budget: surface it instead of guessing from the conclusion
+        if (error instanceof GitHubRateLimitError) {
+            throw error;
+        }
+        log.error('Error analyzing workflow', { workflowRunId: workflow.id, error });
+        return getFallbackResult(workflow);
+    }
+}
+
+// Structured results uploaded by the workflow with actions/upload-artifact: an artifact named
+// RESULTS_ARTIFACT_NAME (default 'loannex-results') holding JSON files such as
+//     { "lock_result": { ...same as 🔒 LOCK_RESULT }, "pricing_data": { ...same as 💰 PRICING_DATA_OUTPUT } }
+// Returns the merged JSON, or null when the run has no usable artifact.
+export async function readResultsArtifact(github, workflow) {
+    const artifactName = process.env.RESULTS_ARTIFACT_NAME || DEFAULT_ARTIFACT_NAME;
+
+    try {
+        const artifacts = await github.listRunArtifacts(workflow.id);
+        const artifact = artifacts.find(candidate => candidate.name === artifactName && !candidate.expired);
+
+        if (!artifact) {
+            return null;
+        }
+
+        const zip = await github.downloadArtifact(artifact.id);
+        const results = {};
+        for (const entry of extractZipEntries(zip).filter(entry => entry.name.endsWith('.json'))) {
+            Object.assign(results, JSON.parse(entry.data.toString('utf8')));
+        }
+
+        log.debug('📦 Read results artifact', { artifactId: artifact.id, workflowRunId: workflow.id, keys: Object.keys(results) });
+        return results;
+
+    } catch (error) {
+        if (error instanceof GitHubRateLimitError) {
+            throw error;
+        }
+        log.warn('📦 Results artifact unusable', { workflowRunId: workflow.id, error });
+        return null;
+    }
+}
+
+// Result of a finished run whose outputs are already at hand (the local executor): `results` is
+// the same JSON the workflow uploads as its results artifact, `logsText` the run's output.
+// kind: 'lock' | 'pricing'
+export function resultFromRunOutputs(workflow, kind, { results = null, logsText = '', loanIndex = null } = {}) {
+    if (kind === 'lock') {
+        if (results?.lock_result && validateLockResult(results.lock_result).length === 0) {
+            return buildLockResult(workflow, results.lock_result, 'artifact');
+        }
+        const parsed = parseLockResults(logsText);
+        const lockResult = selectMarkerValue(parsed, loanIndex);
+        return lockResult
+            ? { ...buildLockResult(workflow, lockResult, 'logs'), parseDiagnostics: parsed.diagnostics }
+            : { ...getFallbackResult(workflow), parseDiagnostics: parsed.diagnostics };
+    }
+
+    if (results?.pricing_data && validatePricingData(results.pricing_data).length === 0) {
+        return buildPricingResult(workflow, results.pricing_data, results.pricing_data.loan_index ?? loanIndex, 'artifact');
+    }
+    const parsed = parsePricingData(logsText);
+    const pricingData = selectMarkerValue(parsed, loanIndex);
+    if (pricingData) {
+        return { ...buildPricingResult(workflow, pricingData, loanIndex, 'logs'), parseDiagnostics: parsed.diagnostics };
+    }
+    return {
+        workflowId: workflow.id,
+        loanIndex: loanIndex ?? 'Unknown',
+        borrowerName: 'Unknown',
+        pricingStatus: 'error',
+        errorMessage: 'No valid pricing data found in run output',
+        completedAt: workflow.updated_at,
+        githubUrl: workflow.html_url,
+        extractionMethod: 'error',
+        source: 'none',
+        parseDiagnostics: parsed.diagnostics
+    };
+}
+
+// Attach the caller's dispatch identity (correlation ID, loan index) to a parsed result, and for
+// batch loans which attempt it is and the attempt it retried (null for first attempts)
+export function withDispatchInfo(result, dispatch) {
+    return {
+        ...result,
+        correlationId: dispatch.correlationId || null,
+        loanIndex: dispatch.loanIndex ?? result.loanIndex,
+        attempt: dispatch.attempt ?? null,
+        retryOf: dispatch.retryOf || null
+    };
+}
+
+// Whether a result was read from what the run reported (a marker in its logs or its results
+// artifact), and so will never change. Conclusion fallbacks and error results may be transient:
+// they are never cached or stored.
+export function isFinalResult(result) {
+    return result?.source === 'artifact' || result?.source === 'logs';
+}
+
+// Count and time a freshly parsed result of a finished run (lib/metrics.js): where it came from,
+// its lock or pricing outcome, and - for a final result whose dispatch time is known - the time
+// from its dispatch to now. parseSeconds: time taken to fetch and parse it
+export function recordResultMetrics(run, kind, result, parseSeconds, { dispatchedAt = null } = {}) {
+    if (run.status !== 'completed') {
+        return;
+    }
+    const eventType = extractEventType(run) || 'unknown';
+
+    countMetric('loannex_result_parses_total', { event_type: eventType, kind, source: PARSE_SOURCES[result?.source] || 'error' });
+    observeMetric('loannex_result_parse_duration_seconds', { event_type: eventType, kind }, parseSeconds);
+
+    if (kind === 'lock') {
+        countMetric('loannex_lock_results_total', { event_type: eventType, outcome: result?.locked ? 'locked' : 'failed' });
+    } else {
+        const priced = Boolean(result) && result.pricingStatus !== 'error' && result.source !== 'none';
+        countMetric('loannex_pricing_results_total', { event_type: eventType, outcome: priced ? 'priced' : 'failed' });
+    }
+
+    // A final result is parsed once; a fallback is parsed again on every read and would be timed each time
+    const resultSeconds = (Date.now() - Date.parse(dispatchedAt)) / 1000;
+    if (isFinalResult(result) && resultSeconds >= 0) {
+        observeMetric('loannex_trigger_to_result_seconds', { event_type: eventType, kind }, resultSeconds);
+    }
+}
+
+// Helper function for fallback results
+// A successful run counts as a lock only if it was a lock run: price-loans-only runs never lock
+export function getFallbackResult(workflow) {
+    const isPricingRun = extractEventType(workflow) === 'price-loans-only';
+    const locked = workflow.conclusion === 'success' && !isPricingRun;
+    
+    return {
+        workflowId: workflow.id,
+        loanIndex: 'Unknown',
+        borrowerName: 'Unknown',
+        nexId: null,
+        nex_id: null,
+        locked: locked,
+        errorMessage: locked ? null
+            : isPricingRun ? 'Pricing run - pricing runs never lock'
+            : workflow.conclusion === 'cancelled' ? 'Run was cancelled before reporting a lock result'
+            : 'Could not parse lock result from logs',
+        completedAt: workflow.updated_at,
+        githubUrl: workflow.html_url,
+        status: 'workflow_conclusion_fallback',
+        successPattern: locked ? 'Workflow succeeded' : isPricingRun ? 'Not a lock run' : 'Workflow failed',
+        source: 'workflow_conclusion'
+    };
+}
+
+function buildLockResult(workflow, lockResult, source) {
+    return {
+        workflowId: workflow.id,
+        loanIndex: lockResult.loan_index ?? 'Unknown', // Would need to parse this separately
+        borrowerName: lockResult.borrower_name,
+        nexId: lockResult.nex_id,
+        nex_id: lockResult.nex_id,
+        locked: lockResult.lock_status === 'success',
+        errorMessage: lockResult.lock_status === 'success' ? null : lockResult.message,
+        completedAt: workflow.updated_at,
+        githubUrl: workflow.html_url,
+        status: source === 'artifact' ? 'parsed_from_artifact' : 'parsed_from_logs',
+        successPattern: `Lock result: ${lockResult.lock_status}`,
+        source: source
+    };
+}
+
+// FIXED: Extract REAL pricing data from GitHub workflow logs
+export async function extractRealPricingData(github, workflow) {
+    try {
+        log.debug('💰 Extracting pricing data', { workflowRunId: workflow.id });
+
+        const artifactResults = await readResultsArtifact(github, workflow);
+        if (artifactResults?.pricing_data) {
+            const pricingData = artifactResults.pricing_data;
+            const problems = validatePricingData(pricingData);
+            if (problems.length === 0) {
+                log.info('💰 Read pricing data from artifact', { workflowRunId: workflow.id });
+                return buildPricingResult(workflow, pricingData, pricingData.loan_index ?? extractLoanIndexFromWorkflow(workflow), 'artifact');
+            }
+            log.warn('⚠️ Artifact pricing data is invalid', { workflowRunId: workflow.id, problems });
+        }
+
+        // No artifact: fall back to scraping the job logs
+        // Get workflow jobs
+        const jobs = await github.listRunJobs(workflow.id);
+        log.debug('💰 Found jobs', { workflowRunId: workflow.id, jobs: jobs.length });
+
+        // Look for pricing-only job specifically
+        const pricingJob = jobs.find(job => 
+            job.name.toLowerCase().includes('pricing') || 
+            job.name.toLowerCase().includes('price')
+        );
+
+        if (!pricingJob) {
+            throw new Error('No pricing job found in workflow');
+        }
+
+        log.debug('💰 Found pricing job', { workflowRunId: workflow.id, job: pricingJob.name, conclusion: pricingJob.conclusion });
+
+        // Get the job logs to extract pricing data
+        const logsText = await github.getJobLogs(pricingJob.id);
+        log.debug('💰 Retrieved job log', { workflowRunId: workflow.id, characters: logsText.length });
+
+        // Determine loan index from workflow or job data
+        const loanIndex = extractLoanIndexFromJobName(jobs) || extractLoanIndexFromWorkflow(workflow);
+
+        // Extract the pricing data from logs (one marker per loan when the job priced several)
+        const parsed = parsePricingData(logsText);
+        const pricingData = selectMarkerValue(parsed, loanIndex);
+
+        if (parsed.diagnostics.length > 0) {
+            log.warn('⚠️ Pricing marker diagnostics', { workflowRunId: workflow.id, diagnostics: parsed.diagnostics });
+        }
+
+        if (!pricingData) {
+            throw new LogMarkerError('No valid pricing data found in logs', parsed.diagnostics);
+        }
+
+        log.info('💰 Extracted pricing data from logs', { workflowRunId: workflow.id, markers: parsed.values.length, options: pricingData.pricing_options?.length ?? 0 });
+
+        // Return the real extracted data
+        return { ...buildPricingResult(workflow, pricingData, loanIndex, 'logs'), parseDiagnostics: parsed.diagnostics };
+
+    } catch (error) {
+        // Out of API budget: let the handler report it rather than marking the loan as failed
+        if (error instanceof GitHubRateLimitError) {
+            throw error;
+        }
+        log.error('💥 Error extracting pricing', { workflowRunId: workflow.id, error });
+        return {
+            workflowId: workflow.id,
+            loanIndex: 'Unknown',
+            borrowerName: 'Unknown',
+            pricingStatus: 'error',
+            errorMessage: `Real pricing extraction error: ${error.message}`,
+            completedAt: workflow.updated_at,
+            githubUrl: workflow.html_url,
+            extractionMethod: 'error',
+            source: 'none',
+            parseDiagnostics: error instanceof LogMarkerError ? error.diagnostics : []
+        };
+    }
+}
+
+function buildPricingResult(workflow, pricingData, loanIndex, source) {
+    return {
+        workflowId: workflow.id,
+        loanIndex: loanIndex,
+        borrowerName: pricingData.borrower_name || 'Unknown',
+        pricingStatus: pricingData.pricing_status || 'success',
+        interestRate: pricingData.best_rate_option?.interest_rate || pricingData.pricing_options?.[0]?.interest_rate,
+        rateDescription: pricingData.best_rate_option?.rate_period || pricingData.pricing_options?.[0]?.rate_period,
+        pricePoints: pricingData.best_rate_option?.price_points || pricingData.pricing_options?.[0]?.price_points,
+        priceCost: pricingData.best_rate_option?.price_cost || pricingData.pricing_options?.[0]?.price_cost,
+        productType: pricingData.best_rate_option?.product_type || pricingData.pricing_options?.[0]?.product_type,
+        programName: pricingData.best_rate_option?.program_name || pricingData.pricing_options?.[0]?.program_name,
+        programDescription: pricingData.best_rate_option?.program_description || pricingData.pricing_options?.[0]?.program_description,
+        monthlyPayment: pricingData.best_rate_option?.monthly_payment || pricingData.pricing_options?.[0]?.monthly_payment,
+        investor: pricingData.best_rate_option?.program_name || 'Unknown', // Use program name as investor
+        loanAmount: pricingData.loan_amount,
+        propertyType: pricingData.property_type,
+        amortizingType: pricingData.amortizing_type || 'Unknown',
+        totalOptions: pricingData.total_options || 0,
+        allPricingOptions: pricingData.pricing_options || [],
+        errorMessage: pricingData.error_message || null,
+        nex_id: pricingData.nex_id || null,            
+        save_status: pricingData.save_status || null, 
+        completedAt: workflow.updated_at,
+        githubUrl: workflow.html_url,
+        extractionMethod: source === 'artifact' ? 'artifact' : 'real_log_extraction',
+        source: source
+    };
+}
+
+// Helper function to extract loan index from job names
+function extractLoanIndexFromJobName(jobs) {
+    for (const job of jobs) {
+        const patterns = [
+            /loan[:\s]*(\d+)/i,
+            /process[:\s]*(\d+)/i,
+            /price[:\s]*(\d+)/i,
+            /\b(\d+)\b/
+        ];
+        
+        for (const pattern of patterns) {
+            const match = job.name.match(pattern);
+            if (match) {
+                return parseInt(match[1]);
+            }
+        }
+    }
+    
+    return null;
+}
+
+// Helper function to extract loan index from workflow data
+function extractLoanIndexFromWorkflow(workflow) {
+    // Try to extract from workflow name or head commit message. Titles carry the correlation ID,
+    // whose UUID digits must not be read as a loan index.
+    const correlationIds = new RegExp(CORRELATION_PATTERN.source, 'gi');
+    const sources = [
+        workflow.name,
+        workflow.display_title,
+        workflow.head_commit?.message
+    ].filter(Boolean).map(source => source.replace(correlationIds, ''));
+    
+    for (const source of sources) {
+        const patterns = [
+            /loan[:\s]*(\d+)/i,
+            /process[:\s]*(\d+)/i,
+            /price[:\s]*(\d+)/i,
+            /\b(\d+)\b/
+        ];
+        
+        for (const pattern of patterns) {
+            const match = source.match(pattern);
+            if (match) {
+                return parseInt(match[1]);
+            }
+        }
+    }
+    
+    return 'Unknown';
+}
@@ -0,0 +1,109 @@
+// /lib/retry.js
+// Retrying failed loans: find each loan's latest attempt, decide whether it failed, and build the
+// re-dispatch from the batch's original loanData
+//
+// A loan is retried only when its latest attempt finished without a result: a lock run that did
+// not lock, or a pricing run whose pricingStatus is not 'success'. Loans still running, cancelled
+// or already successful are skipped, as are loans at the attempt cap. Every retry is recorded
+// under the original batch with its attempt number and retryOf (the attempt it repeats), so the
+// results endpoints report the newest attempt and link it back.
+
+import { findBatchDispatches, getBatchDispatchPlan } from './batches.js';
+import { wasCancelledBeforeResult } from './cancellation.js';
+import { getExecutor } from './executor.js';
+import { mergeLoanFields, normalizeLoan } from './loan-schema.js';
+import { getRunResult } from './result-cache.js';
+import { findRunsWithStore, getStoredRun, resultKindOf } from './run-store.js';
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Attempts allowed per loan, including the first (RETRY_MAX_ATTEMPTS, default 3)
+export function getMaxAttempts() {
+    const configured = Number(process.env.RETRY_MAX_ATTEMPTS);
+    return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_MAX_ATTEMPTS;
+}
+
+// The batch loans behind workflow run IDs / correlation IDs from the results endpoints.
+// Only the owner's batches are searched (owner: ownerScope(user)).
+// Returns { targets: Map<batchId, { batch, loanIndexes: Set }>, unknown: [id] }
+export async function findRetryTargets({ workflowRunIds = [], correlationIds = [] }, { owner } = {}) {
+    const targets = new Map();
+    const unknown = [];
+
+    const add = (id, found) => {
+        if (found.length === 0) {
+            unknown.push(id);
+        }
+        for (const { batch, dispatch } of found) {
+            const target = targets.get(batch.batchId) || { batch, loanIndexes: new Set() };
+            target.loanIndexes.add(dispatch.loanIndex);
+            targets.set(batch.batchId, target);
+        }
+    };
+
+    for (const workflowRunId of workflowRunIds) {
+        // Bulk dispatches only learn their run ID once a results poll resolved it; the run store knows it sooner
+        const correlationId = (await getStoredRun(workflowRunId))?.correlationId || null;
+        const isRun = dispatch => String(dispatch.workflowRunId) === String(workflowRunId) || (correlationId && dispatch.correlationId === correlationId);
+        add(workflowRunId, await findBatchDispatches(isRun, { owner }));
+    }
+    for (const correlationId of correlationIds) {
+        add(correlationId, await findBatchDispatches(dispatch => dispatch.correlationId === correlationId, { owner }));
+    }
+
+    return { targets, unknown };
+}
+
+// Decide every requested loan of a batch. loanIndexes: Set, or null for every loan.
+// Returns [{ loanIndex, decision: 'retry' | 'skip', reason, dispatch, eventType, loan?, errors? }]
+// where dispatch is the latest attempt (with its attempt number) and eventType what it ran - an
+// untyped batch can hold pricing and lock attempts side by side.
+export async function planRetries(batch, { loanIndexes = null, overrides = {}, loanOverrides = {}, maxAttempts = getMaxAttempts() }) {
+    const plan = getBatchDispatchPlan(batch);
+    const dispatches = plan.dispatches.filter(dispatch => !loanIndexes || loanIndexes.has(dispatch.loanIndex));
+    const eventTypeOf = dispatch => dispatch.eventType || batch.type;
+
+    const { matches } = await findRunsWithStore(dispatches, dispatch => resultKindOf(eventTypeOf(dispatch)), getExecutor());
+    const loanDataByIndex = new Map(batch.loans.map(loan => [loan.loanIndex, loan.loanData]));
+    const decisions = [];
+
+    for (const { dispatch, run, storedResult } of matches) {
+        const eventType = eventTypeOf(dispatch);
+        const kind = resultKindOf(eventType);
+        const base = { loanIndex: dispatch.loanIndex, dispatch, eventType };
+
+        if (!eventType) {
+            decisions.push({ ...base, decision: 'skip', reason: `No event type recorded for attempt ${dispatch.attempt}` });
+            continue;
+        }
+        if (!run || run.status !== 'completed') {
+            decisions.push({ ...base, decision: 'skip', reason: `Attempt ${dispatch.attempt} is still ${run ? run.status : 'waiting for its run'}` });
+            continue;
+        }
+
+        const result = await getRunResult(run, kind, { storedResult, dispatchedAt: dispatch.dispatchedAt });
+        dispatch.workflowRunId = dispatch.workflowRunId || run.id;
+
+        if (wasCancelledBeforeResult(run, result)) {
+            decisions.push({ ...base, decision: 'skip', reason: `Attempt ${dispatch.attempt} was cancelled` });
+        } else if (kind === 'lock' ? result?.locked : result?.pricingStatus === 'success') {
+            decisions.push({ ...base, decision: 'skip', reason: `Attempt ${dispatch.attempt} already ${kind === 'lock' ? 'locked' : 'priced'}` });
+        } else if (dispatch.attempt >= maxAttempts) {
+            decisions.push({ ...base, decision: 'skip', reason: `Attempt limit reached (${dispatch.attempt} of ${maxAttempts})` });
+        } else if (!loanDataByIndex.get(dispatch.loanIndex)) {
+            decisions.push({ ...base, decision: 'skip', reason: `Batch ${batch.batchId} has no loanData for loan ${dispatch.loanIndex}` });
+        } else {
+            const merged = mergeLoanFields(mergeLoanFields(loanDataByIndex.get(dispatch.loanIndex), overrides), loanOverrides[dispatch.loanIndex]);
+            const { loan, errors } = normalizeLoan(merged);
+            decisions.push({
+                ...base,
+                decision: errors.length > 0 ? 'skip' : 'retry',
+                reason: errors.length > 0 ? 'Loan data with overrides is invalid' : result?.errorMessage || `Attempt ${dispatch.attempt} failed`,
+                loan: loan,
+                errors: errors
+            });
+        }
+    }
+
+    return decisions.sort((a, b) => a.loanIndex - b.loanIndex);
+}
@@ -0,0 +1,289 @@
+// /lib/run-query.js
+// Which runs a results request covers: event-type and workflow filters, and listing every run of
+// a time window page by page with a cursor
+//
+// Filters apply to batch, dispatch and window requests alike. A run's event type is the one its
+// dispatch recorded, else the one its display title starts with; its workflow is the file in
+// run.path. Runs that don't say which workflow file they came from (local runs, runs stored before
+// paths were recorded) pass the workflow filter.
+//
+// Window requests page newest first. The cursor is a keyset, not a page number: it carries the
+// window, the filters and the creation time of the oldest run already returned, and the next page
+// continues from there - runs created while a client pages through never shift later pages, and
+// the window can be any length. GitHub's created filter has second precision, so the cursor also
+// carries the IDs already returned from that second. The one loss: a single second holding more
+// than MAX_PAGE_SIZE runs is skipped past (logged).
+// A window lists every run of the repository, so for anyone but an admin it keeps only the runs of
+// dispatches recorded for the caller (lib/dispatch-records.js); the owner comes from the request,
+// never from the cursor.
+
+import { getBatch, getBatchDispatchPlan, recordResolvedRuns } from './batches.js';
+import { enforcePendingCancellations } from './cancellation.js';
+import { normalizeDispatches } from './correlation.js';
+import { findDispatchRecords } from './dispatch-records.js';
+import { getExecutor } from './executor.js';
+import { createLogger } from './logger.js';
+import { EVENT_TYPES, extractCorrelationId, extractEventType, findRunsWithStore, matchListedRuns } from './run-store.js';
+
+const log = createLogger('run-query');
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_FETCHES_PER_PAGE = 5; // executor listings per page when most runs are filtered out
+const CURSOR_VERSION = 1;
+
+// Event types each kind of result is read from (and the default filter): process-loans runs price
+// and lock, so they report both; pricing runs never report a lock
+export const RESULT_EVENT_TYPES = {
+    lock: ['process-loans', 'selective-lock'],
+    pricing: ['price-loans-only', 'process-loans']
+};
+
+// The runs a results request covers, matched to dispatches: a batch, the dispatches passed in, or
+// a page of a time window. kind: 'lock' | 'pricing'; owner: ownerScope(user), for the batch and the window.
+// Returns { batch, plan, matches, excludedRuns, filters, window, nextCursor } or { status, error }
+export async function findResultMatches(body, kind, { owner } = {}) {
+    const allowed = RESULT_EVENT_TYPES[kind];
+    const { filters, error } = parseRunFilters(body, allowed);
+    if (error) {
+        return { status: 400, error };
+    }
+
+    // A batch knows its own loans and dispatches; without one, use the dispatches passed in
+    const batch = body.batchId ? await getBatch(body.batchId, { owner }) : null;
+    if (body.batchId && !batch) {
+        return { status: 404, error: `Batch ${body.batchId} not found` };
+    }
+
+    const dispatches = batch ? [] : normalizeDispatches(body);
+    if (!batch && dispatches.length === 0 && isWindowRequest(body)) {
+        const { query, error: windowError } = parseRunWindow(body, filters, allowed);
+        if (windowError) {
+            return { status: 400, error: windowError };
+        }
+        const page = await listRunWindow(getExecutor(), query, { owner });
+        const { matches } = await matchListedRuns(page.runs, kind);
+        await enforcePendingCancellations(matches);
+
+        return {
+            batch: null,
+            plan: { dispatches: matches.map(({ dispatch }) => dispatch), notDispatched: [], cancelled: [] },
+            matches: matches,
+            excludedRuns: [],
+            filters: { eventTypes: query.eventTypes, workflow: query.workflow },
+            window: { from: query.from, to: query.to, limit: query.limit },
+            nextCursor: page.nextCursor
+        };
+    }
+
+    const plan = batch ? getBatchDispatchPlan(batch) : { dispatches, notDispatched: [], cancelled: [] };
+    if (!batch && plan.dispatches.length === 0) {
+        return {
+            status: 400,
+            error: 'Missing batchId, dispatches or a time window (from, to, cursor) - pass the correlationId/workflowRunId returned by each trigger'
+        };
+    }
+
+    // Match each dispatch to its exact workflow run - from the run store when possible,
+    // otherwise by asking the executor (GitHub: budget-guarded polling)
+    const { matches: found } = await findRunsWithStore(plan.dispatches, kind, getExecutor());
+    if (batch) {
+        await recordResolvedRuns(batch.batchId, found);
+    }
+    await enforcePendingCancellations(found);
+
+    const { included, excluded } = applyRunFilters(found, filters);
+    if (excluded.length > 0) {
+        log.info('🚫 Runs outside the filters', { excluded: excluded.length, ...filters });
+    }
+
+    return { batch, plan, matches: included, excludedRuns: excluded, filters, window: null, nextCursor: null };
+}
+
+// body: { eventTypes?, workflow? }; allowed: the event types the endpoint reports (also the default).
+// Returns { filters: { eventTypes, workflow } } or { error }
+export function parseRunFilters(body, allowed) {
+    const requested = typeof body.eventTypes === 'string'
+        ? body.eventTypes.split(',').map(eventType => eventType.trim()).filter(Boolean)
+        : body.eventTypes;
+
+    if (requested !== undefined && (!Array.isArray(requested) || requested.length === 0)) {
+        return { error: 'eventTypes must be a non-empty array or comma-separated list' };
+    }
+    const unknown = (requested || []).filter(eventType => !allowed.includes(eventType));
+    if (unknown.length > 0) {
+        const kind = EVENT_TYPES.includes(unknown[0]) ? 'Event type not reported here' : 'Unknown event type';
+        return { error: `${kind}: ${unknown.join(', ')}. Expected one of ${allowed.join(', ')}` };
+    }
+
+    const workflow = body.workflow ?? null;
+    if (workflow !== null && (typeof workflow !== 'string' || !/^[\w.-]+$/.test(workflow))) {
+        return { error: 'workflow must be a workflow file name (e.g. process-loans.yml) or workflow ID' };
+    }
+
+    return { filters: { eventTypes: requested ? [...new Set(requested)] : [...allowed], workflow } };
+}
+
+export function isWindowRequest(body) {
+    return body.from !== undefined || body.to !== undefined || body.cursor !== undefined;
+}
+
+// body: { from?, to?, limit?, cursor? }. A cursor brings its own window and filters, and is only
+// accepted by an endpoint that reports its event types (allowed).
+// Returns { query: { from, to, skipIds, limit, eventTypes, workflow } } or { error }
+export function parseRunWindow(body, filters, allowed) {
+    if (body.cursor !== undefined) {
+        const query = decodeCursor(body.cursor);
+        if (!query || !query.eventTypes.every(eventType => allowed.includes(eventType))) {
+            return { error: 'Invalid cursor - pass nextCursor from the previous page of this endpoint unchanged' };
+        }
+        return { query };
+    }
+
+    const to = body.to === undefined ? new Date() : new Date(body.to);
+    const from = body.from === undefined ? new Date(to.getTime() - DEFAULT_WINDOW_HOURS * 3600 * 1000) : new Date(body.from);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return { error: 'from and to must be ISO 8601 times' };
+    }
+    if (from > to) {
+        return { error: 'from must not be after to' };
+    }
+
+    const limit = body.limit === undefined ? DEFAULT_PAGE_SIZE : Number(body.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+    }
+
+    return {
+        query: { from: toSecond(from.toISOString()), to: toSecond(to.toISOString()), skipIds: [], limit, ...filters }
+    };
+}
+
+// One page of a window: { runs (newest first, filtered), nextCursor (null at the end of the window) }.
+// A page can hold fewer than `limit` runs when most of the window is filtered out; keep following
+// nextCursor until it is null. owner: only runs of that user's recorded dispatches (null: every run).
+export async function listRunWindow(executor, query, { owner = null } = {}) {
+    const runs = [];
+    let position = { to: query.to, skipIds: query.skipIds };
+    let exhausted = false;
+
+    for (let fetches = 0; fetches < MAX_FETCHES_PER_PAGE && runs.length < query.limit && !exhausted; fetches++) {
+        const fetched = await executor.listRuns({
+            createdFrom: query.from,
+            createdTo: position.to,
+            workflow: query.workflow,
+            perPage: MAX_PAGE_SIZE
+        });
+        const fresh = fetched.filter(run => !position.skipIds.includes(String(run.id)));
+        const visible = owner ? await findDispatchRecords(fresh.map(extractCorrelationId), { owner }) : null;
+
+        if (fresh.length === 0 && fetched.length === MAX_PAGE_SIZE) {
+            log.warn(`⚠️ More than ${MAX_PAGE_SIZE} runs created in one second - skipping the rest of it`, { second: position.to });
+            position = { to: toSecond(new Date(Date.parse(position.to) - 1000).toISOString()), skipIds: [] };
+            continue;
+        }
+
+        let consumed = 0;
+        for (const run of fresh) {
+            const second = toSecond(run.created_at);
+            position = {
+                to: second,
+                skipIds: second === position.to ? [...position.skipIds, String(run.id)] : [String(run.id)]
+            };
+            consumed++;
+            // Only runs of the loan automation: other repository_dispatch runs have no event type
+            if (extractEventType(run) && matchesRunFilters(run, query) && (!visible || visible.has(extractCorrelationId(run)))) {
+                runs.push(run);
+                if (runs.length === query.limit) {
+                    break;
+                }
+            }
+        }
+        exhausted = consumed === fresh.length && fetched.length < MAX_PAGE_SIZE;
+    }
+
+    log.info('🗓️ Window page', { from: query.from, to: query.to, runs: runs.length, endOfWindow: exhausted });
+
+    return {
+        runs: runs,
+        nextCursor: exhausted ? null : encodeCursor({ ...query, ...position })
+    };
+}
+
+// eventType: the run's known event type (from its dispatch), else read from the run
+export function matchesRunFilters(run, { eventTypes, workflow }, eventType = extractEventType(run)) {
+    if (eventType && !eventTypes.includes(eventType)) {
+        return false;
+    }
+    return !workflow || !run.path || workflowFileOf(run) === workflow || String(run.workflow_id) === workflow;
+}
+
+// Split matches ({ dispatch, run }) by the filters. A dispatch without a run yet is judged by the
+// event type it was dispatched with. Returns { included, excluded: [{ loanIndex, correlationId, workflowRunId, eventType, workflow, reason }] }
+export function applyRunFilters(matches, filters) {
+    const included = [];
+    const excluded = [];
+
+    for (const match of matches) {
+        const { dispatch, run } = match;
+        const eventType = dispatch.eventType || (run ? extractEventType(run) : null);
+        const passes = run
+            ? matchesRunFilters(run, filters, eventType)
+            : !eventType || filters.eventTypes.includes(eventType);
+
+        if (passes) {
+            included.push(match);
+            continue;
+        }
+        excluded.push({
+            loanIndex: dispatch.loanIndex ?? null,
+            correlationId: dispatch.correlationId || null,
+            workflowRunId: run ? run.id : dispatch.workflowRunId || null,
+            eventType: eventType,
+            workflow: run ? workflowFileOf(run) : null,
+            reason: eventType && !filters.eventTypes.includes(eventType)
+                ? `Event type ${eventType} not in ${filters.eventTypes.join(', ')}`
+                : `Workflow ${workflowFileOf(run)} is not ${filters.workflow}`
+        });
+    }
+
+    return { included, excluded };
+}
+
+// 'process-loans.yml' from '.github/workflows/process-loans.yml'
+export function workflowFileOf(run) {
+    return run?.path ? run.path.split('/').pop() : null;
+}
+
+function encodeCursor({ from, to, skipIds, limit, eventTypes, workflow }) {
+    return Buffer.from(JSON.stringify({ v: CURSOR_VERSION, from, to, skipIds, limit, eventTypes, workflow })).toString('base64url');
+}
+
+// null for anything this server did not issue
+function decodeCursor(cursor) {
+    let parsed;
+    try {
+        parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+
+    const valid = parsed?.v === CURSOR_VERSION
+        && [parsed.from, parsed.to].every(time => typeof time === 'string' && !Number.isNaN(Date.parse(time)))
+        && Array.isArray(parsed.skipIds)
+        && Number.isInteger(parsed.limit) && parsed.limit >= 1 && parsed.limit <= MAX_PAGE_SIZE
+        && Array.isArray(parsed.eventTypes) && parsed.eventTypes.length > 0
+        && (parsed.workflow === null || typeof parsed.workflow === 'string');
+    if (!valid) {
+        return null;
+    }
+
+    const { from, to, skipIds, limit, eventTypes, workflow } = parsed;
+    return { from, to, skipIds: skipIds.map(String), limit, eventTypes, workflow };
+}
+
+// GitHub timestamps, and its created filter, have second precision
+export function toSecond(isoTime) {
+    return isoTime.replace(/\.\d+Z$/, 'Z');
+}
@@ -0,0 +1,218 @@
+// /lib/run-store.js
+// Local workflow run status store, fed by the GitHub webhook (/api/github-webhook) and the
+// local executor. The results endpoints answer from here first and only ask the executor
+// about runs it has not seen.
+
+import { recordAudit } from './audit.js';
+import { createLogger } from './logger.js';
+import { getRecord, readCollection, updateCollection } from './store.js';
+
+const log = createLogger('run-store');
+
+const COLLECTION = 'runs';
+export const CORRELATION_PATTERN = /lnx-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+export const EVENT_TYPES = ['process-loans', 'price-loans-only', 'selective-lock'];
+
+// Unfinished runs not updated for this long are re-checked with GitHub in case a webhook was missed
+const STALE_AFTER_MS = 15 * 60 * 1000;
+
+export function extractCorrelationId(run) {
+    const match = [run.display_title, run.name]
+        .filter(Boolean)
+        .map(title => CORRELATION_PATTERN.exec(title))
+        .find(Boolean);
+    return match ? match[0] : null;
+}
+
+// The run-name template starts with github.event.action, i.e. the dispatch event type
+export function extractEventType(run) {
+    const title = run.display_title || '';
+    return EVENT_TYPES.find(eventType => title.startsWith(eventType)) || null;
+}
+
+// The result a run of eventType reports: pricing for price-loans-only runs, a lock result otherwise
+export function resultKindOf(eventType) {
+    return eventType === 'price-loans-only' ? 'pricing' : 'lock';
+}
+
+// Store the fields of a GitHub workflow_run object the results endpoints use
+export async function upsertRun(run) {
+    return updateCollection(COLLECTION, runs => {
+        const existing = runs[run.id] || { jobs: {}, results: {} };
+        // Deliveries can arrive out of order; never move a finished run back to running
+        if (existing.run?.status === 'completed' && run.status !== 'completed') {
+            return existing;
+        }
+        runs[run.id] = {
+            ...existing,
+            run: {
+                id: run.id,
+                name: run.name,
+                display_title: run.display_title,
+                event: run.event,
+                path: run.path,
+                workflow_id: run.workflow_id,
+                status: run.status,
+                conclusion: run.conclusion,
+                run_attempt: run.run_attempt,
+                html_url: run.html_url,
+                jobs_url: run.jobs_url,
+                created_at: run.created_at,
+                updated_at: run.updated_at
+            },
+            correlationId: extractCorrelationId(run),
+            eventType: extractEventType(run),
+            receivedAt: new Date().toISOString()
+        };
+        return runs[run.id];
+    });
+}
+
+export async function upsertJob(job) {
+    return updateCollection(COLLECTION, runs => {
+        const record = runs[job.run_id] || { run: null, jobs: {}, results: {} };
+        record.jobs[job.id] = {
+            id: job.id,
+            name: job.name,
+            status: job.status,
+            conclusion: job.conclusion,
+            completedAt: job.completed_at || null
+        };
+        runs[job.run_id] = record;
+        return record;
+    });
+}
+
+// kind: 'lock' | 'pricing'. The first lock result stored for a run is its audited lock outcome.
+export async function saveRunResult(runId, kind, result) {
+    const firstResult = await updateCollection(COLLECTION, runs => {
+        const record = runs[runId];
+        if (!record) {
+            return null;
+        }
+        const isFirst = !record.results[kind];
+        record.results[kind] = result;
+        return isFirst ? record : null;
+    });
+
+    if (firstResult && kind === 'lock' && result) {
+        await recordAudit({
+            action: 'lock.outcome',
+            nexId: result.nexId,
+            borrower: result.borrowerName !== 'Unknown' ? result.borrowerName : null,
+            loanIndex: Number.isInteger(result.loanIndex) ? result.loanIndex : null,
+            correlationId: firstResult.correlationId,
+            workflowRunId: runId,
+            payload: result,
+            outcome: result.locked ? 'locked' : 'not_locked',
+            details: { source: result.source || null, errorMessage: result.errorMessage || null }
+        });
+    }
+}
+
+export function getStoredRun(runId) {
+    return getRecord(COLLECTION, runId);
+}
+
+export async function findStoredRunByCorrelationId(correlationId) {
+    if (!correlationId) {
+        return null;
+    }
+    const runs = await readCollection(COLLECTION);
+    return Object.values(runs).find(record => record.run && record.correlationId === correlationId) || null;
+}
+
+// Stored runs created in [createdFrom, createdTo] (ISO times, either may be null), newest first
+export async function listStoredRuns({ createdFrom = null, createdTo = null, filter = () => true } = {}) {
+    const runs = await readCollection(COLLECTION);
+    return Object.values(runs)
+        .map(record => record.run)
+        .filter(run => run && filter(run))
+        .filter(run => {
+            // Compared like GitHub's created filter, to the second
+            const created = run.created_at.replace(/\.\d+Z$/, 'Z');
+            return (!createdFrom || created >= createdFrom) && (!createdTo || created <= createdTo);
+        })
+        .sort((a, b) => b.created_at.localeCompare(a.created_at) || String(b.id).localeCompare(String(a.id)));
+}
+
+// Matches for runs listed by the executor rather than found from dispatches: each run stands for
+// its own dispatch. Finished runs are stored, and answered with their stored result when there is one.
+// Returns { matches: [{ dispatch, run, storedResult }] } in run order.
+export async function matchListedRuns(runs, kind) {
+    const matches = [];
+    for (const listed of runs) {
+        const record = listed.status === 'completed' ? await upsertRun(listed) : await getStoredRun(listed.id);
+        matches.push({
+            dispatch: { correlationId: extractCorrelationId(listed), workflowRunId: listed.id, eventType: extractEventType(listed) },
+            run: listed,
+            storedResult: record?.results?.[kind] || null
+        });
+    }
+    return { matches };
+}
+
+// Split dispatches into those the store can answer and those that still need GitHub.
+// kind: 'pricing' | 'lock', or a function of the dispatch when they differ.
+// Returns { matches: [{ dispatch, run, storedResult }], missing: [dispatch] }.
+export async function matchStoredRuns(dispatches, kind) {
+    const kindOf = typeof kind === 'function' ? kind : () => kind;
+    const runs = await readCollection(COLLECTION);
+    const byCorrelation = new Map(
+        Object.values(runs)
+            .filter(record => record.run && record.correlationId)
+            .map(record => [record.correlationId, record])
+    );
+
+    const matches = [];
+    const missing = [];
+
+    for (const dispatch of dispatches) {
+        const record = (dispatch.workflowRunId && runs[dispatch.workflowRunId]?.run ? runs[dispatch.workflowRunId] : null)
+            || byCorrelation.get(dispatch.correlationId);
+
+        if (record && !isStale(record)) {
+            matches.push({ dispatch, run: record.run, storedResult: record.results[kindOf(dispatch)] || null });
+        } else {
+            missing.push(dispatch);
+        }
+    }
+
+    return { matches, missing };
+}
+
+// Stored runs first; the executor is only asked about the dispatches the store can't answer
+// (for GitHub: polled, budget-guarded, when the webhook has not reported the run).
+// Returns { matches: [{ dispatch, run, storedResult }] } in dispatch order.
+export async function findRunsWithStore(dispatches, kind, executor) {
+    const { matches, missing } = await matchStoredRuns(dispatches, kind);
+
+    if (missing.length === 0) {
+        log.debug('🗄️ All dispatches answered from the run store', { dispatches: matches.length });
+        return { matches };
+    }
+
+    const polled = await executor.findRuns(missing);
+
+    // Finished runs never change again; keep them so their parsed results are stored too
+    for (const { run } of polled) {
+        if (run && run.status === 'completed') {
+            await upsertRun(run);
+        }
+    }
+    const byDispatch = new Map(
+        [...matches, ...polled.map(match => ({ ...match, storedResult: null }))]
+            .map(match => [match.dispatch, match])
+    );
+
+    log.debug('🗄️ Dispatches answered from the run store and the executor', { stored: matches.length, asked: missing.length, executor: executor.name });
+
+    return { matches: dispatches.map(dispatch => byDispatch.get(dispatch)).filter(Boolean) };
+}
+
+function isStale(record) {
+    if (record.run.status === 'completed') {
+        return false;
+    }
+    return Date.now() - Date.parse(record.receivedAt) > STALE_AFTER_MS;
+}
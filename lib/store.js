@@ -0,0 +1,152 @@
+// /lib/store.js
+// Local JSON-file storage - works without external services
+//
+// Each collection is one JSON object ({ [id]: record }) in LOANNEX_DATA_DIR
+// (defaults to the OS temp dir, the only writable path on Vercel). Writes are
+// atomic (temp file + rename) and serialized within the process.
+//
+// Append-only logs are NDJSON files (<name>.ndjson, one record per line) that only ever
+// grow: an append writes its new lines and never rewrites what is already there.
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const writeQueues = new Map();
+const LOG_TAIL_BYTES = 64 * 1024;
+
+export function getDataDir() {
+    return process.env.LOANNEX_DATA_DIR || path.join(os.tmpdir(), 'loannex-data');
+}
+
+export async function readCollection(name) {
+    try {
+        const text = await fs.readFile(collectionPath(name), 'utf8');
+        return JSON.parse(text);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return {};
+        }
+        throw error;
+    }
+}
+
+export async function getRecord(name, id) {
+    const collection = await readCollection(name);
+    return collection[id] || null;
+}
+
+// Read-modify-write a collection. The mutator may change the collection in place
+// and its return value is passed back to the caller.
+export function updateCollection(name, mutator) {
+    const previous = writeQueues.get(name) || Promise.resolve();
+
+    const next = previous.catch(() => {}).then(async () => {
+        const collection = await readCollection(name);
+        const result = await mutator(collection);
+        await writeCollection(name, collection);
+        return result;
+    });
+
+    writeQueues.set(name, next);
+    return next;
+}
+
+async function writeCollection(name, collection) {
+    const file = collectionPath(name);
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify(collection, null, 2));
+    await fs.rename(tempFile, file);
+}
+
+function collectionPath(name) {
+    return path.join(getDataDir(), `${name}.json`);
+}
+
+// Every record of an append-only log, oldest first. A line cut short by a crash mid-append is skipped.
+export async function readLogRecords(name) {
+    let text;
+    try {
+        text = await fs.readFile(logPath(name), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+    return text.split('\n').map(parseLogLine).filter(Boolean);
+}
+
+// Append to a log. build(lastRecord) gets the log's last record (null when empty) and returns the
+// records to append; its return value is passed back. Appends are serialized within the process,
+// so build always sees the record the previous append wrote.
+export function appendLogRecords(name, build) {
+    const queueKey = `log:${name}`;
+    const previous = writeQueues.get(queueKey) || Promise.resolve();
+
+    const next = previous.catch(() => {}).then(async () => {
+        const file = logPath(name);
+        const { lastRecord, endsWithNewline } = await readLogTail(file);
+        const records = await build(lastRecord);
+        if (records.length > 0) {
+            const lines = records.map(record => `${JSON.stringify(record)}\n`).join('');
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            // A torn last line is closed off rather than continued
+            await fs.appendFile(file, endsWithNewline ? lines : `\n${lines}`);
+        }
+        return records;
+    });
+
+    writeQueues.set(queueKey, next);
+    return next;
+}
+
+// The last complete record of a log file, read from its end
+async function readLogTail(file) {
+    let handle;
+    try {
+        handle = await fs.open(file, 'r');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { lastRecord: null, endsWithNewline: true };
+        }
+        throw error;
+    }
+
+    try {
+        const { size } = await handle.stat();
+        let length = Math.min(size, LOG_TAIL_BYTES);
+        for (;;) {
+            const buffer = Buffer.alloc(length);
+            await handle.read(buffer, 0, length, size - length);
+            const lines = buffer.toString('utf8').split('\n');
+            const endsWithNewline = size === 0 || lines[lines.length - 1] === '';
+            // The first line of a partial read may be cut; only trust it once the whole file is read
+            const complete = length === size ? lines : lines.slice(1);
+            const lastRecord = complete.reverse().map(parseLogLine).find(Boolean);
+            if (lastRecord || length === size) {
+                return { lastRecord: lastRecord || null, endsWithNewline };
+            }
+            length = Math.min(size, length * 2);
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+function parseLogLine(line) {
+    if (!line.trim()) {
+        return null;
+    }
+    try {
+        return JSON.parse(line);
+    } catch {
+        return null;
+    }
+}
+
+function logPath(name) {
+    return path.join(getDataDir(), `${name}.ndjson`);
+}
@@ -0,0 +1,190 @@
+// /lib/vault.js
+// Credential vault: LoanNex credentials are stored encrypted server-side under an
+// opaque credentialRef. Triggers dispatch a short-lived, single-use credential token
+// instead of the secret; the workflow redeems it via /api/redeem-credential-token.
+//
+// Encryption is AES-256-GCM with CREDENTIAL_VAULT_KEY (32 bytes, base64 or hex).
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes, randomUUID } from 'crypto';
+import { readCollection, updateCollection } from './store.js';
+
+const CREDENTIALS = 'credentials';
+const TOKENS = 'credential-tokens';
+const DEFAULT_TOKEN_TTL_SECONDS = 30 * 60; // runs can sit in the Actions queue for a while
+
+export async function storeCredentials(credentials, { label, owner } = {}) {
+    const record = {
+        credentialRef: `cred-${randomUUID()}`,
+        label: label || null,
+        owner: owner || null,
+        ...encrypt(credentials),
+        createdAt: new Date().toISOString(),
+        rotatedAt: null,
+        revokedAt: null
+    };
+
+    await updateCollection(CREDENTIALS, collection => {
+        collection[record.credentialRef] = record;
+    });
+
+    return describeCredential(record);
+}
+
+// Replace the secret behind an existing reference. Outstanding tokens for the old secret are revoked.
+export async function rotateCredentials(credentialRef, credentials, { owner } = {}) {
+    const record = await updateCollection(CREDENTIALS, collection => {
+        const existing = collection[credentialRef];
+        if (!isVisibleTo(existing, owner) || existing.revokedAt) {
+            return null;
+        }
+        Object.assign(existing, encrypt(credentials), { rotatedAt: new Date().toISOString() });
+        return existing;
+    });
+
+    if (record) {
+        await revokeTokensFor(credentialRef);
+    }
+    return record ? describeCredential(record) : null;
+}
+
+export async function revokeCredentials(credentialRef, { owner } = {}) {
+    const record = await updateCollection(CREDENTIALS, collection => {
+        const existing = collection[credentialRef];
+        if (!isVisibleTo(existing, owner)) {
+            return null;
+        }
+        // Drop the ciphertext; the reference stays so audits can see it existed
+        existing.revokedAt = existing.revokedAt || new Date().toISOString();
+        delete existing.ciphertext;
+        delete existing.iv;
+        delete existing.tag;
+        return existing;
+    });
+
+    if (record) {
+        await revokeTokensFor(credentialRef);
+    }
+    return record ? describeCredential(record) : null;
+}
+
+export async function getCredentialInfo(credentialRef, { owner } = {}) {
+    const collection = await readCollection(CREDENTIALS);
+    const record = collection[credentialRef];
+    return isVisibleTo(record, owner) ? describeCredential(record) : null;
+}
+
+// Issue a single-use token for a dispatch. Returns null if the reference is unknown,
+// revoked or belongs to someone else.
+export async function issueCredentialToken(credentialRef, { ttlSeconds, owner } = {}) {
+    const credentials = await readCollection(CREDENTIALS);
+    const record = credentials[credentialRef];
+    if (!isVisibleTo(record, owner) || record.revokedAt) {
+        return null;
+    }
+
+    const ttl = ttlSeconds || Number(process.env.CREDENTIAL_TOKEN_TTL_SECONDS) || DEFAULT_TOKEN_TTL_SECONDS;
+    const token = `ct_${randomBytes(32).toString('base64url')}`;
+    const expiresAt = new Date(Date.now() + ttl * 1000).toISOString();
+
+    await updateCollection(TOKENS, tokens => {
+        pruneExpiredTokens(tokens);
+        tokens[hashToken(token)] = { credentialRef, expiresAt, issuedAt: new Date().toISOString() };
+    });
+
+    return { token, expiresAt };
+}
+
+// Exchange a credential token for the decrypted credentials. Tokens work once.
+export async function redeemCredentialToken(token) {
+    const entry = await updateCollection(TOKENS, tokens => {
+        const key = hashToken(token);
+        const found = tokens[key];
+        delete tokens[key];
+        return found || null;
+    });
+
+    if (!entry || Date.parse(entry.expiresAt) < Date.now()) {
+        return null;
+    }
+
+    const credentials = await readCollection(CREDENTIALS);
+    const record = credentials[entry.credentialRef];
+    if (!record || record.revokedAt) {
+        return null;
+    }
+
+    return decrypt(record);
+}
+
+async function revokeTokensFor(credentialRef) {
+    await updateCollection(TOKENS, tokens => {
+        for (const [key, entry] of Object.entries(tokens)) {
+            if (entry.credentialRef === credentialRef) {
+                delete tokens[key];
+            }
+        }
+    });
+}
+
+function pruneExpiredTokens(tokens) {
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(tokens)) {
+        if (Date.parse(entry.expiresAt) < now) {
+            delete tokens[key];
+        }
+    }
+}
+
+// owner null/undefined = unrestricted (admin); records without an owner are shared
+function isVisibleTo(record, owner) {
+    return Boolean(record) && (!owner || !record.owner || record.owner === owner);
+}
+
+// Safe-to-return view of a credential record (never includes the secret)
+function describeCredential(record) {
+    return {
+        credentialRef: record.credentialRef,
+        label: record.label,
+        owner: record.owner || null,
+        createdAt: record.createdAt,
+        rotatedAt: record.rotatedAt,
+        revokedAt: record.revokedAt,
+        active: !record.revokedAt
+    };
+}
+
+function encrypt(credentials) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', getVaultKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+
+    return {
+        ciphertext: ciphertext.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64')
+    };
+}
+
+function decrypt(record) {
+    const decipher = createDecipheriv('aes-256-gcm', getVaultKey(), Buffer.from(record.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(record.ciphertext, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+}
+
+function getVaultKey() {
+    const raw = process.env.CREDENTIAL_VAULT_KEY;
+    if (!raw) {
+        throw new Error('Credential vault key not configured - add CREDENTIAL_VAULT_KEY to environment variables');
+    }
+
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    if (key.length !== 32) {
+        throw new Error('CREDENTIAL_VAULT_KEY must be 32 bytes (64 hex chars or base64)');
+    }
+    return key;
+}
+
+function hashToken(token) {
+    return createHash('sha256').update(String(token)).digest('hex');
+}
@@ -0,0 +1,59 @@
+// /lib/webhook-deliveries.js
+// GitHub webhook deliveries already handled, by X-GitHub-Delivery ID
+//
+// GitHub redelivers a delivery that timed out or failed, and one can be redelivered by hand.
+// Handling a completed run twice would parse its logs and run its batch's standing lock policy
+// again, so /api/github-webhook claims each delivery ID before doing any work: a delivery already
+// handled - or being handled - is acknowledged without running again. A delivery whose handling
+// failed is released so the redelivery can retry it. IDs are kept for DELIVERY_TTL_HOURS.
+
+import { createLogger } from './logger.js';
+import { updateCollection } from './store.js';
+
+const log = createLogger('webhook-deliveries');
+
+const COLLECTION = 'webhook-deliveries';
+const DELIVERY_TTL_HOURS = 72;
+
+// A delivery whose handler died without finishing can be handled again after this long
+const IN_PROGRESS_LEASE_MS = 2 * 60 * 1000;
+
+// true when this request should handle the delivery, false when it was (or is being) handled
+export async function claimDelivery(deliveryId) {
+    return updateCollection(COLLECTION, deliveries => {
+        const now = Date.now();
+        for (const [id, delivery] of Object.entries(deliveries)) {
+            if (isExpired(delivery, now)) {
+                delete deliveries[id];
+            }
+        }
+
+        if (deliveries[deliveryId]) {
+            log.info('🔁 Delivery already handled', { deliveryId, state: deliveries[deliveryId].state });
+            return false;
+        }
+        deliveries[deliveryId] = { state: 'in_progress', receivedAt: new Date(now).toISOString(), completedAt: null };
+        return true;
+    });
+}
+
+export async function completeDelivery(deliveryId) {
+    await updateCollection(COLLECTION, deliveries => {
+        if (deliveries[deliveryId]) {
+            Object.assign(deliveries[deliveryId], { state: 'completed', completedAt: new Date().toISOString() });
+        }
+    });
+}
+
+export async function releaseDelivery(deliveryId) {
+    await updateCollection(COLLECTION, deliveries => {
+        delete deliveries[deliveryId];
+    });
+}
+
+function isExpired(delivery, now) {
+    if (Date.parse(delivery.receivedAt) + DELIVERY_TTL_HOURS * 60 * 60 * 1000 <= now) {
+        return true;
+    }
+    return delivery.state === 'in_progress' && Date.parse(delivery.receivedAt) + IN_PROGRESS_LEASE_MS <= now;
+}
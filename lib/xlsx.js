@@ -0,0 +1,236 @@
+// /lib/xlsx.js
+// Minimal XLSX (Office Open XML) workbook reader / writer (no external dependency)
+//
+// Writer: strings are written as inline strings, numbers as numeric cells; the first row of
+// every sheet is bold and frozen.
+// Reader: cell values only (shared / inline strings, numbers, booleans, cached formula results).
+// Dates come back as Excel serial numbers; styles and merged cells are ignored.
+// Row and column references past maxRows / maxColumns are rejected while parsing, so a tiny file
+// can't claim cell XFD1048576 and have the reader allocate the range up to it.
+
+import { createZip, extractZipEntries } from './zip.js';
+
+const MAX_SHEET_NAME = 31;
+// Excel's own sheet size
+const DEFAULT_MAX_ROWS = 1048576;
+const DEFAULT_MAX_COLUMNS = 16384;
+
+// sheets: [{ name, rows: [[cell]] }] -> .xlsx Buffer
+export function buildWorkbook(sheets) {
+    const names = sheets.map((sheet, index) => sheetName(sheet.name, index));
+
+    const files = [
+        { name: '[Content_Types].xml', data: contentTypes(sheets.length) },
+        { name: '_rels/.rels', data: rootRels() },
+        { name: 'xl/workbook.xml', data: workbook(names) },
+        { name: 'xl/_rels/workbook.xml.rels', data: workbookRels(sheets.length) },
+        { name: 'xl/styles.xml', data: styles() },
+        ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, data: worksheet(sheet.rows) }))
+    ];
+
+    return createZip(files);
+}
+
+// .xlsx Buffer -> [{ name, rows: [[value]] }]; rows[i] is spreadsheet row i + 1.
+// limits: { maxRows, maxColumns, maxUncompressedBytes } - a sheet using a row or column past them is an error
+export function readWorkbook(buffer, { maxRows = DEFAULT_MAX_ROWS, maxColumns = DEFAULT_MAX_COLUMNS, maxUncompressedBytes } = {}) {
+    const files = new Map(extractZipEntries(buffer, { maxUncompressedBytes }).map(entry => [entry.name, entry.data.toString('utf8')]));
+
+    const workbookXml = files.get('xl/workbook.xml');
+    if (!workbookXml) {
+        throw new Error('Not an XLSX workbook (xl/workbook.xml missing)');
+    }
+
+    const targets = new Map(
+        [...(files.get('xl/_rels/workbook.xml.rels') || '').matchAll(/<Relationship\b([^>]*)\/?>/g)]
+            .map(match => attributes(match[1]))
+            .map(rel => [rel.Id, rel.Target.startsWith('/') ? rel.Target.slice(1) : `xl/${rel.Target}`])
+    );
+    const sharedStrings = readSharedStrings(files.get('xl/sharedStrings.xml') || '');
+
+    return [...workbookXml.matchAll(/<sheet\b([^>]*)\/?>/g)].map(match => {
+        const sheet = attributes(match[1]);
+        const sheetXml = files.get(targets.get(sheet['r:id'])) || '';
+        return { name: decodeXml(sheet.name || ''), rows: readSheetRows(sheetXml, sharedStrings, { maxRows, maxColumns }) };
+    });
+}
+
+function readSharedStrings(xmlText) {
+    return [...xmlText.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textRuns(match[1]));
+}
+
+function readSheetRows(xmlText, sharedStrings, { maxRows, maxColumns }) {
+    const rows = [];
+
+    for (const rowMatch of xmlText.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const rowNumber = Number(attributes(rowMatch[1]).r) || rows.length + 1;
+        if (!Number.isInteger(rowNumber) || rowNumber < 1 || rowNumber > maxRows) {
+            throw new Error(`Row ${rowNumber} is past the limit of ${maxRows} rows`);
+        }
+        const row = [];
+
+        for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const cellAttributes = attributes(cellMatch[1]);
+            const columnIndex = cellAttributes.r ? columnIndexOf(cellAttributes.r) : row.length;
+            if (columnIndex >= maxColumns) {
+                throw new Error(`Cell ${cellAttributes.r || `${columnIndex + 1} of row ${rowNumber}`} is past the limit of ${maxColumns} columns`);
+            }
+            row[columnIndex] = cellValue(cellAttributes.t, cellMatch[2] || '', sharedStrings);
+        }
+
+        rows[rowNumber - 1] = Array.from(row, value => value ?? null);
+    }
+
+    return Array.from(rows, row => row || []);
+}
+
+function cellValue(type, innerXml, sharedStrings) {
+    const raw = /<v>([\s\S]*?)<\/v>/.exec(innerXml)?.[1];
+
+    switch (type) {
+        case 's':
+            return raw === undefined ? null : sharedStrings[Number(raw)] ?? null;
+        case 'inlineStr':
+            return textRuns(innerXml);
+        case 'b':
+            return raw === '1';
+        case 'str':
+            return raw === undefined ? null : decodeXml(raw);
+        case 'e':
+            return null;
+        default:
+            return raw === undefined || raw === '' ? null : Number(raw);
+    }
+}
+
+// Concatenated <t> runs of a string item, skipping phonetic hints
+function textRuns(xmlText) {
+    return [...xmlText.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+        .map(match => decodeXml(match[1]))
+        .join('');
+}
+
+function attributes(text) {
+    return Object.fromEntries([...text.matchAll(/([\w:]+)="([^"]*)"/g)].map(match => [match[1], match[2]]));
+}
+
+// "AB12" -> 27
+function columnIndexOf(ref) {
+    const letters = /^[A-Z]+/.exec(ref)?.[0] || 'A';
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, decimal) => String.fromCodePoint(Number(decimal)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function worksheet(rows) {
+    const xmlRows = rows.map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => cell(value, `${columnName(columnIndex)}${rowIndex + 1}`, rowIndex === 0));
+        return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    });
+
+    return xml(`<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+        + `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>`
+        + `<sheetData>${xmlRows.join('')}</sheetData></worksheet>`);
+}
+
+function cell(value, ref, header) {
+    const style = header ? ' s="1"' : '';
+    if (value === null || value === undefined || value === '') {
+        return `<c r="${ref}"${style}/>`;
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${ref}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function sheetName(name, index) {
+    const cleaned = String(name || `Sheet${index + 1}`).replace(/[\\/?*[\]:]/g, ' ').slice(0, MAX_SHEET_NAME);
+    return cleaned || `Sheet${index + 1}`;
+}
+
+function contentTypes(sheetCount) {
+    const overrides = Array.from({ length: sheetCount }, (_, index) =>
+        `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('');
+
+    return xml(`<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>`
+        + `<Default Extension="xml" ContentType="application/xml"/>`
+        + `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>`
+        + `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>`
+        + `${overrides}</Types>`);
+}
+
+function rootRels() {
+    return xml(`<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>`
+        + `</Relationships>`);
+}
+
+function workbook(names) {
+    const sheets = names.map((name, index) =>
+        `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+    ).join('');
+
+    return xml(`<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" `
+        + `xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+        + `<sheets>${sheets}</sheets></workbook>`);
+}
+
+function workbookRels(sheetCount) {
+    const sheets = Array.from({ length: sheetCount }, (_, index) =>
+        `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+    ).join('');
+
+    return xml(`<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + `${sheets}<Relationship Id="rId${sheetCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + `</Relationships>`);
+}
+
+// Style 0: default, style 1: bold (header row)
+function styles() {
+    return xml(`<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+        + `<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>`
+        + `<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>`
+        + `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>`
+        + `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>`
+        + `<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>`
+        + `<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>`
+        + `</styleSheet>`);
+}
+
+function xml(body) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+}
+
+function escapeXml(text) {
+    return text
+        // Characters XML 1.0 does not allow at all
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
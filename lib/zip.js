@@ -0,0 +1,188 @@
+// /lib/zip.js
+// Minimal zip reader / writer (no external dependency): GitHub Actions artifacts, XLSX workbooks
+//
+// Reads the central directory, so entries written with data descriptors work too.
+// Supports stored (0) and deflated (8) entries; zip64 and encrypted archives are rejected.
+// Entries are never inflated past their declared size, and archives declaring more than
+// maxUncompressedBytes in total are rejected before anything is inflated (zip bombs).
+
+import { deflateRawSync, inflateRawSync } from 'zlib';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const MAX_COMMENT_LENGTH = 0xffff;
+const DEFAULT_MAX_UNCOMPRESSED_BYTES = 64 * 1024 * 1024;
+// 1980-01-01 00:00 in DOS date/time format
+const DOS_DATE = (1 << 5) | 1;
+const DOS_TIME = 0;
+
+let crcTable = null;
+
+export class ZipFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipFormatError';
+    }
+}
+
+// Returns [{ name, data }] for every file in the archive (directories are skipped)
+export function extractZipEntries(buffer, { maxUncompressedBytes = DEFAULT_MAX_UNCOMPRESSED_BYTES } = {}) {
+    const end = findEndOfCentralDirectory(buffer);
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    if (offset === 0xffffffff || entryCount === 0xffff) {
+        throw new ZipFormatError('Zip64 archives are not supported');
+    }
+
+    const headers = [];
+    let totalSize = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+            throw new ZipFormatError(`Bad central directory header at offset ${offset}`);
+        }
+
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const uncompressedSize = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) {
+            continue;
+        }
+        if (flags & 0x1) {
+            throw new ZipFormatError(`Encrypted entry not supported: ${name}`);
+        }
+
+        totalSize += uncompressedSize;
+        if (totalSize > maxUncompressedBytes) {
+            throw new ZipFormatError(`Archive expands to more than ${maxUncompressedBytes} bytes`);
+        }
+        headers.push({ name, method, compressedSize, uncompressedSize, localOffset });
+    }
+
+    // Inflate only once the whole directory is known to fit
+    return headers.map(({ localOffset, ...entry }) => ({ name: entry.name, data: readEntryData(buffer, localOffset, entry) }));
+}
+
+// entries: [{ name, data }] (data is a Buffer or string) -> zip archive Buffer (deflated)
+export function createZip(entries) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+        const compressed = deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+        local.writeUInt16LE(20, 4);             // version needed
+        local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+        local.writeUInt16LE(8, 8);              // deflate
+        local.writeUInt16LE(DOS_TIME, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+        central.writeUInt16LE(20, 4);           // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(DOS_TIME, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function findEndOfCentralDirectory(buffer) {
+    const earliest = Math.max(0, buffer.length - 22 - MAX_COMMENT_LENGTH);
+    for (let offset = buffer.length - 22; offset >= earliest; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+            return offset;
+        }
+    }
+    throw new ZipFormatError('Not a zip archive (end of central directory not found)');
+}
+
+function readEntryData(buffer, localOffset, { name, method, compressedSize, uncompressedSize }) {
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+        throw new ZipFormatError(`Bad local file header for ${name}`);
+    }
+
+    // The local header's own name/extra lengths can differ from the central directory's
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(start, start + compressedSize);
+
+    let data;
+    if (method === 0) {
+        data = Buffer.from(compressed);
+    } else if (method === 8) {
+        try {
+            // Bounded by the declared size, which the caller has already checked
+            data = inflateRawSync(compressed, { maxOutputLength: Math.max(1, uncompressedSize) });
+        } catch (error) {
+            throw new ZipFormatError(`Could not inflate ${name}: ${error.message}`);
+        }
+    } else {
+        throw new ZipFormatError(`Unsupported compression method ${method} for ${name}`);
+    }
+
+    if (data.length !== uncompressedSize) {
+        throw new ZipFormatError(`Size mismatch for ${name}: expected ${uncompressedSize}, got ${data.length}`);
+    }
+    return data;
+}
@@ -0,0 +1,133 @@
+// /test/audit-log.test.js
+// Audit trail queries, owner scoping and the hash-chain check
+
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { as, DATA_DIR } from './support/env.js';
+import { makeLoan, storeTestCredentials } from './support/fixtures.js';
+import { startGitHubFake } from './support/github-fake.js';
+import { invoke } from './support/invoke.js';
+import auditLog from '../api/audit-log.js';
+import triggerPricingOnly from '../api/trigger-pricing-only.js';
+import triggerSelectiveLocks from '../api/trigger-selective-locks.js';
+import { recordAudit } from '../lib/audit.js';
+
+const LOG_FILE = path.join(DATA_DIR, 'audit-log.ndjson');
+
+let fake;
+let priceLoan;
+let lockLoan;
+
+before(async () => {
+    fake = await startGitHubFake();
+    process.env.GITHUB_API_URL = fake.url;
+
+    priceLoan = makeLoan();
+    lockLoan = makeLoan();
+    const priced = await invoke(triggerPricingOnly, {
+        method: 'POST',
+        headers: as('pricer'),
+        body: { loanData: priceLoan, loanIndex: 0, credentialRef: await storeTestCredentials('pricer') }
+    });
+    const locked = await invoke(triggerSelectiveLocks, {
+        method: 'POST',
+        headers: as('locker'),
+        body: { loanData: lockLoan, loanIndex: 0, credentialRef: await storeTestCredentials('locker') }
+    });
+    assert.equal(priced.status, 200);
+    assert.equal(locked.status, 200);
+});
+
+after(() => fake.close());
+
+function query(role, params) {
+    return invoke(auditLog, { method: 'GET', headers: as(role), query: params });
+}
+
+test('records each trigger with its actor and NexID', async () => {
+    const response = await query('admin', { nexId: lockLoan.nexId });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.records.length, 1);
+    const [record] = response.body.records;
+    assert.equal(record.action, 'trigger.lock');
+    assert.equal(record.actor, 'locker');
+    assert.match(record.payloadHash, /^[0-9a-f]{64}$/);
+    assert.equal(record.outcome, 'dispatched');
+});
+
+test('records the run a trigger found right after dispatching', async () => {
+    const loan = makeLoan();
+    fake.onDispatch(() => ({ status: 'in_progress' }));
+    const locked = await invoke(triggerSelectiveLocks, {
+        method: 'POST',
+        headers: as('locker'),
+        body: { loanData: loan, loanIndex: 1, credentialRef: await storeTestCredentials('locker') }
+    });
+    fake.onDispatch(null);
+    assert.ok(locked.body.workflowRunId);
+
+    const { records } = (await query('admin', { nexId: loan.nexId })).body;
+    assert.deepEqual(records.map(record => record.action), ['trigger.run', 'trigger.lock']);
+    assert.equal(records[0].workflowRunId, locked.body.workflowRunId);
+    assert.equal(records[0].correlationId, records[1].correlationId);
+    assert.equal(records[1].workflowRunId, null);
+});
+
+test('filters by action and pages newest first', async () => {
+    const priced = await query('admin', { action: 'trigger.price' });
+    assert.ok(priced.body.records.every(record => record.action === 'trigger.price'));
+
+    const firstPage = await query('admin', { limit: '1' });
+    assert.equal(firstPage.body.records.length, 1);
+    assert.ok(firstPage.body.nextBeforeSeq);
+
+    const secondPage = await query('admin', { limit: '1', beforeSeq: String(firstPage.body.nextBeforeSeq) });
+    assert.ok(secondPage.body.records[0].seq < firstPage.body.records[0].seq);
+
+    assert.equal((await query('admin', { action: 'trigger.delete' })).status, 400);
+    assert.equal((await query('admin', { from: 'last tuesday' })).status, 400);
+});
+
+test('non-admins only see their own records', async () => {
+    const own = await query('pricer', {});
+    assert.equal(own.status, 200);
+    assert.ok(own.body.records.length > 0);
+    assert.ok(own.body.records.every(record => record.actor === 'pricer'));
+
+    assert.equal((await query('pricer', { actor: 'locker' })).status, 403);
+    assert.equal((await query('pricer', { verify: 'true' })).status, 403);
+});
+
+test('appends one line per record without rewriting earlier ones, past a line cut short', async () => {
+    const before = readFileSync(LOG_FILE, 'utf8');
+    await recordAudit({ actor: 'locker', action: 'trigger.cancel', nexId: lockLoan.nexId, outcome: 'cancel_requested' });
+    const after = readFileSync(LOG_FILE, 'utf8');
+
+    assert.ok(after.startsWith(before));
+    const appended = after.slice(before.length).trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(appended.length, 1);
+    assert.equal(appended[0].prevHash, JSON.parse(before.trim().split('\n').at(-1)).hash);
+
+    // A crash mid-append leaves a partial line; the next record chains from the last whole one
+    writeFileSync(LOG_FILE, `${after}{"seq":`);
+    await recordAudit({ actor: 'locker', action: 'trigger.cancel', nexId: lockLoan.nexId, outcome: 'already_completed' });
+    assert.equal((await query('admin', { verify: 'true' })).body.valid, true);
+});
+
+test('verify detects a tampered record', async () => {
+    const intact = await query('admin', { verify: 'true' });
+    assert.equal(intact.body.valid, true);
+
+    const lines = readFileSync(LOG_FILE, 'utf8').split('\n');
+    const position = lines.findIndex(line => line.includes(priceLoan.nexId));
+    lines[position] = JSON.stringify({ ...JSON.parse(lines[position]), actor: 'someone-else' });
+    writeFileSync(LOG_FILE, lines.join('\n'));
+
+    const tampered = await query('admin', { verify: 'true' });
+    assert.equal(tampered.status, 200);
+    assert.equal(tampered.body.valid, false);
+    assert.equal(tampered.body.reason, 'record contents do not match its hash');
+});
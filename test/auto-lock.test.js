@@ -0,0 +1,173 @@
+// /test/auto-lock.test.js
+// Rule-based auto-lock over a priced batch: dry run, dispatch, and the recorded decisions
+
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { after, before, beforeEach, test } from 'node:test';
+import { as, WEBHOOK_SECRET } from './support/env.js';
+import { jobLog, makeLoan, pricingData, pricingMarker, storeTestCredentials } from './support/fixtures.js';
+import { startGitHubFake } from './support/github-fake.js';
+import { invoke } from './support/invoke.js';
+import autoLock from '../api/auto-lock.js';
+import githubWebhook from '../api/github-webhook.js';
+import triggerBulk from '../api/trigger-bulk.js';
+import triggerPricingOnly from '../api/trigger-pricing-only.js';
+import { createBatch } from '../lib/batches.js';
+import { drainDispatchQueue } from '../lib/dispatch-queue.js';
+
+const RULES = [{ id: 'under-7', when: { maxRate: '7.0' } }];
+
+let fake;
+let traderCredential;
+
+before(async () => {
+    fake = await startGitHubFake();
+    process.env.GITHUB_API_URL = fake.url;
+    traderCredential = await storeTestCredentials('trader');
+});
+
+after(() => fake.close());
+
+beforeEach(() => fake.reset());
+
+// Loan 0 prices under the rule, loan 1 above it, loan 2 is still running. The trader who priced
+// the batch is the one who evaluates it: batches are visible to their owner only.
+async function pricedBatch() {
+    fake.onDispatch(({ clientPayload }) => {
+        const loanIndex = clientPayload.loan_index;
+        if (loanIndex === 2) {
+            return { status: 'in_progress' };
+        }
+        const options = loanIndex === 0
+            ? pricingData().pricing_options
+            : [{ interest_rate: '7.5', price_points: '0', price_cost: '0', program_name: 'Jumbo 30', product_type: 'Fixed' }];
+        return { jobs: [{ name: `Price loan ${loanIndex}`, log: jobLog(pricingMarker(pricingData({ loan_index: loanIndex, pricing_options: options }))) }] };
+    });
+
+    const response = await invoke(triggerBulk, {
+        method: 'POST',
+        headers: as('trader'),
+        body: {
+            mode: 'price',
+            credentialRef: traderCredential,
+            loans: [makeLoan(), makeLoan(), makeLoan()].map((loanData, loanIndex) => ({ loanIndex, loanData }))
+        }
+    });
+    assert.equal(response.status, 202);
+    // Send the queued loans, as the batch's progress stream would
+    await drainDispatchQueue(response.body.batchId);
+    fake.onDispatch(null);
+    return response.body.batchId;
+}
+
+function evaluate(body, role = 'trader') {
+    return invoke(autoLock, { method: 'POST', headers: as(role), body });
+}
+
+function deliverCompleted(run) {
+    const body = JSON.stringify({ repository: { full_name: 'crendy22/llpa-rate-comparator' }, action: 'completed', workflow_run: run });
+    return invoke(githubWebhook, {
+        method: 'POST',
+        headers: { 'X-GitHub-Event': 'workflow_run', 'X-Hub-Signature-256': `sha256=${createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex')}` },
+        body
+    });
+}
+
+test('a dry run reports the decisions without dispatching', async () => {
+    const batchId = await pricedBatch();
+    const dispatchesBefore = fake.dispatches.length;
+
+    const response = await evaluate({ batchId, rules: RULES, dryRun: true });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.summary, { lock: 1, skip: 1, pending: 1, dispatched: 0 });
+    assert.equal(response.body.lockBatchId, null);
+    assert.deepEqual(response.body.decisions.map(decision => decision.decision), ['lock', 'skip', 'pending']);
+    assert.equal(response.body.decisions[0].ruleId, 'under-7');
+    assert.equal(fake.dispatches.length, dispatchesBefore);
+});
+
+test('dispatches locks for qualifying loans once, and records every evaluation', async () => {
+    const batchId = await pricedBatch();
+    const dispatchesBefore = fake.dispatches.length;
+
+    const response = await evaluate({ batchId, rules: RULES, credentialRef: traderCredential });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.summary.dispatched, 1);
+    assert.ok(response.body.lockBatchId);
+
+    const lockDispatches = fake.dispatches.slice(dispatchesBefore);
+    assert.deepEqual(lockDispatches.map(dispatch => dispatch.eventType), ['selective-lock']);
+    assert.equal(lockDispatches[0].clientPayload.loan_index, 0);
+
+    // A second pass does not lock the same loan again
+    const repeat = await evaluate({ batchId, rules: RULES, credentialRef: traderCredential });
+    assert.equal(repeat.body.summary.lock, 0);
+    assert.match(repeat.body.decisions[0].reason, /already dispatched/);
+
+    const decisions = await invoke(autoLock, { method: 'GET', headers: as('trader'), query: { batchId } });
+    assert.equal(decisions.status, 200);
+    assert.equal(decisions.body.evaluations.length, 2);
+    assert.equal(decisions.body.evaluations[0].evaluatedBy, 'trader');
+    assert.equal((await invoke(autoLock, { method: 'GET', headers: as('viewer'), query: { batchId } })).status, 404, 'another user\'s batch');
+});
+
+test('a standing policy runs once, when the webhook reports the last loan priced', async () => {
+    const batchId = await pricedBatch();
+    const dispatchesBefore = fake.dispatches.length;
+
+    const saved = await evaluate({ batchId, rules: RULES, credentialRef: traderCredential, whenPriced: true });
+    assert.equal(saved.status, 202);
+    assert.equal(fake.dispatches.length, dispatchesBefore, 'loan 2 is still pricing');
+
+    const pricing = fake.dispatches.find(dispatch => dispatch.clientPayload.loan_index === 2);
+    const run = fake.updateRun(fake.findRunByCorrelationId(pricing.clientPayload.correlation_id).id, {
+        status: 'completed',
+        conclusion: 'success',
+        jobs: [{ name: 'Price loan 2', log: jobLog(pricingMarker(pricingData({ loan_index: 2 }))) }]
+    });
+    assert.equal((await deliverCompleted(run)).status, 200);
+
+    const locks = fake.dispatches.slice(dispatchesBefore);
+    assert.deepEqual(locks.map(dispatch => [dispatch.eventType, dispatch.clientPayload.loan_index]), [['selective-lock', 0], ['selective-lock', 2]]);
+    assert.equal(locks[0].clientPayload.requested_by, 'trader');
+
+    // A redelivery finds the policy already run
+    assert.equal((await deliverCompleted(run)).status, 200);
+    assert.equal(fake.dispatches.length, dispatchesBefore + 2);
+
+    const decisions = await invoke(autoLock, { method: 'GET', headers: as('trader'), query: { batchId } });
+    assert.equal(decisions.body.evaluations.length, 1);
+    assert.ok(decisions.body.standing.firedAt);
+    assert.equal((await evaluate({ batchId, rules: RULES, credentialRef: traderCredential, whenPriced: true })).status, 409);
+});
+
+test('skips a qualifying loan the batch holds no loan data for, instead of dispatching it', async () => {
+    const batch = await createBatch({ type: 'price-loans-only', loans: [{ loanIndex: 0 }], createdBy: 'trader' });
+    fake.onDispatch(() => ({ jobs: [{ name: 'Price loan 0', log: jobLog(pricingMarker(pricingData({ nex_id: 'NEX-0' }))) }] }));
+    await invoke(triggerPricingOnly, {
+        method: 'POST',
+        headers: as('trader'),
+        body: { loanData: makeLoan(), loanIndex: 0, credentialRef: traderCredential, batchId: batch.batchId }
+    });
+    fake.onDispatch(null);
+    const dispatchesBefore = fake.dispatches.length;
+
+    const response = await evaluate({ batchId: batch.batchId, rules: RULES, credentialRef: traderCredential });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.summary, { lock: 0, skip: 1, pending: 0, dispatched: 0 });
+    assert.match(response.body.decisions[0].reason, /no valid loan data/);
+    assert.equal(fake.dispatches.length, dispatchesBefore);
+});
+
+test('validates the batch, the rules and who may evaluate', async () => {
+    const batchId = await pricedBatch();
+
+    assert.equal((await evaluate({ batchId: 'batch-missing', rules: RULES, dryRun: true })).status, 404);
+    assert.equal((await evaluate({ batchId, rules: [], dryRun: true })).status, 400);
+    assert.equal((await evaluate({ batchId, rules: RULES })).status, 400, 'credentialRef is required outside a dry run');
+    assert.equal((await evaluate({ batchId, rules: RULES, dryRun: true }, 'pricer')).status, 403);
+    assert.equal((await evaluate({ batchId, rules: RULES, dryRun: true }, 'locker')).status, 404, 'another user\'s batch');
+});
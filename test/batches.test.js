@@ -0,0 +1,263 @@
+// /test/batches.test.js
+// Batches end to end: create, dispatch in bulk, stream progress while runs finish, export
+
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { API_KEYS, as } from './support/env.js';
+import { jobLog, lockMarker, makeLoan, pricingData, pricingMarker, storeTestCredentials } from './support/fixtures.js';
+import { startGitHubFake } from './support/github-fake.js';
+import { invoke } from './support/invoke.js';
+import batchProgress from '../api/batch-progress.js';
+import createBatch from '../api/create-batch.js';
+import exportResults from '../api/export-results.js';
+import triggerBulk from '../api/trigger-bulk.js';
+import triggerPricingOnly from '../api/trigger-pricing-only.js';
+import triggerSelectiveLocks from '../api/trigger-selective-locks.js';
+import { parseCsv } from '../lib/csv.js';
+import { drainDispatchQueue } from '../lib/dispatch-queue.js';
+import { readWorkbook } from '../lib/xlsx.js';
+
+let fake;
+let pricerCredential;
+let lockerCredential;
+
+before(async () => {
+    fake = await startGitHubFake();
+    process.env.GITHUB_API_URL = fake.url;
+    pricerCredential = await storeTestCredentials('pricer');
+    lockerCredential = await storeTestCredentials('locker');
+});
+
+after(() => fake.close());
+
+beforeEach(() => fake.reset());
+
+// Bulk-dispatch `loans` in `mode`; every dispatch gets a run in the state `runFor` returns
+async function dispatchBatch(mode, loans, runFor) {
+    fake.onDispatch(({ clientPayload }) => runFor(clientPayload.loan_index));
+    const response = await invoke(triggerBulk, {
+        method: 'POST',
+        headers: as(mode === 'price' ? 'pricer' : 'locker'),
+        body: {
+            mode,
+            credentialRef: mode === 'price' ? pricerCredential : lockerCredential,
+            loans: loans.map((loanData, loanIndex) => ({ loanIndex, loanData }))
+        }
+    });
+    assert.equal(response.status, 202);
+    // Send the queued loans, as the batch's progress stream would
+    await drainDispatchQueue(response.body.batchId);
+    return response.body.batchId;
+}
+
+function pricedRun(loanIndex) {
+    return {
+        jobs: [{ name: `Price loan ${loanIndex}`, log: jobLog(pricingMarker(pricingData({ loan_index: loanIndex, borrower_name: `Borrower ${loanIndex}` }))) }]
+    };
+}
+
+describe('create-batch', () => {
+    test('creates a batch and reads it back', async () => {
+        const created = await invoke(createBatch, {
+            method: 'POST',
+            headers: as('pricer'),
+            body: { type: 'price-loans-only', loans: [{ loanIndex: 0, loanData: makeLoan() }, { loanIndex: 1, loanData: makeLoan() }] }
+        });
+        assert.equal(created.status, 201);
+        assert.deepEqual(created.body.loanIndexes, [0, 1]);
+
+        const read = await invoke(createBatch, { method: 'GET', headers: as('pricer'), query: { batchId: created.body.batchId } });
+        assert.equal(read.status, 200);
+        assert.equal(read.body.batch.createdBy, 'pricer');
+        assert.equal(read.body.batch.loans.length, 2);
+    });
+
+    test('shows a batch only to its owner and admins', async () => {
+        const created = await invoke(createBatch, {
+            method: 'POST',
+            headers: as('pricer'),
+            body: { type: 'price-loans-only', loans: [{ loanIndex: 0, loanData: makeLoan() }] }
+        });
+        const { batchId } = created.body;
+
+        for (const role of ['viewer', 'locker']) {
+            assert.equal((await invoke(createBatch, { method: 'GET', headers: as(role), query: { batchId } })).status, 404);
+            assert.equal((await invoke(exportResults, { method: 'GET', headers: as(role), query: { batchId } })).status, 404);
+        }
+        assert.equal((await invoke(batchProgress, { method: 'GET', query: { batchId, access_token: API_KEYS.viewer } })).status, 404);
+        assert.equal((await invoke(createBatch, { method: 'GET', headers: as('admin'), query: { batchId } })).status, 200);
+    });
+
+    test('validates the batch', async () => {
+        const noLoans = await invoke(createBatch, { method: 'POST', headers: as('pricer'), body: { type: 'price-loans-only', loans: [] } });
+        assert.equal(noLoans.status, 400);
+
+        const badType = await invoke(createBatch, { method: 'POST', headers: as('pricer'), body: { type: 'refinance', loans: [{ loanIndex: 0, loanData: makeLoan() }] } });
+        assert.equal(badType.status, 400);
+
+        const badEntries = await invoke(createBatch, {
+            method: 'POST',
+            headers: as('pricer'),
+            body: { loans: [{ loanIndex: 0, loanData: makeLoan() }, null, { loanIndex: 0, loanData: makeLoan() }, { loanIndex: 'two' }] }
+        });
+        assert.equal(badEntries.status, 400);
+        assert.match(badEntries.body.message, /Invalid loan entries at positions 1, 3/);
+        assert.match(badEntries.body.message, /Duplicate loanIndex values: 0$/);
+
+        const viewer = await invoke(createBatch, { method: 'POST', headers: as('viewer'), body: { loans: [{ loanIndex: 0, loanData: makeLoan() }] } });
+        assert.equal(viewer.status, 403);
+
+        const missing = await invoke(createBatch, { method: 'GET', headers: as('pricer'), query: { batchId: 'batch-missing' } });
+        assert.equal(missing.status, 404);
+    });
+});
+
+describe('batch-progress', () => {
+    test('streams each loan as its run moves on, then a complete event', async () => {
+        const batchId = await dispatchBatch('lock', [makeLoan(), makeLoan()], () => ({ status: 'in_progress' }));
+        const [first, second] = fake.dispatches.map(dispatch => fake.findRunByCorrelationId(dispatch.clientPayload.correlation_id));
+
+        // Finish the runs while the stream is open
+        const finishing = setTimeout(() => {
+            fake.updateRun(first.id, {
+                status: 'completed',
+                conclusion: 'success',
+                jobs: [{ name: 'Lock loan 0', log: jobLog(lockMarker({ lock_status: 'success', loan_index: 0 })) }]
+            });
+            fake.updateRun(second.id, { status: 'completed', conclusion: 'failure' });
+        }, 150);
+
+        const response = await invoke(batchProgress, { method: 'GET', query: { batchId, access_token: API_KEYS.locker } });
+        clearTimeout(finishing);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers['content-type'], 'text/event-stream');
+
+        const loanEvents = response.events.filter(event => event.event === 'loan');
+        assert.deepEqual(loanEvents.filter(event => event.data.loanIndex === 0).map(event => event.data.state), ['in_progress', 'locked']);
+        assert.deepEqual(loanEvents.filter(event => event.data.loanIndex === 1).map(event => event.data.state), ['in_progress', 'failed']);
+
+        const complete = response.events.at(-1);
+        assert.equal(complete.event, 'complete');
+        assert.equal(complete.data.batchId, batchId);
+    });
+
+    test('sends the loans a bulk call queued while the stream is open', async () => {
+        fake.onDispatch(({ clientPayload }) => pricedRun(clientPayload.loan_index));
+        const queued = await invoke(triggerBulk, {
+            method: 'POST',
+            headers: as('pricer'),
+            body: { mode: 'price', credentialRef: pricerCredential, loans: [makeLoan(), makeLoan()].map((loanData, loanIndex) => ({ loanIndex, loanData })) }
+        });
+        assert.equal(fake.dispatches.length, 0);
+
+        const response = await invoke(batchProgress, { method: 'GET', query: { batchId: queued.body.batchId, access_token: API_KEYS.pricer } });
+
+        assert.equal(fake.dispatches.length, 2);
+        const loanEvents = response.events.filter(event => event.event === 'loan').map(event => event.data);
+        assert.deepEqual(loanEvents.map(loan => [loan.loanIndex, loan.state]), [[0, 'priced'], [1, 'priced']]);
+        assert.equal(response.events.at(-1).event, 'complete');
+    });
+
+    test('ends process-loans loans on their lock result, with the pricing their run reported', async () => {
+        const batchId = await dispatchBatch('process', [makeLoan()], loanIndex => ({
+            conclusion: 'success',
+            jobs: [
+                { name: `Price loan ${loanIndex}`, log: jobLog(pricingMarker(pricingData({ loan_index: loanIndex }))) },
+                { name: `Lock loan ${loanIndex}`, log: jobLog(lockMarker({ lock_status: 'success', loan_index: loanIndex })) }
+            ]
+        }));
+
+        const response = await invoke(batchProgress, { method: 'GET', query: { batchId, access_token: API_KEYS.locker } });
+
+        const [loan] = response.events.filter(event => event.event === 'loan').map(event => event.data);
+        assert.equal(loan.state, 'locked');
+        assert.equal(loan.result.locked, true);
+        assert.equal(loan.pricing.pricingStatus, 'success');
+        assert.equal(loan.pricing.interestRate, '6.875');
+    });
+
+    test('reads each loan of an untyped batch as the kind of run it was dispatched as', async () => {
+        const traderCredential = await storeTestCredentials('trader');
+        const loans = [makeLoan(), makeLoan()];
+        const { batchId } = (await invoke(createBatch, { method: 'POST', headers: as('trader'), body: { loans: loans.map(loanData => ({ loanData })) } })).body;
+
+        fake.onDispatch(({ clientPayload }) => pricedRun(clientPayload.loan_index));
+        await invoke(triggerPricingOnly, { method: 'POST', headers: as('trader'), body: { loanData: loans[0], loanIndex: 0, credentialRef: traderCredential, batchId } });
+        fake.onDispatch(({ clientPayload }) => ({ jobs: [{ name: 'Lock loan 1', log: jobLog(lockMarker({ lock_status: 'success', loan_index: clientPayload.loan_index })) }] }));
+        await invoke(triggerSelectiveLocks, { method: 'POST', headers: as('trader'), body: { loanData: loans[1], loanIndex: 1, credentialRef: traderCredential, batchId } });
+
+        const response = await invoke(batchProgress, { method: 'GET', query: { batchId, access_token: API_KEYS.trader } });
+        const states = response.events.filter(event => event.event === 'loan').map(event => [event.data.loanIndex, event.data.eventType, event.data.state]);
+        assert.deepEqual(states, [[0, 'price-loans-only', 'priced'], [1, 'selective-lock', 'locked']]);
+
+        const exported = await invoke(exportResults, { method: 'GET', headers: as('trader'), query: { batchId, format: 'csv' } });
+        const rows = parseCsv(exported.text.slice(1));
+        assert.deepEqual(rows.slice(1).map(row => [row[4], row[5], row[8]]), [['priced', '6.875', ''], ['locked', '', 'Locked']]);
+        const options = await invoke(exportResults, { method: 'GET', headers: as('trader'), query: { batchId, format: 'csv', sheet: 'options' } });
+        assert.equal(options.status, 200);
+    });
+
+    test('needs a known batch and a valid token', async () => {
+        assert.equal((await invoke(batchProgress, { method: 'GET', query: { batchId: 'x' } })).status, 401);
+        assert.equal((await invoke(batchProgress, { method: 'GET', query: { access_token: API_KEYS.viewer } })).status, 400);
+        assert.equal((await invoke(batchProgress, { method: 'GET', query: { batchId: 'batch-missing', access_token: API_KEYS.viewer } })).status, 404);
+    });
+});
+
+describe('export-results', () => {
+    test('exports a priced batch as CSV, one sheet per file', async () => {
+        const batchId = await dispatchBatch('price', [makeLoan({ firstName: 'José' }), makeLoan()], pricedRun);
+
+        const loans = await invoke(exportResults, { method: 'GET', headers: as('pricer'), query: { batchId, format: 'csv' } });
+        assert.equal(loans.status, 200);
+        assert.match(loans.headers['content-disposition'], new RegExp(`${batchId}-loans\\.csv`));
+        assert.ok(loans.text.startsWith('\uFEFF'));
+
+        const rows = parseCsv(loans.text.slice(1));
+        assert.equal(rows[0][0], 'Loan Index');
+        assert.deepEqual(rows.slice(1).map(row => [row[0], row[4], row[5]]), [['0', 'priced', '6.875'], ['1', 'priced', '6.875']]);
+
+        const options = await invoke(exportResults, { method: 'GET', headers: as('pricer'), query: { batchId, format: 'csv', sheet: 'options' } });
+        assert.equal(parseCsv(options.text.slice(1)).length, 1 + 4);
+    });
+
+    test('exports XLSX with a Loans and a Pricing Options sheet', async () => {
+        const batchId = await dispatchBatch('price', [makeLoan()], pricedRun);
+
+        const response = await invoke(exportResults, { method: 'GET', headers: as('pricer'), query: { batchId, format: 'xlsx' } });
+
+        assert.equal(response.status, 200);
+        const workbook = readWorkbook(response.raw);
+        assert.deepEqual(workbook.map(sheet => sheet.name), ['Loans', 'Pricing Options']);
+        assert.equal(workbook[0].rows[1][4], 'priced');
+    });
+
+    test('fills the pricing columns of a process-loans batch and leaves them out for selective locks', async () => {
+        const processBatchId = await dispatchBatch('process', [makeLoan()], loanIndex => ({
+            conclusion: 'success',
+            jobs: [
+                { name: `Price loan ${loanIndex}`, log: jobLog(pricingMarker(pricingData({ loan_index: loanIndex }))) },
+                { name: `Lock loan ${loanIndex}`, log: jobLog(lockMarker({ lock_status: 'success', loan_index: loanIndex })) }
+            ]
+        }));
+        const processed = parseCsv((await invoke(exportResults, { method: 'GET', headers: as('locker'), query: { batchId: processBatchId, format: 'csv' } })).text.slice(1));
+        assert.deepEqual([processed[0][5], processed[1][4], processed[1][5], processed[1][8]], ['Rate', 'locked', '6.875', 'Locked']);
+
+        const lockBatchId = await dispatchBatch('lock', [makeLoan()], loanIndex => ({
+            conclusion: 'success',
+            jobs: [{ name: `Lock loan ${loanIndex}`, log: jobLog(lockMarker({ lock_status: 'success', loan_index: loanIndex })) }]
+        }));
+        const locked = parseCsv((await invoke(exportResults, { method: 'GET', headers: as('locker'), query: { batchId: lockBatchId, format: 'csv' } })).text.slice(1));
+        assert.ok(!locked[0].includes('Rate') && !locked[0].includes('Program'));
+        assert.deepEqual([locked[0][5], locked[1][5]], ['Lock Status', 'Locked']);
+    });
+
+    test('validates format and sheet', async () => {
+        const batchId = await dispatchBatch('lock', [makeLoan()], () => ({ conclusion: 'success', jobs: [] }));
+
+        assert.equal((await invoke(exportResults, { method: 'GET', headers: as('locker'), query: { batchId, format: 'pdf' } })).status, 400);
+        assert.equal((await invoke(exportResults, { method: 'GET', headers: as('locker'), query: { batchId, format: 'csv', sheet: 'options' } })).status, 400);
+        assert.equal((await invoke(exportResults, { method: 'GET', headers: as('locker'), query: { batchId: 'batch-missing' } })).status, 404);
+    });
+});
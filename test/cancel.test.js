@@ -0,0 +1,195 @@
+// /test/cancel.test.js
+// Cancelling one loan's run or a whole batch, and how the results endpoints report it
+
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, test } from 'node:test';
+import { as } from './support/env.js';
+import { jobLog, lockMarker, makeLoan, pricingMarker, pricingData, storeTestCredentials } from './support/fixtures.js';
+import { startGitHubFake } from './support/github-fake.js';
+import { invoke } from './support/invoke.js';
+import cancelRuns from '../api/cancel-runs.js';
+import checkBatchResults from '../api/check-batch-results.js';
+import createBatch from '../api/create-batch.js';
+import getPricingResults from '../api/get-pricing-results.js';
+import triggerBulk from '../api/trigger-bulk.js';
+import triggerSelectiveLocks from '../api/trigger-selective-locks.js';
+import { getBatchProgress } from '../lib/batch-progress.js';
+import { getBatch } from '../lib/batches.js';
+import { createCorrelationId } from '../lib/correlation.js';
+import { drainDispatchQueue, getQueuedLoans } from '../lib/dispatch-queue.js';
+import { recordDispatch } from '../lib/dispatch-records.js';
+
+let fake;
+let pricerCredential;
+let lockerCredential;
+
+before(async () => {
+    fake = await startGitHubFake();
+    process.env.GITHUB_API_URL = fake.url;
+    pricerCredential = await storeTestCredentials('pricer');
+    lockerCredential = await storeTestCredentials('locker');
+});
+
+after(() => fake.close());
+
+beforeEach(() => fake.reset());
+
+function cancel(role, body) {
+    return invoke(cancelRuns, { method: 'POST', headers: as(role), body });
+}
+
+async function dispatchBatch(mode, count, runFor) {
+    fake.onDispatch(({ clientPayload }) => runFor(clientPayload.loan_index));
+    const response = await invoke(triggerBulk, {
+        method: 'POST',
+        headers: as(mode === 'price' ? 'pricer' : 'locker'),
+        body: {
+            mode,
+            credentialRef: mode === 'price' ? pricerCredential : lockerCredential,
+            loans: Array.from({ length: count }, (_, loanIndex) => ({ loanIndex, loanData: makeLoan() }))
+        }
+    });
+    assert.equal(response.status, 202);
+    // Send the queued loans, as the batch's progress stream would
+    await drainDispatchQueue(response.body.batchId);
+    return response.body.batchId;
+}
+
+function runOf(loanIndex) {
+    const dispatch = fake.dispatches.find(candidate => candidate.clientPayload.loan_index === loanIndex);
+    return fake.findRunByCorrelationId(dispatch.clientPayload.correlation_id);
+}
+
+test('cancels a lock batch: running runs now, runs not created yet once they appear', async () => {
+    // Loan 0 already locked, loan 1 running, loan 2's run does not exist yet
+    const batchId = await dispatchBatch('lock', 3, loanIndex => ({
+        0: { jobs: [{ name: 'Lock loan 0', log: jobLog(lockMarker({ lock_status: 'success', loan_index: 0 })) }] },
+        1: { status: 'in_progress' },
+        2: null
+    })[loanIndex]);
+
+    const response = await cancel('locker', { batchId });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.batchCancelled, true);
+    assert.deepEqual(response.body.loans.map(loan => loan.outcome), ['already_completed', 'cancel_requested', 'awaiting_run']);
+    assert.equal(runOf(1).conclusion, 'cancelled');
+    assert.equal((await getBatch(batchId)).cancelledBy, 'locker');
+
+    // The workflow picks loan 2 up late; the next results poll cancels it
+    const lateDispatch = fake.dispatches.find(dispatch => dispatch.clientPayload.loan_index === 2);
+    fake.addRun({ eventType: 'selective-lock', correlationId: lateDispatch.clientPayload.correlation_id, status: 'in_progress' });
+
+    const firstPoll = await invoke(checkBatchResults, { method: 'POST', headers: as('locker'), body: { batchId } });
+    assert.equal(firstPoll.body.summary.stillProcessing, 1);
+    assert.equal(runOf(2).conclusion, 'cancelled');
+
+    const results = await invoke(checkBatchResults, { method: 'POST', headers: as('locker'), body: { batchId } });
+    assert.deepEqual(results.body.summary, {
+        totalProcessed: 3,
+        successfulLocks: 1,
+        failedLocks: 0,
+        cancelledLocks: 2,
+        successRate: 33,
+        stillProcessing: 0,
+        notDispatched: 0,
+        isComplete: true
+    });
+    assert.deepEqual(results.body.cancelledLoans.map(loan => loan.loanIndex), [1, 2]);
+
+    const cancelled = results.body.results.find(result => result.loanIndex === 1);
+    assert.equal(cancelled.cancelled, true);
+    assert.equal(cancelled.cancellation.requestedBy, 'locker');
+    assert.equal(cancelled.errorMessage, 'Run was cancelled before reporting a lock result');
+    assert.equal(results.body.results.find(result => result.loanIndex === 0).cancelled, false);
+});
+
+test('cancels selected loans of a pricing batch and reports them as cancelled', async () => {
+    const batchId = await dispatchBatch('price', 2, loanIndex => loanIndex === 0
+        ? { jobs: [{ name: 'Price loan 0', log: jobLog(pricingMarker(pricingData({ loan_index: 0 }))) }] }
+        : { status: 'in_progress' });
+
+    const response = await cancel('pricer', { batchId, loanIndexes: [1] });
+    assert.equal(response.body.batchCancelled, false);
+    assert.deepEqual(response.body.summary, { cancelRequested: 1, awaitingRun: 0, alreadyCompleted: 0, failed: 0, notDispatched: 0 });
+
+    const results = await invoke(getPricingResults, { method: 'POST', headers: as('pricer'), body: { batchId } });
+    assert.equal(results.body.summary.successfulPricing, 1);
+    assert.equal(results.body.summary.failedPricing, 0);
+    assert.equal(results.body.summary.cancelledPricing, 1);
+    assert.equal(results.body.allPricingComplete, true);
+
+    const progress = await getBatchProgress(await getBatch(batchId));
+    assert.deepEqual(progress.loans.map(loan => loan.state), ['priced', 'cancelled']);
+    assert.equal(progress.isComplete, true);
+});
+
+test('loans of a cancelled batch are never dispatched', async () => {
+    const created = await invoke(createBatch, {
+        method: 'POST',
+        headers: as('locker'),
+        body: { type: 'selective-lock', loans: [{ loanIndex: 0, loanData: makeLoan() }, { loanIndex: 1, loanData: makeLoan() }] }
+    });
+    const { batchId } = created.body;
+
+    const response = await cancel('locker', { batchId });
+    assert.equal(response.body.summary.notDispatched, 2);
+
+    const bulk = await invoke(triggerBulk, {
+        method: 'POST',
+        headers: as('locker'),
+        body: { mode: 'lock', batchId, credentialRef: lockerCredential, loans: [{ loanIndex: 0, loanData: makeLoan() }] }
+    });
+    assert.equal(bulk.body.manifest[0].status, 'queued');
+    assert.deepEqual(await drainDispatchQueue(batchId), []);
+    assert.match((await getQueuedLoans(batchId)).get(0).outcome.error, /was cancelled/);
+    assert.equal(fake.dispatches.length, 0);
+
+    const results = await invoke(checkBatchResults, { method: 'POST', headers: as('locker'), body: { batchId } });
+    assert.equal(results.body.summary.isComplete, true);
+    assert.deepEqual(results.body.cancelledLoans.map(loan => [loan.loanIndex, loan.correlationId]), [[0, null], [1, null]]);
+});
+
+test('cancels a single loan outside a batch, by correlation ID', async () => {
+    fake.onDispatch(() => ({ status: 'in_progress' }));
+    const locked = await invoke(triggerSelectiveLocks, {
+        method: 'POST',
+        headers: as('locker'),
+        body: { loanData: makeLoan(), loanIndex: 0, credentialRef: lockerCredential }
+    });
+    const { correlationId } = locked.body;
+
+    // Nor can anyone but its owner
+    assert.equal((await cancel('trader', { correlationIds: [correlationId] })).status, 404);
+
+    const response = await cancel('locker', { correlationIds: [correlationId] });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.loans[0].outcome, 'cancel_requested');
+    assert.equal(fake.findRunByCorrelationId(correlationId).conclusion, 'cancelled');
+
+    // Cancelling again finds the run finished
+    const repeat = await cancel('locker', { correlationIds: [correlationId] });
+    assert.equal(repeat.body.loans[0].outcome, 'already_completed');
+});
+
+test('needs the role for the dispatch\'s event type even before its run exists', async () => {
+    // A lock dispatch the pricer sent while they still held the locker role; GitHub has no run for it yet
+    const correlationId = createCorrelationId();
+    await recordDispatch({ correlationId, eventType: 'selective-lock', requestedBy: 'pricer', dispatchedAt: new Date().toISOString() });
+
+    assert.equal((await cancel('pricer', { correlationIds: [correlationId] })).status, 403);
+    assert.equal((await cancel('pricer', { correlationIds: [createCorrelationId()] })).status, 404, 'a dispatch nobody recorded');
+    assert.equal((await cancel('admin', { correlationIds: [correlationId] })).body.loans[0].outcome, 'awaiting_run');
+});
+
+test('validates what to cancel', async () => {
+    assert.equal((await cancel('locker', {})).status, 400);
+    assert.equal((await cancel('locker', { batchId: 'batch-missing' })).status, 404);
+    assert.equal((await cancel('viewer', { correlationIds: ['lnx-x'] })).status, 403);
+
+    const batchId = await dispatchBatch('lock', 1, () => ({ status: 'in_progress' }));
+    assert.equal((await cancel('locker', { batchId, loanIndexes: [7] })).status, 400);
+    assert.equal((await cancel('locker', { batchId, loanIndexes: 'all' })).status, 400);
+    assert.equal((await cancel('trader', { batchId })).status, 404, 'another user\'s batch');
+    assert.equal((await getBatch(batchId)).cancelledAt, null);
+});
@@ -0,0 +1,111 @@
+// /test/credentials.test.js
+// Credential vault and the single-use token the workflow redeems for the real credentials
+
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { as, REDEEM_SECRET } from './support/env.js';
+import { makeLoan } from './support/fixtures.js';
+import { startGitHubFake } from './support/github-fake.js';
+import { invoke } from './support/invoke.js';
+import credentials from '../api/credentials.js';
+import redeemCredentialToken from '../api/redeem-credential-token.js';
+import triggerPricingOnly from '../api/trigger-pricing-only.js';
+
+let fake;
+
+before(async () => {
+    fake = await startGitHubFake();
+    process.env.GITHUB_API_URL = fake.url;
+});
+
+after(() => fake.close());
+
+function redeem(token, secret = REDEEM_SECRET) {
+    return invoke(redeemCredentialToken, { method: 'POST', headers: { Authorization: `Bearer ${secret}` }, body: { token } });
+}
+
+async function storeViaApi(role, secret = { username: 'pricer@example.com', password: 'hunter2' }) {
+    const response = await invoke(credentials, { method: 'POST', headers: as(role), body: { credentials: secret, label: 'desk' } });
+    assert.equal(response.status, 201);
+    return response.body.credentialRef;
+}
+
+// The token a trigger put in its client_payload
+async function dispatchToken(credentialRef) {
+    const response = await invoke(triggerPricingOnly, {
+        method: 'POST',
+        headers: as('pricer'),
+        body: { loanData: makeLoan(), loanIndex: 0, credentialRef }
+    });
+    assert.equal(response.status, 200);
+    return fake.dispatches.at(-1).clientPayload.credential_token;
+}
+
+test('stores credentials and returns metadata only', async () => {
+    const credentialRef = await storeViaApi('pricer');
+
+    const info = await invoke(credentials, { method: 'GET', headers: as('pricer'), query: { credentialRef } });
+
+    assert.equal(info.status, 200);
+    assert.equal(info.body.credential.label, 'desk');
+    assert.ok(!JSON.stringify(info.body).includes('hunter2'));
+});
+
+test('keeps credentials private to their owner', async () => {
+    const credentialRef = await storeViaApi('pricer');
+
+    assert.equal((await invoke(credentials, { method: 'GET', headers: as('locker'), query: { credentialRef } })).status, 404);
+    assert.equal((await invoke(credentials, { method: 'GET', headers: as('admin'), query: { credentialRef } })).status, 200);
+    assert.equal((await invoke(credentials, { method: 'GET', headers: as('viewer'), query: { credentialRef } })).status, 403);
+});
+
+test('validates what is stored', async () => {
+    const response = await invoke(credentials, { method: 'POST', headers: as('pricer'), body: { credentials: { username: 'only' } } });
+    assert.equal(response.status, 400);
+});
+
+test('a dispatched token is redeemed once for the real credentials', async () => {
+    const token = await dispatchToken(await storeViaApi('pricer'));
+
+    const first = await redeem(token);
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.credentials, { username: 'pricer@example.com', password: 'hunter2' });
+
+    assert.equal((await redeem(token)).status, 410);
+});
+
+test('redeeming needs the redeem secret', async () => {
+    const token = await dispatchToken(await storeViaApi('pricer'));
+
+    assert.equal((await redeem(token, 'wrong-secret')).status, 401);
+    assert.equal((await redeem(undefined)).status, 400);
+    assert.equal((await redeem(token)).status, 200);
+});
+
+test('rotating or revoking credentials invalidates outstanding tokens', async () => {
+    const credentialRef = await storeViaApi('pricer');
+    const beforeRotation = await dispatchToken(credentialRef);
+
+    const rotated = await invoke(credentials, {
+        method: 'PUT',
+        headers: as('pricer'),
+        body: { credentialRef, credentials: { username: 'pricer@example.com', password: 'correct-horse' } }
+    });
+    assert.equal(rotated.status, 200);
+    assert.equal((await redeem(beforeRotation)).status, 410);
+
+    const afterRotation = await dispatchToken(credentialRef);
+    assert.equal((await redeem(afterRotation)).body.credentials.password, 'correct-horse');
+
+    const beforeRevoke = await dispatchToken(credentialRef);
+    const revoked = await invoke(credentials, { method: 'DELETE', headers: as('pricer'), body: { credentialRef } });
+    assert.equal(revoked.status, 200);
+    assert.equal((await redeem(beforeRevoke)).status, 410);
+
+    const triggerAfterRevoke = await invoke(triggerPricingOnly, {
+        method: 'POST',
+        headers: as('pricer'),
+        body: { loanData: makeLoan(), loanIndex: 0, credentialRef }
+    });
+    assert.equal(triggerAfterRevoke.status, 404);
+});
@@ -0,0 +1,153 @@
+// /test/import.test.js
+// Loan tape import (CSV / XLSX) through saved and inline column-mapping profiles
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { as } from './support/env.js';
+import { invoke } from './support/invoke.js';
+import importLoans from '../api/import-loans.js';
+import mappingProfiles from '../api/mapping-profiles.js';
+import { buildWorkbook } from '../lib/xlsx.js';
+import { createZip, extractZipEntries } from '../lib/zip.js';
+
+const TAPE = [
+    'Borrower First,Borrower Last,Amount,Nex,FICO,Notes',
+    'Ann,Lee,350000,NEX-1,742,rush',
+    'Bob,,410000,NEX-2,701,',
+    ',,,,,',
+    'Cy,Diaz,"1,200,000",NEX-3,780,jumbo'
+].join('\n');
+
+const COLUMNS = {
+    'Borrower First': 'First Name',
+    'Borrower Last': 'Last Name',
+    'Amount': 'Loan Amount',
+    'Nex': 'nex_id',
+    'FICO': 'Credit Score'
+};
+
+function importTape(role, body) {
+    return invoke(importLoans, { method: 'POST', headers: as(role), body });
+}
+
+// A workbook whose first sheet's XML is replaced
+function workbookWithSheet(sheetXml) {
+    const entries = extractZipEntries(buildWorkbook([{ name: 'Tape', rows: [['Amount']] }]));
+    return createZip(entries.map(entry => entry.name === 'xl/worksheets/sheet1.xml' ? { ...entry, data: sheetXml } : entry));
+}
+
+function importWorkbook(buffer) {
+    return importTape('pricer', { fileName: 'tape.xlsx', content: buffer.toString('base64'), encoding: 'base64' });
+}
+
+describe('mapping-profiles', () => {
+    test('saves, lists, updates and deletes a profile', async () => {
+        const created = await invoke(mappingProfiles, { method: 'POST', headers: as('pricer'), body: { name: 'Desk tape', columns: COLUMNS } });
+        assert.equal(created.status, 201);
+        const { profileId } = created.body;
+
+        const listed = await invoke(mappingProfiles, { method: 'GET', headers: as('pricer') });
+        assert.ok(listed.body.profiles.some(profile => profile.profileId === profileId));
+
+        const updated = await invoke(mappingProfiles, {
+            method: 'PUT',
+            headers: as('pricer'),
+            body: { profileId, name: 'Desk tape v2', columns: COLUMNS, defaults: { 'Property Type': 'Condo' } }
+        });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.profile.name, 'Desk tape v2');
+
+        // Other users cannot see it
+        assert.equal((await invoke(mappingProfiles, { method: 'GET', headers: as('locker'), query: { profileId } })).status, 404);
+
+        assert.equal((await invoke(mappingProfiles, { method: 'DELETE', headers: as('pricer'), body: { profileId } })).status, 200);
+        assert.equal((await invoke(mappingProfiles, { method: 'GET', headers: as('pricer'), query: { profileId } })).status, 404);
+    });
+
+    test('rejects unusable profiles', async () => {
+        const noColumns = await invoke(mappingProfiles, { method: 'POST', headers: as('pricer'), body: { name: 'Empty', columns: {} } });
+        assert.equal(noColumns.status, 400);
+
+        const badField = await invoke(mappingProfiles, { method: 'POST', headers: as('pricer'), body: { name: 'Bad', columns: { Amount: 42 } } });
+        assert.equal(badField.status, 400);
+    });
+});
+
+describe('import-loans', () => {
+    test('maps a CSV tape through a saved profile and reports rejected rows', async () => {
+        const created = await invoke(mappingProfiles, {
+            method: 'POST',
+            headers: as('pricer'),
+            body: { name: 'Desk tape', columns: COLUMNS, defaults: { 'Property Type': 'sfr' } }
+        });
+
+        const response = await importTape('pricer', { fileName: 'tape.csv', content: TAPE, profileId: created.body.profileId });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.format, 'csv');
+        assert.deepEqual(response.body.summary, { totalRows: 3, valid: 2, rejected: 1 });
+        assert.deepEqual(response.body.unmappedColumns, ['Notes']);
+
+        const [ann, cy] = response.body.loans;
+        assert.equal(ann.loanData['First Name'], 'Ann');
+        assert.equal(ann.loanData['Loan Amount'], 350000);
+        assert.equal(ann.loanData['Property Type'], 'Single Family');
+        assert.equal(cy.loanIndex, 2);
+        assert.equal(cy.row, 5);
+        assert.equal(cy.loanData['Loan Amount'], 1200000);
+
+        assert.equal(response.body.rejectedRows[0].row, 3);
+        assert.equal(response.body.rejectedRows[0].errors[0].field, 'Last Name');
+    });
+
+    test('reads a base64 XLSX tape with an inline profile', async () => {
+        const workbook = buildWorkbook([{ name: 'Tape', rows: [['Borrower First', 'Borrower Last', 'Amount'], ['Dee', 'Eng', 275000]] }]);
+
+        const response = await importTape('pricer', {
+            fileName: 'tape.xlsx',
+            content: workbook.toString('base64'),
+            encoding: 'base64',
+            profile: { columns: COLUMNS }
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.format, 'xlsx');
+        assert.deepEqual(response.body.missingColumns, ['Nex', 'FICO']);
+        assert.equal(response.body.loans[0].loanData['Loan Amount'], 275000);
+    });
+
+    test('rejects unreadable files and unknown profiles', async () => {
+        assert.equal((await importTape('pricer', { fileName: 'tape.csv' })).status, 400);
+        assert.equal((await importTape('pricer', { fileName: 'tape.xlsx', content: 'not a zip', encoding: 'base64' })).status, 400);
+        assert.equal((await importTape('pricer', { fileName: 'tape.csv', content: TAPE, profileId: 'map-missing' })).status, 404);
+        assert.equal((await importTape('viewer', { fileName: 'tape.csv', content: TAPE })).status, 403);
+    });
+
+    test('rejects sheets that reach past the import limits before reading them into memory', async () => {
+        const farRow = await importWorkbook(workbookWithSheet('<worksheet><sheetData><row r="200000000"><c r="A200000000"><v>1</v></c></row></sheetData></worksheet>'));
+        assert.equal(farRow.status, 400);
+        assert.match(farRow.body.message, /Row 200000000 is past the limit of 5001 rows/);
+
+        const farColumn = await importWorkbook(workbookWithSheet('<worksheet><sheetData><row r="1"><c r="XFD1"><v>1</v></c></row></sheetData></worksheet>'));
+        assert.equal(farColumn.status, 400);
+        assert.match(farColumn.body.message, /Cell XFD1 is past the limit of 1000 columns/);
+
+        const csv = await importTape('pricer', { fileName: 'tape.csv', content: ['Amount', ...Array(5001).fill('1')].join('\n') });
+        assert.equal(csv.status, 400);
+        assert.match(csv.body.message, /Tape has 5001 rows \(max 5000 per import\)/);
+    });
+
+    test('rejects zip bombs without inflating them', async () => {
+        const bomb = createZip([{ name: 'xl/workbook.xml', data: Buffer.alloc(40 * 1024 * 1024) }]);
+        assert.ok(bomb.length < 100 * 1024);
+        const response = await importWorkbook(bomb);
+        assert.equal(response.status, 400);
+        assert.match(response.body.message, /Archive expands to more than/);
+
+        // An entry that inflates past the size it declares is cut off at that size
+        const lying = createZip([{ name: 'data.json', data: Buffer.alloc(1024 * 1024) }]);
+        const central = lying.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+        lying.writeUInt32LE(10, central + 24);
+        assert.throws(() => extractZipEntries(lying), /Could not inflate data\.json/);
+    });
+});
@@ -0,0 +1,72 @@
+// /test/local-executor.test.js
+// The local executor: runs queued and started as child processes, never taken for lost runs
+// while this process holds them
+
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { afterEach, test } from 'node:test';
+import './support/env.js';
+import { createCorrelationId } from '../lib/correlation.js';
+import { createLocalExecutor } from '../lib/local-executor.js';
+import { getDataDir } from '../lib/store.js';
+
+afterEach(() => {
+    delete process.env.LOCAL_RUNNER_COMMAND;
+    delete process.env.LOCAL_RUNNER_CONCURRENCY;
+    delete process.env.LOCAL_RUNNER_ENV_AUTOMATION_MODE;
+    delete process.env.SERVER_SECRET;
+});
+
+// Poll until every run of `correlationIds` completes; returns every status seen on the way
+async function watchRuns(executor, correlationIds) {
+    const seen = [];
+    for (let poll = 0; poll < 500; poll++) {
+        const runs = (await executor.findRuns(correlationIds.map(correlationId => ({ correlationId })))).map(match => match.run);
+        seen.push(...runs.map(run => `${run.status}/${run.conclusion}`));
+        if (runs.every(run => run.status === 'completed')) {
+            return { runs, seen };
+        }
+    }
+    throw new Error('Local runs did not finish');
+}
+
+test('a run polled while it moves from the queue to its child process is never marked lost', async () => {
+    process.env.LOCAL_RUNNER_COMMAND = 'echo "ran $LOANNEX_CORRELATION_ID"';
+    process.env.LOCAL_RUNNER_CONCURRENCY = '1';
+    const executor = createLocalExecutor();
+    const correlationIds = [createCorrelationId(), createCorrelationId(), createCorrelationId()];
+
+    await Promise.all(correlationIds.map((correlationId, loanIndex) => executor.dispatch('selective-lock', { correlation_id: correlationId, loan_index: loanIndex })));
+    const { runs, seen } = await watchRuns(executor, correlationIds);
+
+    assert.deepEqual(runs.map(run => run.conclusion), ['success', 'success', 'success']);
+    assert.ok(!seen.includes('completed/failure'), `a live run was marked lost: ${seen.join(', ')}`);
+});
+
+test('a run cancelled while it is queued or starting ends cancelled', async () => {
+    process.env.LOCAL_RUNNER_COMMAND = 'sleep 5';
+    const executor = createLocalExecutor();
+    const correlationId = createCorrelationId();
+
+    await executor.dispatch('selective-lock', { correlation_id: correlationId, loan_index: 0 });
+    const [{ run }] = await executor.findRuns([{ correlationId }]);
+    assert.equal(await executor.cancel(run), true);
+
+    const { runs } = await watchRuns(executor, [correlationId]);
+    assert.equal(runs[0].conclusion, 'cancelled');
+});
+
+test('the command gets an allow-listed environment, not the whole server environment', async () => {
+    process.env.SERVER_SECRET = 'not for the automation';
+    process.env.LOCAL_RUNNER_ENV_AUTOMATION_MODE = 'headless';
+    process.env.LOCAL_RUNNER_COMMAND = 'echo "secret=[$SERVER_SECRET] mode=[$AUTOMATION_MODE] data=[$LOANNEX_DATA_DIR] path=[${PATH:+set}]"';
+    const executor = createLocalExecutor();
+    const correlationId = createCorrelationId();
+
+    await executor.dispatch('selective-lock', { correlation_id: correlationId, loan_index: 0 });
+    const { runs } = await watchRuns(executor, [correlationId]);
+
+    const output = await fs.readFile(path.join(getDataDir(), 'local-runs', String(runs[0].id), 'output.log'), 'utf8');
+    assert.match(output, /secret=\[\] mode=\[headless\] data=\[.+\] path=\[set\]/);
+});
@@ -0,0 +1,132 @@
+// /test/logger.test.js
+// Structured logging: one JSON entry per line, request IDs across handler and lib/, levels, and
+// redaction of borrower data, credentials, SSNs and addresses
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, beforeEach, mock, test } from 'node:test';
+import { as } from './support/env.js';
+import { jobLog, makeLoan, storeTestCredentials } from './support/fixtures.js';
+import { startGitHubFake } from './support/github-fake.js';
+import { invoke } from './support/invoke.js';
+import triggerPricingOnly from '../api/trigger-pricing-only.js';
+import { createLogger, getLogLevel, redact, redactText, REDACTED } from '../lib/logger.js';
+
+let fake;
+let pricerCredential;
+
+before(async () => {
+    fake = await startGitHubFake();
+    process.env.GITHUB_API_URL = fake.url;
+    pricerCredential = await storeTestCredentials('pricer');
+});
+
+after(() => fake.close());
+
+beforeEach(() => fake.reset());
+
+afterEach(() => {
+    mock.restoreAll();
+    delete process.env.LOG_LEVEL;
+    delete process.env.NODE_ENV;
+});
+
+// Every entry written while fn runs, parsed
+async function captureEntries(fn) {
+    const lines = [];
+    mock.method(console, 'log', line => lines.push(line));
+    mock.method(console, 'error', line => lines.push(line));
+    await fn();
+    mock.restoreAll();
+    return lines.map(line => JSON.parse(line));
+}
+
+test('tags every entry of a request with its request ID and leaves out the borrower', async () => {
+    let response;
+    const entries = await captureEntries(async () => {
+        response = await invoke(triggerPricingOnly, {
+            method: 'POST',
+            headers: { ...as('pricer'), 'X-Request-Id': 'req-abc-123' },
+            body: { loanData: makeLoan({ firstName: 'Margaret', lastName: 'Okafor' }), loanIndex: 0, credentialRef: pricerCredential }
+        });
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['x-request-id'], 'req-abc-123');
+    assert.ok(entries.length > 0);
+    assert.ok(entries.every(entry => entry.requestId === 'req-abc-123' && entry.endpoint === 'trigger-pricing-only'));
+    assert.ok(entries.some(entry => entry.logger === 'dispatch' || entry.logger === 'correlation'), 'lib/ entries carry the request too');
+    assert.doesNotMatch(JSON.stringify(entries), /Margaret|Okafor|test-pricer-key/);
+});
+
+test('makes up a request ID when the caller sends none, or an unusable one', async () => {
+    const response = await invoke(triggerPricingOnly, { method: 'POST', headers: { ...as('pricer'), 'X-Request-Id': 'bad id\n' }, body: {} });
+
+    assert.match(response.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+});
+
+test('redacts sensitive fields of loan data and credentials, at any depth', () => {
+    const redacted = redact({
+        loanIndex: 4,
+        credentialRef: 'cred-123',
+        loan: { 'First Name': 'Ann', last_name: 'Lee', SSN: '123-45-6789', propertyAddress: '12 Oak St', fico: 742 },
+        credentials: { username: 'ann@example.com', password: 'hunter2' },
+        headers: { authorization: 'Bearer abc.def', 'x-api-key': 'k' }
+    });
+
+    assert.deepEqual(redacted, {
+        loanIndex: 4,
+        credentialRef: 'cred-123',
+        loan: { 'First Name': REDACTED, last_name: REDACTED, SSN: REDACTED, propertyAddress: REDACTED, fico: 742 },
+        credentials: REDACTED,
+        headers: { authorization: REDACTED, 'x-api-key': REDACTED }
+    });
+});
+
+test('scrubs log excerpts and free text', () => {
+    const excerpt = jobLog(
+        'Filling First Name: Margaret',
+        'Borrower SSN 123-45-6789 at 1600 Pennsylvania Ave, Apt 2',
+        'payload {"Last Name": "Okafor", "FICO": 742}',
+        'login password=hunter2 with Bearer ghp_abc123',
+        'Selected rate 6.875 on loan 3'
+    );
+
+    const scrubbed = redactText(excerpt);
+
+    assert.doesNotMatch(scrubbed, /Margaret|123-45-6789|Pennsylvania|Okafor|hunter2|ghp_abc123/);
+    assert.match(scrubbed, /\[REDACTED SSN\]/);
+    assert.match(scrubbed, /\[REDACTED ADDRESS\]/);
+    assert.match(scrubbed, /"FICO": 742/);
+    assert.match(scrubbed, /Selected rate 6\.875 on loan 3/);
+});
+
+test('logs errors with their message, and truncates long text', async () => {
+    const entries = await captureEntries(() => {
+        createLogger('test').error('Failed', new Error('GitHub said no'));
+        createLogger('test').info('Long', { excerpt: 'x'.repeat(5000) });
+    });
+
+    assert.equal(entries[0].level, 'error');
+    assert.equal(entries[0].error.message, 'GitHub said no');
+    assert.ok(entries[1].excerpt.length < 2100);
+});
+
+test('LOG_LEVEL sets the verbosity, defaulting by environment', async () => {
+    assert.equal(getLogLevel(), 'debug');
+    process.env.NODE_ENV = 'production';
+    assert.equal(getLogLevel(), 'info');
+    process.env.LOG_LEVEL = 'warn';
+    assert.equal(getLogLevel(), 'warn');
+
+    const logger = createLogger('test', { component: 'levels' });
+    const entries = await captureEntries(() => {
+        logger.debug('hidden');
+        logger.info('hidden');
+        logger.warn('shown');
+        logger.child({ loanIndex: 2 }).error('shown too');
+    });
+
+    assert.deepEqual(entries.map(entry => [entry.level, entry.msg]), [['warn', 'shown'], ['error', 'shown too']]);
+    assert.equal(entries[1].component, 'levels');
+    assert.equal(entries[1].loanIndex, 2);
+});
@@ -0,0 +1,135 @@
+// /test/metrics.test.js
+// /api/metrics: dispatches, GitHub calls, result parses and fallbacks, lock outcomes and time
+// from trigger to result, by event type, in the Prometheus text format
+
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, test } from 'node:test';
+import { as } from './support/env.js';
+import { jobLog, lockMarker, makeLoan, pricingData, pricingMarker, storeTestCredentials } from './support/fixtures.js';
+import { startGitHubFake } from './support/github-fake.js';
+import { invoke } from './support/invoke.js';
+import checkBatchResults from '../api/check-batch-results.js';
+import getPricingResults from '../api/get-pricing-results.js';
+import metrics from '../api/metrics.js';
+import triggerLoan from '../api/trigger-loan.js';
+import triggerPricingOnly from '../api/trigger-pricing-only.js';
+import { createCorrelationId } from '../lib/correlation.js';
+import { countMetric, observeMetric, renderMetrics } from '../lib/metrics.js';
+
+let fake;
+let pricerCredential;
+let lockerCredential;
+
+before(async () => {
+    fake = await startGitHubFake();
+    process.env.GITHUB_API_URL = fake.url;
+    pricerCredential = await storeTestCredentials('pricer');
+    lockerCredential = await storeTestCredentials('locker');
+});
+
+after(() => fake.close());
+
+beforeEach(() => {
+    fake.reset();
+    fake.onDispatch(() => ({ status: 'queued' }));
+});
+
+async function scrape() {
+    const response = await invoke(metrics, { headers: { authorization: 'Bearer test-viewer-key' } });
+    assert.equal(response.status, 200);
+    assert.match(response.headers['content-type'], /^text\/plain; version=0\.0\.4/);
+    return response.text;
+}
+
+// The value of one sample, 0 when it hasn't been recorded
+function sample(text, name, labels = {}) {
+    const rendered = Object.entries(labels).map(([label, value]) => `${label}="${value}"`).join(',');
+    const line = text.split('\n').find(candidate => candidate.startsWith(rendered ? `${name}{${rendered}} ` : `${name} `));
+    return line ? Number(line.split(' ').pop()) : 0;
+}
+
+test('counts and times dispatches and GitHub calls by event type and outcome', async () => {
+    const before = await scrape();
+
+    const priced = await invoke(triggerPricingOnly, { method: 'POST', headers: as('pricer'), body: { loanData: makeLoan(), loanIndex: 0, credentialRef: pricerCredential } });
+    assert.equal(priced.status, 200);
+    fake.failNext({ method: 'POST', path: '/dispatches', status: 422 });
+    const failed = await invoke(triggerLoan, { method: 'POST', headers: as('locker'), body: { loanData: makeLoan(), loanIndex: 1, credentialRef: lockerCredential } });
+    assert.equal(failed.status, 500);
+
+    const text = await scrape();
+    const delta = (name, labels) => sample(text, name, labels) - sample(before, name, labels);
+
+    assert.equal(delta('loannex_dispatches_total', { event_type: 'price-loans-only', executor: 'github', outcome: 'dispatched' }), 1);
+    assert.equal(delta('loannex_dispatches_total', { event_type: 'process-loans', executor: 'github', outcome: 'failed' }), 1);
+    assert.equal(delta('loannex_dispatch_duration_seconds_count', { event_type: 'process-loans', executor: 'github' }), 1);
+    assert.equal(delta('loannex_github_requests_total', { operation: 'dispatch', status: '204' }), 1);
+    assert.equal(delta('loannex_github_requests_total', { operation: 'dispatch', status: '422' }), 1);
+    assert.ok(delta('loannex_github_requests_total', { operation: 'list_runs', status: '200' }) >= 1, 'the run lookup after the dispatch');
+    assert.ok(sample(text, 'loannex_github_rate_limit_remaining') > 0);
+    assert.ok(sample(text, 'loannex_process_start_time_seconds') > 0);
+});
+
+test('counts parses, conclusion fallbacks and lock outcomes, with time from trigger to result', async () => {
+    const startedAt = new Date(Date.now() - 90 * 1000).toISOString().replace(/\.\d+Z$/, 'Z');
+    const addRun = spec => {
+        const correlationId = createCorrelationId();
+        fake.addRun({ correlationId, status: 'in_progress', conclusion: null, createdAt: startedAt, ...spec });
+        return correlationId;
+    };
+    const locked = addRun({ eventType: 'selective-lock', jobs: [{ name: 'Lock loan 0', log: jobLog(lockMarker({ lock_status: 'success', loan_index: 0 })) }] });
+    const unparsed = addRun({ eventType: 'selective-lock', jobs: [{ name: 'Lock loan 1', log: jobLog('Browser crashed') }] });
+    const priced = addRun({ eventType: 'price-loans-only', jobs: [{ name: 'Price loan 2', log: jobLog(pricingMarker(pricingData({ loan_index: 2 }))) }] });
+    for (const [correlationId, conclusion] of [[locked, 'success'], [unparsed, 'failure'], [priced, 'success']]) {
+        fake.updateRun(fake.findRunByCorrelationId(correlationId).id, { status: 'completed', conclusion });
+    }
+    const before = await scrape();
+
+    for (let poll = 0; poll < 2; poll++) {
+        const dispatches = correlationIds => correlationIds.map(correlationId => ({ correlationId, dispatchedAt: startedAt }));
+        assert.equal((await invoke(checkBatchResults, { method: 'POST', headers: as('viewer'), body: { dispatches: dispatches([locked, unparsed]) } })).status, 200);
+        assert.equal((await invoke(getPricingResults, { method: 'POST', headers: as('viewer'), body: { dispatches: dispatches([priced]) } })).status, 200);
+    }
+
+    const text = await scrape();
+    const delta = (name, labels) => sample(text, name, labels) - sample(before, name, labels);
+
+    assert.equal(delta('loannex_result_parses_total', { event_type: 'selective-lock', kind: 'lock', source: 'logs' }), 1);
+    // A conclusion fallback is never cached, so each poll parses that run again
+    assert.equal(delta('loannex_result_parses_total', { event_type: 'selective-lock', kind: 'lock', source: 'workflow_conclusion_fallback' }), 2);
+    assert.equal(delta('loannex_result_parses_total', { event_type: 'price-loans-only', kind: 'pricing', source: 'logs' }), 1);
+    assert.equal(delta('loannex_lock_results_total', { event_type: 'selective-lock', outcome: 'locked' }), 1);
+    assert.equal(delta('loannex_lock_results_total', { event_type: 'selective-lock', outcome: 'failed' }), 2);
+    assert.equal(delta('loannex_pricing_results_total', { event_type: 'price-loans-only', outcome: 'priced' }), 1);
+
+    // Timed from each dispatch to its reported result; fallbacks are not timed
+    assert.equal(delta('loannex_trigger_to_result_seconds_count', { event_type: 'selective-lock', kind: 'lock' }), 1);
+    assert.equal(delta('loannex_trigger_to_result_seconds_bucket', { event_type: 'selective-lock', kind: 'lock', le: '60' }), 0);
+    assert.equal(delta('loannex_trigger_to_result_seconds_bucket', { event_type: 'selective-lock', kind: 'lock', le: '120' }), 1);
+    assert.equal(delta('loannex_trigger_to_result_seconds_count', { event_type: 'price-loans-only', kind: 'pricing' }), 1);
+    assert.equal(delta('loannex_result_cache_lookups_total', { backend: 'disk', outcome: 'hit' }), 2, 'the second poll');
+});
+
+test('renders labels escaped and histograms cumulative, and rejects undeclared metrics', () => {
+    countMetric('loannex_github_requests_total', { operation: 'say "hi"\\', status: '200' });
+    observeMetric('loannex_github_request_duration_seconds', { operation: 'render-test' }, 0.2);
+    observeMetric('loannex_github_request_duration_seconds', { operation: 'render-test' }, 40);
+
+    const text = renderMetrics();
+
+    assert.match(text, /^loannex_github_requests_total\{operation="say \\"hi\\"\\\\",status="200"\} 1$/m);
+    assert.match(text, /^# TYPE loannex_github_request_duration_seconds histogram$/m);
+    assert.equal(sample(text, 'loannex_github_request_duration_seconds_bucket', { operation: 'render-test', le: '0.1' }), 0);
+    assert.equal(sample(text, 'loannex_github_request_duration_seconds_bucket', { operation: 'render-test', le: '0.25' }), 1);
+    assert.equal(sample(text, 'loannex_github_request_duration_seconds_bucket', { operation: 'render-test', le: '30' }), 1);
+    assert.equal(sample(text, 'loannex_github_request_duration_seconds_bucket', { operation: 'render-test', le: '+Inf' }), 2);
+    assert.equal(sample(text, 'loannex_github_request_duration_seconds_sum', { operation: 'render-test' }), 40.2);
+
+    assert.throws(() => countMetric('loannex_unknown_total'), /Unknown counter metric/);
+    assert.throws(() => countMetric('loannex_dispatches_total', { loan_index: 3 }), /has no label loan_index/);
+});
+
+test('needs a read role and GET', async () => {
+    assert.equal((await invoke(metrics, {})).status, 401);
+    assert.equal((await invoke(metrics, { method: 'POST', headers: as('viewer') })).status, 405);
+});
@@ -0,0 +1,139 @@
+// /test/result-cache.test.js
+// Parsed results of finished runs are cached by run ID: repeat polls do no GitHub work for them,
+// with disk and memory backends and hit/miss reporting
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, beforeEach, test } from 'node:test';
+import { as } from './support/env.js';
+import { jobLog, pricingData, pricingMarker } from './support/fixtures.js';
+import { startGitHubFake } from './support/github-fake.js';
+import { invoke } from './support/invoke.js';
+import getPricingResults from '../api/get-pricing-results.js';
+import { createCorrelationId } from '../lib/correlation.js';
+import { createCacheStats, getResultCache, getRunResult } from '../lib/result-cache.js';
+import { updateCollection } from '../lib/store.js';
+
+let fake;
+
+before(async () => {
+    fake = await startGitHubFake();
+    process.env.GITHUB_API_URL = fake.url;
+});
+
+after(() => fake.close());
+
+beforeEach(() => fake.reset());
+
+afterEach(() => {
+    delete process.env.RESULT_CACHE_BACKEND;
+    delete process.env.RESULT_CACHE_MAX_ENTRIES;
+});
+
+function addPricedRun(loanIndex, spec = {}) {
+    const correlationId = createCorrelationId();
+    fake.addRun({
+        eventType: 'price-loans-only',
+        correlationId,
+        jobs: [{ name: `Price loan ${loanIndex}`, log: jobLog(pricingMarker(pricingData({ loan_index: loanIndex }))) }],
+        ...spec
+    });
+    return correlationId;
+}
+
+function logRequests() {
+    return fake.requests.filter(request => request.path.startsWith('/repos/') && /\/(jobs|logs)$/.test(request.path)).length;
+}
+
+async function poll(correlationIds) {
+    const response = await invoke(getPricingResults, { method: 'POST', headers: as('viewer'), body: { correlationIds } });
+    assert.equal(response.status, 200);
+    return response.body;
+}
+
+test('repeat polls only parse newly completed runs', async () => {
+    const correlationIds = [0, 1, 2].map(loanIndex => addPricedRun(loanIndex));
+
+    const first = await poll(correlationIds);
+    assert.equal(first.summary.successfulPricing, 3);
+    assert.deepEqual(first.resultCache, { backend: 'disk', hits: 0, misses: 3 });
+    const fetched = logRequests();
+
+    const newcomer = addPricedRun(3);
+    const second = await poll([...correlationIds, newcomer]);
+    assert.equal(second.summary.successfulPricing, 4);
+    assert.deepEqual(second.resultCache, { backend: 'disk', hits: 3, misses: 1 });
+    assert.equal(logRequests() - fetched, 2, 'only the new run\'s jobs and log were fetched');
+});
+
+test('the disk cache answers for runs the run store has lost', async () => {
+    const correlationIds = [addPricedRun(0), addPricedRun(1)];
+    await poll(correlationIds);
+    await updateCollection('runs', runs => {
+        for (const runId of Object.keys(runs)) {
+            delete runs[runId];
+        }
+    });
+    const fetched = logRequests();
+
+    const repeat = await poll(correlationIds);
+
+    assert.equal(repeat.summary.successfulPricing, 2);
+    assert.deepEqual(repeat.resultCache, { backend: 'disk', hits: 2, misses: 0 });
+    assert.equal(logRequests(), fetched);
+});
+
+test('never keeps an error result: the next poll parses the run again', async () => {
+    const correlationId = addPricedRun(0);
+    fake.failNext({ method: 'GET', path: '/jobs', status: 404 });
+
+    const failed = await poll([correlationId]);
+    assert.equal(failed.pricingResults[0].pricingStatus, 'error');
+
+    const repeat = await poll([correlationId]);
+    assert.equal(repeat.summary.successfulPricing, 1);
+    assert.deepEqual(repeat.resultCache, { backend: 'disk', hits: 0, misses: 1 });
+
+    const third = await poll([correlationId]);
+    assert.deepEqual(third.resultCache, { backend: 'disk', hits: 1, misses: 0 });
+});
+
+test('the memory backend drops its least recently used entries', async () => {
+    process.env.RESULT_CACHE_BACKEND = 'memory';
+    process.env.RESULT_CACHE_MAX_ENTRIES = '1';
+    await getResultCache().clear();
+    const [first, second] = [addPricedRun(0), addPricedRun(1)].map(fake.findRunByCorrelationId);
+    const stats = createCacheStats();
+
+    await getRunResult(first, 'pricing', { stats });
+    await getRunResult(first, 'pricing', { stats });
+    await getRunResult(second, 'pricing', { stats });
+    await getRunResult(first, 'pricing', { stats });
+
+    assert.deepEqual(stats, { backend: 'memory', hits: 1, misses: 3 });
+});
+
+test('never caches unfinished runs, and parses a re-run attempt afresh', async () => {
+    process.env.RESULT_CACHE_BACKEND = 'memory';
+    await getResultCache().clear();
+    const running = fake.findRunByCorrelationId(addPricedRun(0, { status: 'in_progress' }));
+    const stats = createCacheStats();
+
+    await getRunResult(running, 'pricing', { stats });
+    await getRunResult(running, 'pricing', { stats });
+    assert.deepEqual(stats, { backend: 'memory', hits: 0, misses: 2 });
+
+    const finished = fake.updateRun(running.id, { status: 'completed', conclusion: 'success' });
+    await getRunResult(finished, 'pricing', { stats });
+    await getRunResult(finished, 'pricing', { stats });
+    await getRunResult({ ...finished, run_attempt: 2 }, 'pricing', { stats });
+    assert.deepEqual(stats, { backend: 'memory', hits: 1, misses: 4 });
+});
+
+test('reports an unknown backend', async () => {
+    process.env.RESULT_CACHE_BACKEND = 'redis';
+
+    const response = await invoke(getPricingResults, { method: 'POST', headers: as('viewer'), body: { correlationIds: [addPricedRun(0)] } });
+
+    assert.equal(response.status, 500);
+    assert.match(response.body.message, /Unknown RESULT_CACHE_BACKEND: redis/);
+});
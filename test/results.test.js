@@ -0,0 +1,337 @@
+// /test/results.test.js
+// Lock and pricing results read back from scripted runs: artifacts, log markers, the
+// workflow-conclusion fallback and loan-index extraction
+
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { as } from './support/env.js';
+import { jobLog, lockMarker, makeLoan, pricingData, pricingMarker } from './support/fixtures.js';
+import { startGitHubFake } from './support/github-fake.js';
+import { invoke } from './support/invoke.js';
+import checkBatchResults from '../api/check-batch-results.js';
+import createBatch from '../api/create-batch.js';
+import getPricingResults from '../api/get-pricing-results.js';
+import { recordBatchDispatch } from '../lib/batches.js';
+import { createCorrelationId } from '../lib/correlation.js';
+
+let fake;
+
+before(async () => {
+    fake = await startGitHubFake();
+    process.env.GITHUB_API_URL = fake.url;
+});
+
+after(() => fake.close());
+
+beforeEach(() => fake.reset());
+
+// A finished run for a fresh dispatch; returns its correlation ID
+function addFinishedRun(spec) {
+    const correlationId = createCorrelationId();
+    fake.addRun({ correlationId, ...spec });
+    return correlationId;
+}
+
+async function checkLocks(correlationIds) {
+    const response = await invoke(checkBatchResults, { method: 'POST', headers: as('viewer'), body: { correlationIds } });
+    assert.equal(response.status, 200);
+    return response.body;
+}
+
+async function checkPricing(correlationIds) {
+    const response = await invoke(getPricingResults, { method: 'POST', headers: as('viewer'), body: { correlationIds } });
+    assert.equal(response.status, 200);
+    return response.body;
+}
+
+describe('check-batch-results', () => {
+    test('reads the lock result from the LOCK_RESULT marker in the job log', async () => {
+        const correlationId = addFinishedRun({
+            jobs: [{ name: 'Process loans', log: jobLog('Logging in...', lockMarker({ lock_status: 'success', nex_id: 'NEX-1', borrower_name: 'Ann Lee', loan_index: 0 }), 'Done') }]
+        });
+
+        const { results, summary } = await checkLocks([correlationId]);
+
+        assert.equal(results.length, 1);
+        assert.equal(results[0].locked, true);
+        assert.equal(results[0].nexId, 'NEX-1');
+        assert.equal(results[0].borrowerName, 'Ann Lee');
+        assert.equal(results[0].source, 'logs');
+        assert.equal(results[0].correlationId, correlationId);
+        assert.deepEqual(results[0].parseDiagnostics, []);
+        assert.equal(summary.successfulLocks, 1);
+        assert.equal(summary.isComplete, true);
+    });
+
+    test('prefers the results artifact over the logs', async () => {
+        const correlationId = addFinishedRun({
+            artifact: { lock_result: { lock_status: 'success', nex_id: 'NEX-2', message: 'Locked' } },
+            jobs: [{ name: 'Process loans', log: jobLog(lockMarker({ lock_status: 'failed', message: 'stale log' })) }]
+        });
+
+        const [result] = (await checkLocks([correlationId])).results;
+
+        assert.equal(result.source, 'artifact');
+        assert.equal(result.locked, true);
+        assert.ok(!fake.requests.some(request => request.path.endsWith('/logs')), 'logs are not read when the artifact answers');
+    });
+
+    test('falls back to the logs when the artifact is invalid or expired', async () => {
+        const invalid = addFinishedRun({
+            artifact: { lock_result: { message: 'no lock_status' } },
+            jobs: [{ name: 'Process loans', log: jobLog(lockMarker({ lock_status: 'failed', message: 'Rate expired' })) }]
+        });
+        const expired = addFinishedRun({
+            artifact: { name: 'loannex-results', expired: true, files: { 'results.json': { lock_result: { lock_status: 'success' } } } },
+            jobs: [{ name: 'Process loans', log: jobLog(lockMarker({ lock_status: 'failed', message: 'Rate expired' })) }]
+        });
+
+        const { results } = await checkLocks([invalid, expired]);
+
+        for (const result of results) {
+            assert.equal(result.source, 'logs');
+            assert.equal(result.locked, false);
+            assert.equal(result.errorMessage, 'Rate expired');
+        }
+    });
+
+    test('falls back to the workflow conclusion when the log has no marker', async () => {
+        const succeeded = addFinishedRun({ conclusion: 'success', jobs: [{ name: 'Process loans', log: jobLog('no markers here') }] });
+        const failed = addFinishedRun({ conclusion: 'failure', jobs: [{ name: 'Process loans', log: jobLog('Traceback ...') }] });
+        const noJobs = addFinishedRun({ conclusion: 'success', jobs: [] });
+
+        const { results } = await checkLocks([succeeded, failed, noJobs]);
+        const byCorrelation = Object.fromEntries(results.map(result => [result.correlationId, result]));
+
+        assert.equal(byCorrelation[succeeded].source, 'workflow_conclusion');
+        assert.equal(byCorrelation[succeeded].locked, true);
+        assert.equal(byCorrelation[succeeded].status, 'workflow_conclusion_fallback');
+
+        assert.equal(byCorrelation[failed].locked, false);
+        assert.equal(byCorrelation[failed].errorMessage, 'Could not parse lock result from logs');
+
+        assert.equal(byCorrelation[noJobs].source, 'workflow_conclusion');
+        assert.equal(byCorrelation[noJobs].locked, true);
+    });
+
+    test('reports unusable markers as parse diagnostics', async () => {
+        const correlationId = addFinishedRun({
+            conclusion: 'failure',
+            jobs: [{ name: 'Process loans', log: jobLog('🔒 LOCK_RESULT: {"lock_status": "success", "nex_id": ') }]
+        });
+
+        const [result] = (await checkLocks([correlationId])).results;
+
+        assert.equal(result.source, 'workflow_conclusion');
+        assert.equal(result.parseDiagnostics.length, 1);
+        assert.equal(result.parseDiagnostics[0].line, 1);
+    });
+
+    test('picks the marker for the loan named in the job', async () => {
+        const correlationId = addFinishedRun({
+            jobs: [{
+                name: 'Process loan 2',
+                log: jobLog(
+                    lockMarker({ lock_status: 'failed', loan_index: 1, borrower_name: 'First', message: 'no' }),
+                    lockMarker({ lock_status: 'success', loan_index: 2, borrower_name: 'Second' })
+                )
+            }]
+        });
+
+        const [result] = (await checkLocks([correlationId])).results;
+
+        assert.equal(result.borrowerName, 'Second');
+        assert.equal(result.loanIndex, 2);
+        assert.equal(result.locked, true);
+    });
+
+    test('takes none of several markers when none is for the loan', async () => {
+        const correlationId = addFinishedRun({
+            conclusion: 'failure',
+            jobs: [{
+                name: 'Process loan 3',
+                log: jobLog(
+                    lockMarker({ lock_status: 'success', loan_index: 1, borrower_name: 'First' }),
+                    lockMarker({ lock_status: 'success', loan_index: 2, borrower_name: 'Second' })
+                )
+            }]
+        });
+
+        const [result] = (await checkLocks([correlationId])).results;
+
+        assert.equal(result.source, 'workflow_conclusion');
+        assert.equal(result.locked, false);
+        assert.match(result.parseDiagnostics.at(-1).message, /2 markers in log, none for loan_index 3/);
+    });
+
+    test('lists running and not-yet-created runs as pending', async () => {
+        const running = addFinishedRun({ status: 'in_progress' });
+        const notCreated = createCorrelationId();
+
+        const { results, pendingLoans, summary } = await checkLocks([running, notCreated]);
+
+        assert.equal(results.length, 0);
+        assert.equal(summary.stillProcessing, 2);
+        assert.equal(summary.isComplete, false);
+        assert.deepEqual(pendingLoans.map(loan => loan.state).sort(), ['awaiting_run', 'in_progress']);
+    });
+
+    test('answers a finished run from the run store the second time', async () => {
+        const correlationId = addFinishedRun({ jobs: [{ name: 'Process loans', log: jobLog(lockMarker({ lock_status: 'success' })) }] });
+
+        await checkLocks([correlationId]);
+        const requestsAfterFirst = fake.requests.length;
+        const [result] = (await checkLocks([correlationId])).results;
+
+        assert.equal(result.locked, true);
+        assert.equal(fake.requests.length, requestsAfterFirst);
+    });
+
+    test('reports loans of a batch that were never dispatched', async () => {
+        const created = await invoke(createBatch, {
+            method: 'POST',
+            headers: as('locker'),
+            body: { type: 'process-loans', loans: [{ loanIndex: 0, loanData: makeLoan() }, { loanIndex: 1, loanData: makeLoan() }] }
+        });
+        const correlationId = addFinishedRun({ jobs: [{ name: 'Process loans', log: jobLog(lockMarker({ lock_status: 'success', loan_index: 0 })) }] });
+        await recordBatchDispatch(created.body.batchId, { loanIndex: 0, correlationId, eventType: 'process-loans', dispatchedAt: new Date().toISOString() });
+
+        const response = await invoke(checkBatchResults, { method: 'POST', headers: as('locker'), body: { batchId: created.body.batchId } });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.results[0].loanIndex, 0);
+        assert.deepEqual(response.body.pendingLoans, [{ loanIndex: 1, state: 'not_dispatched' }]);
+        assert.equal(response.body.summary.isComplete, false);
+    });
+
+    test('validates the request', async () => {
+        assert.equal((await invoke(checkBatchResults, { method: 'POST', headers: as('viewer'), body: {} })).status, 400);
+        assert.equal((await invoke(checkBatchResults, { method: 'POST', headers: as('viewer'), body: { batchId: 'batch-missing' } })).status, 404);
+        assert.equal((await invoke(checkBatchResults, { method: 'POST', body: { correlationIds: ['x'] } })).status, 401);
+    });
+});
+
+describe('get-pricing-results', () => {
+    test('reads pricing from the PRICING_DATA_OUTPUT marker', async () => {
+        const correlationId = addFinishedRun({
+            eventType: 'price-loans-only',
+            jobs: [{ name: 'Price loans', log: jobLog('Pricing...', pricingMarker(pricingData())) }]
+        });
+
+        const body = await checkPricing([correlationId]);
+        const [result] = body.pricingResults;
+
+        assert.equal(result.pricingStatus, 'success');
+        assert.equal(result.source, 'logs');
+        assert.equal(result.interestRate, '6.875');
+        assert.equal(result.totalOptions, 2);
+        assert.equal(result.allPricingOptions.length, 2);
+        assert.equal(body.allPricingComplete, true);
+        assert.equal(body.summary.successfulPricing, 1);
+    });
+
+    test('reads pricing from the results artifact', async () => {
+        const correlationId = addFinishedRun({
+            eventType: 'price-loans-only',
+            artifact: { pricing_data: pricingData({ loan_index: 6, borrower_name: 'From Artifact' }) },
+            jobs: [{ name: 'Price loans', log: '' }]
+        });
+
+        const [result] = (await checkPricing([correlationId])).pricingResults;
+
+        assert.equal(result.source, 'artifact');
+        assert.equal(result.borrowerName, 'From Artifact');
+        assert.equal(result.loanIndex, 6);
+    });
+
+    test('takes the loan index from the job name', async () => {
+        const correlationId = addFinishedRun({
+            eventType: 'price-loans-only',
+            jobs: [{
+                name: 'Price loan 2',
+                log: jobLog(
+                    pricingMarker(pricingData({ loan_index: 1, borrower_name: 'First' })),
+                    pricingMarker(pricingData({ loan_index: 2, borrower_name: 'Second' }))
+                )
+            }]
+        });
+
+        const [result] = (await checkPricing([correlationId])).pricingResults;
+
+        assert.equal(result.loanIndex, 2);
+        assert.equal(result.borrowerName, 'Second');
+    });
+
+    test('takes the loan index from the run title when the job name has none', async () => {
+        const correlationId = createCorrelationId();
+        fake.addRun({
+            eventType: 'price-loans-only',
+            title: `Price loan 4 ${correlationId}`,
+            jobs: [{
+                name: 'Pricing',
+                log: jobLog(
+                    pricingMarker(pricingData({ loan_index: 3, borrower_name: 'Third' })),
+                    pricingMarker(pricingData({ loan_index: 4, borrower_name: 'Fourth' }))
+                )
+            }]
+        });
+
+        const [result] = (await checkPricing([correlationId])).pricingResults;
+
+        assert.equal(result.loanIndex, 4);
+        assert.equal(result.borrowerName, 'Fourth');
+    });
+
+    test('never reads a loan index out of the correlation ID in the run title', async () => {
+        const correlationId = 'lnx-12345678-1234-4234-8234-123456789012';
+        fake.addRun({
+            eventType: 'price-loans-only',
+            correlationId,
+            jobs: [{ name: 'Pricing', log: jobLog(pricingMarker(pricingData({ borrower_name: 'Only' }))) }]
+        });
+
+        const [result] = (await checkPricing([correlationId])).pricingResults;
+
+        assert.equal(result.loanIndex, 'Unknown');
+        assert.equal(result.borrowerName, 'Only');
+    });
+
+    test('returns an error result when no pricing job or marker is found', async () => {
+        const noPricingJob = addFinishedRun({ eventType: 'price-loans-only', jobs: [{ name: 'Setup', log: '' }] });
+        const noMarker = addFinishedRun({ eventType: 'price-loans-only', jobs: [{ name: 'Price loans', log: jobLog('💰 PRICING_DATA_OUTPUT: [1, 2]') }] });
+
+        const body = await checkPricing([noPricingJob, noMarker]);
+        const byCorrelation = Object.fromEntries(body.pricingResults.map(result => [result.correlationId, result]));
+
+        assert.equal(byCorrelation[noPricingJob].pricingStatus, 'error');
+        assert.equal(byCorrelation[noPricingJob].source, 'none');
+        assert.match(byCorrelation[noPricingJob].errorMessage, /No pricing job found/);
+
+        assert.equal(byCorrelation[noMarker].pricingStatus, 'error');
+        assert.equal(byCorrelation[noMarker].parseDiagnostics.length, 1);
+        assert.equal(body.summary.failedPricing, 2);
+    });
+
+    test('rejects an unknown ranking strategy', async () => {
+        const response = await invoke(getPricingResults, {
+            method: 'POST',
+            headers: as('viewer'),
+            body: { correlationIds: [createCorrelationId()], selection: { strategy: 'cheapest-ish' } }
+        });
+        assert.equal(response.status, 400);
+    });
+});
+
+// Last: the client remembers the low quota for the rest of this file
+describe('GitHub API budget', () => {
+    test('answers 429 instead of polling when the remaining quota is below the reserve', async () => {
+        fake.setRateLimitRemaining(50);
+        const first = addFinishedRun({ jobs: [{ name: 'Process loans', log: jobLog(lockMarker({ lock_status: 'success' })) }] });
+        await checkLocks([first]);
+
+        const response = await invoke(checkBatchResults, { method: 'POST', headers: as('viewer'), body: { correlationIds: [createCorrelationId()] } });
+
+        assert.equal(response.status, 429);
+        assert.ok(Number(response.headers['retry-after']) > 0);
+    });
+});
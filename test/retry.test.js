@@ -0,0 +1,206 @@
+// /test/retry.test.js
+// Retrying the failed loans of a batch: what is retried, overrides, the attempt cap, and how
+// results link a retry to the attempt it repeats
+
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, test } from 'node:test';
+import { as } from './support/env.js';
+import { jobLog, lockMarker, makeLoan, pricingData, pricingMarker, storeTestCredentials } from './support/fixtures.js';
+import { startGitHubFake } from './support/github-fake.js';
+import { invoke } from './support/invoke.js';
+import checkBatchResults from '../api/check-batch-results.js';
+import getPricingResults from '../api/get-pricing-results.js';
+import createBatch from '../api/create-batch.js';
+import retryLoans from '../api/retry-loans.js';
+import triggerBulk from '../api/trigger-bulk.js';
+import triggerPricingOnly from '../api/trigger-pricing-only.js';
+import triggerSelectiveLocks from '../api/trigger-selective-locks.js';
+import { recordBatchDispatch } from '../lib/batches.js';
+import { createCorrelationId } from '../lib/correlation.js';
+import { drainDispatchQueue } from '../lib/dispatch-queue.js';
+
+let fake;
+let pricerCredential;
+let lockerCredential;
+
+before(async () => {
+    fake = await startGitHubFake();
+    process.env.GITHUB_API_URL = fake.url;
+    pricerCredential = await storeTestCredentials('pricer');
+    lockerCredential = await storeTestCredentials('locker');
+});
+
+after(() => fake.close());
+
+beforeEach(() => fake.reset());
+
+const locks = lockStatus => ({ clientPayload }) => ({
+    jobs: [{ name: `Lock loan ${clientPayload.loan_index}`, log: jobLog(lockMarker({ lock_status: lockStatus, loan_index: clientPayload.loan_index, message: 'Rate expired' })) }]
+});
+
+async function dispatchBatch(mode, loans, onDispatch) {
+    fake.onDispatch(onDispatch);
+    const response = await invoke(triggerBulk, {
+        method: 'POST',
+        headers: as(mode === 'price' ? 'pricer' : 'locker'),
+        body: {
+            mode,
+            credentialRef: mode === 'price' ? pricerCredential : lockerCredential,
+            loans: loans.map((loanData, loanIndex) => ({ loanIndex, loanData }))
+        }
+    });
+    assert.equal(response.status, 202);
+    // Send the queued loans, as the batch's progress stream would
+    await drainDispatchQueue(response.body.batchId);
+    return response.body.batchId;
+}
+
+function retry(role, body) {
+    return invoke(retryLoans, { method: 'POST', headers: as(role), body });
+}
+
+test('re-dispatches only the failed loans of a lock batch, with their original loan data', async () => {
+    const loans = [makeLoan(), makeLoan(), makeLoan()];
+    const batchId = await dispatchBatch('lock', loans, dispatch => {
+        const loanIndex = dispatch.clientPayload.loan_index;
+        return loanIndex === 0 ? locks('success')(dispatch)
+            : loanIndex === 1 ? locks('failed')(dispatch)
+            : { conclusion: 'failure' };
+    });
+    const firstAttempts = fake.dispatches.length;
+
+    fake.onDispatch(locks('success'));
+    const response = await retry('locker', { batchId });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.summary, { total: 3, dispatched: 2, skipped: 1, invalid: 0, rejected: 0, failed: 0 });
+    const [locked, rejected, crashed] = response.body.loans;
+    assert.equal(locked.status, 'skipped');
+    assert.equal(locked.reason, 'Attempt 1 already locked');
+    assert.equal(rejected.reason, 'Rate expired');
+    assert.equal(crashed.retry.attempt, 2);
+
+    const retried = fake.dispatches.slice(firstAttempts);
+    assert.deepEqual(retried.map(dispatch => dispatch.clientPayload.loan_index), [1, 2]);
+    assert.equal(JSON.parse(retried[0].clientPayload.loan_data).nex_id, loans[1].nexId);
+    assert.ok(retried[0].clientPayload.credential_token, 'uses the credentials of the original attempt');
+
+    const results = await invoke(checkBatchResults, { method: 'POST', headers: as('locker'), body: { batchId } });
+    assert.equal(results.body.summary.successfulLocks, 3);
+    const retriedResult = results.body.results.find(result => result.loanIndex === 1);
+    assert.equal(retriedResult.attempt, 2);
+    assert.equal(retriedResult.retryOf.correlationId, rejected.correlationId);
+    assert.equal(retriedResult.retryOf.attempt, 1);
+    assert.equal(results.body.results.find(result => result.loanIndex === 0).retryOf, null);
+});
+
+test('applies field overrides and a replacement credentialRef', async () => {
+    const batchId = await dispatchBatch('price', [makeLoan(), makeLoan()], () => ({ conclusion: 'failure' }));
+    const firstAttempts = fake.dispatches.length;
+    const newCredential = await storeTestCredentials('pricer');
+
+    fake.onDispatch(({ clientPayload }) => ({
+        jobs: [{ name: 'Price loans', log: jobLog(pricingMarker(pricingData({ loan_index: clientPayload.loan_index }))) }]
+    }));
+    const response = await retry('pricer', {
+        batchId,
+        overrides: { fico: 780 },
+        loanOverrides: { 1: { State: 'tx' } },
+        credentialRef: newCredential
+    });
+
+    assert.equal(response.body.summary.dispatched, 2);
+    const [first, second] = fake.dispatches.slice(firstAttempts)
+        .sort((a, b) => a.clientPayload.loan_index - b.clientPayload.loan_index)
+        .map(dispatch => JSON.parse(dispatch.clientPayload.loan_data));
+    assert.equal(first['Credit Score'], 780);
+    assert.equal(first.State, 'CA');
+    assert.equal(second['Credit Score'], 780);
+    assert.equal(second.State, 'TX');
+
+    const results = await invoke(getPricingResults, { method: 'POST', headers: as('pricer'), body: { batchId } });
+    assert.equal(results.body.summary.successfulPricing, 2);
+    assert.ok(results.body.pricingResults.every(result => result.attempt === 2 && result.retryOf.attempt === 1));
+});
+
+test('reports overrides that make a loan invalid', async () => {
+    const batchId = await dispatchBatch('price', [makeLoan()], () => ({ conclusion: 'failure' }));
+
+    const response = await retry('pricer', { batchId, overrides: { fico: 9000 } });
+
+    assert.equal(response.body.loans[0].status, 'invalid');
+    assert.equal(response.body.loans[0].errors[0].field, 'Credit Score');
+});
+
+test('stops at the attempt cap', async () => {
+    const batchId = await dispatchBatch('lock', [makeLoan()], locks('failed'));
+
+    const second = await retry('locker', { batchId, maxAttempts: 2 });
+    assert.equal(second.body.loans[0].retry.attempt, 2);
+
+    const third = await retry('locker', { batchId, maxAttempts: 2 });
+    assert.equal(third.body.loans[0].status, 'skipped');
+    assert.equal(third.body.loans[0].reason, 'Attempt limit reached (2 of 2)');
+
+    assert.equal((await retry('locker', { batchId, maxAttempts: 10 })).status, 400);
+});
+
+test('retries the loans behind failed workflow IDs', async () => {
+    const batchId = await dispatchBatch('lock', [makeLoan(), makeLoan()], locks('failed'));
+    const results = await invoke(checkBatchResults, { method: 'POST', headers: as('locker'), body: { batchId } });
+    const failedRun = results.body.results.find(result => result.loanIndex === 1).workflowId;
+
+    fake.onDispatch(locks('success'));
+    const response = await retry('locker', { workflowRunIds: [failedRun] });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.batchIds, [batchId]);
+    assert.deepEqual(response.body.loans.map(loan => [loan.loanIndex, loan.status]), [[1, 'dispatched']]);
+
+    assert.equal((await retry('locker', { workflowRunIds: [987654321] })).status, 404);
+});
+
+test('skips loans still running and checks who may retry', async () => {
+    const batchId = await dispatchBatch('lock', [makeLoan()], () => ({ status: 'in_progress' }));
+
+    const response = await retry('locker', { batchId });
+    assert.equal(response.body.loans[0].status, 'skipped');
+    assert.equal(response.body.loans[0].reason, 'Attempt 1 is still in_progress');
+
+    assert.equal((await retry('pricer', { batchId })).status, 404, 'another user\'s batch');
+    assert.equal((await retry('trader', { correlationIds: [fake.dispatches[0].clientPayload.correlation_id] })).status, 404);
+    assert.equal((await retry('locker', {})).status, 400);
+    assert.equal((await retry('locker', { batchId: 'batch-missing' })).status, 404);
+});
+
+test('retries each loan of an untyped batch as the kind of run that failed, with that kind\'s role', async () => {
+    const traderCredential = await storeTestCredentials('trader');
+    const loans = [makeLoan(), makeLoan()];
+    const { batchId } = (await invoke(createBatch, { method: 'POST', headers: as('trader'), body: { loans: loans.map(loanData => ({ loanData })) } })).body;
+
+    // Loan 0 priced and loan 1 locked with the same credential; both failed
+    fake.onDispatch(() => ({ conclusion: 'failure' }));
+    await invoke(triggerPricingOnly, { method: 'POST', headers: as('trader'), body: { loanData: loans[0], loanIndex: 0, credentialRef: traderCredential, batchId } });
+    fake.onDispatch(locks('failed'));
+    await invoke(triggerSelectiveLocks, { method: 'POST', headers: as('trader'), body: { loanData: loans[1], loanIndex: 1, credentialRef: traderCredential, batchId } });
+    const firstAttempts = fake.dispatches.length;
+
+    const response = await retry('trader', { batchId });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.summary.dispatched, 2);
+    const retried = fake.dispatches.slice(firstAttempts).sort((a, b) => a.clientPayload.loan_index - b.clientPayload.loan_index);
+    assert.deepEqual(retried.map(dispatch => dispatch.eventType), ['price-loans-only', 'selective-lock']);
+
+    // A pricer's untyped batch whose first dispatch was pricing still needs the locker role for its failed lock
+    const pricerLoans = [makeLoan(), makeLoan()];
+    const pricerBatchId = (await invoke(createBatch, { method: 'POST', headers: as('pricer'), body: { loans: pricerLoans.map(loanData => ({ loanData })) } })).body.batchId;
+    fake.onDispatch(() => ({ conclusion: 'failure' }));
+    await invoke(triggerPricingOnly, { method: 'POST', headers: as('pricer'), body: { loanData: pricerLoans[0], loanIndex: 0, credentialRef: pricerCredential, batchId: pricerBatchId } });
+    const correlationId = createCorrelationId();
+    fake.addRun({ correlationId, eventType: 'selective-lock', status: 'completed', conclusion: 'failure' });
+    await recordBatchDispatch(pricerBatchId, { loanIndex: 1, correlationId, workflowRunId: null, eventType: 'selective-lock', dispatchedAt: new Date().toISOString(), credentialRef: pricerCredential });
+
+    const refused = await retry('pricer', { batchId: pricerBatchId });
+    assert.equal(refused.status, 403);
+    assert.match(refused.body.message, /selective-lock/);
+});
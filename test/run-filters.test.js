@@ -0,0 +1,172 @@
+// /test/run-filters.test.js
+// Which runs the results endpoints report: event-type and workflow filters, pricing runs never
+// counted as locks, and time windows paged with a cursor
+
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, test } from 'node:test';
+import { as } from './support/env.js';
+import { startGitHubFake } from './support/github-fake.js';
+import { invoke } from './support/invoke.js';
+import checkBatchResults from '../api/check-batch-results.js';
+import getPricingResults from '../api/get-pricing-results.js';
+import { createCorrelationId } from '../lib/correlation.js';
+import { recordDispatch } from '../lib/dispatch-records.js';
+import { getFallbackResult } from '../lib/results.js';
+
+let fake;
+
+before(async () => {
+    fake = await startGitHubFake();
+    process.env.GITHUB_API_URL = fake.url;
+});
+
+after(() => fake.close());
+
+beforeEach(() => fake.reset());
+
+// Each test gets its own hour, so runs stored by earlier tests stay out of its windows
+let hoursAgo = 48;
+function freshWindow() {
+    const from = Date.now() - hoursAgo-- * 3600 * 1000;
+    const at = seconds => new Date(from + seconds * 1000).toISOString().replace(/\.\d+Z$/, 'Z');
+    return { from: at(0), to: at(3599), at };
+}
+
+function addRun(spec) {
+    const correlationId = createCorrelationId();
+    fake.addRun({ correlationId, ...spec });
+    return correlationId;
+}
+
+function results(endpoint, body, role = 'viewer') {
+    return invoke(endpoint, { method: 'POST', headers: as(role), body });
+}
+
+test('a successful pricing run is never reported as a lock', async () => {
+    const pricing = addRun({ eventType: 'price-loans-only', conclusion: 'success' });
+    const locking = addRun({ eventType: 'selective-lock', conclusion: 'success' });
+
+    const response = await results(checkBatchResults, { correlationIds: [pricing, locking] });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.summary.successfulLocks, 1);
+    assert.equal(response.body.summary.totalProcessed, 1);
+    assert.deepEqual(response.body.excludedRuns.map(run => [run.correlationId, run.eventType]), [[pricing, 'price-loans-only']]);
+    assert.match(response.body.excludedRuns[0].reason, /price-loans-only not in process-loans, selective-lock/);
+
+    // Even read directly, the conclusion fallback does not call it locked
+    const fallback = getFallbackResult(fake.findRunByCorrelationId(pricing));
+    assert.equal(fallback.locked, false);
+    assert.equal(fallback.errorMessage, 'Pricing run - pricing runs never lock');
+});
+
+test('filters by event type and workflow file', async () => {
+    const processed = addRun({ eventType: 'process-loans', workflow: 'process-loans.yml' });
+    const selective = addRun({ eventType: 'selective-lock', workflow: 'selective-lock.yml' });
+    const correlationIds = [processed, selective];
+
+    const byType = await results(checkBatchResults, { correlationIds, eventTypes: 'selective-lock' });
+    assert.deepEqual(byType.body.results.map(result => result.correlationId), [selective]);
+    assert.deepEqual(byType.body.filters, { eventTypes: ['selective-lock'], workflow: null });
+
+    const byWorkflow = await results(checkBatchResults, { correlationIds, workflow: 'process-loans.yml' });
+    assert.deepEqual(byWorkflow.body.results.map(result => result.correlationId), [processed]);
+    assert.equal(byWorkflow.body.excludedRuns[0].reason, 'Workflow selective-lock.yml is not process-loans.yml');
+
+    // process-loans runs report pricing too; selective locks do not
+    const pricing = await results(getPricingResults, { correlationIds });
+    assert.deepEqual(pricing.body.pricingResults.map(result => result.correlationId), [processed]);
+    assert.deepEqual(pricing.body.filters.eventTypes, ['price-loans-only', 'process-loans']);
+});
+
+test('rejects event types an endpoint does not report', async () => {
+    const correlationIds = [addRun({})];
+
+    const pricingAsLocks = await results(checkBatchResults, { correlationIds, eventTypes: ['price-loans-only'] });
+    assert.equal(pricingAsLocks.status, 400);
+    assert.match(pricingAsLocks.body.message, /not reported here/);
+
+    assert.equal((await results(getPricingResults, { correlationIds, eventTypes: ['selective-lock'] })).status, 400);
+    assert.equal((await results(checkBatchResults, { correlationIds, eventTypes: ['deploy'] })).status, 400);
+    assert.equal((await results(checkBatchResults, { correlationIds, eventTypes: [] })).status, 400);
+    assert.equal((await results(checkBatchResults, { correlationIds, workflow: '../secrets' })).status, 400);
+});
+
+test('pages through a time window with a cursor, each run exactly once', async () => {
+    const { from, to, at } = freshWindow();
+    // Three runs share one second; pricing runs and other dispatches are filtered out
+    const expected = [10, 20, 20, 20, 30, 40, 50].map(second => addRun({ eventType: 'selective-lock', createdAt: at(second) }));
+    addRun({ eventType: 'price-loans-only', createdAt: at(25) });
+    fake.addRun({ title: 'deploy docs', createdAt: at(35) });
+    addRun({ eventType: 'selective-lock', createdAt: at(3700) }); // after the window
+
+    const seen = [];
+    let body = { from, to, limit: 2 };
+    let pages = 0;
+    do {
+        const response = await results(checkBatchResults, body, 'admin');
+        assert.equal(response.status, 200);
+        assert.ok(response.body.results.length <= 2);
+        seen.push(...response.body.results.map(result => result.correlationId));
+        body = { cursor: response.body.nextCursor };
+        pages++;
+
+        // Runs created meanwhile, newer than the page already read, don't shift the next page
+        if (pages === 1) {
+            addRun({ eventType: 'selective-lock', createdAt: at(55) });
+        }
+    } while (body.cursor);
+
+    assert.equal(pages, 4);
+    assert.deepEqual([...seen].sort(), [...expected].sort());
+    assert.equal(new Set(seen).size, seen.length);
+});
+
+test('lists pricing runs of one workflow in a window', async () => {
+    const { from, to, at } = freshWindow();
+    const priced = addRun({ eventType: 'price-loans-only', workflow: 'price-loans.yml', createdAt: at(5) });
+    addRun({ eventType: 'price-loans-only', workflow: 'other.yml', createdAt: at(6) });
+
+    const response = await results(getPricingResults, { from, to, workflow: 'price-loans.yml' }, 'admin');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.pricingResults.map(result => result.correlationId), [priced]);
+    assert.equal(response.body.nextCursor, null);
+    assert.deepEqual(response.body.window, { from, to, limit: 50 });
+    assert.ok(fake.requests.some(request => request.path.endsWith('/actions/workflows/price-loans.yml/runs')));
+});
+
+test('lists only the runs of their own dispatches in a window, unless the caller is an admin', async () => {
+    const { from, to, at } = freshWindow();
+    const own = addRun({ eventType: 'selective-lock', createdAt: at(5) });
+    const others = addRun({ eventType: 'selective-lock', createdAt: at(6) });
+    const unrecorded = addRun({ eventType: 'selective-lock', createdAt: at(7) });
+    await recordDispatch({ correlationId: own, eventType: 'selective-lock', requestedBy: 'locker', dispatchedAt: at(4) });
+    await recordDispatch({ correlationId: others, eventType: 'selective-lock', requestedBy: 'trader', dispatchedAt: at(4) });
+
+    const locker = await results(checkBatchResults, { from, to }, 'locker');
+    assert.deepEqual(locker.body.results.map(result => result.correlationId), [own]);
+
+    const cursor = await results(checkBatchResults, { cursor: (await results(checkBatchResults, { from, to, limit: 1 }, 'admin')).body.nextCursor }, 'locker');
+    assert.deepEqual(cursor.body.results.map(result => result.correlationId), [own]);
+
+    const admin = await results(checkBatchResults, { from, to }, 'admin');
+    assert.deepEqual(admin.body.results.map(result => result.correlationId), [unrecorded, others, own]);
+});
+
+test('validates windows and cursors', async () => {
+    const { from, to } = freshWindow();
+
+    assert.equal((await results(checkBatchResults, { from: to, to: from })).status, 400);
+    assert.equal((await results(checkBatchResults, { from: 'yesterday' })).status, 400);
+    assert.equal((await results(checkBatchResults, { from, to, limit: 500 })).status, 400);
+    assert.equal((await results(checkBatchResults, { cursor: 'not-a-cursor' })).status, 400);
+    assert.equal((await results(checkBatchResults, {})).status, 400);
+
+    // A pricing cursor can't be replayed against the lock endpoint
+    addRun({ eventType: 'price-loans-only', createdAt: freshWindow().at(1) });
+    addRun({ eventType: 'price-loans-only', createdAt: freshWindow().at(2) });
+    const page = await results(getPricingResults, { from: new Date(Date.now() - 72 * 3600 * 1000).toISOString(), limit: 1 }, 'admin');
+    assert.ok(page.body.nextCursor);
+    assert.equal((await results(checkBatchResults, { cursor: page.body.nextCursor })).status, 400);
+});
@@ -0,0 +1,51 @@
+// /test/support/env.js
+// Environment for a test file. Import it before anything from lib/ or api/, so every module sees
+// a private data dir, one API key per role and the vault / webhook / redeem secrets.
+// (node --test runs each file in its own process, so files never share state.)
+
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const DATA_DIR = mkdtempSync(path.join(os.tmpdir(), 'loannex-test-'));
+
+// The user of each key is named after its role; a trader both prices and locks
+export const API_KEYS = {
+    viewer: 'test-viewer-key',
+    pricer: 'test-pricer-key',
+    locker: 'test-locker-key',
+    trader: 'test-trader-key',
+    admin: 'test-admin-key'
+};
+
+export const WEBHOOK_SECRET = 'test-webhook-secret';
+export const REDEEM_SECRET = 'test-redeem-secret';
+
+Object.assign(process.env, {
+    LOANNEX_DATA_DIR: DATA_DIR,
+    LOANNEX_API_KEYS: JSON.stringify(Object.entries(API_KEYS).map(([role, key]) => ({ user: role, roles: role === 'trader' ? ['pricer', 'locker'] : [role], key }))),
+    CREDENTIAL_VAULT_KEY: Buffer.alloc(32, 7).toString('base64'),
+    CREDENTIAL_REDEEM_SECRET: REDEEM_SECRET,
+    GITHUB_WEBHOOK_SECRET: WEBHOOK_SECRET,
+    GITHUB_TOKEN: 'test-github-token',
+    RUN_RESOLVE_INTERVAL_MS: '10',
+    BATCH_PROGRESS_INTERVAL_SECONDS: '0.05',
+    BULK_DISPATCH_MAX_PER_SECOND: '1000'
+});
+
+for (const name of ['AUTH_DISABLED', 'AUTH_JWT_SECRET', 'ALLOWED_ORIGINS', 'LOANNEX_EXECUTOR', 'GITHUB_API_URL', 'RESULTS_ARTIFACT_NAME']) {
+    delete process.env[name];
+}
+
+// Handlers log every step; keep the test report readable unless TEST_VERBOSE is set
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.error = () => {};
+}
+
+process.on('exit', () => rmSync(DATA_DIR, { recursive: true, force: true }));
+
+// Request headers that authenticate as the given role
+export function as(role) {
+    return { 'x-api-key': API_KEYS[role] };
+}
@@ -0,0 +1,58 @@
+// /test/support/fixtures.js
+// Loans, stored credentials and job-log bodies for the tests
+
+import { MARKERS } from '../../lib/log-markers.js';
+import { storeCredentials } from '../../lib/vault.js';
+
+let nexIdSequence = 0;
+
+// A valid loan with its own NexID, so the duplicate-lock guard never links two tests
+export function makeLoan(overrides = {}) {
+    nexIdSequence++;
+    return {
+        firstName: 'Ann',
+        lastName: 'Lee',
+        loanAmount: '350000',
+        nexId: `NEX-${process.pid}-${nexIdSequence}`,
+        propertyType: 'sfr',
+        fico: '742',
+        state: 'ca',
+        ...overrides
+    };
+}
+
+// credentialRef owned by the user of `role` (see test/support/env.js)
+export async function storeTestCredentials(role) {
+    const credential = await storeCredentials({ username: `${role}@example.com`, password: 'secret' }, { owner: role });
+    return credential.credentialRef;
+}
+
+// A job log as GitHub serves it: every line prefixed with a timestamp
+export function jobLog(...lines) {
+    return lines
+        .flatMap(line => String(line).split('\n'))
+        .map(line => `2026-01-15T14:03:22.1234567Z ${line}`)
+        .join('\n');
+}
+
+export function lockMarker(lockResult) {
+    return `${MARKERS.LOCK_RESULT} ${JSON.stringify(lockResult)}`;
+}
+
+export function pricingMarker(pricingData) {
+    return `${MARKERS.PRICING_DATA} ${JSON.stringify(pricingData)}`;
+}
+
+export function pricingData(overrides = {}) {
+    return {
+        pricing_status: 'success',
+        borrower_name: 'Ann Lee',
+        loan_index: 0,
+        total_options: 2,
+        pricing_options: [
+            { interest_rate: '6.875', price_points: '-0.25', price_cost: '-875', program_name: 'Agency 30 Fixed', product_type: 'Fixed', rate_period: '30 yr' },
+            { interest_rate: '7.125', price_points: '-1.10', price_cost: '-3850', program_name: 'Agency 30 Fixed', product_type: 'Fixed', rate_period: '30 yr' }
+        ],
+        ...overrides
+    };
+}
@@ -0,0 +1,385 @@
+// /test/support/github-fake.js
+// In-process fake of the GitHub REST endpoints the handlers use. It listens on 127.0.0.1, so the
+// real client (lib/github.js) reaches it through fetch once GITHUB_API_URL points at fake.url.
+//
+// Scripted with runs, as the llpa-rate-comparator workflows would create them:
+//
+//     fake.addRun({ eventType, correlationId, status, conclusion, workflow, createdAt,
+//                   jobs: [{ name, log }], artifact: { lock_result, pricing_data } })
+//     fake.onDispatch(dispatch => ({ conclusion: 'success', jobs: [...] }))  // a run per dispatch
+//
+// Served: dispatches, runs of the repo or of one workflow file (filtered by event and created -
+// >=, <= or a..b, second precision - and paginated), a single run, cancel, jobs,
+// job logs and artifacts (both behind a redirect to blob storage, like GitHub), with rate-limit
+// headers and ETag / If-None-Match. failNext() scripts error responses.
+
+import { createHash } from 'crypto';
+import { createServer } from 'http';
+import { GITHUB_OWNER, GITHUB_REPO } from '../../lib/github.js';
+import { createZip } from '../../lib/zip.js';
+
+const RATE_LIMIT = 5000;
+const DEFAULT_PER_PAGE = 30;
+const ARTIFACT_NAME = 'loannex-results';
+const DEFAULT_WORKFLOW = 'loannex-automation.yml';
+
+export async function startGitHubFake({ owner = GITHUB_OWNER, repo = GITHUB_REPO } = {}) {
+    const repoPath = `/repos/${owner}/${repo}`;
+    const state = createState();
+
+    const server = createServer((req, res) => {
+        readBody(req)
+            .then(body => route(req, res, body))
+            .catch(error => send(res, 500, { message: error.message }));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    function route(req, res, body) {
+        const { pathname, searchParams } = new URL(req.url, url);
+        state.requests.push({ method: req.method, path: pathname, query: Object.fromEntries(searchParams) });
+
+        // Blob storage the API redirects to: no auth, no rate limit
+        const blob = /^\/_blobs\/(logs|artifacts)\/(\d+)$/.exec(pathname);
+        if (blob) {
+            return serveBlob(res, blob[1], Number(blob[2]));
+        }
+
+        if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+            return send(res, 401, { message: 'Requires authentication' });
+        }
+
+        const failure = takeFailure(req.method, pathname);
+        if (failure) {
+            return send(res, failure.status, failure.body, failure.headers);
+        }
+
+        if (state.rateLimitRemaining <= 0) {
+            return send(res, 403, { message: 'API rate limit exceeded' });
+        }
+        state.rateLimitRemaining--;
+
+        if (!pathname.startsWith(`${repoPath}/`)) {
+            return send(res, 404, { message: 'Not Found' });
+        }
+        const path = pathname.slice(repoPath.length);
+        let match;
+
+        if (req.method === 'POST' && path === '/dispatches') {
+            return handleDispatch(res, JSON.parse(body || '{}'));
+        }
+        if (req.method === 'GET' && path === '/actions/runs') {
+            return sendCached(req, res, listRuns(searchParams));
+        }
+        if ((match = /^\/actions\/workflows\/([^/]+)\/runs$/.exec(path)) && req.method === 'GET') {
+            return sendCached(req, res, listRuns(searchParams, decodeURIComponent(match[1])));
+        }
+        if ((match = /^\/actions\/runs\/(\d+)$/.exec(path)) && req.method === 'GET') {
+            const record = state.runs.get(Number(match[1]));
+            return record ? sendCached(req, res, record.run) : send(res, 404, { message: 'Not Found' });
+        }
+        if ((match = /^\/actions\/runs\/(\d+)\/cancel$/.exec(path)) && req.method === 'POST') {
+            return handleCancel(res, Number(match[1]));
+        }
+        if ((match = /^\/actions\/runs\/(\d+)\/jobs$/.exec(path)) && req.method === 'GET') {
+            const jobs = runJobs(Number(match[1]));
+            return sendCached(req, res, { total_count: jobs.length, jobs });
+        }
+        if ((match = /^\/actions\/jobs\/(\d+)\/logs$/.exec(path)) && req.method === 'GET') {
+            return state.logs.has(Number(match[1]))
+                ? redirect(res, `${url}/_blobs/logs/${match[1]}`)
+                : send(res, 404, { message: 'Not Found' });
+        }
+        if ((match = /^\/actions\/runs\/(\d+)\/artifacts$/.exec(path)) && req.method === 'GET') {
+            const artifacts = [...state.artifacts.values()]
+                .filter(artifact => artifact.workflow_run.id === Number(match[1]))
+                .map(({ zip, ...artifact }) => artifact);
+            return sendCached(req, res, { total_count: artifacts.length, artifacts });
+        }
+        if ((match = /^\/actions\/artifacts\/(\d+)\/zip$/.exec(path)) && req.method === 'GET') {
+            return state.artifacts.has(Number(match[1]))
+                ? redirect(res, `${url}/_blobs/artifacts/${match[1]}`)
+                : send(res, 404, { message: 'Not Found' });
+        }
+
+        return send(res, 404, { message: 'Not Found' });
+    }
+
+    function handleDispatch(res, { event_type: eventType, client_payload: clientPayload }) {
+        if (!eventType) {
+            return send(res, 422, { message: 'Invalid request. "event_type" wasn\'t supplied.' });
+        }
+        const dispatch = { eventType, clientPayload: clientPayload || {} };
+        state.dispatches.push(dispatch);
+
+        const spec = state.dispatchHandler ? state.dispatchHandler(dispatch) : null;
+        if (spec) {
+            addRun({ eventType, correlationId: dispatch.clientPayload.correlation_id, ...spec });
+        }
+        return send(res, 204);
+    }
+
+    function handleCancel(res, runId) {
+        const record = state.runs.get(runId);
+        if (!record) {
+            return send(res, 404, { message: 'Not Found' });
+        }
+        if (record.run.status === 'completed') {
+            return send(res, 409, { message: 'Cannot cancel a workflow run that is completed.' });
+        }
+        updateRun(runId, { status: 'completed', conclusion: 'cancelled' });
+        return send(res, 202, {});
+    }
+
+    // workflow: a file name or workflow ID, for /actions/workflows/{workflow}/runs
+    function listRuns(searchParams, workflow = null) {
+        const event = searchParams.get('event');
+        const { from, to } = parseCreated(searchParams.get('created'));
+        const perPage = Number(searchParams.get('per_page')) || DEFAULT_PER_PAGE;
+        const page = Number(searchParams.get('page')) || 1;
+
+        const runs = [...state.runs.values()]
+            .map(record => record.run)
+            .filter(run => !workflow || run.path.endsWith(`/${workflow}`) || String(run.workflow_id) === workflow)
+            .filter(run => !event || run.event === event)
+            .filter(run => !from || toSecond(run.created_at) >= from)
+            .filter(run => !to || toSecond(run.created_at) <= to)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id);
+
+        return { total_count: runs.length, workflow_runs: runs.slice((page - 1) * perPage, page * perPage) };
+    }
+
+    function runJobs(runId) {
+        return state.runs.get(runId)?.jobs || [];
+    }
+
+    function serveBlob(res, kind, id) {
+        if (kind === 'logs' && state.logs.has(id)) {
+            return send(res, 200, state.logs.get(id), { 'Content-Type': 'text/plain; charset=utf-8' });
+        }
+        if (kind === 'artifacts' && state.artifacts.has(id)) {
+            return send(res, 200, state.artifacts.get(id).zip, { 'Content-Type': 'application/zip' });
+        }
+        return send(res, 404, 'BlobNotFound');
+    }
+
+    function send(res, status, body, headers = {}) {
+        res.writeHead(status, { ...rateLimitHeaders(), ...headers });
+        if (body === undefined || status === 204 || status === 304) {
+            return res.end();
+        }
+        if (Buffer.isBuffer(body) || typeof body === 'string') {
+            return res.end(body);
+        }
+        res.end(JSON.stringify(body));
+    }
+
+    // GitHub answers a matching If-None-Match with 304 (not counted against the rate limit)
+    function sendCached(req, res, data) {
+        const text = JSON.stringify(data);
+        const etag = `"${createHash('sha1').update(text).digest('hex')}"`;
+        if (req.headers['if-none-match'] === etag) {
+            state.rateLimitRemaining++;
+            state.notModified++;
+            return send(res, 304, undefined, { ETag: etag });
+        }
+        return send(res, 200, text, { 'Content-Type': 'application/json', ETag: etag });
+    }
+
+    function redirect(res, location) {
+        return send(res, 302, undefined, { Location: location });
+    }
+
+    function rateLimitHeaders() {
+        return {
+            'X-RateLimit-Limit': String(RATE_LIMIT),
+            'X-RateLimit-Remaining': String(Math.max(0, state.rateLimitRemaining)),
+            'X-RateLimit-Reset': String(Math.ceil(Date.now() / 1000) + 3600)
+        };
+    }
+
+    function takeFailure(method, pathname) {
+        const index = state.failures.findIndex(failure =>
+            (!failure.method || failure.method === method) &&
+            (failure.path instanceof RegExp ? failure.path.test(pathname) : pathname.endsWith(failure.path)));
+        if (index === -1) {
+            return null;
+        }
+        const failure = state.failures[index];
+        if (--failure.times <= 0) {
+            state.failures.splice(index, 1);
+        }
+        return failure;
+    }
+
+    // A workflow_run as GitHub returns it. jobs: [{ name, log, status?, conclusion? }];
+    // artifact: the results JSON (uploaded as loannex-results), or { name, expired, files: { name: json } }
+    function addRun({
+        id = state.nextId++,
+        eventType = 'process-loans',
+        correlationId = null,
+        title,
+        name = 'LoanNex automation',
+        event = 'repository_dispatch',
+        status = 'completed',
+        conclusion = status === 'completed' ? 'success' : null,
+        workflow = DEFAULT_WORKFLOW,
+        createdAt = toSecond(new Date().toISOString()),
+        jobs = [{ name: eventType === 'price-loans-only' ? 'Price loans' : 'Process loans', log: '' }],
+        artifact = null
+    } = {}) {
+        const run = {
+            id,
+            name,
+            display_title: title ?? [eventType, correlationId].filter(Boolean).join(' '),
+            event,
+            status,
+            conclusion,
+            run_attempt: 1,
+            workflow_id: workflowId(workflow),
+            path: `.github/workflows/${workflow}`,
+            html_url: `https://github.com/${owner}/${repo}/actions/runs/${id}`,
+            created_at: createdAt,
+            updated_at: createdAt
+        };
+
+        const record = { run, jobs: [] };
+        setJobs(record, jobs);
+        state.runs.set(id, record);
+
+        if (artifact) {
+            addArtifact(id, artifact);
+        }
+        return run;
+    }
+
+    function setJobs(record, jobs) {
+        record.jobs = jobs.map(job => {
+            const jobId = state.nextId++;
+            state.logs.set(jobId, job.log ?? '');
+            return {
+                id: jobId,
+                run_id: record.run.id,
+                name: job.name,
+                status: job.status ?? record.run.status,
+                conclusion: job.conclusion ?? record.run.conclusion,
+                html_url: `${record.run.html_url}/job/${jobId}`
+            };
+        });
+    }
+
+    function addArtifact(runId, artifact) {
+        const artifactId = state.nextId++;
+        const files = artifact.files || { 'loannex-results.json': artifact };
+        state.artifacts.set(artifactId, {
+            id: artifactId,
+            name: artifact.files ? artifact.name ?? ARTIFACT_NAME : ARTIFACT_NAME,
+            expired: Boolean(artifact.files && artifact.expired),
+            workflow_run: { id: runId },
+            zip: createZip(Object.entries(files).map(([fileName, content]) => ({
+                name: fileName,
+                data: typeof content === 'string' ? content : JSON.stringify(content)
+            })))
+        });
+    }
+
+    // Moves a run on, e.g. updateRun(id, { status: 'completed', conclusion: 'failure' }). Jobs follow
+    // the run; `jobs` replaces them (with their logs) and `artifact` uploads one, as in addRun
+    function updateRun(runId, { jobs, artifact, ...changes }) {
+        const record = state.runs.get(runId);
+        Object.assign(record.run, changes, { updated_at: new Date().toISOString() });
+        if (jobs) {
+            setJobs(record, jobs);
+        }
+        for (const job of record.jobs) {
+            job.status = record.run.status;
+            job.conclusion = record.run.conclusion;
+        }
+        if (artifact) {
+            addArtifact(runId, artifact);
+        }
+        return record.run;
+    }
+
+    return {
+        url,
+        get dispatches() {
+            return state.dispatches;
+        },
+        get requests() {
+            return state.requests;
+        },
+        get notModifiedCount() {
+            return state.notModified;
+        },
+        addRun,
+        updateRun,
+        getRun: runId => state.runs.get(runId)?.run || null,
+        findRunByCorrelationId: correlationId => [...state.runs.values()]
+            .map(record => record.run)
+            .find(run => run.display_title.includes(correlationId)) || null,
+        onDispatch(handler) {
+            state.dispatchHandler = handler;
+        },
+        // The next `times` requests matching method + path (suffix or RegExp) get this response
+        failNext({ method = null, path, status, body = { message: 'Scripted failure' }, headers = {}, times = 1 }) {
+            state.failures.push({ method, path, status, body, headers, times });
+        },
+        setRateLimitRemaining(remaining) {
+            state.rateLimitRemaining = remaining;
+        },
+        reset() {
+            Object.assign(state, createState(), { nextId: state.nextId });
+        },
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+function createState() {
+    return {
+        nextId: 1000,
+        runs: new Map(),      // runId -> { run, jobs }
+        logs: new Map(),      // jobId -> log text
+        artifacts: new Map(), // artifactId -> artifact with its zip
+        dispatches: [],
+        requests: [],
+        failures: [],
+        dispatchHandler: null,
+        rateLimitRemaining: RATE_LIMIT,
+        notModified: 0
+    };
+}
+
+// GitHub's `created` qualifier: >=from, <=to or from..to (either side may be *)
+function parseCreated(created) {
+    const range = /^(.+)\.\.(.+)$/.exec(created || '');
+    const [from, to] = range ? [range[1], range[2]]
+        : created?.startsWith('>=') ? [created.slice(2), '*']
+        : created?.startsWith('<=') ? ['*', created.slice(2)]
+        : ['*', '*'];
+    const bound = value => value === '*' ? null : toSecond(new Date(value).toISOString());
+    return { from: bound(from), to: bound(to) };
+}
+
+// GitHub timestamps, and its created filter, have second precision
+function toSecond(isoTime) {
+    return isoTime.replace(/\.\d+Z$/, 'Z');
+}
+
+// A stable numeric ID per workflow file
+function workflowId(workflow) {
+    return parseInt(createHash('sha1').update(workflow).digest('hex').slice(0, 8), 16);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
@@ -0,0 +1,84 @@
+// /test/support/invoke.js
+// Calls an api/ handler the way Vercel does (req.query, parsed req.body, res.status().json())
+// and returns what it sent: { status, headers, body, text, events }.
+// `text` is everything written (event streams, CSV); `events` the parsed server-sent events.
+
+import { EventEmitter } from 'events';
+
+export async function invoke(handler, { method = 'GET', headers = {}, query = {}, body, url } = {}) {
+    const req = Object.assign(new EventEmitter(), {
+        method,
+        headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+        query,
+        body,
+        url: url || '/'
+    });
+    const res = createResponse();
+
+    await handler(req, res);
+    req.emit('close');
+
+    const text = res.chunks.map(chunk => Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk)).join('');
+    return {
+        status: res.statusCode,
+        headers: res.headers,
+        body: res.body,
+        raw: res.raw,
+        text,
+        events: parseEvents(text)
+    };
+}
+
+function createResponse() {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        raw: undefined,
+        chunks: [],
+        ended: false,
+
+        setHeader(name, value) {
+            res.headers[name.toLowerCase()] = value;
+        },
+        getHeader(name) {
+            return res.headers[name.toLowerCase()];
+        },
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = JSON.parse(JSON.stringify(body));
+            res.ended = true;
+            return res;
+        },
+        send(body) {
+            return typeof body === 'object' && !Buffer.isBuffer(body) ? res.json(body) : res.end(body);
+        },
+        write(chunk) {
+            res.chunks.push(chunk);
+            return true;
+        },
+        end(chunk) {
+            if (chunk !== undefined) {
+                res.raw = chunk;
+                res.chunks.push(chunk);
+            }
+            res.ended = true;
+            return res;
+        }
+    };
+    return res;
+}
+
+// "event: loan\ndata: {...}\n\n" blocks -> [{ event, data }] (comments and retry lines skipped)
+export function parseEvents(text) {
+    return text.split('\n\n')
+        .map(block => {
+            const event = /^event: (.*)$/m.exec(block)?.[1];
+            const data = /^data: (.*)$/m.exec(block)?.[1];
+            return event && data !== undefined ? { event, data: JSON.parse(data) } : null;
+        })
+        .filter(Boolean);
+}
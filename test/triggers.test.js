@@ -0,0 +1,412 @@
+// /test/triggers.test.js
+// Single-loan trigger endpoints and bulk dispatch against the GitHub fake
+
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { as } from './support/env.js';
+import { jobLog, lockMarker, makeLoan, storeTestCredentials } from './support/fixtures.js';
+import { startGitHubFake } from './support/github-fake.js';
+import { invoke } from './support/invoke.js';
+import checkBatchResults from '../api/check-batch-results.js';
+import createBatch from '../api/create-batch.js';
+import triggerBulk from '../api/trigger-bulk.js';
+import triggerLoanWithStatus from '../api/trigger-loan-with-status.js';
+import triggerLoan from '../api/trigger-loan.js';
+import triggerPricingOnly from '../api/trigger-pricing-only.js';
+import triggerSelectiveLocks from '../api/trigger-selective-locks.js';
+import { getBatchProgress } from '../lib/batch-progress.js';
+import { getBatch } from '../lib/batches.js';
+import { drainDispatchQueue } from '../lib/dispatch-queue.js';
+
+let fake;
+let pricerCredential;
+let lockerCredential;
+
+before(async () => {
+    fake = await startGitHubFake();
+    process.env.GITHUB_API_URL = fake.url;
+    pricerCredential = await storeTestCredentials('pricer');
+    lockerCredential = await storeTestCredentials('locker');
+});
+
+after(() => fake.close());
+
+beforeEach(() => {
+    fake.reset();
+    // The workflow starts a run for every dispatch, titled with its correlation ID
+    fake.onDispatch(() => ({ status: 'queued' }));
+});
+
+describe('trigger-pricing-only', () => {
+    test('dispatches price-loans-only with the normalized loan and a credential token', async () => {
+        const response = await invoke(triggerPricingOnly, {
+            method: 'POST',
+            headers: as('pricer'),
+            body: { loanData: makeLoan(), loanIndex: 3, credentialRef: pricerCredential, shouldSave: true }
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(fake.dispatches.length, 1);
+
+        const [{ eventType, clientPayload }] = fake.dispatches;
+        assert.equal(eventType, 'price-loans-only');
+        assert.equal(clientPayload.correlation_id, response.body.correlationId);
+        assert.equal(clientPayload.loan_index, 3);
+        assert.equal(clientPayload.requested_by, 'pricer');
+        assert.equal(JSON.parse(clientPayload.loan_data)['Property Type'], 'Single Family');
+        assert.equal(JSON.parse(clientPayload.loan_data)['State'], 'CA');
+        assert.ok(clientPayload.credential_token);
+        assert.equal(clientPayload.credentials, undefined);
+
+        const run = fake.findRunByCorrelationId(response.body.correlationId);
+        assert.equal(response.body.workflowRunId, run.id);
+        assert.equal(response.body.workflowStatus.runUrl, run.html_url);
+        assert.equal(response.body.workflowStatus.pricingOnly, true);
+    });
+
+    test('rejects raw credentials, invalid loans and unknown credential references', async () => {
+        const raw = await invoke(triggerPricingOnly, {
+            method: 'POST',
+            headers: as('pricer'),
+            body: { loanData: makeLoan(), loanIndex: 0, credentials: { username: 'u', password: 'p' } }
+        });
+        assert.equal(raw.status, 400);
+
+        const invalid = await invoke(triggerPricingOnly, {
+            method: 'POST',
+            headers: as('pricer'),
+            body: { loanData: makeLoan({ loanAmount: 'lots', state: 'California' }), loanIndex: 0, credentialRef: pricerCredential }
+        });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(invalid.body.errors.map(error => error.field).sort(), ['Loan Amount', 'State']);
+
+        const unknown = await invoke(triggerPricingOnly, {
+            method: 'POST',
+            headers: as('pricer'),
+            body: { loanData: makeLoan(), loanIndex: 0, credentialRef: 'cred-missing' }
+        });
+        assert.equal(unknown.status, 404);
+
+        assert.equal(fake.dispatches.length, 0);
+    });
+
+    test('checks authentication and roles', async () => {
+        const body = { loanData: makeLoan(), loanIndex: 0, credentialRef: pricerCredential };
+
+        assert.equal((await invoke(triggerPricingOnly, { method: 'POST', body })).status, 401);
+        assert.equal((await invoke(triggerPricingOnly, { method: 'POST', headers: { 'x-api-key': 'wrong' }, body })).status, 401);
+        assert.equal((await invoke(triggerPricingOnly, { method: 'POST', headers: as('viewer'), body })).status, 403);
+        assert.equal((await invoke(triggerPricingOnly, { method: 'GET', headers: as('pricer') })).status, 405);
+        assert.equal((await invoke(triggerPricingOnly, { method: 'OPTIONS' })).status, 200);
+        assert.equal(fake.dispatches.length, 0);
+    });
+
+    test('replays a repeated Idempotency-Key without dispatching again', async () => {
+        const request = {
+            method: 'POST',
+            headers: { ...as('pricer'), 'Idempotency-Key': 'price-once' },
+            body: { loanData: makeLoan(), loanIndex: 0, credentialRef: pricerCredential }
+        };
+
+        const first = await invoke(triggerPricingOnly, request);
+        const second = await invoke(triggerPricingOnly, request);
+
+        assert.equal(first.status, 200);
+        assert.equal(second.status, 200);
+        assert.equal(second.headers['idempotent-replayed'], 'true');
+        assert.equal(second.body.correlationId, first.body.correlationId);
+        assert.equal(fake.dispatches.length, 1);
+    });
+});
+
+describe('trigger-loan', () => {
+    test('returns the correlation ID after one run lookup when the run has not been created yet', async () => {
+        fake.onDispatch(() => null);
+
+        const response = await invoke(triggerLoan, {
+            method: 'POST',
+            headers: as('locker'),
+            body: { loanData: makeLoan(), loanIndex: 0, credentialRef: lockerCredential }
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(fake.dispatches[0].eventType, 'process-loans');
+        assert.match(response.body.correlationId, /^lnx-/);
+        assert.equal(response.body.workflowRunId, null);
+        assert.equal(fake.requests.filter(request => request.method === 'GET' && request.path.endsWith('/actions/runs')).length, 1, 'not polled inside the request');
+        assert.equal(response.body.runUrl, 'https://github.com/crendy22/llpa-rate-comparator/actions');
+    });
+
+    test('reports a failed dispatch and frees the NexID for a retry', async () => {
+        const loanData = makeLoan();
+        fake.failNext({ method: 'POST', path: '/dispatches', status: 422, body: { message: 'Unprocessable' } });
+
+        const failed = await invoke(triggerLoan, {
+            method: 'POST',
+            headers: as('locker'),
+            body: { loanData, loanIndex: 0, credentialRef: lockerCredential }
+        });
+        assert.equal(failed.status, 500);
+        assert.match(failed.body.message, /422/);
+
+        const retried = await invoke(triggerLoan, {
+            method: 'POST',
+            headers: as('locker'),
+            body: { loanData, loanIndex: 0, credentialRef: lockerCredential }
+        });
+        assert.equal(retried.status, 200);
+    });
+
+    test('needs the locker role', async () => {
+        const response = await invoke(triggerLoan, {
+            method: 'POST',
+            headers: as('pricer'),
+            body: { loanData: makeLoan(), loanIndex: 0, credentialRef: pricerCredential }
+        });
+        assert.equal(response.status, 403);
+    });
+});
+
+describe('trigger-loan-with-status', () => {
+    test('records the dispatch on its batch and returns the progress stream URL', async () => {
+        const loanData = makeLoan();
+        const created = await invoke(createBatch, {
+            method: 'POST',
+            headers: as('locker'),
+            body: { type: 'process-loans', loans: [{ loanIndex: 0, loanData }] }
+        });
+        assert.equal(created.status, 201);
+
+        const response = await invoke(triggerLoanWithStatus, {
+            method: 'POST',
+            headers: as('locker'),
+            body: { loanData, loanIndex: 0, credentialRef: lockerCredential, batchId: created.body.batchId }
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.progressUrl, `/api/batch-progress?batchId=${created.body.batchId}`);
+
+        const batch = await getBatch(created.body.batchId);
+        assert.equal(batch.dispatches.length, 1);
+        assert.equal(batch.dispatches[0].correlationId, response.body.correlationId);
+        assert.equal(batch.dispatches[0].workflowRunId, response.body.workflowRunId);
+    });
+
+    test('refuses a loan that is not in the batch', async () => {
+        const created = await invoke(createBatch, {
+            method: 'POST',
+            headers: as('locker'),
+            body: { type: 'process-loans', loans: [{ loanIndex: 0, loanData: makeLoan() }] }
+        });
+
+        const response = await invoke(triggerLoanWithStatus, {
+            method: 'POST',
+            headers: as('locker'),
+            body: { loanData: makeLoan(), loanIndex: 5, credentialRef: lockerCredential, batchId: created.body.batchId }
+        });
+        assert.equal(response.status, 400);
+        assert.equal(fake.dispatches.length, 0);
+    });
+});
+
+describe('trigger-selective-locks', () => {
+    test('refuses a second lock of the same NexID unless the guard is overridden', async () => {
+        const body = { loanData: makeLoan(), loanIndex: 0, credentialRef: lockerCredential, isSelectiveLock: true };
+
+        const first = await invoke(triggerSelectiveLocks, { method: 'POST', headers: as('locker'), body });
+        assert.equal(first.status, 200);
+        assert.equal(fake.dispatches[0].eventType, 'selective-lock');
+
+        const duplicate = await invoke(triggerSelectiveLocks, { method: 'POST', headers: as('locker'), body });
+        assert.equal(duplicate.status, 409);
+        assert.equal(duplicate.body.nexId, body.loanData.nexId);
+        assert.equal(duplicate.body.existingLock.correlationId, first.body.correlationId);
+
+        const overridden = await invoke(triggerSelectiveLocks, {
+            method: 'POST',
+            headers: as('locker'),
+            body: { ...body, overrideLockGuard: true }
+        });
+        assert.equal(overridden.status, 200);
+        assert.equal(fake.dispatches.length, 2);
+    });
+
+    test('never resends a lock dispatch GitHub may have accepted, and keeps its NexID claimed', async () => {
+        const body = { loanData: makeLoan(), loanIndex: 0, credentialRef: lockerCredential };
+        fake.failNext({ method: 'POST', path: '/dispatches', status: 502 });
+
+        const response = await invoke(triggerSelectiveLocks, { method: 'POST', headers: as('locker'), body });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.dispatchStatus, 'unknown');
+        assert.match(response.body.correlationId, /^lnx-/);
+        assert.equal(fake.requests.filter(request => request.method === 'POST' && request.path.endsWith('/dispatches')).length, 1);
+
+        const again = await invoke(triggerSelectiveLocks, { method: 'POST', headers: as('locker'), body });
+        assert.equal(again.status, 409);
+        assert.equal(again.body.existingLock.correlationId, response.body.correlationId);
+    });
+
+    test('frees the NexID again once the earlier lock run is known to have failed', async () => {
+        const body = { loanData: makeLoan(), loanIndex: 0, credentialRef: lockerCredential };
+
+        const first = await invoke(triggerSelectiveLocks, { method: 'POST', headers: as('locker'), body });
+        fake.updateRun(first.body.workflowRunId, { status: 'completed', conclusion: 'failure' });
+
+        // Still in flight until the run store hears about the failure (webhook or a results poll)
+        const early = await invoke(triggerSelectiveLocks, { method: 'POST', headers: as('locker'), body });
+        assert.equal(early.status, 409);
+        await invoke(checkBatchResults, { method: 'POST', headers: as('locker'), body: { correlationIds: [first.body.correlationId] } });
+
+        const retried = await invoke(triggerSelectiveLocks, { method: 'POST', headers: as('locker'), body });
+        assert.equal(retried.status, 200);
+    });
+
+    test('looks for the run of a claim past its in-flight window before letting it lapse', async () => {
+        const configured = process.env.LOCK_GUARD_IN_FLIGHT_MINUTES;
+        process.env.LOCK_GUARD_IN_FLIGHT_MINUTES = '0.0001';
+        try {
+            const locked = { loanData: makeLoan(), loanIndex: 0, credentialRef: lockerCredential };
+            fake.onDispatch(() => ({ jobs: [{ name: 'Lock loan 0', log: jobLog(lockMarker({ lock_status: 'success', loan_index: 0 })) }] }));
+            const first = await invoke(triggerSelectiveLocks, { method: 'POST', headers: as('locker'), body: locked });
+
+            const neverRan = { loanData: makeLoan(), loanIndex: 1, credentialRef: lockerCredential };
+            fake.onDispatch(() => null);
+            await invoke(triggerSelectiveLocks, { method: 'POST', headers: as('locker'), body: neverRan });
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            const again = await invoke(triggerSelectiveLocks, { method: 'POST', headers: as('locker'), body: locked });
+            assert.equal(again.status, 409);
+            assert.equal(again.body.existingLock.status, 'locked');
+            assert.equal(again.body.existingLock.runId, first.body.workflowRunId);
+
+            const lapsed = await invoke(triggerSelectiveLocks, { method: 'POST', headers: as('locker'), body: neverRan });
+            assert.equal(lapsed.status, 200);
+        } finally {
+            process.env.LOCK_GUARD_IN_FLIGHT_MINUTES = configured;
+        }
+    });
+});
+
+describe('trigger-bulk', () => {
+    test('queues valid loans, reports invalid ones and creates a batch, then sends the queue', async () => {
+        const response = await invoke(triggerBulk, {
+            method: 'POST',
+            headers: as('pricer'),
+            body: {
+                mode: 'price',
+                credentialRef: pricerCredential,
+                loans: [
+                    { loanIndex: 0, loanData: makeLoan() },
+                    { loanIndex: 1, loanData: makeLoan({ lastName: '' }) },
+                    { loanIndex: 2, loanData: makeLoan() }
+                ]
+            }
+        });
+
+        assert.equal(response.status, 202);
+        assert.deepEqual(response.body.summary, { total: 3, queued: 2, invalid: 1, rejected: 0 });
+        assert.deepEqual(response.body.manifest.map(entry => entry.status), ['queued', 'invalid', 'queued']);
+        assert.equal(response.body.progressUrl, `/api/batch-progress?batchId=${response.body.batchId}`);
+        assert.equal(fake.dispatches.length, 0, 'nothing is sent before the queue is drained');
+
+        const sent = await drainDispatchQueue(response.body.batchId);
+        assert.deepEqual(sent.map(entry => [entry.loanIndex, entry.status]), [[0, 'dispatched'], [2, 'dispatched']]);
+        assert.deepEqual(fake.dispatches.map(dispatch => dispatch.clientPayload.loan_index).sort(), [0, 2]);
+
+        const batch = await getBatch(response.body.batchId);
+        assert.equal(batch.type, 'price-loans-only');
+        assert.equal(batch.dispatches.length, 2);
+
+        const progress = await getBatchProgress(batch);
+        assert.equal(progress.loans[1].state, 'failed');
+        assert.match(progress.loans[1].error, /Last Name/);
+    });
+
+    test('records GitHub failures and duplicate locks per loan when the queue is sent', async () => {
+        const locked = makeLoan();
+        await invoke(triggerSelectiveLocks, {
+            method: 'POST',
+            headers: as('locker'),
+            body: { loanData: locked, loanIndex: 0, credentialRef: lockerCredential }
+        });
+        fake.failNext({ method: 'POST', path: '/dispatches', status: 422 });
+
+        const response = await invoke(triggerBulk, {
+            method: 'POST',
+            headers: as('locker'),
+            body: {
+                mode: 'lock',
+                credentialRef: lockerCredential,
+                concurrency: 1,
+                loans: [{ loanIndex: 0, loanData: makeLoan() }, { loanIndex: 1, loanData: locked }]
+            }
+        });
+        assert.equal(response.status, 202);
+
+        const sent = await drainDispatchQueue(response.body.batchId);
+        assert.deepEqual(sent.map(entry => entry.status), ['failed', 'rejected']);
+        assert.ok(sent[1].existingLock);
+
+        const progress = await getBatchProgress(await getBatch(response.body.batchId));
+        assert.deepEqual(progress.loans.map(loan => loan.state), ['failed', 'failed']);
+        assert.equal(progress.isComplete, true);
+    });
+
+    test('checks the mode and the role it needs', async () => {
+        const loans = [{ loanIndex: 0, loanData: makeLoan() }];
+
+        const badMode = await invoke(triggerBulk, { method: 'POST', headers: as('locker'), body: { mode: 'sell', loans, credentialRef: lockerCredential } });
+        assert.equal(badMode.status, 400);
+
+        const wrongRole = await invoke(triggerBulk, { method: 'POST', headers: as('pricer'), body: { mode: 'lock', loans, credentialRef: pricerCredential } });
+        assert.equal(wrongRole.status, 403);
+        assert.equal(fake.dispatches.length, 0);
+    });
+
+    test('rejects duplicate loan indexes, and loans already waiting in the queue', async () => {
+        const duplicated = await invoke(triggerBulk, {
+            method: 'POST',
+            headers: as('pricer'),
+            body: {
+                mode: 'price',
+                credentialRef: pricerCredential,
+                loans: [{ loanIndex: 3, loanData: makeLoan() }, { loanIndex: 4, loanData: makeLoan() }, { loanIndex: 3, loanData: makeLoan() }]
+            }
+        });
+        assert.equal(duplicated.status, 400);
+        assert.match(duplicated.body.message, /Duplicate loanIndex values: 3$/);
+
+        const loans = [{ loanIndex: 0, loanData: makeLoan() }];
+        const first = await invoke(triggerBulk, { method: 'POST', headers: as('pricer'), body: { mode: 'price', credentialRef: pricerCredential, loans } });
+        const again = await invoke(triggerBulk, { method: 'POST', headers: as('pricer'), body: { mode: 'price', credentialRef: pricerCredential, batchId: first.body.batchId, loans } });
+        assert.equal(again.body.manifest[0].status, 'rejected');
+
+        await drainDispatchQueue(first.body.batchId);
+        assert.equal(fake.dispatches.length, 1);
+    });
+
+    test('sends the queue no faster than the configured rate', async () => {
+        const configured = process.env.BULK_DISPATCH_MAX_PER_SECOND;
+        process.env.BULK_DISPATCH_MAX_PER_SECOND = '4';
+        try {
+            const tooMany = await invoke(triggerBulk, {
+                method: 'POST',
+                headers: as('pricer'),
+                body: { mode: 'price', credentialRef: pricerCredential, loans: Array.from({ length: 501 }, (_, loanIndex) => ({ loanIndex, loanData: makeLoan() })) }
+            });
+            assert.equal(tooMany.status, 400);
+            assert.match(tooMany.body.message, /max 500 per request/);
+
+            const response = await invoke(triggerBulk, {
+                method: 'POST',
+                headers: as('pricer'),
+                body: { mode: 'price', credentialRef: pricerCredential, maxPerSecond: 1000, loans: Array.from({ length: 5 }, (_, loanIndex) => ({ loanIndex, loanData: makeLoan() })) }
+            });
+            const sent = await drainDispatchQueue(response.body.batchId, { budgetMs: 500 });
+            assert.equal(sent.length, 2);
+            assert.equal(fake.dispatches.length, 2);
+        } finally {
+            process.env.BULK_DISPATCH_MAX_PER_SECOND = configured;
+        }
+    });
+});
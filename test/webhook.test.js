@@ -0,0 +1,158 @@
+// /test/webhook.test.js
+// Signed workflow_run / workflow_job deliveries feeding the run store
+
+import assert from 'node:assert/strict';
+import { createHmac, randomUUID } from 'node:crypto';
+import { after, before, beforeEach, test } from 'node:test';
+import { as, WEBHOOK_SECRET } from './support/env.js';
+import { jobLog, lockMarker, pricingData, pricingMarker } from './support/fixtures.js';
+import { startGitHubFake } from './support/github-fake.js';
+import { invoke } from './support/invoke.js';
+import checkBatchResults from '../api/check-batch-results.js';
+import githubWebhook from '../api/github-webhook.js';
+import { createCorrelationId } from '../lib/correlation.js';
+import { getStoredRun } from '../lib/run-store.js';
+
+let fake;
+
+before(async () => {
+    fake = await startGitHubFake();
+    process.env.GITHUB_API_URL = fake.url;
+});
+
+after(() => fake.close());
+
+beforeEach(() => fake.reset());
+
+function deliver(event, payload, { secret = WEBHOOK_SECRET, deliveryId = randomUUID() } = {}) {
+    const body = JSON.stringify({ repository: { full_name: 'crendy22/llpa-rate-comparator' }, ...payload });
+    return invoke(githubWebhook, {
+        method: 'POST',
+        headers: {
+            'X-GitHub-Event': event,
+            'X-GitHub-Delivery': deliveryId,
+            'X-Hub-Signature-256': `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`
+        },
+        body
+    });
+}
+
+test('answers a signed ping and rejects a bad signature', async () => {
+    const ping = await deliver('ping', { zen: 'Keep it logically awesome.' });
+    assert.equal(ping.status, 200);
+    assert.equal(ping.body.message, 'pong');
+
+    const forged = await deliver('ping', {}, { secret: 'not-the-secret' });
+    assert.equal(forged.status, 401);
+});
+
+test('ignores deliveries for other repositories and unknown events', async () => {
+    const otherRepo = await deliver('workflow_run', { repository: { full_name: 'someone/else' }, action: 'completed', workflow_run: { id: 1 } });
+    assert.equal(otherRepo.status, 202);
+
+    const unknown = await deliver('push', { ref: 'refs/heads/main' });
+    assert.equal(unknown.status, 202);
+});
+
+test('stores a completed lock run with its parsed result, so results need no polling', async () => {
+    const correlationId = createCorrelationId();
+    const run = fake.addRun({
+        eventType: 'selective-lock',
+        correlationId,
+        jobs: [{ name: 'Lock loan 0', log: jobLog(lockMarker({ lock_status: 'success', nex_id: 'NEX-WH', loan_index: 0 })) }]
+    });
+
+    const delivery = await deliver('workflow_run', { action: 'completed', workflow_run: run });
+    assert.equal(delivery.status, 200);
+
+    const stored = await getStoredRun(run.id);
+    assert.equal(stored.correlationId, correlationId);
+    assert.equal(stored.results.lock.locked, true);
+    assert.equal(stored.results.lock.nexId, 'NEX-WH');
+
+    const requestsBefore = fake.requests.length;
+    const response = await invoke(checkBatchResults, { method: 'POST', headers: as('viewer'), body: { correlationIds: [correlationId] } });
+    assert.equal(response.body.results[0].locked, true);
+    assert.equal(fake.requests.length, requestsBefore, 'answered from the run store');
+});
+
+test('stores pricing results for price-loans-only runs', async () => {
+    const run = fake.addRun({
+        eventType: 'price-loans-only',
+        correlationId: createCorrelationId(),
+        jobs: [{ name: 'Price loans', log: jobLog(pricingMarker(pricingData())) }]
+    });
+
+    await deliver('workflow_run', { action: 'completed', workflow_run: run });
+
+    const stored = await getStoredRun(run.id);
+    assert.equal(stored.results.pricing.pricingStatus, 'success');
+    assert.equal(stored.results.lock, undefined);
+});
+
+test('stores no fallback when the logs are not there yet, and reads the real result later', async () => {
+    const correlationId = createCorrelationId();
+    const run = fake.addRun({
+        eventType: 'selective-lock',
+        correlationId,
+        jobs: [{ name: 'Lock loan 0', log: jobLog(lockMarker({ lock_status: 'failed', message: 'Rate expired', loan_index: 0 })) }]
+    });
+    fake.failNext({ method: 'GET', path: '/logs', status: 404 });
+
+    await deliver('workflow_run', { action: 'completed', workflow_run: run });
+    assert.equal((await getStoredRun(run.id)).results.lock, undefined);
+
+    const response = await invoke(checkBatchResults, { method: 'POST', headers: as('viewer'), body: { correlationIds: [correlationId] } });
+    assert.equal(response.body.results[0].locked, false);
+    assert.equal(response.body.results[0].source, 'logs');
+    assert.equal((await getStoredRun(run.id)).results.lock.errorMessage, 'Rate expired');
+});
+
+test('handles a redelivery of the same delivery ID only once', async () => {
+    const run = fake.addRun({
+        eventType: 'selective-lock',
+        correlationId: createCorrelationId(),
+        jobs: [{ name: 'Lock loan 0', log: jobLog(lockMarker({ lock_status: 'success', loan_index: 0 })) }]
+    });
+    fake.failNext({ method: 'GET', path: '/logs', status: 404 });
+    const deliveryId = randomUUID();
+
+    assert.equal((await deliver('workflow_run', { action: 'completed', workflow_run: run }, { deliveryId })).status, 200);
+    const requestsBefore = fake.requests.length;
+
+    const redelivery = await deliver('workflow_run', { action: 'completed', workflow_run: run }, { deliveryId });
+    assert.equal(redelivery.status, 200);
+    assert.match(redelivery.body.message, /already handled/);
+    assert.equal(fake.requests.length, requestsBefore, 'the redelivery parses nothing again');
+
+    // A new delivery for the same run is still handled
+    await deliver('workflow_run', { action: 'completed', workflow_run: run });
+    assert.equal((await getStoredRun(run.id)).results.lock.locked, true);
+});
+
+test('keeps in-progress runs and jobs without parsing anything', async () => {
+    const run = fake.addRun({ eventType: 'process-loans', correlationId: createCorrelationId(), status: 'in_progress' });
+
+    const runDelivery = await deliver('workflow_run', { action: 'in_progress', workflow_run: run });
+    assert.equal(runDelivery.body.status, 'in_progress');
+
+    const jobDelivery = await deliver('workflow_job', {
+        action: 'in_progress',
+        workflow_job: { id: 77, run_id: run.id, name: 'Process loans', status: 'in_progress', conclusion: null }
+    });
+    assert.equal(jobDelivery.status, 200);
+
+    const stored = await getStoredRun(run.id);
+    assert.equal(stored.run.status, 'in_progress');
+    assert.ok(!stored.results?.lock);
+    assert.ok(!fake.requests.some(request => request.path.includes('/jobs')));
+});
+
+test('needs the raw body for the signature check', async () => {
+    const response = await invoke(githubWebhook, {
+        method: 'POST',
+        headers: { 'X-GitHub-Event': 'ping', 'X-Hub-Signature-256': 'sha256=00' },
+        body: { zen: 'already parsed' }
+    });
+    assert.equal(response.status, 400);
+});